@@ -0,0 +1,27 @@
+// Issue a local HS256 bearer token for development:
+//   AUTH_JWT_SECRET=... node scripts/dev-token.js someone@company.com [hours]
+require("dotenv").config({ quiet: true });
+
+const { SignJWT } = require("jose");
+
+async function main() {
+  const email = process.argv[2];
+  const hours = Number(process.argv[3] || 12);
+  if (!email) throw new Error("usage: node scripts/dev-token.js <email> [hours]");
+  if (!process.env.AUTH_JWT_SECRET) throw new Error("AUTH_JWT_SECRET is not set");
+
+  let jwt = new SignJWT({ email })
+    .setProtectedHeader({ alg: "HS256" })
+    .setSubject(email)
+    .setIssuedAt()
+    .setExpirationTime(`${hours}h`);
+  if (process.env.AUTH_ISSUER) jwt = jwt.setIssuer(process.env.AUTH_ISSUER);
+  if (process.env.AUTH_AUDIENCE) jwt = jwt.setAudience(process.env.AUTH_AUDIENCE);
+
+  console.log(await jwt.sign(new TextEncoder().encode(process.env.AUTH_JWT_SECRET)));
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -1,13 +1,72 @@
 require("dotenv").config();
 
+const { randomUUID } = require("crypto");
 const express = require("express");
 const cors = require("cors");
-const { createClient } = require("@supabase/supabase-js");
-const { GoogleGenAI } = require("@google/genai");
+const { createStore } = require("./src/store");
+const { TICKET_DETAIL_COLUMNS } = require("./src/store/repositories");
+const { createTriageEngine } = require("./src/triage");
+const { createAiBudget, parseBudget } = require("./src/triage/budget");
+const { aiUsageAdminRoutes } = require("./src/routes/aiUsage");
+const { createRateLimiter, parseLimit } = require("./src/ratelimit");
+const { createRateLimitCounters } = require("./src/ratelimit/store");
+const {
+  createAuth,
+  requireAdmin,
+  requireRole,
+  canAccessTicket,
+  loadAccessibleTicket,
+  VALID_ROLES,
+} = require("./src/auth");
+const { createSlaService, PAUSED_STATUSES } = require("./src/sla/policy");
+const { createSlaMonitor } = require("./src/sla/monitor");
+const { slaAdminRoutes } = require("./src/routes/sla");
+const { createWebhookDispatcher } = require("./src/webhooks/dispatcher");
+const { webhookAdminRoutes } = require("./src/routes/webhooks");
+const { createMailer } = require("./src/notifications/mailer");
+const { createNotifier, parseEvents } = require("./src/notifications");
+const { notificationRoutes } = require("./src/routes/notifications");
+const { inboundEmailRoutes } = require("./src/routes/inbound");
+const { createAttachmentStorage } = require("./src/attachments/storage");
+const { createAttachmentService, parseTypes } = require("./src/attachments");
+const { attachmentRoutes } = require("./src/routes/attachments");
+const { parseTicketListQuery, encodeCursor, UUID_RE } = require("./src/tickets/listQuery");
+const { shortRef } = require("./src/tickets/auditMessages");
+const { activityUserIds, auditEntry, commentEntry } = require("./src/tickets/activity");
+const { createTicketService, markFirstResponse } = require("./src/tickets/service");
+const { createKnowledgeBase } = require("./src/knowledge");
+const { knowledgeRoutes } = require("./src/routes/knowledge");
+const { ticketLinkRoutes } = require("./src/routes/links");
+const { createAssigner } = require("./src/tickets/assignment");
+const { createWorkflows, checkTransition, availableTransitions, DONE_STATUSES } = require("./src/tickets/workflow");
+const { assignmentAdminRoutes } = require("./src/routes/assignment");
+const { workflowRoutes, workflowAdminRoutes } = require("./src/routes/workflows");
+const { createTeamDirectory } = require("./src/teams");
+const { teamRoutes, teamAdminRoutes } = require("./src/routes/teams");
+const { exportRoutes } = require("./src/routes/exports");
+const { createEventHub } = require("./src/events");
+const { createSurveys } = require("./src/surveys");
+const { surveyRoutes } = require("./src/routes/surveys");
+const { createAutoCloser } = require("./src/tickets/autoClose");
+const { eventStreamRoutes } = require("./src/routes/events");
+const { logger } = require("./src/observability/logger");
+const { registry, metrics } = require("./src/observability/metrics");
+const { requestObservability } = require("./src/observability/http");
+const { observabilityRoutes } = require("./src/routes/observability");
 
 const app = express();
 // app.use(cors());
 
+// Request id (X-Request-Id), request log line and latency metric; first, so
+// every later middleware logs with the id
+app.use(requestObservability());
+
+// Behind a load balancer / proxy, req.ip comes from X-Forwarded-For only
+// when TRUST_PROXY says so (true, a hop count or a subnet list)
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", trust === "true" ? true : /^\d+$/.test(trust) ? Number(trust) : trust);
+}
 
 const allowedOrigins = [
   "http://localhost:5173",
@@ -29,170 +88,643 @@ app.use(
       return cb(new Error(`CORS blocked for origin: ${origin}`));
     },
     methods: ["GET", "POST", "PATCH", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "x-admin-key"],
+    allowedHeaders: ["Content-Type", "Authorization", "If-Match", "X-Request-Id"],
+    exposedHeaders: ["ETag", "X-Request-Id", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"],
   })
 );
-app.use(express.json());
+// JSON bodies up to JSON_BODY_LIMIT (default 100kb); larger ones get 413
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "100kb" }));
 
 // -------------------- Clients --------------------
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+// Storage backend is picked by STORAGE_BACKEND (supabase | memory)
+const store = createStore();
+
+// AI budget per UTC day / month (AI_BUDGET_DAILY_CALLS, AI_BUDGET_DAILY_TOKENS,
+// AI_BUDGET_MONTHLY_CALLS, AI_BUDGET_MONTHLY_TOKENS; unset or 0 = no cap)
+const aiBudget = createAiBudget({
+  store,
+  limits: {
+    daily: {
+      calls: parseBudget(process.env.AI_BUDGET_DAILY_CALLS),
+      tokens: parseBudget(process.env.AI_BUDGET_DAILY_TOKENS),
+    },
+    monthly: {
+      calls: parseBudget(process.env.AI_BUDGET_MONTHLY_CALLS),
+      tokens: parseBudget(process.env.AI_BUDGET_MONTHLY_TOKENS),
+    },
+  },
+});
+
+// Triage providers in fallback order (TRIAGE_PROVIDERS, default gemini,rules)
+const triageEngine = createTriageEngine({ budget: aiBudget });
 
-// NEW Gemini SDK client
-const ai = new GoogleGenAI({
-  apiKey: process.env.GEMINI_API_KEY,
+// Ticket intake limits per client IP / requester email ("<count>/<window>",
+// e.g. 20/1h; 0 = off), counted in RATE_LIMIT_STORE (memory | redis)
+const rateLimiter = createRateLimiter({
+  counters: createRateLimitCounters(),
+  rules: {
+    ticketsPerIp: parseLimit(process.env.RATE_LIMIT_TICKETS_PER_IP ?? "30/1h", "RATE_LIMIT_TICKETS_PER_IP"),
+    ticketsPerEmail: parseLimit(process.env.RATE_LIMIT_TICKETS_PER_EMAIL ?? "10/1h", "RATE_LIMIT_TICKETS_PER_EMAIL"),
+  },
+});
+
+// Longest title / description a ticket may have (also bounds the AI prompt)
+const ticketMaxChars = {
+  title: Number(process.env.TICKET_TITLE_MAX_CHARS || 200),
+  description: Number(process.env.TICKET_DESCRIPTION_MAX_CHARS || 10000),
+};
+
+// Bearer JWT auth (AUTH_JWT_SECRET or AUTH_JWKS_URL)
+const auth = createAuth({ store });
+
+// SLA policies + business calendars (admin-managed, per team)
+const sla = createSlaService({ store });
+
+// Outbound webhooks (WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_MS, WEBHOOK_TIMEOUT_MS)
+const webhooks = createWebhookDispatcher({
+  store,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS || 30 * 1000),
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10 * 1000),
+});
+
+// Attachments: local disk or S3 (ATTACHMENT_STORAGE), size / type limits
+const attachments = createAttachmentService({
+  store,
+  storage: createAttachmentStorage(),
+  maxBytes: Number(process.env.ATTACHMENT_MAX_BYTES || 10 * 1024 * 1024),
+  maxFiles: Number(process.env.ATTACHMENT_MAX_FILES || 5),
+  allowedTypes: parseTypes(process.env.ATTACHMENT_ALLOWED_TYPES),
+  triageContextChars:
+    process.env.ATTACHMENT_TRIAGE_CONTEXT === "true"
+      ? Number(process.env.ATTACHMENT_TRIAGE_CHARS || 4000)
+      : 0,
+});
+
+// Email: SMTP or local capture (MAIL_TRANSPORT), digests every NOTIFY_DIGEST_MINUTES
+const mailer = createMailer();
+const notifier = createNotifier({
+  store,
+  mailer,
+  events: parseEvents(process.env.NOTIFY_EVENTS),
+  digestMinutes: Number(process.env.NOTIFY_DIGEST_MINUTES ?? 5),
+  appUrl: process.env.APP_BASE_URL || null,
+});
+
+// Live activity for GET /api/events; the last SSE_BUFFER_SIZE (default 1000)
+// events are kept for reconnecting clients
+const eventHub = createEventHub({ bufferSize: Number(process.env.SSE_BUFFER_SIZE || 1000) });
+
+// Teams table: canonical names, aliases, triage prompt team list
+const teams = createTeamDirectory({ store });
+
+// AT_RISK / BREACHED detection + escalation rules (SLA_AT_RISK_PERCENT, default 75)
+const slaMonitor = createSlaMonitor({
+  store,
+  sla,
+  teams,
+  atRiskPercent: Number(process.env.SLA_AT_RISK_PERCENT || 75),
+  notify: (escalation) => notifier.notifyEscalation(escalation),
+  onAudit: (ticket, audits) => publishEvents(ticket, audits),
+});
+
+// Knowledge base: article matching for suggestions and try-KB-first
+const knowledge = createKnowledgeBase({ store, appUrl: process.env.APP_BASE_URL || null });
+
+// Per-team auto-assignment of new tickets to agents
+const assigner = createAssigner({ store });
+
+// Ticket create / comment paths shared with the inbound email gateway.
+// Duplicate check: open tickets from the last DUPLICATE_WINDOW_HOURS (default 72)
+// scoring at least DUPLICATE_MIN_SCORE (0-1, default 0.3)
+const ticketService = createTicketService({
+  store,
+  triageEngine,
+  sla,
+  knowledge,
+  assigner,
+  teams,
+  publish: publishEvents,
+  duplicates: {
+    windowHours: Number(process.env.DUPLICATE_WINDOW_HOURS || 72),
+    minScore: Number(process.env.DUPLICATE_MIN_SCORE || 0.3),
+  },
+  maxChars: ticketMaxChars,
+});
+
+// Lifecycle: per-team workflows (ticket_workflows), built-in default otherwise
+const workflows = createWorkflows({ store });
+
+// RESOLVED tickets are closed after AUTO_CLOSE_HOURS (default 168, 0 = never)
+const autoCloser = createAutoCloser({
+  store,
+  workflows,
+  afterHours: Number(process.env.AUTO_CLOSE_HOURS ?? 168),
+  publish: publishEvents,
+});
+
+// CSAT survey mailed to the requester on resolution, open CSAT_SURVEY_DAYS
+// (default 14, 0 = no surveys)
+const surveys = createSurveys({
+  store,
+  mailer,
+  appUrl: process.env.APP_BASE_URL || null,
+  expiryDays: Number(process.env.CSAT_SURVEY_DAYS ?? 14),
 });
 
 // -------------------- Helpers --------------------
-function addBusinessDays(dateIso, days) {
-  const d = new Date(dateIso);
-  let added = 0;
-  while (added < days) {
-    d.setDate(d.getDate() + 1);
-    const day = d.getDay(); // 0 Sun, 6 Sat
-    if (day !== 0 && day !== 6) added++;
-  }
-  return d.toISOString();
-}
 
-function slaDaysForPriority(priority) {
-  if (priority === "HIGH") return 1;
-  if (priority === "MEDIUM") return 3;
-  return 5; // LOW
+// Resolve a scope=my|team|all request to a ticket filter for the caller.
+// Returns { filter } or { status, error }. `team` may be a name or alias.
+async function resolveTicketScope(user, scope, team) {
+  if (scope === "my") return { filter: { requesterUserId: user.id } };
+
+  if (scope === "team") {
+    if (user.role === "ADMIN") {
+      if (!team) return { status: 400, error: "team is required for scope=team" };
+      return { filter: { assignedTeam: (await teams.resolve(team))?.name || team } };
+    }
+    if (user.role !== "AGENT") {
+      return { status: 403, error: "Forbidden (scope=team requires AGENT|ADMIN)" };
+    }
+    if (!user.team) return { status: 403, error: "Forbidden (agent has no team)" };
+    if (team && (await teams.resolve(team))?.name !== user.team) {
+      return { status: 403, error: "Forbidden (agents can only view their own team)" };
+    }
+    return { filter: { assignedTeam: user.team } };
+  }
+
+  if (scope === "all") {
+    if (user.role !== "ADMIN") {
+      return { status: 403, error: "Forbidden (scope=all requires ADMIN)" };
+    }
+    return { filter: {} };
+  }
+
+  return { status: 400, error: "scope must be my|team|all" };
 }
 
-function safeJsonParse(text) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    const cleaned = String(text || "")
-      .replace(/```json/gi, "")
-      .replace(/```/g, "")
-      .trim();
-    return JSON.parse(cleaned);
+// GET /api/tickets query (scope + list filters) -> { filter, filters, sort,
+// ascending, cursor, limit } for tickets.page, or { status, error }.
+// empty: true when requester=<email> names nobody (nothing can match).
+async function resolveTicketListQuery(user, query) {
+  const scope = String(query.scope || "");
+  const team = String(query.team || "");
+  if (!scope) return { status: 400, error: "scope is required: my|team|all" };
+
+  const { filter, status, error } = await resolveTicketScope(user, scope, team);
+  if (error) return { status, error };
+
+  const listQuery = parseTicketListQuery(query);
+  if (listQuery.error) return { status: 400, error: listQuery.error };
+
+  const { filters, requesterEmail, assignee, sort, ascending, cursor, limit } = listQuery;
+
+  // team=it,hr -> canonical team names
+  for (const f of filters.filter((f) => f.column === "assigned_team")) {
+    const names = await teams.canonicalNames([].concat(f.value));
+    f.value = f.op === "in" ? names : names[0];
+  }
+
+  if (assignee === "none") {
+    filters.push({ column: "assignee_user_id", op: "is", value: null });
+  } else if (assignee) {
+    const assigneeId = assignee === "me" ? user.id : assignee;
+    filters.push({ column: "assignee_user_id", op: "eq", value: assigneeId });
+  }
+
+  if (requesterEmail) {
+    const requester = await store.users.findByEmail(requesterEmail, "id");
+    if (!requester?.id) return { empty: true };
+    filters.push({ column: "requester_user_id", op: "eq", value: requester.id });
   }
+
+  return { filter, filters, sort, ascending, cursor, limit };
 }
 
-async function triageWithGemini(payload) {
-  const prompt = `
-Return ONLY valid JSON. No markdown. No explanation.
-
-You are an AI request triage assistant for an internal company tool (ServiceNow alternative).
-
-Task:
-Given the request details, produce:
-- assignedTeam (FREE TEXT, one owning team)
-- priority (HIGH|MEDIUM|LOW)
-- summary { problem, impact, requestedAction }
-- knowledgeSuggestions: array of 0-2 items { title, reason }
-
-Teams available (you may choose one or a close variant as free text):
-IT Support, HR / People Ops, Engineering, Operations, Finance, Facilities,
-Security / Compliance, Procurement, Legal, Other / General.
-
-Priority rules:
-- HIGH if work is blocked OR timeline is ASAP OR major business impact.
-- MEDIUM for normal operational issues.
-- LOW for informational / non-urgent requests.
-
-Request JSON:
-${JSON.stringify(payload)}
-
-Output JSON schema:
-{
-  "assignedTeam": "string",
-  "priority": "HIGH|MEDIUM|LOW",
-  "summary": {
-    "problem": "string",
-    "impact": "string",
-    "requestedAction": "string"
-  },
-  "knowledgeSuggestions": [
-    { "title": "string", "reason": "string" }
-  ]
+// Multipart form fields arrive as strings ("true", "on")
+function formBoolean(value) {
+  if (typeof value !== "string") return value;
+  return ["true", "on", "1", "yes"].includes(value.trim().toLowerCase());
 }
-`.trim();
 
-  const response = await ai.models.generateContent({
-    model: "gemini-2.5-flash",
-    contents: prompt,
-  });
+// attachments row -> API shape
+function publicAttachment(a) {
+  return {
+    id: a.id,
+    filename: a.filename,
+    contentType: a.content_type,
+    size: a.size_bytes,
+    commentId: a.comment_id || null,
+    createdAt: a.created_at,
+  };
+}
 
-  return safeJsonParse(response.text);
+// ETag value for a ticket row ("3"); rows created before versioning count as 1
+function ticketEtag(ticket) {
+  return `"${ticket?.version ?? 1}"`;
 }
 
-// Lifecycle transitions (LOCKED)
-const ALLOWED = {
-  NEW: ["IN_PROGRESS"],
-  IN_PROGRESS: ["WAITING", "RESOLVED"],
-  WAITING: ["IN_PROGRESS"],
-  RESOLVED: ["CLOSED"],
-  CLOSED: [],
-};
+// If-Match: "3" / W/"3" / 3 -> 3; null when absent, NaN when malformed
+function parseIfMatch(header) {
+  if (header == null || header === "") return null;
+  const raw = String(header).trim().replace(/^W\//, "").replace(/^"(.*)"$/, "$1");
+  return /^\d+$/.test(raw) ? Number(raw) : NaN;
+}
 
-const VALID_ROLES = ["REQUESTER", "AGENT", "ADMIN"];
+// SLA clock: pause on entering WAITING, resume on leaving it. Adds the
+// clock columns to `updates` and returns the audit entry (null if unchanged).
+async function slaClockChange(current, updates, actorId, nowIso) {
+  if (!updates.status) return null;
 
-// Admin guard (header-based)
-function requireAdmin(req, res, next) {
-  const key = req.header("x-admin-key") || "";
-  if (!process.env.ADMIN_KEY) {
-    return res.status(500).json({ error: "ADMIN_KEY not configured in server env" });
+  const wasPaused = PAUSED_STATUSES.includes(current.status);
+  const willPause = PAUSED_STATUSES.includes(updates.status);
+  if (wasPaused === willPause) return null;
+
+  const next = { ...current, ...updates };
+  const { updates: slaUpdates, audit } = willPause
+    ? await sla.pause(next, nowIso)
+    : await sla.resume(next, nowIso);
+
+  Object.assign(updates, slaUpdates);
+  return { ticket_id: current.id, actor_id: actorId, ...audit };
+}
+
+// Check one change set (status/priority/assignedTeam/assigneeId/comment,
+// resolutionCode/resolutionNote) against a ticket: the team's workflow,
+// role rules, team and assignee checks.
+// Returns { updates, audits, comment, nowIso } or { status, error }; the
+// caller writes it. Shared by PATCH /api/tickets/:id and the bulk endpoint;
+// `preview` (dry runs) leaves the round-robin cursor alone.
+async function planTicketChange(current, actor, changes, { files = [], preview = false } = {}) {
+  const { status, priority, assignedTeam, assigneeId, comment, resolutionCode, resolutionNote } = changes;
+  const ticketId = current.id;
+  const updates = {};
+  const audits = [];
+  let newComment = null;
+  const nowIso = new Date().toISOString();
+
+  if (status && status !== current.status) {
+    const { definition } = await workflows.forTeam(current.assigned_team);
+    const check = checkTransition(definition, current, actor, status, {
+      comment,
+      resolutionCode,
+      resolutionNote,
+      assigneeId: assigneeId !== undefined ? assigneeId : current.assignee_user_id,
+    });
+    if (check.error) return { status: check.status, error: check.error };
+
+    updates.status = status;
+    audits.push({
+      ticket_id: ticketId,
+      actor_id: actor.id,
+      action: "STATUS_CHANGED",
+      field_name: "status",
+      old_value: current.status,
+      new_value: status,
+    });
+
+    const wasDone = DONE_STATUSES.includes(current.status);
+    const isDone = DONE_STATUSES.includes(status);
+    if (isDone && !wasDone) updates.resolved_at = nowIso;
+    // Reopened: the next resolution starts from scratch
+    if (wasDone && !isDone) {
+      updates.resolved_at = null;
+      updates.resolution_code = null;
+      updates.resolution_note = null;
+    }
+
+    if (check.resolutionCode && check.resolutionCode !== current.resolution_code) {
+      updates.resolution_code = check.resolutionCode;
+      audits.push({
+        ticket_id: ticketId,
+        actor_id: actor.id,
+        action: "RESOLUTION_SET",
+        field_name: "resolution_code",
+        old_value: current.resolution_code || null,
+        new_value: check.resolutionCode,
+      });
+    }
+    if (check.resolutionNote && check.resolutionNote !== current.resolution_note) {
+      updates.resolution_note = check.resolutionNote;
+      audits.push({
+        ticket_id: ticketId,
+        actor_id: actor.id,
+        action: "RESOLUTION_SET",
+        field_name: "resolution_note",
+        old_value: null,
+        new_value: check.resolutionNote,
+      });
+    }
+  } else if (resolutionCode || resolutionNote) {
+    return { status: 400, error: "resolutionCode / resolutionNote only apply when resolving or closing" };
+  }
+
+  const team = assignedTeam ? await teams.resolve(assignedTeam) : null;
+  if (assignedTeam && (!team || team.active === false)) {
+    return { status: 400, error: `unknown team: ${assignedTeam}` };
+  }
+
+  if (team && team.name !== current.assigned_team) {
+    if (actor.role === "REQUESTER") {
+      return { status: 403, error: "Requester cannot reassign team" };
+    }
+    updates.assigned_team = team.name;
+    updates.team_id = team.id;
+    audits.push({
+      ticket_id: ticketId,
+      actor_id: actor.id,
+      action: "TEAM_CHANGED",
+      field_name: "assigned_team",
+      old_value: current.assigned_team,
+      new_value: team.name,
+    });
   }
-  if (!key || key !== process.env.ADMIN_KEY) {
-    return res.status(401).json({ error: "Unauthorized (missing/invalid x-admin-key)" });
+
+  // Assignee: explicit (assigneeId), or the new team's auto-assignment
+  let nextAssignee = current.assignee_user_id || null;
+  if (assigneeId !== undefined) {
+    if (actor.role === "REQUESTER") {
+      return { status: 403, error: "Requester cannot assign tickets" };
+    }
+    nextAssignee = assigneeId === "me" ? actor.id : assigneeId || null;
+    if (nextAssignee) {
+      const error = await assigner.checkAssignee(
+        nextAssignee,
+        updates.assigned_team || current.assigned_team
+      );
+      if (error) return { status: 400, error };
+    }
+  } else if (updates.assigned_team) {
+    nextAssignee = await assigner.pick(
+      { team: updates.assigned_team, affectedSystem: current.affected_system },
+      { peek: preview }
+    );
   }
-  next();
+
+  if (nextAssignee !== (current.assignee_user_id || null)) {
+    updates.assignee_user_id = nextAssignee;
+    audits.push({
+      ticket_id: ticketId,
+      actor_id: actor.id,
+      action: "ASSIGNEE_CHANGED",
+      field_name: "assignee_user_id",
+      old_value: current.assignee_user_id || null,
+      new_value: nextAssignee,
+    });
+  }
+
+  if (priority && priority !== current.priority) {
+    if (actor.role === "REQUESTER") {
+      return { status: 403, error: "Requester cannot change priority" };
+    }
+    if (!["HIGH", "MEDIUM", "LOW"].includes(priority)) {
+      return { status: 400, error: "priority must be HIGH|MEDIUM|LOW" };
+    }
+
+    const { dueAt: newDue, targetMinutes } = await sla.computeDueAt({
+      team: updates.assigned_team || current.assigned_team,
+      priority,
+      fromIso: nowIso,
+    });
+    updates.priority = priority;
+    updates.sla_due_at = newDue;
+    updates.sla_target_minutes = targetMinutes;
+    updates.sla_status = "ON_TRACK";
+
+    // paused clock: the new target becomes the time left once it resumes
+    if (current.sla_paused_at) {
+      updates.sla_remaining_minutes = targetMinutes;
+      updates.sla_status = "PAUSED";
+    }
+
+    audits.push({
+      ticket_id: ticketId,
+      actor_id: actor.id,
+      action: "PRIORITY_CHANGED",
+      field_name: "priority",
+      old_value: current.priority,
+      new_value: priority,
+    });
+    audits.push({
+      ticket_id: ticketId,
+      actor_id: actor.id,
+      action: "SLA_UPDATED",
+      field_name: "sla_due_at",
+      old_value: current.sla_due_at,
+      new_value: newDue,
+    });
+  }
+
+  const slaAudit = await slaClockChange(current, updates, actor.id, nowIso);
+  if (slaAudit) audits.push(slaAudit);
+
+  // Files ride on a comment (one is made up if only files were sent)
+  const commentBody =
+    (comment && String(comment).trim()) ||
+    (files.length ? `Attached ${files.map((f) => f.originalname).join(", ")}` : "");
+
+  if (commentBody) {
+    newComment = {
+      id: randomUUID(),
+      ticket_id: ticketId,
+      author_id: actor.id,
+      body: commentBody,
+    };
+
+    audits.push({
+      ticket_id: ticketId,
+      actor_id: actor.id,
+      action: "COMMENT_ADDED",
+      field_name: null,
+      old_value: null,
+      new_value: null,
+    });
+  }
+
+  if (newComment || updates.status) {
+    markFirstResponse(current, actor, updates, nowIso);
+  }
+
+  return { updates, audits, comment: newComment, nowIso };
 }
 
-// Friendly activity formatting
-function formatAuditMessage(a) {
-  if (a.action === "TICKET_CREATED") return "Ticket created";
-  if (a.action === "STATUS_CHANGED") return `Status changed: ${a.old_value} → ${a.new_value}`;
-  if (a.action === "TEAM_CHANGED") return `Team changed: ${a.old_value} → ${a.new_value}`;
-  if (a.action === "PRIORITY_CHANGED") return `Priority changed: ${a.old_value} → ${a.new_value}`;
-  if (a.action === "SLA_UPDATED") return `SLA updated: ${a.old_value} → ${a.new_value}`;
-  if (a.action === "COMMENT_ADDED") return "Comment added";
-  if (a.field_name) return `${a.action}: ${a.field_name}`;
-  return a.action || "Activity";
+// Resolve the open children (PARENT links) of a just-resolved parent.
+// Returns the ids of the children that were resolved.
+async function resolveChildren(parent, actor) {
+  const resolved = [];
+
+  for (const link of await store.ticketLinks.listChildren(parent.id)) {
+    const child = await store.tickets.findById(link.linked_ticket_id);
+    if (!child || ["RESOLVED", "CLOSED"].includes(child.status) || child.merged_into_id) continue;
+    if (!canAccessTicket(actor, child)) continue;
+
+    const nowIso = new Date().toISOString();
+    const updates = { status: "RESOLVED", resolved_at: nowIso, updated_at: nowIso };
+    const audits = [
+      {
+        ticket_id: child.id,
+        actor_id: actor.id,
+        action: "STATUS_CHANGED",
+        field_name: "status",
+        old_value: child.status,
+        new_value: "RESOLVED",
+      },
+    ];
+    const slaAudit = await slaClockChange(child, updates, actor.id, nowIso);
+    if (slaAudit) audits.push(slaAudit);
+
+    const comment = {
+      id: randomUUID(),
+      ticket_id: child.id,
+      author_id: actor.id,
+      body: `Resolved together with parent ticket ${shortRef(parent.id)}: ${parent.title}`,
+    };
+    audits.push({
+      ticket_id: child.id,
+      actor_id: actor.id,
+      action: "COMMENT_ADDED",
+      field_name: null,
+      old_value: null,
+      new_value: null,
+    });
+    markFirstResponse(child, actor, updates, nowIso);
+
+    const version = await store.tickets.applyChange({ ticketId: child.id, updates, comment, audits });
+    if (version === null) continue;
+
+    await publishEvents({ ...child, ...updates, version }, audits, comment);
+    resolved.push(child.id);
+  }
+
+  return resolved;
+}
+
+// Audit entries (+ comment) -> activity timeline entries for the event stream
+async function streamActivity(ticket, audits, comment) {
+  const comments = comment ? [comment] : [];
+  const userIds = activityUserIds({ audits, comments });
+  const usersById = {};
+  for (const u of userIds.length ? await store.users.listByIds(userIds, "id, name, email, role") : []) {
+    usersById[u.id] = { id: u.id, name: u.name, email: u.email, role: u.role };
+  }
+
+  const createdAt = ticket.updated_at || new Date().toISOString();
+  const entries = audits.map((a) => auditEntry({ id: null, created_at: createdAt, ...a }, usersById));
+  if (comment) {
+    const files = (await store.attachments.listForTicket(ticket.id)).filter((f) => f.comment_id === comment.id);
+    entries.push(commentEntry({ created_at: createdAt, ...comment }, usersById, files.map(publicAttachment)));
+  }
+  eventHub.publish(ticket, entries);
+}
+
+// Fan audit entries out to webhooks, email, live clients and CSAT surveys;
+// never fails the caller
+async function publishEvents(ticket, audits, comment = null) {
+  try {
+    await webhooks.publish({ ticket, audits, comment });
+  } catch (e) {
+    logger.error("Webhook publish failed", { ticketId: ticket.id, err: e });
+  }
+  try {
+    await notifier.enqueue({ ticket, audits, comment });
+  } catch (e) {
+    logger.error("Notification enqueue failed", { ticketId: ticket.id, err: e });
+  }
+  try {
+    await streamActivity(ticket, audits, comment);
+  } catch (e) {
+    logger.error("Event stream publish failed", { ticketId: ticket.id, err: e });
+  }
+  try {
+    await surveys.onAudits(ticket, audits);
+  } catch (e) {
+    logger.error("Satisfaction survey failed", { ticketId: ticket.id, err: e });
+  }
+}
+
+// The requester's way back from a resolution (CSAT rejection): the workflow
+// transition out of RESOLVED / CLOSED they may take right now, or null
+async function requesterReopenOption(ticket, requester) {
+  if (ticket.merged_into_id || !DONE_STATUSES.includes(ticket.status)) return null;
+  const { definition } = await workflows.forTeam(ticket.assigned_team);
+  return availableTransitions(definition, ticket, requester).find((t) => !DONE_STATUSES.includes(t.to)) || null;
 }
 
 // -------------------- Routes --------------------
 
-// Health check
-app.get("/health", (_, res) => res.json({ ok: true }));
+// Liveness (/health), readiness (/ready: database + AI provider) and
+// Prometheus /metrics (METRICS_TOKEN, if set, as a bearer token)
+app.use(
+  observabilityRoutes({
+    store,
+    triageEngine,
+    registry,
+    metricsToken: process.env.METRICS_TOKEN || null,
+    aiCheckSeconds: Number(process.env.READY_AI_CHECK_SECONDS || 60),
+  })
+);
+
+// Inbound email (mail provider webhook; own shared secret, no bearer token)
+app.use(
+  "/api/inbound",
+  inboundEmailRoutes({
+    store,
+    auth,
+    ticketService,
+    secret: process.env.INBOUND_EMAIL_SECRET || null,
+    rateLimiter,
+  })
+);
+
+// Satisfaction surveys (emailed link token, no bearer token)
+app.use(
+  "/api/surveys",
+  surveyRoutes({
+    store,
+    surveys,
+    reopenOption: requesterReopenOption,
+    reopen: (ticket, requester, transition, comment) =>
+      changeTicket(ticket.id, requester, { status: transition.to, comment }, false),
+  })
+);
+
+// Everything under /api needs a bearer token (sets req.user)
+app.use("/api", auth.authenticate);
+
+/**
+ * GET /api/me
+ * Returns the caller's user row (role, team). New users are REQUESTER.
+ */
+app.get("/api/me", (req, res) => {
+  const { id, email, name, department, role, team, available, skills } = req.user;
+  return res.json({
+    user: {
+      id,
+      email,
+      name,
+      department,
+      role,
+      team: team || null,
+      available: available !== false,
+      skills: skills || [],
+    },
+  });
+});
 
 /**
- * ✅ NEW: GET /api/me?email=...
- * Returns user role. If user doesn't exist, treat as REQUESTER.
+ * AGENT/ADMIN: PUT /api/me/availability
+ * Body: { available: boolean } - false (out of office) skips auto-assignment
  */
-app.get("/api/me", async (req, res) => {
+app.put("/api/me/availability", requireRole("AGENT", "ADMIN"), async (req, res) => {
   try {
-    const email = String(req.query.email || "").trim();
-    if (!email) return res.status(400).json({ error: "email is required" });
-
-    const { data: user, error } = await supabase
-      .from("users")
-      .select("id,email,name,department,role")
-      .eq("email", email)
-      .maybeSingle();
-
-    if (error) throw error;
-
-    if (!user?.id) {
-      return res.json({
-        user: {
-          id: null,
-          email,
-          name: null,
-          department: null,
-          role: "REQUESTER",
-        },
-      });
+    const { available } = req.body || {};
+    if (typeof available !== "boolean") {
+      return res.status(400).json({ error: "available must be a boolean" });
     }
 
-    return res.json({ user });
+    const user = await store.users.update(req.user.id, { available });
+    return res.json({ ok: true, user });
   } catch (e) {
     return res.status(500).json({ error: e?.message || "Server error" });
   }
@@ -200,25 +732,12 @@ app.get("/api/me", async (req, res) => {
 
 /**
  * ✅ NEW (ADMIN): GET /api/admin/users?query=...
- * Header: x-admin-key
  */
 app.get("/api/admin/users", requireAdmin, async (req, res) => {
   try {
     const query = String(req.query.query || "").trim();
 
-    let q = supabase
-      .from("users")
-      .select("id,email,name,department,role,created_at")
-      .order("created_at", { ascending: false })
-      .limit(50);
-
-    if (query) {
-      // matches email OR name
-      q = q.or(`email.ilike.%${query}%,name.ilike.%${query}%`);
-    }
-
-    const { data: users, error } = await q;
-    if (error) throw error;
+    const users = await store.users.search({ query, limit: 50 });
 
     return res.json({ users: users || [] });
   } catch (e) {
@@ -228,12 +747,14 @@ app.get("/api/admin/users", requireAdmin, async (req, res) => {
 
 /**
  * ✅ NEW (ADMIN): PATCH /api/admin/users/role
- * Header: x-admin-key
- * Body: { email, role, name?, department? }
+ * Body: { email, role, name?, department?, team?, available?, skills? }
+ * team is the agent's team (name or alias of a team); skills
+ * (e.g. ["VPN", "Email"]) are matched against affected_system by the
+ * SKILLS assignment strategy
  */
 app.patch("/api/admin/users/role", requireAdmin, async (req, res) => {
   try {
-    const { email, role, name, department } = req.body || {};
+    const { email, role, name, department, team, available, skills } = req.body || {};
     const em = String(email || "").trim();
     const rl = String(role || "").trim().toUpperCase();
 
@@ -241,43 +762,45 @@ app.patch("/api/admin/users/role", requireAdmin, async (req, res) => {
     if (!VALID_ROLES.includes(rl)) {
       return res.status(400).json({ error: "role must be REQUESTER|AGENT|ADMIN" });
     }
+    if (available !== undefined && typeof available !== "boolean") {
+      return res.status(400).json({ error: "available must be a boolean" });
+    }
+    if (skills !== undefined && !Array.isArray(skills)) {
+      return res.status(400).json({ error: "skills must be an array of strings" });
+    }
+    const skillList =
+      skills === undefined ? undefined : [...new Set(skills.map((s) => String(s).trim()).filter(Boolean))];
+
+    const existing = await store.users.findByEmail(em, "id");
 
-    const { data: existing, error: findErr } = await supabase
-      .from("users")
-      .select("id")
-      .eq("email", em)
-      .maybeSingle();
-    if (findErr) throw findErr;
+    let teamName = team;
+    if (team) {
+      teamName = (await teams.resolve(team))?.name;
+      if (!teamName) return res.status(400).json({ error: `unknown team: ${team}` });
+    }
 
     let updatedUser = null;
 
     if (!existing?.id) {
       // create user with explicit role
-      const { data: created, error: createErr } = await supabase
-        .from("users")
-        .insert({
-          email: em,
-          name: name || null,
-          department: department || null,
-          role: rl,
-        })
-        .select("id,email,name,department,role,created_at")
-        .single();
-      if (createErr) throw createErr;
-      updatedUser = created;
+      updatedUser = await store.users.create({
+        email: em,
+        name: name || null,
+        department: department || null,
+        role: rl,
+        team: teamName || null,
+        available: available !== false,
+        skills: skillList || [],
+      });
     } else {
-      const { data: updated, error: updErr } = await supabase
-        .from("users")
-        .update({
-          role: rl,
-          name: name !== undefined ? (name || null) : undefined,
-          department: department !== undefined ? (department || null) : undefined,
-        })
-        .eq("id", existing.id)
-        .select("id,email,name,department,role,created_at")
-        .single();
-      if (updErr) throw updErr;
-      updatedUser = updated;
+      updatedUser = await store.users.update(existing.id, {
+        role: rl,
+        name: name !== undefined ? (name || null) : undefined,
+        department: department !== undefined ? (department || null) : undefined,
+        team: teamName !== undefined ? (teamName || null) : undefined,
+        available,
+        skills: skillList,
+      });
     }
 
     return res.json({ ok: true, user: updatedUser });
@@ -286,13 +809,46 @@ app.patch("/api/admin/users/role", requireAdmin, async (req, res) => {
   }
 });
 
+// ADMIN: calendars, team calendars, SLA policies
+app.use("/api/admin", slaAdminRoutes({ store, sla, teams }));
+app.use("/api/admin", webhookAdminRoutes({ store, webhooks, teams }));
+app.use("/api/admin", assignmentAdminRoutes({ store, teams }));
+app.use("/api/admin", teamAdminRoutes({ store, teams }));
+app.use("/api", teamRoutes({ teams }));
+app.use("/api/admin", workflowAdminRoutes({ store, teams }));
+app.use("/api/admin", aiUsageAdminRoutes({ budget: aiBudget }));
+app.use("/api", workflowRoutes({ teams, workflows }));
+app.use("/api", exportRoutes({ store, teams }));
+app.use("/api", eventStreamRoutes({ store, hub: eventHub, resolveScope: resolveTicketScope }));
+app.use("/api", notificationRoutes({ store, mailer }));
+app.use("/api", attachmentRoutes({ store, attachments, publicAttachment }));
+app.use("/api", knowledgeRoutes({ store, knowledge }));
+app.use("/api", ticketLinkRoutes({ store, ticketService, publish: publishEvents }));
+
+// Counted before uploads are parsed, so a flood costs no disk or AI calls
+const ticketIntakeLimit = rateLimiter.middleware([
+  { rule: "ticketsPerIp", key: (req) => req.ip },
+  { rule: "ticketsPerEmail", key: (req) => req.user.email },
+]);
+
 /**
  * POST /api/tickets
+ * Requester is the authenticated user; name/department update their profile.
+ * JSON, or multipart/form-data with the same fields plus "files".
+ *
+ * tryKbFirst=true: when published articles match, nothing is created yet;
+ * returns 200 { created: false, deflection: { id, articles } }. If they did
+ * not help, resend the request with deflectionId to file the ticket.
+ *
+ * The response lists possibleDuplicates: open tickets for the same
+ * affected system that look like the same problem.
+ *
+ * Rate limited per client IP and per requester email (429 + Retry-After);
+ * title / description longer than TICKET_*_MAX_CHARS are refused (400).
  */
-app.post("/api/tickets", async (req, res) => {
+app.post("/api/tickets", ticketIntakeLimit, attachments.acceptUploads, async (req, res) => {
   try {
     const {
-      email,
       name,
       department,
       title,
@@ -301,133 +857,98 @@ app.post("/api/tickets", async (req, res) => {
       isBlocking,
       requestedTimeline, // ASAP | TODAY | THIS_WEEK | NO_RUSH
       tryKbFirst,
+      deflectionId,
     } = req.body || {};
 
-    if (!email || !title || !description) {
+    if (!title || !description) {
       return res
         .status(400)
-        .json({ error: "email, title, description are required" });
+        .json({ error: "title, description are required" });
+    }
+    if (typeof title !== "string" || typeof description !== "string") {
+      return res.status(400).json({ error: "title, description must be strings" });
+    }
+    if (title.length > ticketMaxChars.title) {
+      return res.status(400).json({ error: `title must be at most ${ticketMaxChars.title} characters` });
+    }
+    if (description.length > ticketMaxChars.description) {
+      return res
+        .status(400)
+        .json({ error: `description must be at most ${ticketMaxChars.description} characters` });
     }
 
-    // 1) Find or create user (default role REQUESTER)
-    const { data: existingUser, error: findErr } = await supabase
-      .from("users")
-      .select("id")
-      .eq("email", email)
-      .maybeSingle();
-
-    if (findErr) throw findErr;
+    // 1) Requester = caller (auth already created the user row)
+    const { id: userId } = req.user;
 
-    let userId = existingUser?.id;
+    // Try the knowledge base before committing a ticket
+    let deflection = null;
+    if (deflectionId) {
+      deflection = await store.kbDeflections.findById(String(deflectionId));
+      if (!deflection || deflection.user_id !== userId) {
+        return res.status(404).json({ error: "deflection not found" });
+      }
+      if (deflection.ticket_id) {
+        return res.status(409).json({ error: "a ticket was already filed for this request" });
+      }
+    } else if (formBoolean(tryKbFirst) === true) {
+      const articles = await knowledge.suggest({ title, description, affectedSystem });
+      if (articles.length) {
+        const row = await store.kbDeflections.create({
+          user_id: userId,
+          title,
+          description,
+          article_ids: articles.map((a) => a.id),
+        });
+        return res.json({ created: false, deflection: { id: row.id, articles } });
+      }
+    }
 
-    if (!userId) {
-      const { data: created, error: createErr } = await supabase
-        .from("users")
-        .insert({
-          email,
+    if (name || department) {
+      await store.users.update(
+        userId,
+        {
           name: name || null,
           department: department || null,
-          role: "REQUESTER",
-        })
-        .select("id")
-        .single();
-
-      if (createErr) throw createErr;
-      userId = created.id;
-    } else {
-      if (name || department) {
-        await supabase
-          .from("users")
-          .update({
-            name: name || null,
-            department: department || null,
-          })
-          .eq("id", userId);
-      }
+        },
+        "id"
+      );
     }
 
-    // 2) Gemini triage (one call)
-    let triage;
+    // 2) Files to storage first; dropped again if the ticket is not created
+    const files = req.files || [];
+    const pending = await attachments.put(files);
+
+    // 3) Triage, SLA, insert, TICKET_CREATED
+    let created;
     try {
-      triage = await triageWithGemini({
-        email,
+      created = await ticketService.create({
+        requester: req.user,
         name,
         department,
         title,
         description,
         affectedSystem,
-        isBlocking: !!isBlocking,
-        requestedTimeline: requestedTimeline || null,
+        isBlocking: formBoolean(isBlocking),
+        requestedTimeline,
+        tryKbFirst: formBoolean(tryKbFirst),
+        attachmentContext: attachments.triageContext(files),
       });
-      console.log("✅ Gemini triage OK:", triage);
-    } catch (aiErr) {
-      console.error("❌ Gemini triage FAILED:", aiErr?.message || aiErr);
-      console.error("❌ Gemini triage FULL:", aiErr);
-      triage = null; // fallback
+    } catch (e) {
+      await attachments.discard(pending);
+      throw e;
     }
+    const { ticket, knowledgeSuggestions, possibleDuplicates } = created;
 
-    const assignedTeam = triage?.assignedTeam
-      ? String(triage.assignedTeam)
-      : "Other / General";
-
-    const priority = ["HIGH", "MEDIUM", "LOW"].includes(triage?.priority)
-      ? triage.priority
-      : "MEDIUM";
-
-    const aiProblem = triage?.summary?.problem || null;
-    const aiImpact = triage?.summary?.impact || null;
-    const aiAction = triage?.summary?.requestedAction || null;
-
-    const knowledgeSuggestions = Array.isArray(triage?.knowledgeSuggestions)
-      ? triage.knowledgeSuggestions.slice(0, 2)
-      : [];
+    const saved = await attachments.save(pending, { ticketId: ticket.id, uploaderId: userId });
 
-    // 3) SLA
-    const nowIso = new Date().toISOString();
-    const slaDueAt = addBusinessDays(nowIso, slaDaysForPriority(priority));
-
-    // 4) Create ticket
-    const { data: ticket, error: ticketErr } = await supabase
-      .from("tickets")
-      .insert({
-        requester_user_id: userId,
-
-        title,
-        description,
-        affected_system: affectedSystem || null,
-        is_blocking: !!isBlocking,
-        requested_timeline: requestedTimeline || null,
-        try_kb_first: tryKbFirst !== false, // default true
-
-        assigned_team: assignedTeam,
-        priority,
-
-        ai_summary_problem: aiProblem,
-        ai_summary_impact: aiImpact,
-        ai_summary_action: aiAction,
-        ai_knowledge_suggestions: knowledgeSuggestions,
-
-        status: "NEW",
-        sla_due_at: slaDueAt,
-        sla_status: "ON_TRACK",
-        updated_at: nowIso,
-      })
-      .select(
-        "id, status, assigned_team, priority, sla_due_at, sla_status, created_at"
-      )
-      .single();
-
-    if (ticketErr) throw ticketErr;
-
-    // 5) Audit log
-    await supabase.from("audit_logs").insert({
-      ticket_id: ticket.id,
-      actor_id: userId,
-      action: "TICKET_CREATED",
-      field_name: null,
-      old_value: null,
-      new_value: null,
-    });
+    // Filed anyway: the suggested articles did not help
+    if (deflection) {
+      await store.kbDeflections.update(deflection.id, {
+        helped: false,
+        ticket_id: ticket.id,
+        answered_at: new Date().toISOString(),
+      });
+    }
 
     return res.status(201).json({
       id: ticket.id,
@@ -437,7 +958,11 @@ app.post("/api/tickets", async (req, res) => {
       slaDueAt: ticket.sla_due_at,
       slaStatus: ticket.sla_status,
       createdAt: ticket.created_at,
+      triageProvider: ticket.triage_provider,
+      version: ticket.version,
       knowledgeSuggestions,
+      possibleDuplicates,
+      attachments: saved.map(publicAttachment),
     });
   } catch (e) {
     return res.status(500).json({ error: e?.message || "Server error" });
@@ -445,330 +970,431 @@ app.post("/api/tickets", async (req, res) => {
 });
 
 /**
- * GET /api/tickets?scope=my|team|all&email=...&team=...
+ * GET /api/tickets?scope=my|team|all&team=...
+ * my: caller's own tickets; team: AGENT's team (ADMIN: any team); all: ADMIN
+ *
+ * Filters: status, priority, slaStatus, team, affectedSystem (comma-separated),
+ *   requester=<email>, assignee=me|none|<user id>,
+ *   createdFrom/createdTo, updatedFrom/updatedTo (ISO)
+ * Search:  q=<words> over title, description and AI summary
+ * Paging:  sort=created_at|updated_at|sla_due_at|title|status, order=asc|desc,
+ *          limit (default 50, max 200), cursor=<nextCursor from previous page>
+ * Returns { tickets, total, nextCursor }
  */
 app.get("/api/tickets", async (req, res) => {
   try {
-    const scope = String(req.query.scope || "");
-    const email = String(req.query.email || "");
-    const team = String(req.query.team || "");
+    const listQuery = await resolveTicketListQuery(req.user, req.query);
+    if (listQuery.error) return res.status(listQuery.status).json({ error: listQuery.error });
+    if (listQuery.empty) return res.json({ tickets: [], total: 0, nextCursor: null });
+
+    const { filter, filters, sort, ascending, cursor, limit } = listQuery;
+
+    const { rows, total, hasMore } = await store.tickets.page({
+      scope: filter,
+      filters,
+      sort,
+      ascending,
+      cursor,
+      limit,
+    });
+
+    return res.json({
+      tickets: rows,
+      total,
+      nextCursor: hasMore ? encodeCursor(rows[rows.length - 1], sort) : null,
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || "Server error" });
+  }
+});
+
+/**
+ * PATCH /api/tickets/:id
+ * Body: optional status/priority/assignedTeam/assigneeId/comment (actor = caller)
+ * Status changes follow the team's workflow (GET /api/tickets/:id/transitions
+ * lists the ones open to the caller); resolutionCode / resolutionNote go
+ * with a move to RESOLVED or CLOSED.
+ * assigneeId: user id, "me", or null to unassign (AGENT/ADMIN). Changing
+ * team without an assigneeId re-runs the new team's auto-assignment.
+ * Multipart: same fields plus "files", attached to the comment.
+ * cascade=true with status RESOLVED (AGENT/ADMIN) also resolves the
+ * ticket's open children; their ids come back as `cascaded`.
+ */
+app.patch("/api/tickets/:id", attachments.acceptUploads, async (req, res) => {
+  try {
+    const ticketId = req.params.id;
+    const { status, priority, assignedTeam, assigneeId, comment, resolutionCode, resolutionNote, cascade } =
+      req.body || {};
+    const actor = req.user;
 
-    if (!scope)
-      return res.status(400).json({ error: "scope is required: my|team|all" });
+    const expectedVersion = parseIfMatch(req.get("If-Match"));
+    if (expectedVersion === null) {
+      return res.status(428).json({ error: "If-Match header required (ticket version from GET /api/tickets/:id)" });
+    }
+    if (Number.isNaN(expectedVersion)) {
+      return res.status(400).json({ error: "If-Match must be a ticket version" });
+    }
 
-    if (scope === "my") {
-      if (!email)
-        return res.status(400).json({ error: "email is required for scope=my" });
+    const current = await loadAccessibleTicket(store, req, res, ticketId);
+    if (!current) return;
 
-      const { data: user, error: uErr } = await supabase
-        .from("users")
-        .select("id")
-        .eq("email", email)
-        .maybeSingle();
-      if (uErr) throw uErr;
-      if (!user?.id) return res.json({ tickets: [] });
+    // Stale version: hand back the current ticket so the client can re-apply
+    if ((current.version ?? 1) !== expectedVersion) {
+      res.set("ETag", ticketEtag(current));
+      return res.status(409).json({ error: "Ticket was modified by someone else", ticket: current });
+    }
 
-      const { data: tickets, error: tErr } = await supabase
-        .from("tickets")
-        .select(
-          "id,title,assigned_team,priority,status,sla_due_at,sla_status,created_at,updated_at,ai_summary_problem,ai_summary_impact,ai_summary_action,ai_knowledge_suggestions"
-        )
-        .eq("requester_user_id", user.id)
-        .order("created_at", { ascending: false });
+    const files = req.files || [];
+    const plan = await planTicketChange(
+      current,
+      actor,
+      { status, priority, assignedTeam, assigneeId, comment, resolutionCode, resolutionNote },
+      { files }
+    );
+    if (plan.error) return res.status(plan.status).json({ error: plan.error });
+    const { updates, audits, comment: newComment, nowIso } = plan;
 
-      if (tErr) throw tErr;
-      return res.json({ tickets: tickets || [] });
+    if (!Object.keys(updates).length && !audits.length) {
+      return res.json({ ok: true, message: "No changes" });
     }
 
-    if (scope === "team") {
-      if (!team)
-        return res.status(400).json({ error: "team is required for scope=team" });
+    updates.updated_at = nowIso;
 
-      const { data: tickets, error: tErr } = await supabase
-        .from("tickets")
-        .select(
-          "id,title,assigned_team,priority,status,sla_due_at,sla_status,created_at,updated_at,ai_summary_problem,ai_summary_impact,ai_summary_action,ai_knowledge_suggestions"
-        )
-        .eq("assigned_team", team)
-        .order("created_at", { ascending: false });
+    const pending = await attachments.put(files);
 
-      if (tErr) throw tErr;
-      return res.json({ tickets: tickets || [] });
+    // Update + comment + audits in one transaction, guarded by the version
+    let version;
+    try {
+      version = await store.tickets.applyChange({
+        ticketId,
+        expectedVersion,
+        updates,
+        comment: newComment,
+        audits,
+      });
+    } catch (e) {
+      await attachments.discard(pending);
+      throw e;
     }
 
-    if (scope === "all") {
-      const { data: tickets, error: tErr } = await supabase
-        .from("tickets")
-        .select(
-          "id,title,assigned_team,priority,status,sla_due_at,sla_status,created_at,updated_at,ai_summary_problem,ai_summary_impact,ai_summary_action,ai_knowledge_suggestions"
-        )
-        .order("created_at", { ascending: false });
+    const latest = await store.tickets.findById(ticketId);
+    res.set("ETag", ticketEtag(latest));
 
-      if (tErr) throw tErr;
-      return res.json({ tickets: tickets || [] });
+    if (version === null) {
+      await attachments.discard(pending);
+      return res.status(409).json({ error: "Ticket was modified by someone else", ticket: latest });
     }
 
-    return res.status(400).json({ error: "invalid scope. use my|team|all" });
+    await attachments.save(pending, { ticketId, commentId: newComment?.id, uploaderId: actor.id });
+
+    await publishEvents(latest, audits, newComment);
+
+    if (updates.status === "RESOLVED" && formBoolean(cascade) === true && actor.role !== "REQUESTER") {
+      const cascaded = await resolveChildren(latest, actor);
+      return res.json({ ok: true, ticket: latest, cascaded });
+    }
+
+    return res.json({ ok: true, ticket: latest });
   } catch (e) {
     return res.status(500).json({ error: e?.message || "Server error" });
   }
 });
 
+const MAX_BULK_TICKETS = 200;
+
+// One ticket change outside PATCH (bulk, CSAT rejection): same checks and
+// writes as PATCH, with the version just read as the guard. Refusals come
+// back as { ok: false, status, error }; storage / workflow errors throw, so
+// callers handling many tickets catch per ticket.
+async function changeTicket(ticketId, actor, changes, dryRun) {
+  const current = await store.tickets.findById(ticketId);
+  if (!current) return { id: ticketId, ok: false, status: 404, error: "ticket not found" };
+  if (!canAccessTicket(actor, current)) {
+    return { id: ticketId, ok: false, status: 403, error: "Forbidden (no access to this ticket)" };
+  }
+
+  const plan = await planTicketChange(current, actor, changes, { preview: dryRun });
+  if (plan.error) return { id: ticketId, ok: false, status: plan.status, error: plan.error };
+
+  const { updates, audits, comment, nowIso } = plan;
+  const preview = audits.map((a) => ({
+    action: a.action,
+    field: a.field_name,
+    from: a.old_value,
+    to: a.new_value,
+  }));
+  if (!Object.keys(updates).length && !audits.length) {
+    return { id: ticketId, ok: true, changed: false, changes: [] };
+  }
+  if (dryRun) return { id: ticketId, ok: true, changed: true, changes: preview };
+
+  updates.updated_at = nowIso;
+  const version = await store.tickets.applyChange({
+    ticketId,
+    expectedVersion: current.version ?? 1,
+    updates,
+    comment,
+    audits,
+  });
+  if (version === null) {
+    return { id: ticketId, ok: false, status: 409, error: "Ticket was modified by someone else" };
+  }
+
+  await publishEvents({ ...current, ...updates, version }, audits, comment);
+  return { id: ticketId, ok: true, changed: true, changes: preview, version };
+}
+
 /**
- * PATCH /api/tickets/:id
- * Body: actorEmail + optional status/priority/assignedTeam/comment
+ * AGENT/ADMIN: POST /api/tickets/bulk
+ * Body: { ids?: [ticket id] | filter?: { scope, ...GET /api/tickets filters },
+ *         changes: { status?, priority?, assignedTeam?, assigneeId?, comment?,
+ *                    resolutionCode?, resolutionNote? },
+ *         dryRun?: boolean }
+ * Every ticket gets the checks of PATCH /api/tickets/:id and is written with
+ * its own audit entries; one failure does not stop the others. dryRun
+ * reports what would change without writing. At most 200 tickets per call.
+ * Returns { dryRun, total, succeeded, failed,
+ *           results: [{ id, ok, changed, changes, version } | { id, ok, status, error }] }
  */
-app.patch("/api/tickets/:id", async (req, res) => {
+app.post("/api/tickets/bulk", requireRole("AGENT", "ADMIN"), async (req, res) => {
   try {
-    const ticketId = req.params.id;
-    const { actorEmail, status, priority, assignedTeam, comment } = req.body || {};
-
-    if (!actorEmail)
-      return res.status(400).json({ error: "actorEmail is required" });
-
-    const { data: actor, error: aErr } = await supabase
-      .from("users")
-      .select("id, role, email")
-      .eq("email", actorEmail)
-      .maybeSingle();
-    if (aErr) throw aErr;
-    if (!actor?.id) return res.status(400).json({ error: "actor not found" });
-
-    const { data: current, error: cErr } = await supabase
-      .from("tickets")
-      .select("*")
-      .eq("id", ticketId)
-      .single();
-    if (cErr) throw cErr;
-
-    const updates = {};
-    const audits = [];
-    const nowIso = new Date().toISOString();
+    const { ids, filter, changes, dryRun } = req.body || {};
 
-    if (status && status !== current.status) {
-      const allowed = ALLOWED[current.status] || [];
-      if (!allowed.includes(status)) {
-        return res.status(400).json({
-          error: `Invalid status transition: ${current.status} -> ${status}`,
-        });
-      }
-      updates.status = status;
-      audits.push({
-        ticket_id: ticketId,
-        actor_id: actor.id,
-        action: "STATUS_CHANGED",
-        field_name: "status",
-        old_value: current.status,
-        new_value: status,
-      });
+    if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+      return res.status(400).json({ error: "changes is required" });
     }
-
-    if (assignedTeam && assignedTeam !== current.assigned_team) {
-      if (actor.role === "REQUESTER") {
-        return res.status(403).json({ error: "Requester cannot reassign team" });
-      }
-      updates.assigned_team = assignedTeam;
-      audits.push({
-        ticket_id: ticketId,
-        actor_id: actor.id,
-        action: "TEAM_CHANGED",
-        field_name: "assigned_team",
-        old_value: current.assigned_team,
-        new_value: assignedTeam,
+    const { status, priority, assignedTeam, assigneeId, comment, resolutionCode, resolutionNote } = changes;
+    if ([status, priority, assignedTeam, assigneeId, comment].every((v) => v === undefined)) {
+      return res.status(400).json({
+        error: "changes must set status, priority, assignedTeam, assigneeId or comment",
       });
     }
+    if ((ids === undefined) === (filter === undefined)) {
+      return res.status(400).json({ error: "send either ids or filter" });
+    }
 
-    if (priority && priority !== current.priority) {
-      if (actor.role === "REQUESTER") {
-        return res.status(403).json({ error: "Requester cannot change priority" });
+    let ticketIds = [];
+    if (ids !== undefined) {
+      if (!Array.isArray(ids) || !ids.length) {
+        return res.status(400).json({ error: "ids must be a non-empty array of ticket ids" });
       }
-      if (!["HIGH", "MEDIUM", "LOW"].includes(priority)) {
-        return res.status(400).json({ error: "priority must be HIGH|MEDIUM|LOW" });
+      ticketIds = [...new Set(ids.map(String))];
+      const invalid = ticketIds.find((id) => !UUID_RE.test(id));
+      if (invalid) return res.status(400).json({ error: `invalid ticket id: ${invalid}` });
+    } else {
+      if (!filter || typeof filter !== "object") {
+        return res.status(400).json({ error: "filter must be an object" });
+      }
+      const listQuery = await resolveTicketListQuery(req.user, { ...filter, cursor: undefined, limit: undefined });
+      if (listQuery.error) return res.status(listQuery.status).json({ error: listQuery.error });
+
+      if (!listQuery.empty) {
+        const { rows, total } = await store.tickets.page(
+          {
+            scope: listQuery.filter,
+            filters: listQuery.filters,
+            sort: listQuery.sort,
+            ascending: listQuery.ascending,
+            limit: MAX_BULK_TICKETS,
+          },
+          "id"
+        );
+        if (total > MAX_BULK_TICKETS) {
+          return res.status(400).json({
+            error: `filter matches ${total} tickets (max ${MAX_BULK_TICKETS} per call)`,
+          });
+        }
+        ticketIds = rows.map((t) => t.id);
       }
-
-      const newDue = addBusinessDays(nowIso, slaDaysForPriority(priority));
-      updates.priority = priority;
-      updates.sla_due_at = newDue;
-      updates.sla_status = "ON_TRACK";
-
-      audits.push({
-        ticket_id: ticketId,
-        actor_id: actor.id,
-        action: "PRIORITY_CHANGED",
-        field_name: "priority",
-        old_value: current.priority,
-        new_value: priority,
-      });
-      audits.push({
-        ticket_id: ticketId,
-        actor_id: actor.id,
-        action: "SLA_UPDATED",
-        field_name: "sla_due_at",
-        old_value: current.sla_due_at,
-        new_value: newDue,
-      });
-    }
-
-    if (comment && String(comment).trim()) {
-      await supabase.from("ticket_comments").insert({
-        ticket_id: ticketId,
-        author_id: actor.id,
-        body: String(comment).trim(),
-      });
-
-      audits.push({
-        ticket_id: ticketId,
-        actor_id: actor.id,
-        action: "COMMENT_ADDED",
-        field_name: null,
-        old_value: null,
-        new_value: null,
-      });
     }
 
-    if (!Object.keys(updates).length && !audits.length) {
-      return res.json({ ok: true, message: "No changes" });
+    if (ticketIds.length > MAX_BULK_TICKETS) {
+      return res.status(400).json({ error: `at most ${MAX_BULK_TICKETS} tickets per call` });
     }
 
-    updates.updated_at = nowIso;
-
-    if (Object.keys(updates).length) {
-      const { error: uErr } = await supabase
-        .from("tickets")
-        .update(updates)
-        .eq("id", ticketId);
-      if (uErr) throw uErr;
+    const change = { status, priority, assignedTeam, assigneeId, comment, resolutionCode, resolutionNote };
+    const results = [];
+    for (const id of ticketIds) {
+      try {
+        results.push(await changeTicket(id, req.user, change, dryRun === true));
+      } catch (e) {
+        logger.error("Bulk change of ticket failed", { ticketId: id, err: e });
+        results.push({ id, ok: false, status: 500, error: e?.message || "Server error" });
+      }
     }
 
-    if (audits.length) {
-      const { error: logErr } = await supabase.from("audit_logs").insert(audits);
-      if (logErr) throw logErr;
+    const succeeded = results.filter((r) => r.ok).length;
+    if (dryRun !== true) {
+      logger.info("Bulk change", { by: req.user.email, updated: succeeded, total: results.length });
     }
 
-    const { data: updated, error: rErr } = await supabase
-      .from("tickets")
-      .select(
-        "id,title,assigned_team,priority,status,sla_due_at,sla_status,created_at,updated_at,ai_summary_problem,ai_summary_impact,ai_summary_action,ai_knowledge_suggestions"
-      )
-      .eq("id", ticketId)
-      .single();
-    if (rErr) throw rErr;
-
-    return res.json({ ok: true, ticket: updated });
+    return res.json({
+      dryRun: dryRun === true,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
   } catch (e) {
     return res.status(500).json({ error: e?.message || "Server error" });
   }
 });
 
+const ANALYTICS_BUCKETS = { day: 1, week: 7, month: 31 };
+const MAX_ANALYTICS_BUCKETS = 400;
+
 /**
- * GET /api/analytics?scope=my|team|all&email=...&team=...
+ * GET /api/analytics?scope=my|team|all&team=...&from=ISO&to=ISO&bucket=day|week|month
+ * Same scope rules as GET /api/tickets; with scope=my|all, team
+ * (comma-separated names or aliases) narrows the tickets.
+ * Period [from, to) defaults to the last 30 days; kpis.open/breached and
+ * backlogAge are the open tickets right now. csat: survey answers given in
+ * the period, overall / byTeam / byAgent (team and agent at resolution).
+ * Aggregated in the database.
  */
 app.get("/api/analytics", async (req, res) => {
   try {
     const scope = String(req.query.scope || "");
-    const email = String(req.query.email || "");
     const team = String(req.query.team || "");
 
-    let q = supabase
-      .from("tickets")
-      .select("status, priority, sla_status, assigned_team, requester_user_id");
-
-    if (scope === "my") {
-      if (!email) return res.status(400).json({ error: "email required for scope=my" });
-
-      const { data: user, error: uErr } = await supabase
-        .from("users")
-        .select("id")
-        .eq("email", email)
-        .maybeSingle();
-      if (uErr) throw uErr;
-      if (!user?.id) return res.json({ kpis: {}, charts: {} });
-
-      q = q.eq("requester_user_id", user.id);
-    } else if (scope === "team") {
-      if (!team) return res.status(400).json({ error: "team required for scope=team" });
-      q = q.eq("assigned_team", team);
-    } else if (scope === "all") {
-      // no filter
-    } else {
-      return res.status(400).json({ error: "scope must be my|team|all" });
+    const { filter, status, error } = await resolveTicketScope(req.user, scope, team);
+    if (error) return res.status(status).json({ error });
+
+    const bucket = String(req.query.bucket || "day").toLowerCase();
+    if (!ANALYTICS_BUCKETS[bucket]) {
+      return res.status(400).json({ error: "bucket must be day|week|month" });
     }
 
-    const { data: rows, error } = await q;
-    if (error) throw error;
+    const to = req.query.to ? new Date(String(req.query.to)) : new Date();
+    if (Number.isNaN(to.getTime())) return res.status(400).json({ error: "to must be an ISO date" });
+    const from = req.query.from
+      ? new Date(String(req.query.from))
+      : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime())) return res.status(400).json({ error: "from must be an ISO date" });
+    if (from >= to) return res.status(400).json({ error: "from must be before to" });
 
-    const statusCounts = {};
-    const priorityCounts = {};
-    const slaCounts = {};
-    const teamCounts = {};
+    const days = (to - from) / (24 * 60 * 60 * 1000);
+    if (days / ANALYTICS_BUCKETS[bucket] > MAX_ANALYTICS_BUCKETS) {
+      return res
+        .status(400)
+        .json({ error: `range too long for bucket=${bucket} (max ${MAX_ANALYTICS_BUCKETS} buckets)` });
+    }
 
-    for (const r of rows || []) {
-      statusCounts[r.status] = (statusCounts[r.status] || 0) + 1;
-      priorityCounts[r.priority] = (priorityCounts[r.priority] || 0) + 1;
-      slaCounts[r.sla_status] = (slaCounts[r.sla_status] || 0) + 1;
-      teamCounts[r.assigned_team] = (teamCounts[r.assigned_team] || 0) + 1;
+    let teamFilter = filter.assignedTeam ? [filter.assignedTeam] : null;
+    if (!teamFilter && team) {
+      teamFilter = await teams.canonicalNames(team.split(",").map((v) => v.trim()).filter(Boolean));
     }
 
-    const total = (rows || []).length;
-    const open = total - (statusCounts["CLOSED"] || 0);
-    const breached = slaCounts["BREACHED"] || 0;
+    const analytics = await store.tickets.analytics({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      bucket,
+      teams: teamFilter,
+      requesterId: filter.requesterUserId || null,
+    });
 
     return res.json({
-      kpis: { total, open, breached },
-      charts: {
-        byStatus: statusCounts,
-        byPriority: priorityCounts,
-        bySla: slaCounts,
-        byTeam: teamCounts,
-      },
+      range: { from: from.toISOString(), to: to.toISOString(), bucket },
+      ...analytics,
     });
   } catch (e) {
     return res.status(500).json({ error: e?.message || "Server error" });
   }
 });
 
-async function checkAndBreachSLAs() {
+async function autoCloseResolved() {
   try {
-    const nowIso = new Date().toISOString();
+    const { checked, closed } = await autoCloser.run();
+    metrics.jobRuns.inc({ job: "auto_close", outcome: "ok" });
+    if (closed) logger.info("Auto-close", { checked, closed });
+  } catch (e) {
+    metrics.jobRuns.inc({ job: "auto_close", outcome: "error" });
+    logger.error("Auto-close failed", { err: e });
+  }
+}
 
-    const { data: overdueTickets, error } = await supabase
-      .from("tickets")
-      .select("id, sla_due_at, sla_status")
-      .lt("sla_due_at", nowIso)
-      .neq("sla_status", "BREACHED");
+async function checkAndBreachSLAs() {
+  try {
+    const { checked, atRisk, breached, escalations } = await slaMonitor.run();
+    metrics.jobRuns.inc({ job: "sla_check", outcome: "ok" });
+    metrics.slaBreachesFound.inc({}, breached);
+    metrics.slaAtRiskFound.inc({}, atRisk);
 
-    if (error) throw error;
+    logger[breached || atRisk ? "warn" : "info"]("SLA check", { checked, breached, atRisk, escalations });
+  } catch (e) {
+    metrics.jobRuns.inc({ job: "sla_check", outcome: "error" });
+    logger.error("SLA check failed", { err: e });
+  }
+}
 
-    if (!overdueTickets || overdueTickets.length === 0) {
-      console.log("🟢 SLA check: no breaches");
-      return;
+// Background job run with an ok / error count in job_runs_total
+function runJob(job, fn) {
+  return fn().then(
+    () => metrics.jobRuns.inc({ job, outcome: "ok" }),
+    (e) => {
+      metrics.jobRuns.inc({ job, outcome: "error" });
+      logger.error("Job failed", { job, err: e });
     }
+  );
+}
 
-    const ids = overdueTickets.map((t) => t.id);
+// tickets_open per team, counted by the database on each scrape
+registry.collect(async () => {
+  try {
+    const rows = await store.tickets.countOpenByTeam();
+    metrics.openTickets.reset(rows.map((r) => [{ team: r.team ?? "" }, Number(r.open)]));
+  } catch (e) {
+    logger.error("Open ticket count for metrics failed", { err: e });
+  }
+});
 
-    await supabase
-      .from("tickets")
-      .update({ sla_status: "BREACHED" })
-      .in("id", ids);
+/**
+ * GET /api/tickets/:id
+ * Returns { ticket } with ETag = ticket version (send it back as If-Match on PATCH).
+ */
+app.get("/api/tickets/:id", async (req, res) => {
+  try {
+    const ticket = await loadAccessibleTicket(store, req, res, req.params.id, { columns: TICKET_DETAIL_COLUMNS });
+    if (!ticket) return;
 
-    console.log(`🔴 SLA breached for ${ids.length} ticket(s)`);
+    res.set("ETag", ticketEtag(ticket));
+    return res.json({ ticket });
   } catch (e) {
-    console.error("❌ SLA check failed:", e.message);
+    return res.status(500).json({ error: e?.message || "Server error" });
   }
-}
+});
+
+/**
+ * GET /api/tickets/:id/transitions
+ * Status changes the caller can make now under the team's workflow, for
+ * rendering actions: { status, workflow: { team, version }, states,
+ * transitions: [{ to, label, requires, resolutionCodes?, availableUntil? }] }
+ */
+app.get("/api/tickets/:id/transitions", async (req, res) => {
+  try {
+    const ticket = await loadAccessibleTicket(store, req, res, req.params.id);
+    if (!ticket) return;
+
+    const workflow = await workflows.forTeam(ticket.assigned_team);
+    return res.json({
+      status: ticket.status,
+      workflow: { team: workflow.team, version: workflow.version },
+      states: workflow.definition.states,
+      transitions: ticket.merged_into_id ? [] : availableTransitions(workflow.definition, ticket, req.user),
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || "Server error" });
+  }
+});
 
 // GET comments for a ticket
 app.get("/api/tickets/:id/comments", async (req, res) => {
   try {
     const ticketId = req.params.id;
 
-    const { data: rows, error } = await supabase
-      .from("ticket_comments")
-      .select("id, body, created_at, author_id")
-      .eq("ticket_id", ticketId)
-      .order("created_at", { ascending: false });
+    if (!(await loadAccessibleTicket(store, req, res, ticketId))) return;
 
-    if (error) throw error;
+    const rows = await store.comments.listForTicket(ticketId);
 
     let authorMap = {};
     const authorIds = Array.from(
@@ -776,12 +1402,7 @@ app.get("/api/tickets/:id/comments", async (req, res) => {
     );
 
     if (authorIds.length) {
-      const { data: users, error: uErr } = await supabase
-        .from("users")
-        .select("id, name, email")
-        .in("id", authorIds);
-
-      if (uErr) throw uErr;
+      const users = await store.users.listByIds(authorIds, "id, name, email");
 
       for (const u of users || []) authorMap[u.id] = u;
     }
@@ -801,45 +1422,28 @@ app.get("/api/tickets/:id/comments", async (req, res) => {
 
 /**
  * GET /api/tickets/:id/activity
- * Returns merged timeline of audit logs + comments
+ * Returns merged timeline of audit logs + comments (with their attachments)
+ * + ticket attachments
  */
 app.get("/api/tickets/:id/activity", async (req, res) => {
   try {
     const ticketId = req.params.id;
 
-    // 1) Audit logs
-    const { data: audits, error: aErr } = await supabase
-      .from("audit_logs")
-      .select("id, action, field_name, old_value, new_value, created_at, actor_id")
-      .eq("ticket_id", ticketId)
-      .order("created_at", { ascending: false });
-
-    if (aErr) throw aErr;
+    if (!(await loadAccessibleTicket(store, req, res, ticketId))) return;
 
-    // 2) Comments
-    const { data: comments, error: cErr } = await supabase
-      .from("ticket_comments")
-      .select("id, body, created_at, author_id")
-      .eq("ticket_id", ticketId)
-      .order("created_at", { ascending: false });
+    // 1) Audit logs
+    const audits = await store.auditLogs.listForTicket(ticketId);
 
-    if (cErr) throw cErr;
+    // 2) Comments (+ attachments, on their comment or the ticket itself)
+    const comments = await store.comments.listForTicket(ticketId);
+    const files = await store.attachments.listForTicket(ticketId);
 
     // 3) user ids
-    const userIdsSet = new Set();
-    for (const a of audits || []) if (a.actor_id) userIdsSet.add(a.actor_id);
-    for (const c of comments || []) if (c.author_id) userIdsSet.add(c.author_id);
-
-    const userIds = Array.from(userIdsSet);
+    const userIds = activityUserIds({ audits, comments, files });
 
     let usersById = {};
     if (userIds.length) {
-      const { data: users, error: uErr } = await supabase
-        .from("users")
-        .select("id, name, email, role")
-        .in("id", userIds);
-
-      if (uErr) throw uErr;
+      const users = await store.users.listByIds(userIds, "id, name, email, role");
 
       for (const u of users || []) {
         usersById[u.id] = { id: u.id, name: u.name, email: u.email, role: u.role };
@@ -847,28 +1451,28 @@ app.get("/api/tickets/:id/activity", async (req, res) => {
     }
 
     // 4) Normalize
-    const auditEvents = (audits || []).map((a) => ({
-      id: a.id,
-      type: "AUDIT",
-      createdAt: a.created_at,
-      actor: usersById[a.actor_id] || null,
-      action: a.action,
-      field: a.field_name,
-      oldValue: a.old_value,
-      newValue: a.new_value,
-      message: formatAuditMessage(a),
-    }));
+    const auditEvents = (audits || []).map((a) => auditEntry(a, usersById));
 
-    const commentEvents = (comments || []).map((c) => ({
-      id: c.id,
-      type: "COMMENT",
-      createdAt: c.created_at,
-      actor: usersById[c.author_id] || null,
-      body: c.body,
-      message: "Comment added",
-    }));
+    const commentEvents = (comments || []).map((c) =>
+      commentEntry(
+        c,
+        usersById,
+        files.filter((f) => f.comment_id === c.id).map(publicAttachment)
+      )
+    );
 
-    const timeline = [...auditEvents, ...commentEvents].sort(
+    const attachmentEvents = files
+      .filter((f) => !f.comment_id)
+      .map((f) => ({
+        id: f.id,
+        type: "ATTACHMENT",
+        createdAt: f.created_at,
+        actor: usersById[f.uploader_id] || null,
+        attachment: publicAttachment(f),
+        message: `Attached ${f.filename}`,
+      }));
+
+    const timeline = [...auditEvents, ...commentEvents, ...attachmentEvents].sort(
       (x, y) => new Date(y.createdAt) - new Date(x.createdAt)
     );
 
@@ -878,12 +1482,44 @@ app.get("/api/tickets/:id/activity", async (req, res) => {
   }
 });
 
-// Run SLA check every 5 minutes
-setInterval(checkAndBreachSLAs, 5 * 60 * 1000);
-// Run once on startup
-checkAndBreachSLAs();
+// Errors raised before a route runs (oversized or malformed bodies, CORS)
+// answer in JSON like the routes do
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  logger.warn("Request failed before its route", { err });
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: `request body too large (max ${process.env.JSON_BODY_LIMIT || "100kb"})` });
+  }
+  return res.status(err.status || err.statusCode || 500).json({ error: err?.message || "Server error" });
+});
 
 // -------------------- Start Server --------------------
-app.listen(process.env.PORT || 3001, () => {
-  console.log("API running on port", process.env.PORT || 3001);
-});
\ No newline at end of file
+// Only listen / schedule jobs when run directly, so tests can require the app
+if (require.main === module) {
+  // Run SLA check every 5 minutes
+  setInterval(checkAndBreachSLAs, 5 * 60 * 1000);
+  // Run once on startup
+  checkAndBreachSLAs();
+
+  // Webhook retries: send whatever is due every 30 seconds
+  setInterval(() => {
+    runJob("webhook_delivery", () => webhooks.drain());
+  }, 30 * 1000);
+
+  // Auto-close of long-resolved tickets, every 15 minutes
+  if (Number(process.env.AUTO_CLOSE_HOURS ?? 168) > 0) {
+    setInterval(autoCloseResolved, 15 * 60 * 1000);
+    autoCloseResolved();
+  }
+
+  // Notification digests: mail whatever has waited long enough, every minute
+  setInterval(() => {
+    runJob("notification_flush", () => notifier.flush());
+  }, 60 * 1000);
+
+  app.listen(process.env.PORT || 3001, () => {
+    logger.info("API listening", { port: Number(process.env.PORT || 3001), storage: store.backend });
+  });
+}
+
+module.exports = { app, store, checkAndBreachSLAs, autoCloseResolved };
\ No newline at end of file
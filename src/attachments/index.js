@@ -0,0 +1,148 @@
+const crypto = require("crypto");
+const multer = require("multer");
+
+const DEFAULT_ALLOWED_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/csv",
+  "application/json",
+  "application/zip",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+];
+
+// Fed to triage when ATTACHMENT_TRIAGE_CONTEXT=true
+const TEXT_TYPES = ["text/plain", "text/csv", "application/json"];
+
+// "image/*, application/pdf" -> ["image/*","application/pdf"]
+function parseTypes(value) {
+  if (!value) return DEFAULT_ALLOWED_TYPES;
+  return String(value)
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function typeAllowed(allowed, contentType) {
+  const type = String(contentType || "").toLowerCase();
+  return allowed.some((a) => a === type || (a.endsWith("/*") && type.startsWith(a.slice(0, -1))));
+}
+
+// Header-safe file name (no paths, quotes or control characters)
+function safeFilename(name) {
+  const base = String(name || "file").split(/[\\/]/).pop();
+  return base.replace(/[\u0000-\u001f"]/g, "_").slice(0, 200) || "file";
+}
+
+/**
+ * Ticket / comment attachments on top of a blob storage (./storage).
+ *
+ * acceptUploads: express middleware for multipart/form-data requests
+ * (files in the "files" field, other fields end up in req.body); enforces
+ * maxBytes per file, maxFiles and the MIME allow-list. JSON requests pass
+ * through untouched.
+ *
+ * Blobs are written first (put), then the caller creates the ticket or
+ * comment and records the rows (save), or throws the blobs away (discard).
+ */
+function createAttachmentService({
+  store,
+  storage,
+  maxBytes = 10 * 1024 * 1024,
+  maxFiles = 5,
+  allowedTypes = DEFAULT_ALLOWED_TYPES,
+  triageContextChars = 0,
+}) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    // Browsers send UTF-8 filenames without saying so; busboy assumes latin1
+    defParamCharset: "utf8",
+    limits: { fileSize: maxBytes, files: maxFiles },
+    fileFilter: (req, file, cb) => {
+      if (typeAllowed(allowedTypes, file.mimetype)) return cb(null, true);
+      const err = new Error(`file type ${file.mimetype} is not allowed`);
+      err.status = 415;
+      cb(err);
+    },
+  }).array("files", maxFiles);
+
+  function acceptUploads(req, res, next) {
+    if (!req.is("multipart/form-data")) return next();
+
+    upload(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ error: `file too large (max ${maxBytes} bytes)` });
+      }
+      if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+        return res.status(400).json({ error: `up to ${maxFiles} files in the "files" field` });
+      }
+      return res.status(err.status || 400).json({ error: err.message || "upload failed" });
+    });
+  }
+
+  /**
+   * Write uploaded files (multer objects) to storage. Returns pending rows
+   * for save(); nothing is in the database yet.
+   */
+  async function put(files = []) {
+    const pending = [];
+    try {
+      for (const file of files) {
+        const id = crypto.randomUUID();
+        await storage.put(id, file.buffer, file.mimetype);
+        pending.push({
+          id,
+          filename: safeFilename(file.originalname),
+          content_type: file.mimetype,
+          size_bytes: file.size,
+          sha256: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+          storage_key: id,
+        });
+      }
+    } catch (e) {
+      await discard(pending);
+      throw e;
+    }
+    return pending;
+  }
+
+  async function save(pending, { ticketId, commentId = null, uploaderId }) {
+    if (!pending.length) return [];
+    return store.attachments.create(
+      pending.map((p) => ({ ...p, ticket_id: ticketId, comment_id: commentId, uploader_id: uploaderId }))
+    );
+  }
+
+  async function discard(pending) {
+    for (const p of pending) {
+      await storage.remove(p.storage_key).catch(() => {});
+    }
+  }
+
+  // Text attachments as triage context ([] when disabled)
+  function triageContext(files = []) {
+    if (!triageContextChars) return [];
+    let budget = triageContextChars;
+    const context = [];
+    for (const file of files) {
+      if (budget <= 0 || !TEXT_TYPES.includes(String(file.mimetype).toLowerCase())) continue;
+      const excerpt = file.buffer.toString("utf8").slice(0, budget);
+      budget -= excerpt.length;
+      context.push({ filename: safeFilename(file.originalname), excerpt });
+    }
+    return context;
+  }
+
+  async function open(attachment) {
+    return storage.get(attachment.storage_key);
+  }
+
+  return { acceptUploads, put, save, discard, triageContext, open, storage: storage.name };
+}
+
+module.exports = { createAttachmentService, parseTypes, safeFilename };
@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+
+function createLocalStorage({ dir }) {
+  const root = path.resolve(dir);
+
+  // Keys are generated by us (a bare UUID), but never leave root
+  function fileFor(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`invalid attachment key "${key}"`);
+    return file;
+  }
+
+  return {
+    name: "local",
+
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    async get(key) {
+      const file = fileFor(key);
+      await fs.promises.access(file);
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }) {
+  if (!bucket) throw new Error("S3_BUCKET is required for ATTACHMENT_STORAGE=s3");
+
+  // Loaded lazily so local installs never touch the AWS SDK
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+  } = require("@aws-sdk/client-s3");
+
+  const client = new S3Client({
+    region: region || "us-east-1",
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const objectKey = (key) => (prefix ? `${prefix.replace(/\/+$/, "")}/${key}` : key);
+
+  return {
+    name: "s3",
+
+    async put(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    async get(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return Body instanceof Readable ? Body : Readable.fromWeb(Body);
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+  };
+}
+
+/**
+ * Blob storage for attachments.
+ *
+ * ATTACHMENT_STORAGE=local  files under ATTACHMENT_DIR (default ./data/attachments)
+ * ATTACHMENT_STORAGE=s3     any S3-compatible store: S3_BUCKET, S3_REGION,
+ *                           S3_ENDPOINT (MinIO, R2, ...), S3_ACCESS_KEY_ID,
+ *                           S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE, S3_PREFIX
+ *
+ * put(key, buffer, contentType), get(key) -> readable stream, remove(key)
+ */
+function createAttachmentStorage(options = {}) {
+  const env = process.env;
+  const backend = String(options.backend || env.ATTACHMENT_STORAGE || "local").toLowerCase();
+
+  if (backend === "local") {
+    return createLocalStorage({ dir: options.dir || env.ATTACHMENT_DIR || "./data/attachments" });
+  }
+  if (backend === "s3") {
+    return createS3Storage({
+      bucket: options.bucket || env.S3_BUCKET,
+      region: options.region || env.S3_REGION,
+      endpoint: options.endpoint || env.S3_ENDPOINT,
+      accessKeyId: options.accessKeyId || env.S3_ACCESS_KEY_ID,
+      secretAccessKey: options.secretAccessKey || env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: options.forcePathStyle ?? env.S3_FORCE_PATH_STYLE === "true",
+      prefix: options.prefix || env.S3_PREFIX || "",
+    });
+  }
+  throw new Error(`Unknown ATTACHMENT_STORAGE "${backend}" (use local|s3)`);
+}
+
+module.exports = { createAttachmentStorage };
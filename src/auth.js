@@ -0,0 +1,139 @@
+const { jwtVerify, createRemoteJWKSet } = require("jose");
+
+const VALID_ROLES = ["REQUESTER", "AGENT", "ADMIN"];
+
+/**
+ * Bearer-token auth. Tokens are JWTs verified against either
+ *
+ *   AUTH_JWT_SECRET   shared HS256 secret, or
+ *   AUTH_JWKS_URL     remote JWKS (RS256/ES256, e.g. your IdP)
+ *
+ * with optional AUTH_ISSUER / AUTH_AUDIENCE checks. The identity claim
+ * (AUTH_EMAIL_CLAIM, default "email") is resolved to a row in `users`;
+ * unknown emails are provisioned as REQUESTER on first use.
+ *
+ * AUTH_ADMIN_EMAILS (comma-separated) are promoted to ADMIN on sign-in,
+ * which is how the first admin gets in.
+ */
+function createAuth({ store, options = {} }) {
+  const secret = options.secret ?? process.env.AUTH_JWT_SECRET;
+  const jwksUrl = options.jwksUrl ?? process.env.AUTH_JWKS_URL;
+  const issuer = options.issuer ?? process.env.AUTH_ISSUER ?? undefined;
+  const audience = options.audience ?? process.env.AUTH_AUDIENCE ?? undefined;
+  const emailClaim = options.emailClaim ?? process.env.AUTH_EMAIL_CLAIM ?? "email";
+  const adminEmails = String(options.adminEmails ?? process.env.AUTH_ADMIN_EMAILS ?? "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  let key = null;
+  if (jwksUrl) key = createRemoteJWKSet(new URL(jwksUrl));
+  else if (secret) key = new TextEncoder().encode(secret);
+
+  async function verify(token) {
+    if (!key) throw new Error("AUTH_JWT_SECRET or AUTH_JWKS_URL not configured");
+    const { payload } = await jwtVerify(token, key, { issuer, audience });
+    return payload;
+  }
+
+  async function resolveUser(claims) {
+    const email = String(claims[emailClaim] || "").trim();
+    if (!email) throw new Error(`token has no "${emailClaim}" claim`);
+    return findOrCreateUser({ email, name: claims.name });
+  }
+
+  // users row for an email; new users are REQUESTER (or ADMIN if bootstrapped)
+  async function findOrCreateUser({ email, name = null }) {
+    const bootstrapAdmin = adminEmails.includes(email.toLowerCase());
+
+    const existing = await store.users.findByEmail(email);
+    if (existing) {
+      if (bootstrapAdmin && existing.role !== "ADMIN") {
+        return store.users.update(existing.id, { role: "ADMIN" });
+      }
+      return existing;
+    }
+
+    return store.users.create({
+      email,
+      name: name || null,
+      department: null,
+      role: bootstrapAdmin ? "ADMIN" : "REQUESTER",
+    });
+  }
+
+  // Bearer token from the Authorization header. Browser EventSource cannot
+  // set headers, so event-stream requests may send ?access_token= instead.
+  function bearerToken(req) {
+    const header = req.header("authorization") || "";
+    const [scheme, token] = header.split(" ");
+    if (token && scheme.toLowerCase() === "bearer") return token;
+
+    const accept = req.header("accept") || "";
+    if (!header && accept.includes("text/event-stream") && typeof req.query?.access_token === "string") {
+      return req.query.access_token;
+    }
+    return null;
+  }
+
+  // Requires a valid bearer token; sets req.user (a `users` row)
+  async function authenticate(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: "Unauthorized (missing bearer token)" });
+    }
+
+    try {
+      const claims = await verify(token);
+      req.user = await resolveUser(claims);
+    } catch (e) {
+      return res.status(401).json({ error: `Unauthorized (${e?.message || "invalid token"})` });
+    }
+    next();
+  }
+
+  return { authenticate, verify, findOrCreateUser };
+}
+
+// Role guard; use after authenticate
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: `Forbidden (requires ${roles.join("|")})` });
+    }
+    next();
+  };
+}
+
+const requireAdmin = requireRole("ADMIN");
+
+/**
+ * Read access to a single ticket:
+ * - ADMIN: everything
+ * - AGENT: tickets assigned to their team
+ * - anyone: tickets they requested
+ */
+function canAccessTicket(user, ticket) {
+  if (!user || !ticket) return false;
+  if (user.role === "ADMIN") return true;
+  if (ticket.requester_user_id === user.id) return true;
+  return user.role === "AGENT" && !!user.team && ticket.assigned_team === user.team;
+}
+
+// Load a ticket and check the caller may see it; sends 404/403 itself.
+// `label` names the ticket in the error ("linked ticket", ...); `columns`
+// must include requester_user_id and assigned_team.
+async function loadAccessibleTicket(store, req, res, ticketId, { label = "ticket", columns = "*" } = {}) {
+  const ticket = await store.tickets.findById(ticketId, columns);
+  if (!ticket) {
+    res.status(404).json({ error: `${label} not found` });
+    return null;
+  }
+  if (!canAccessTicket(req.user, ticket)) {
+    res.status(403).json({ error: `Forbidden (no access to this ${label})` });
+    return null;
+  }
+  return ticket;
+}
+
+module.exports = { createAuth, requireRole, requireAdmin, canAccessTicket, loadAccessibleTicket, VALID_ROLES };
@@ -0,0 +1,95 @@
+const { logger } = require("../observability/logger");
+
+// Ticket fields sent with every streamed event (same as webhook payloads)
+const TICKET_FIELDS = [
+  "id",
+  "title",
+  "status",
+  "priority",
+  "assigned_team",
+  "assignee_user_id",
+  "sla_status",
+  "sla_due_at",
+  "first_response_status",
+  "version",
+  "created_at",
+  "updated_at",
+];
+
+function pickTicket(ticket) {
+  return Object.fromEntries(TICKET_FIELDS.map((f) => [f, ticket[f] ?? null]));
+}
+
+/**
+ * In-process fan-out of ticket activity to live clients (GET /api/events).
+ *
+ * publish(ticket, entries) stamps each activity timeline entry with a
+ * stream id ("<boot>-<seq>") and hands it to every subscriber whose
+ * `accepts(event)` returns true. The last `bufferSize` events are kept for
+ * clients reconnecting with Last-Event-ID; since() answers { reset: true }
+ * when the missed events are gone (buffer overrun, server restart) so the
+ * client reloads instead of silently missing updates.
+ *
+ * event: { id, ticket (TICKET_FIELDS), requesterUserId, previousTeam, entry }
+ * previousTeam is set on TEAM_CHANGED, so the old team still sees the move.
+ */
+function createEventHub({ bufferSize = 1000 } = {}) {
+  const bootId = Date.now().toString(36);
+  let seq = 0;
+  const buffer = [];
+  const subscribers = new Set();
+
+  function publish(ticket, entries) {
+    for (const entry of entries) {
+      seq += 1;
+      const event = {
+        id: `${bootId}-${seq}`,
+        seq,
+        ticket: pickTicket(ticket),
+        requesterUserId: ticket.requester_user_id || null,
+        previousTeam: entry.action === "TEAM_CHANGED" ? entry.oldValue : null,
+        entry,
+      };
+
+      buffer.push(event);
+      if (buffer.length > bufferSize) buffer.shift();
+
+      for (const sub of subscribers) {
+        try {
+          if (sub.accepts(event)) sub.send(event);
+        } catch (e) {
+          logger.error("Event stream delivery failed", { err: e });
+        }
+      }
+    }
+  }
+
+  // Buffered events after lastEventId that `accepts` lets through
+  function since(lastEventId, accepts) {
+    const [boot, n] = String(lastEventId || "").split("-");
+    const after = Number(n);
+    if (boot !== bootId || !Number.isInteger(after) || after > seq) return { reset: true };
+
+    const oldest = buffer.length ? buffer[0].seq : seq + 1;
+    if (after + 1 < oldest) return { reset: true };
+    return { events: buffer.filter((e) => e.seq > after && accepts(e)) };
+  }
+
+  // Returns the unsubscribe function
+  function subscribe(accepts, send) {
+    const sub = { accepts, send };
+    subscribers.add(sub);
+    return () => subscribers.delete(sub);
+  }
+
+  return {
+    publish,
+    since,
+    subscribe,
+    get clientCount() {
+      return subscribers.size;
+    },
+  };
+}
+
+module.exports = { createEventHub };
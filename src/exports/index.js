@@ -0,0 +1,80 @@
+const { logger } = require("../observability/logger");
+
+const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (values) => `${values.map(csvCell).join(",")}\r\n`;
+
+/**
+ * Streams rows to an HTTP response as CSV (header row first) or NDJSON,
+ * one page at a time and honouring backpressure, so memory use does not
+ * grow with the export size.
+ *
+ * streamExport(res, { format, filename, columns, pages })
+ * - columns: [[header, row => value], ...] (also the NDJSON keys)
+ * - pages: async iterable of row arrays
+ * Resolves with the number of rows written. Stops early when the client
+ * goes away; errors after the headers went out abort the response.
+ */
+async function streamExport(res, { format, filename, columns, pages }) {
+  res.status(200);
+  res.set("Content-Type", EXPORT_FORMATS[format]);
+  res.set("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+  res.set("Cache-Control", "no-store");
+
+  // wait for "drain", or "close" when the client disconnects mid-wait
+  const write = async (chunk) => {
+    if (res.write(chunk)) return;
+    await new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.on("drain", done);
+      res.on("close", done);
+    });
+  };
+  const closed = () => res.destroyed || res.writableEnded;
+
+  let count = 0;
+  try {
+    if (format === "csv") await write(csvLine(columns.map(([header]) => header)));
+
+    for await (const rows of pages) {
+      if (closed()) return count;
+
+      let chunk = "";
+      for (const row of rows) {
+        const values = columns.map(([, get]) => get(row) ?? null);
+        chunk +=
+          format === "csv"
+            ? csvLine(values)
+            : `${JSON.stringify(Object.fromEntries(columns.map(([header], i) => [header, values[i]])))}\n`;
+      }
+      count += rows.length;
+      await write(chunk);
+    }
+
+    res.end();
+    return count;
+  } catch (e) {
+    logger.error("Export failed", { filename, rows: count, err: e });
+    res.destroy(e);
+    return count;
+  }
+}
+
+module.exports = { streamExport, csvLine, EXPORT_FORMATS };
@@ -0,0 +1,110 @@
+const { simpleParser } = require("mailparser");
+
+// "[Ticket c52509a9]" / "[Ticket #c52509a9-...]" in the subject
+const SUBJECT_REF = /\[ticket\s*#?([0-9a-f]{8}(?:-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})?)\]/i;
+// <ticket-<uuid>@...> in In-Reply-To / References (see ticketMessageId)
+const HEADER_REF = /<ticket-([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})@/i;
+
+const REPLY_PREFIX = /^\s*((re|fw|fwd|aw|wg|sv|vs)\s*(\[\d+\])?\s*:\s*)+/i;
+const AUTO_REPLY_SUBJECT = /^\s*(auto(matic)?\s*(reply|response)|out of (the )?office|abwesenheitsnotiz|delivery status notification|undeliverable|mail delivery failed)/i;
+const SYSTEM_SENDER = /^(mailer-daemon|postmaster|no-?reply|do-?not-?reply)@/i;
+
+// Lines where the quoted previous message starts; everything after is dropped
+const QUOTE_HEADERS = [
+  /^On .+ wrote:\s*$/i,
+  /^Am .+ schrieb .+:\s*$/i,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}/i,
+  /^_{10,}\s*$/,
+  /^From:\s.+$/i, // Outlook header block
+];
+// Signature delimiters; everything after is dropped
+const SIGNATURES = [/^-- ?$/, /^Sent from my /i, /^Get Outlook for /i];
+
+/**
+ * Reply text without the quoted previous message and the signature.
+ * Also catches "On <date>, <name> wrote:" split over two lines.
+ */
+function stripReply(text) {
+  const lines = String(text || "").replace(/\r\n/g, "\n").split("\n");
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const joined = `${line} ${lines[i + 1] || ""}`.trim();
+
+    if (QUOTE_HEADERS.some((re) => re.test(line.trim()))) break;
+    if (/^On /i.test(line.trim()) && /wrote:\s*$/i.test(joined) && !/wrote:\s*$/i.test(line)) break;
+    if (SIGNATURES.some((re) => re.test(line))) break;
+    if (/^\s*>/.test(line)) continue;
+
+    kept.push(line);
+  }
+
+  return kept.join("\n").trim();
+}
+
+/**
+ * Why a message should not be processed (auto-replies, bounces, bulk
+ * mail), or null. Follows RFC 3834 Auto-Submitted plus the common
+ * vendor headers.
+ */
+function autoReplyReason(headers, fromEmail, subject) {
+  const header = (name) => String(headers.get(name) || "").toLowerCase();
+
+  const autoSubmitted = header("auto-submitted");
+  if (autoSubmitted && autoSubmitted !== "no") return `Auto-Submitted: ${autoSubmitted}`;
+  if (headers.has("x-autoreply") || headers.has("x-autorespond")) return "auto-reply header";
+  if (["auto_reply", "bulk", "junk"].includes(header("precedence"))) {
+    return `Precedence: ${header("precedence")}`;
+  }
+  if (AUTO_REPLY_SUBJECT.test(subject)) return "auto-reply subject";
+  if (SYSTEM_SENDER.test(fromEmail)) return `system sender ${fromEmail}`;
+  return null;
+}
+
+/**
+ * Parse a raw RFC 822 / MIME message (string or Buffer).
+ *
+ * Returns { messageId, fromEmail, fromName, subject, title, body,
+ *           ticketRef, autoReply } where
+ * - title is the subject without Re:/Fwd: prefixes and the ticket ref
+ * - body is the plain-text part (or text from HTML) minus quotes/signature
+ * - ticketRef is a ticket id or 8-hex-digit short ref, from the subject
+ *   or the In-Reply-To / References headers; null for new requests
+ * - autoReply is the reason to ignore the message, or null
+ */
+async function parseInboundEmail(raw) {
+  const mail = await simpleParser(raw);
+
+  const from = mail.from?.value?.[0] || {};
+  const fromEmail = String(from.address || "").trim().toLowerCase();
+  const subject = String(mail.subject || "").trim();
+
+  const threadHeaders = [
+    mail.inReplyTo,
+    ...(Array.isArray(mail.references) ? mail.references : [mail.references]),
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  const ticketRef =
+    subject.match(SUBJECT_REF)?.[1]?.toLowerCase() ||
+    threadHeaders.match(HEADER_REF)?.[1]?.toLowerCase() ||
+    null;
+
+  const title = subject.replace(REPLY_PREFIX, "").replace(SUBJECT_REF, "").replace(/^[\s:-]+/, "").trim();
+
+  return {
+    messageId: mail.messageId || null,
+    fromEmail,
+    fromName: from.name || null,
+    subject,
+    title,
+    body: stripReply(mail.text || ""),
+    ticketRef,
+    autoReply: autoReplyReason(mail.headers, fromEmail, subject),
+  };
+}
+
+module.exports = { parseInboundEmail, stripReply };
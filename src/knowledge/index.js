@@ -0,0 +1,75 @@
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Knowledge base helpers on top of kb_articles.
+ *
+ * suggest() matches a request against PUBLISHED articles: the request text
+ * itself plus any titles the AI proposed, so AI suggestions only survive
+ * when a real article backs them. Returns
+ * [{ id, title, team, reason, url }] (best first).
+ *
+ * draftFromTicket() turns a resolved ticket into a DRAFT article.
+ */
+function createKnowledgeBase({ store, appUrl = null }) {
+  const articleUrl = (id) =>
+    appUrl ? `${String(appUrl).replace(/\/+$/, "")}/kb/${id}` : `/api/kb/articles/${id}`;
+
+  async function suggest({ title, description, affectedSystem, aiSuggestions = [] }) {
+    const found = new Map();
+    const add = (rows, reason) => {
+      for (const row of rows) {
+        const existing = found.get(row.id);
+        if (!existing || row.rank > existing.rank) found.set(row.id, { ...row, reason });
+      }
+    };
+
+    const requestText = [title, description, affectedSystem].filter(Boolean).join(" ");
+    add(await store.kbArticles.match(requestText, MAX_SUGGESTIONS), "Matches your request");
+
+    for (const s of aiSuggestions.slice(0, 2)) {
+      if (!s?.title) continue;
+      add(await store.kbArticles.match(s.title, 1), s.reason || "Suggested by triage");
+    }
+
+    return [...found.values()]
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, MAX_SUGGESTIONS)
+      .map((a) => ({ id: a.id, title: a.title, team: a.team, reason: a.reason, url: articleUrl(a.id) }));
+  }
+
+  /**
+   * Draft article from a ticket and its staff comments (the resolution
+   * notes). `comments` are ticket_comments rows, `staffIds` the authors
+   * that count as agents.
+   */
+  function draftFromTicket(ticket, comments, staffIds) {
+    const notes = comments
+      .filter((c) => staffIds.has(c.author_id))
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .map((c) => `- ${c.body}`);
+
+    const sections = [
+      "## Problem",
+      ticket.ai_summary_problem || ticket.description || ticket.title,
+      "",
+      "## Details",
+      ticket.description || "-",
+      "",
+      "## Resolution",
+      ...(notes.length ? notes : [ticket.ai_summary_action || "(describe the fix)"]),
+    ];
+
+    return {
+      title: ticket.title,
+      body: sections.join("\n"),
+      tags: ticket.affected_system ? [String(ticket.affected_system).toLowerCase()] : [],
+      team: ticket.assigned_team || null,
+      status: "DRAFT",
+      source_ticket_id: ticket.id,
+    };
+  }
+
+  return { suggest, draftFromTicket, articleUrl };
+}
+
+module.exports = { createKnowledgeBase };
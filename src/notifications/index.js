@@ -0,0 +1,264 @@
+const { formatAuditMessage } = require("../tickets/auditMessages");
+const { logger } = require("../observability/logger");
+
+const DEFAULT_EVENTS = [
+  "STATUS_CHANGED",
+  "COMMENT_ADDED",
+  "PRIORITY_CHANGED",
+  "TEAM_CHANGED",
+  "ASSIGNEE_CHANGED",
+  "SLA_UPDATED",
+  "SLA_BREACHED",
+  "TICKET_MERGED",
+];
+
+// A digest that keeps failing is dropped after this many sends
+const MAX_SEND_ATTEMPTS = 5;
+
+const shortId = (id) => String(id || "").slice(0, 8);
+
+// Thread anchor for a ticket's emails; replies carry it in In-Reply-To /
+// References, which is how the inbound gateway finds the ticket again
+const ticketMessageId = (ticketId) => `<ticket-${ticketId}@helpdesk>`;
+
+// "STATUS_CHANGED, comment_added" -> ["STATUS_CHANGED","COMMENT_ADDED"]
+function parseEvents(value) {
+  if (!value) return DEFAULT_EVENTS;
+  return String(value)
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Email notifications for ticket events.
+ *
+ * enqueue() turns audit entries into rows in the `notifications` outbox,
+ * one per recipient: the requester, the assignee and the ticket's watchers,
+ * never the person who made the change, and only for `events` the
+ * recipient has not muted (notification_preferences).
+ *
+ * flush() mails each user's pending rows as one message once the oldest has
+ * waited `digestMinutes`, so a busy ticket produces one digest instead of
+ * an email per change. digestMinutes = 0 sends right away.
+ *
+ * notifyEscalation() mails an SLA escalation rule's notify_email directly.
+ */
+function createNotifier({ store, mailer, events = DEFAULT_EVENTS, digestMinutes = 5, appUrl = null }) {
+  let flushing = null;
+
+  const ticketLink = (ticketId) =>
+    appUrl ? `${String(appUrl).replace(/\/+$/, "")}/tickets/${ticketId}` : null;
+
+  async function recipientsFor(ticket) {
+    const ids = new Set();
+    if (ticket.requester_user_id) ids.add(ticket.requester_user_id);
+    if (ticket.assignee_user_id) ids.add(ticket.assignee_user_id);
+    for (const w of await store.watchers.listForTicket(ticket.id)) ids.add(w.user_id);
+    return [...ids];
+  }
+
+  /**
+   * Queue notifications for `audits` on `ticket` (the ticket after the
+   * change). Returns the number of rows queued.
+   */
+  async function enqueue({ ticket, audits, comment = null }) {
+    const relevant = (audits || []).filter((a) => events.includes(a.action));
+    if (!ticket || !relevant.length) return 0;
+
+    const userIds = await recipientsFor(ticket);
+    if (!userIds.length) return 0;
+
+    const prefs = new Map(
+      (await store.notificationPreferences.listByUsers(userIds)).map((p) => [p.user_id, p])
+    );
+
+    // Names for ASSIGNEE_CHANGED wording
+    const assigneeIds = relevant
+      .filter((a) => a.action === "ASSIGNEE_CHANGED")
+      .flatMap((a) => [a.old_value, a.new_value])
+      .filter(Boolean);
+    const names = new Map(
+      (await store.users.listByIds([...new Set(assigneeIds)], "id,name,email")).map((u) => [
+        u.id,
+        u.name || u.email,
+      ])
+    );
+    const userLabel = (id) => names.get(id) || shortId(id);
+
+    const nowIso = new Date().toISOString();
+    const rows = [];
+    for (const audit of relevant) {
+      for (const userId of userIds) {
+        if (userId === audit.actor_id) continue;
+
+        const pref = prefs.get(userId);
+        if (pref && (pref.email_enabled === false || (pref.muted_events || []).includes(audit.action))) {
+          continue;
+        }
+
+        rows.push({
+          user_id: userId,
+          ticket_id: ticket.id,
+          ticket_title: ticket.title || null,
+          event: audit.action,
+          message: formatAuditMessage(audit, userLabel),
+          detail: audit.action === "COMMENT_ADDED" && comment ? comment.body : null,
+          status: "PENDING",
+          attempts: 0,
+          created_at: nowIso,
+        });
+      }
+    }
+    if (!rows.length) return 0;
+
+    await store.notifications.create(rows);
+    if (!digestMinutes) kick();
+    return rows.length;
+  }
+
+  function renderDigest(user, items) {
+    const byTicket = new Map();
+    for (const item of items) {
+      if (!byTicket.has(item.ticket_id)) byTicket.set(item.ticket_id, []);
+      byTicket.get(item.ticket_id).push(item);
+    }
+
+    let subject;
+    if (items.length === 1) {
+      const [item] = items;
+      subject = `[Ticket ${shortId(item.ticket_id)}] ${item.ticket_title || "Ticket"}: ${item.message}`;
+    } else if (byTicket.size === 1) {
+      const [item] = items;
+      subject = `[Ticket ${shortId(item.ticket_id)}] ${item.ticket_title || "Ticket"}: ${items.length} updates`;
+    } else {
+      subject = `${items.length} updates on ${byTicket.size} tickets`;
+    }
+
+    const lines = [`Hi ${user.name || user.email},`, ""];
+    for (const [ticketId, entries] of byTicket) {
+      lines.push(`${entries[0].ticket_title || "Ticket"} (#${shortId(ticketId)})`);
+      for (const entry of entries) {
+        lines.push(`  - ${entry.message}`);
+        if (entry.detail) {
+          for (const line of String(entry.detail).split("\n")) lines.push(`      > ${line}`);
+        }
+      }
+      const link = ticketLink(ticketId);
+      if (link) lines.push(`  ${link}`);
+      lines.push("");
+    }
+    lines.push("You receive these emails because you requested, are assigned to or watch these tickets.");
+    lines.push("Change what you receive with PUT /api/me/notifications.");
+
+    return {
+      subject,
+      text: lines.join("\n"),
+      references: byTicket.size === 1 ? ticketMessageId(items[0].ticket_id) : undefined,
+    };
+  }
+
+  async function sendDigest(user, items) {
+    const ids = items.map((i) => i.id);
+
+    // Claim the rows so a second flush (or instance) does not send them too
+    const claimed = await store.notifications.claim(ids);
+    if (!claimed.length) return false;
+    const claimedIds = new Set(claimed.map((c) => c.id));
+    const mine = items.filter((i) => claimedIds.has(i.id));
+
+    if (!user?.email) {
+      await store.notifications.update([...claimedIds], { status: "SKIPPED", last_error: "user has no email" });
+      return false;
+    }
+
+    try {
+      await mailer.send({ to: user.email, ...renderDigest(user, mine) });
+      await store.notifications.update([...claimedIds], {
+        status: "SENT",
+        sent_at: new Date().toISOString(),
+        last_error: null,
+      });
+      return true;
+    } catch (e) {
+      const attempts = (mine[0].attempts || 0) + 1;
+      await store.notifications.update([...claimedIds], {
+        status: attempts >= MAX_SEND_ATTEMPTS ? "FAILED" : "PENDING",
+        attempts,
+        last_error: e?.message || "send failed",
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Send every digest that is due. Returns counts: { sent, failed }.
+   */
+  async function flush(now = new Date()) {
+    if (flushing) return flushing;
+
+    flushing = (async () => {
+      const summary = { sent: 0, failed: 0 };
+      const pending = await store.notifications.listPending();
+      if (!pending.length) return summary;
+
+      const byUser = new Map();
+      for (const row of pending) {
+        if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+        byUser.get(row.user_id).push(row);
+      }
+
+      const cutoff = now.getTime() - digestMinutes * 60 * 1000;
+      const due = [...byUser.entries()].filter(([, items]) =>
+        items.some((i) => new Date(i.created_at).getTime() <= cutoff)
+      );
+      if (!due.length) return summary;
+
+      const users = new Map(
+        (await store.users.listByIds(due.map(([userId]) => userId))).map((u) => [u.id, u])
+      );
+      for (const [userId, items] of due) {
+        if (await sendDigest(users.get(userId), items)) summary.sent++;
+        else summary.failed++;
+      }
+      return summary;
+    })();
+
+    try {
+      return await flushing;
+    } finally {
+      flushing = null;
+    }
+  }
+
+  function kick() {
+    setImmediate(() => {
+      flush().catch((e) => logger.error("Notification flush failed", { err: e }));
+    });
+  }
+
+  // SLA monitor NOTIFY rules
+  async function notifyEscalation({ ticket, rule, trigger, slaType }) {
+    const clock = slaType === "FIRST_RESPONSE" ? "First-response" : "Resolution";
+    const state = trigger === "BREACHED" ? "breached" : "at risk";
+    const link = ticketLink(ticket.id);
+
+    await mailer.send({
+      to: rule.notify_email,
+      subject: `[Ticket ${shortId(ticket.id)}] ${clock} SLA ${state}: ${ticket.title || "Ticket"}`,
+      references: ticketMessageId(ticket.id),
+      text: [
+        `${clock} SLA ${state} on "${ticket.title || ticket.id}".`,
+        "",
+        `Team: ${ticket.assigned_team || "-"}`,
+        `Priority: ${ticket.priority || "-"}`,
+        `Due: ${slaType === "FIRST_RESPONSE" ? ticket.first_response_due_at : ticket.sla_due_at}`,
+        ...(link ? ["", link] : []),
+      ].join("\n"),
+    });
+  }
+
+  return { enqueue, flush, notifyEscalation };
+}
+
+module.exports = { createNotifier, parseEvents, ticketMessageId, DEFAULT_EVENTS };
@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { logger } = require("../observability/logger");
+
+const CAPTURE_LIMIT = 100;
+
+/**
+ * Outgoing mail.
+ *
+ * MAIL_TRANSPORT=smtp     SMTP_URL, or SMTP_HOST / SMTP_PORT / SMTP_USER /
+ *                         SMTP_PASS / SMTP_SECURE
+ * MAIL_TRANSPORT=capture  nothing leaves the machine: the last messages are
+ *                         kept in memory (see captured()) and, with
+ *                         MAIL_CAPTURE_DIR, written there as .eml files
+ *
+ * Default is smtp when SMTP_URL or SMTP_HOST is set, capture otherwise.
+ * MAIL_FROM sets the sender.
+ *
+ * send({ to, subject, text, references? }) -> { messageId }
+ */
+function createMailer(options = {}) {
+  const env = process.env;
+  const smtpConfigured = !!(options.smtpUrl || env.SMTP_URL || env.SMTP_HOST);
+  const name = String(
+    options.transport || env.MAIL_TRANSPORT || (smtpConfigured ? "smtp" : "capture")
+  ).toLowerCase();
+  const from = options.from || env.MAIL_FROM || "Helpdesk <no-reply@localhost>";
+
+  if (name === "smtp") {
+    const transporter = nodemailer.createTransport(
+      options.smtpUrl ||
+        env.SMTP_URL || {
+          host: env.SMTP_HOST,
+          port: Number(env.SMTP_PORT || 587),
+          secure: env.SMTP_SECURE === "true",
+          auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+        }
+    );
+
+    return {
+      transport: "smtp",
+      async send({ to, subject, text, references }) {
+        const info = await transporter.sendMail({ from, to, subject, text, references });
+        return { messageId: info.messageId };
+      },
+      captured: () => [],
+    };
+  }
+
+  if (name !== "capture") {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use smtp|capture)`);
+  }
+
+  const captureDir = options.captureDir || env.MAIL_CAPTURE_DIR || null;
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  const messages = [];
+
+  return {
+    transport: "capture",
+    async send({ to, subject, text, references }) {
+      const info = await transporter.sendMail({ from, to, subject, text, references });
+
+      messages.push({ messageId: info.messageId, to, subject, text, sentAt: new Date().toISOString() });
+      if (messages.length > CAPTURE_LIMIT) messages.shift();
+
+      if (captureDir) {
+        fs.mkdirSync(captureDir, { recursive: true });
+        const file = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`;
+        fs.writeFileSync(path.join(captureDir, file), info.message);
+      }
+      logger.info("Email captured", { to, subject });
+      return { messageId: info.messageId };
+    },
+    // Newest first
+    captured: () => [...messages].reverse(),
+  };
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,54 @@
+const { randomUUID } = require("crypto");
+const { logger, withLogContext } = require("./logger");
+const { metrics } = require("./metrics");
+
+// A caller's X-Request-Id is kept when it looks like an id (no log injection)
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+// Route template ("/api/tickets/:id"), so metrics do not get a series per ticket
+function routeOf(req) {
+  if (!req.route) return "unmatched";
+  const path = Array.isArray(req.route.path) ? req.route.path.join("|") : String(req.route.path);
+  return `${req.baseUrl || ""}${path}`;
+}
+
+/**
+ * First middleware of the app: gives every request an id (the caller's
+ * X-Request-Id or a new UUID), echoes it in the X-Request-Id response
+ * header, adds it to every log line written while handling the request,
+ * and on completion logs the request and records its latency.
+ *
+ * Probe paths (`quietPaths`) are logged at debug level only.
+ */
+function requestObservability({ quietPaths = ["/health", "/ready", "/metrics"] } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const requestId = incoming && REQUEST_ID_RE.test(incoming) ? incoming : randomUUID();
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+
+    const start = process.hrtime.bigint();
+    res.on("finish", () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      const route = routeOf(req);
+      // req.path is relative to the router that handled the request
+      const path = req.originalUrl.split("?")[0];
+      metrics.httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+
+      const level = res.statusCode >= 500 ? "error" : quietPaths.includes(path) ? "debug" : "info";
+      logger[level]("Request completed", {
+        requestId,
+        method: req.method,
+        path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000 * 10) / 10,
+        userId: req.user?.id || null,
+      });
+    });
+
+    withLogContext({ requestId }, next);
+  };
+}
+
+module.exports = { requestObservability, routeOf };
@@ -0,0 +1,74 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Per-request fields (requestId, ...) that every log line inside the request carries
+const context = new AsyncLocalStorage();
+
+// Error -> loggable fields (message, plus code / status when present)
+function errorFields(err) {
+  if (!(err instanceof Error)) return { error: String(err) };
+  return {
+    error: err.message,
+    ...(err.code ? { errorCode: err.code } : {}),
+    ...(err.status ? { errorStatus: err.status } : {}),
+  };
+}
+
+function pretty({ time, level, msg, ...fields }) {
+  const extra = Object.entries(fields)
+    .map(([k, v]) => `${k}=${typeof v === "string" ? v : JSON.stringify(v)}`)
+    .join(" ");
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ` ${extra}` : ""}`;
+}
+
+/**
+ * Structured logger: one JSON object per line on stdout (warn / error on
+ * stderr) with time, level, msg, the request context and the given fields.
+ *
+ * LOG_LEVEL=debug|info (default)|warn|error
+ * LOG_FORMAT=json (default) | pretty (one readable line, for local runs)
+ *
+ * logger.info(msg, fields); an `err` field is expanded with errorFields().
+ * child(fields) -> logger that adds `fields` to every line.
+ */
+function createLogger({ level = "info", format = "json", base = {} } = {}) {
+  const threshold = LEVELS[String(level).toLowerCase()] ?? LEVELS.info;
+
+  function write(lvl, msg, fields = {}) {
+    if (LEVELS[lvl] < threshold) return;
+    const { err, ...rest } = fields;
+    const entry = {
+      time: new Date().toISOString(),
+      level: lvl,
+      msg,
+      ...base,
+      ...(context.getStore() || {}),
+      ...rest,
+      ...(err !== undefined ? errorFields(err) : {}),
+    };
+    const line = format === "pretty" ? pretty(entry) : JSON.stringify(entry);
+    (LEVELS[lvl] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    child: (fields) => createLogger({ level, format, base: { ...base, ...fields } }),
+  };
+}
+
+// Runs fn with `fields` added to every log line written inside it
+function withLogContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+// The process-wide logger, configured from the environment
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  format: String(process.env.LOG_FORMAT || "json").toLowerCase(),
+});
+
+module.exports = { logger, createLogger, withLogContext, errorFields };
@@ -0,0 +1,150 @@
+// Latency buckets in seconds: HTTP handlers and AI calls (a Gemini call may
+// take tens of seconds)
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const AI_BUCKETS = [0.25, 0.5, 1, 2, 4, 8, 15, 30, 60];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+const formatNumber = (n) => (n === Infinity ? "+Inf" : String(n));
+
+/**
+ * Prometheus metrics in the text exposition format (0.0.4).
+ *
+ * counter / gauge / histogram(name, help, { labels, buckets }) register a
+ * metric; label values are passed as an object on every update.
+ * collect(fn) registers an async hook run before each render(), for
+ * gauges read from the database at scrape time.
+ */
+function createMetricsRegistry() {
+  const metrics = [];
+  const collectors = [];
+
+  function register(type, name, help, labelNames) {
+    const series = new Map(); // labels JSON -> { labels, ... }
+    const metric = { type, name, help, series, labelNames };
+    metrics.push(metric);
+
+    metric.get = (labels = {}) => {
+      const picked = Object.fromEntries(labelNames.map((l) => [l, labels[l] ?? ""]));
+      const key = JSON.stringify(picked);
+      if (!series.has(key)) series.set(key, { labels: picked, value: 0 });
+      return series.get(key);
+    };
+    return metric;
+  }
+
+  function counter(name, help, { labels = [] } = {}) {
+    const metric = register("counter", name, help, labels);
+    return {
+      inc(labelValues = {}, by = 1) {
+        metric.get(labelValues).value += by;
+      },
+    };
+  }
+
+  function gauge(name, help, { labels = [] } = {}) {
+    const metric = register("gauge", name, help, labels);
+    return {
+      set(labelValues, value) {
+        metric.get(labelValues).value = value;
+      },
+      // Replace every series at once (e.g. per-team counts where a team may disappear)
+      reset(entries) {
+        metric.series.clear();
+        for (const [labelValues, value] of entries) metric.get(labelValues).value = value;
+      },
+    };
+  }
+
+  function histogram(name, help, { labels = [], buckets = HTTP_BUCKETS } = {}) {
+    const metric = register("histogram", name, help, labels);
+    const bounds = [...buckets].sort((a, b) => a - b);
+    metric.bounds = bounds;
+
+    function observe(labelValues, value) {
+      const s = metric.get(labelValues);
+      if (!s.counts) Object.assign(s, { counts: bounds.map(() => 0), sum: 0, count: 0 });
+      bounds.forEach((b, i) => {
+        if (value <= b) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+    }
+
+    return {
+      observe,
+      // () => stop(labelValues): observes the seconds since start
+      startTimer() {
+        const start = process.hrtime.bigint();
+        return (labelValues = {}) => observe(labelValues, Number(process.hrtime.bigint() - start) / 1e9);
+      },
+    };
+  }
+
+  function collect(fn) {
+    collectors.push(fn);
+  }
+
+  async function render() {
+    await Promise.all(collectors.map((fn) => fn()));
+
+    const lines = [];
+    for (const m of metrics) {
+      lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+      for (const s of m.series.values()) {
+        if (m.type !== "histogram") {
+          lines.push(`${m.name}${labelText(s.labels)} ${formatNumber(s.value)}`);
+          continue;
+        }
+        if (!s.counts) continue;
+        [...m.bounds, Infinity].forEach((b, i) => {
+          const count = i < m.bounds.length ? s.counts[i] : s.count;
+          lines.push(`${m.name}_bucket${labelText({ ...s.labels, le: formatNumber(b) })} ${count}`);
+        });
+        lines.push(`${m.name}_sum${labelText(s.labels)} ${s.sum}`, `${m.name}_count${labelText(s.labels)} ${s.count}`);
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, collect, render };
+}
+
+// The process-wide registry and the metrics the app records
+const registry = createMetricsRegistry();
+
+const metrics = {
+  httpRequestDuration: registry.histogram(
+    "http_request_duration_seconds",
+    "HTTP request latency by route template",
+    { labels: ["method", "route", "status"] }
+  ),
+  aiCallDuration: registry.histogram("ai_call_duration_seconds", "Latency of AI provider calls", {
+    labels: ["provider", "outcome"],
+    buckets: AI_BUCKETS,
+  }),
+  triageAttempts: registry.counter("triage_attempts_total", "Triage provider attempts by outcome", {
+    labels: ["provider", "outcome"],
+  }),
+  triageFallbacks: registry.counter(
+    "triage_fallbacks_total",
+    "Tickets triaged by a provider other than the first one configured",
+    { labels: ["provider"] }
+  ),
+  triageFailures: registry.counter("triage_failures_total", "Tickets no triage provider could triage"),
+  jobRuns: registry.counter("job_runs_total", "Background job runs by outcome", { labels: ["job", "outcome"] }),
+  slaBreachesFound: registry.counter("sla_breaches_found_total", "SLA breaches found by the SLA check"),
+  slaAtRiskFound: registry.counter("sla_at_risk_found_total", "Tickets found at risk of an SLA breach"),
+  openTickets: registry.gauge("tickets_open", "Open tickets per assigned team", { labels: ["team"] }),
+  dependencyUp: registry.gauge("dependency_up", "Last readiness check result per dependency (1 = up)", {
+    labels: ["dependency"],
+  }),
+};
+
+module.exports = { registry, metrics, createMetricsRegistry };
@@ -0,0 +1,82 @@
+const { logger } = require("../observability/logger");
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * "20/1h" -> { limit: 20, windowMs: 3600000 } (units s, m, h, d; "20/h"
+ * means one hour). Empty, "0" or "off" -> null (no limit).
+ */
+function parseLimit(value, name = "rate limit") {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text || text === "0" || text === "off") return null;
+
+  const match = text.match(/^(\d+)\s*\/\s*(\d*)\s*([smhd])$/);
+  if (!match || Number(match[1]) < 1) {
+    throw new Error(`Invalid ${name} "${value}" (use <count>/<window>, e.g. 20/1h)`);
+  }
+  return { limit: Number(match[1]), windowMs: Number(match[2] || 1) * UNIT_MS[match[3]] };
+}
+
+/**
+ * Fixed-window rate limits over a counter store (./store).
+ *
+ * rules: { [name]: { limit, windowMs } | null } (null = unlimited)
+ *
+ * hit(rule, id) -> { allowed, limit, remaining, resetAt } counts one request
+ * for `id` (an IP, an email, ...) under `rule`. When the counter store is
+ * down the request is allowed: a limiter outage must not take ticket
+ * intake with it.
+ *
+ * middleware([{ rule, key: (req) => id }]) -> express middleware; sets
+ * RateLimit-* headers and answers 429 (Retry-After) when any check fails.
+ */
+function createRateLimiter({ counters, rules = {} }) {
+  async function hit(rule, id) {
+    const config = rules[rule];
+    if (!config || !id) return { allowed: true, limit: null, remaining: null, resetAt: null };
+
+    try {
+      const { count, resetAt } = await counters.hit(`${rule}:${String(id).toLowerCase()}`, config.windowMs);
+      return {
+        allowed: count <= config.limit,
+        limit: config.limit,
+        remaining: Math.max(0, config.limit - count),
+        resetAt,
+      };
+    } catch (e) {
+      logger.error("Rate limit check failed", { rule, err: e });
+      return { allowed: true, limit: null, remaining: null, resetAt: null };
+    }
+  }
+
+  function middleware(checks) {
+    return async (req, res, next) => {
+      try {
+        // Every counter is bumped, so a blocked IP cannot spread over emails
+        const results = await Promise.all(checks.map((c) => hit(c.rule, c.key(req))));
+        const limited = results.filter((r) => r.limit !== null);
+        if (limited.length) {
+          // The tightest check is the one worth reporting
+          const tightest = limited.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+          const resetSeconds = Math.max(0, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+          res.set("RateLimit-Limit", String(tightest.limit));
+          res.set("RateLimit-Remaining", String(tightest.remaining));
+          res.set("RateLimit-Reset", String(resetSeconds));
+        }
+
+        const blocked = results.filter((r) => !r.allowed);
+        if (!blocked.length) return next();
+
+        const retryAfter = Math.max(...blocked.map((r) => Math.ceil((r.resetAt - Date.now()) / 1000)), 1);
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({ error: "Too many requests, please try again later", retryAfter });
+      } catch (e) {
+        return res.status(500).json({ error: e?.message || "Server error" });
+      }
+    };
+  }
+
+  return { hit, middleware };
+}
+
+module.exports = { createRateLimiter, parseLimit };
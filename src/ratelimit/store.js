@@ -0,0 +1,129 @@
+/**
+ * Fixed-window counters in this process (one instance, or tests).
+ * Expired windows are swept at most once a minute, on a hit.
+ */
+function createMemoryCounters() {
+  const windows = new Map(); // key -> { count, resetAt }
+  let nextSweep = 0;
+
+  function sweep(now) {
+    if (now < nextSweep) return;
+    nextSweep = now + 60 * 1000;
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+  }
+
+  return {
+    name: "memory",
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      sweep(now);
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + windowMs };
+        windows.set(key, w);
+      }
+      w.count++;
+      return { count: w.count, resetAt: w.resetAt };
+    },
+  };
+}
+
+// INCR, starting the window's expiry on its first hit; one atomic round trip
+const HIT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then redis.call("PEXPIRE", KEYS[1], ARGV[1]) end
+local ttl = redis.call("PTTL", KEYS[1])
+if ttl < 0 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }
+`.trim();
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Redis ${what} took longer than ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Fixed-window counters in any Redis-compatible server (Redis, Valkey,
+ * KeyDB, ...), shared by every app instance, through the `redis` client;
+ * redis:// or rediss:// (TLS) URLs, with optional user:password and /db.
+ *
+ * The connection is opened on the first hit. When it drops (or AUTH /
+ * SELECT fail) the client reconnects in the background and hits fail fast
+ * until it is ready again, rather than queueing.
+ */
+function createRedisCounters({ url, prefix = "ratelimit:", timeoutMs = 2000 }) {
+  if (!url) throw new Error("RATE_LIMIT_REDIS_URL is required for RATE_LIMIT_STORE=redis");
+  if (!/^rediss?:\/\//i.test(url)) {
+    throw new Error("RATE_LIMIT_REDIS_URL must be a redis:// or rediss:// URL");
+  }
+
+  let client = null;
+  let ready = null;
+
+  function connect() {
+    const { createClient } = require("redis");
+    client = createClient({
+      url,
+      disableOfflineQueue: true,
+      socket: { connectTimeout: timeoutMs, reconnectStrategy: (retries) => Math.min(100 * 2 ** retries, 5000) },
+    });
+    // Failures surface through hit(), which the limiter logs
+    client.on("error", () => {});
+    ready = client.connect();
+    ready.catch(() => {});
+  }
+
+  return {
+    name: "redis",
+
+    async hit(key, windowMs) {
+      // Only the first hit waits for the connection; later ones fail fast while it is down
+      if (!client) {
+        connect();
+        await withTimeout(ready, timeoutMs, "connect");
+      }
+      const [count, ttl] = await withTimeout(
+        client.eval(HIT_SCRIPT, { keys: [prefix + key], arguments: [String(Math.ceil(windowMs))] }),
+        timeoutMs,
+        "EVAL"
+      );
+      return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+    },
+
+    async close() {
+      if (client?.isOpen) await client.disconnect();
+      client = null;
+    },
+  };
+}
+
+/**
+ * Counter store for the rate limiter.
+ *
+ * RATE_LIMIT_STORE=memory  per process (default)
+ * RATE_LIMIT_STORE=redis   shared: RATE_LIMIT_REDIS_URL, RATE_LIMIT_REDIS_PREFIX
+ *
+ * hit(key, windowMs) -> { count, resetAt } for the window the hit fell in
+ */
+function createRateLimitCounters(options = {}) {
+  const env = process.env;
+  const backend = String(options.backend || env.RATE_LIMIT_STORE || "memory").toLowerCase();
+
+  if (backend === "memory") return createMemoryCounters();
+  if (backend === "redis") {
+    return createRedisCounters({
+      url: options.url || env.RATE_LIMIT_REDIS_URL,
+      prefix: options.prefix || env.RATE_LIMIT_REDIS_PREFIX || "ratelimit:",
+    });
+  }
+  throw new Error(`Unknown RATE_LIMIT_STORE "${backend}" (use memory|redis)`);
+}
+
+module.exports = { createRateLimitCounters, createMemoryCounters, createRedisCounters };
@@ -0,0 +1,36 @@
+const express = require("express");
+const { requireAdmin } = require("../auth");
+
+/**
+ * ADMIN: AI triage usage against the daily / monthly budget.
+ * Mounted under /api/admin (after auth).
+ */
+function aiUsageAdminRoutes({ budget }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  /**
+   * GET /api/admin/ai-usage[?days=31]
+   * Returns { limits, usage, remaining, exhausted, days }:
+   * - limits / remaining: { daily, monthly } x { calls, tokens } (null = no cap)
+   * - usage: today's and this month's (UTC) calls, tokens and skipped calls
+   *   (triaged without AI because a budget was used up)
+   * - exhausted: { period, metric } of the cap in the way, or null
+   * - days: per-day usage for the last `days` days (1-366)
+   */
+  router.get("/ai-usage", async (req, res) => {
+    try {
+      const days = req.query.days === undefined ? 31 : Number(req.query.days);
+      if (!Number.isInteger(days) || days < 1 || days > 366) {
+        return res.status(400).json({ error: "days must be an integer 1-366" });
+      }
+      return res.json(await budget.report({ days }));
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { aiUsageAdminRoutes };
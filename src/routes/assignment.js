@@ -0,0 +1,51 @@
+const express = require("express");
+const { requireAdmin } = require("../auth");
+const { ASSIGNMENT_STRATEGIES } = require("../tickets/assignment");
+
+/**
+ * ADMIN: per-team auto-assignment strategy.
+ * Mounted under /api/admin (after auth).
+ */
+function assignmentAdminRoutes({ store, teams }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  /**
+   * GET /api/admin/assignment
+   * Teams without a row use NONE.
+   */
+  router.get("/assignment", async (req, res) => {
+    try {
+      const rules = await store.assignmentRules.list();
+      return res.json({ rules });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * PUT /api/admin/assignment/:team
+   * Body: { strategy: NONE|ROUND_ROBIN|LEAST_OPEN|SKILLS }
+   * :team may be a name or alias; the rule is stored under the canonical name.
+   */
+  router.put("/assignment/:team", async (req, res) => {
+    try {
+      const strategy = String(req.body?.strategy || "").trim().toUpperCase();
+      if (!ASSIGNMENT_STRATEGIES.includes(strategy)) {
+        return res.status(400).json({ error: `strategy must be ${ASSIGNMENT_STRATEGIES.join("|")}` });
+      }
+
+      const team = await teams.resolve(req.params.team);
+      if (!team) return res.status(404).json({ error: "team not found" });
+
+      const rule = await store.assignmentRules.set(team.name, { strategy });
+      return res.json({ ok: true, rule });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { assignmentAdminRoutes };
@@ -0,0 +1,77 @@
+const express = require("express");
+const { canAccessTicket, loadAccessibleTicket } = require("../auth");
+
+// Content-Disposition for a download: an ASCII-only quoted fallback for old
+// clients, the real name in filename* (RFC 6266 / 5987)
+function contentDisposition(filename) {
+  const fallback = String(filename)
+    .replace(/[^\x20-\x7e]/g, "_")
+    .replace(/["\\]/g, "\\$&");
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Attachment listing and (permission-checked) downloads.
+ * Uploads go through POST /api/tickets and PATCH /api/tickets/:id.
+ * Mounted under /api (after auth).
+ */
+function attachmentRoutes({ store, attachments, publicAttachment }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/tickets/:id/attachments
+   */
+  router.get("/tickets/:id/attachments", async (req, res) => {
+    try {
+      const ticket = await loadAccessibleTicket(store, req, res, req.params.id);
+      if (!ticket) return;
+
+      const rows = await store.attachments.listForTicket(ticket.id);
+      return res.json({ attachments: rows.map(publicAttachment) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * GET /api/attachments/:id
+   * Streams the file; same access rule as its ticket.
+   */
+  router.get("/attachments/:id", async (req, res) => {
+    try {
+      const attachment = await store.attachments.findById(req.params.id);
+      if (!attachment) return res.status(404).json({ error: "attachment not found" });
+
+      const ticket = await store.tickets.findById(attachment.ticket_id);
+      if (!canAccessTicket(req.user, ticket)) {
+        return res.status(403).json({ error: "Forbidden (no access to this ticket)" });
+      }
+
+      let stream;
+      try {
+        stream = await attachments.open(attachment);
+      } catch {
+        return res.status(404).json({ error: "attachment file is missing" });
+      }
+
+      res.set({
+        "Content-Type": attachment.content_type,
+        "Content-Length": String(attachment.size_bytes),
+        "Content-Disposition": contentDisposition(attachment.filename),
+        "X-Content-Type-Options": "nosniff",
+      });
+      stream.on("error", (e) => res.destroy(e));
+      stream.pipe(res);
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { attachmentRoutes };
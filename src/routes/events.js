@@ -0,0 +1,111 @@
+const express = require("express");
+const { canAccessTicket, loadAccessibleTicket } = require("../auth");
+const { UUID_RE } = require("../tickets/listQuery");
+
+const HEARTBEAT_MS = 25 * 1000;
+// A client this far behind is dropped; it reconnects with Last-Event-ID
+const MAX_PENDING_BYTES = 1024 * 1024;
+
+// Same read rule as the ticket routes; the old team also sees a TEAM_CHANGED
+function canSee(user, event) {
+  const ticket = { requester_user_id: event.requesterUserId, assigned_team: event.ticket.assigned_team };
+  if (canAccessTicket(user, ticket)) return true;
+  return !!event.previousTeam && canAccessTicket(user, { ...ticket, assigned_team: event.previousTeam });
+}
+
+const sseMessage = ({ id, event, data }) =>
+  `${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * GET /api/events: Server-Sent Events stream of ticket activity (the
+ * entries of GET /api/tickets/:id/activity as they happen: audits, comments,
+ * SLA changes from the monitor).
+ * Mounted under /api (after auth).
+ */
+function eventStreamRoutes({ store, hub, resolveScope }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/events?ticket=<id>
+   * GET /api/events?scope=my|team|all&team=...  (same rules as GET /api/tickets)
+   *
+   * "activity" events: data { ticket, activity }, id = stream position.
+   * Reconnect with Last-Event-ID (or ?lastEventId=) to get what was missed;
+   * a "reset" event means that is no longer possible and the client should
+   * reload. EventSource clients may authenticate with ?access_token=.
+   */
+  router.get("/events", async (req, res) => {
+    try {
+      const user = req.user;
+      const ticketId = String(req.query.ticket || "");
+      let matches;
+
+      if (ticketId) {
+        if (!UUID_RE.test(ticketId)) return res.status(404).json({ error: "ticket not found" });
+        if (!(await loadAccessibleTicket(store, req, res, ticketId))) return;
+        matches = (e) => e.ticket.id === ticketId;
+      } else {
+        const scope = String(req.query.scope || "");
+        if (!scope) return res.status(400).json({ error: "ticket or scope (my|team|all) is required" });
+
+        const { filter, status, error } = await resolveScope(user, scope, String(req.query.team || ""));
+        if (error) return res.status(status).json({ error });
+
+        if (filter.requesterUserId) matches = (e) => e.requesterUserId === filter.requesterUserId;
+        else if (filter.assignedTeam) {
+          matches = (e) => e.ticket.assigned_team === filter.assignedTeam || e.previousTeam === filter.assignedTeam;
+        } else matches = () => true;
+      }
+
+      const accepts = (e) => matches(e) && canSee(user, e);
+
+      res.status(200);
+      res.set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write("retry: 5000\n\n");
+
+      let closed = false;
+      let unsubscribe = () => {};
+      const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+      const close = () => {
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+      req.on("close", close);
+
+      const send = (e) => {
+        if (res.writableLength > MAX_PENDING_BYTES) {
+          close();
+          res.end();
+          return;
+        }
+        res.write(sseMessage({ id: e.id, event: "activity", data: { ticket: e.ticket, activity: e.entry } }));
+      };
+
+      const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+      if (lastEventId) {
+        const missed = hub.since(lastEventId, accepts);
+        if (missed.reset) {
+          res.write(sseMessage({ event: "reset", data: { reason: "missed events are no longer available" } }));
+        } else {
+          missed.events.forEach(send);
+        }
+      }
+
+      if (!closed) unsubscribe = hub.subscribe(accepts, send);
+    } catch (e) {
+      if (res.headersSent) return res.end();
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { eventStreamRoutes };
@@ -0,0 +1,244 @@
+const express = require("express");
+const { requireRole } = require("../auth");
+const { parseTicketListQuery } = require("../tickets/listQuery");
+const { streamExport, EXPORT_FORMATS } = require("../exports");
+const { logger } = require("../observability/logger");
+
+const PAGE_SIZE = 500;
+const DEFAULT_RANGE_DAYS = 30;
+
+const EXPORT_TICKET_COLUMNS =
+  "id,title,status,priority,assigned_team,affected_system,requester_user_id,assignee_user_id,created_at,updated_at,resolved_at,sla_due_at,sla_status,first_response_due_at,first_responded_at,first_response_status,resolution_code,resolution_note,merged_into_id";
+
+// [header, row => value] per export column
+const TICKET_EXPORT = [
+  ["id", (t) => t.id],
+  ["title", (t) => t.title],
+  ["status", (t) => t.status],
+  ["priority", (t) => t.priority],
+  ["team", (t) => t.assigned_team],
+  ["affected_system", (t) => t.affected_system],
+  ["requester_email", (t) => t.requester_email],
+  ["assignee_email", (t) => t.assignee_email],
+  ["created_at", (t) => t.created_at],
+  ["updated_at", (t) => t.updated_at],
+  ["resolved_at", (t) => t.resolved_at],
+  ["sla_due_at", (t) => t.sla_due_at],
+  ["sla_status", (t) => t.sla_status],
+  ["first_response_due_at", (t) => t.first_response_due_at],
+  ["first_responded_at", (t) => t.first_responded_at],
+  ["first_response_status", (t) => t.first_response_status],
+  ["resolution_code", (t) => t.resolution_code],
+  ["resolution_note", (t) => t.resolution_note],
+  ["merged_into_id", (t) => t.merged_into_id],
+];
+
+const AUDIT_EXPORT = [
+  ["id", (a) => a.id],
+  ["created_at", (a) => a.created_at],
+  ["ticket_id", (a) => a.ticket_id],
+  ["ticket_title", (a) => a.ticket_title],
+  ["team", (a) => a.assigned_team],
+  ["action", (a) => a.action],
+  ["field", (a) => a.field_name],
+  ["old_value", (a) => a.old_value],
+  ["new_value", (a) => a.new_value],
+  ["actor_email", (a) => a.actor_email],
+];
+
+const COMMENT_EXPORT = [
+  ["id", (c) => c.id],
+  ["created_at", (c) => c.created_at],
+  ["ticket_id", (c) => c.ticket_id],
+  ["ticket_title", (c) => c.ticket_title],
+  ["team", (c) => c.assigned_team],
+  ["author_email", (c) => c.author_email],
+  ["body", (c) => c.body],
+];
+
+const listValues = (raw) =>
+  String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+function parseFormat(query) {
+  const format = String(query.format || "csv").toLowerCase();
+  return EXPORT_FORMATS[format] ? { format } : { error: "format must be csv|ndjson" };
+}
+
+// from/to (ISO) -> { from, to }; defaults to the last DEFAULT_RANGE_DAYS days
+function parseRange(query) {
+  const to = query.to ? new Date(String(query.to)) : new Date();
+  if (Number.isNaN(to.getTime())) return { error: "to must be an ISO date" };
+  const from = query.from
+    ? new Date(String(query.from))
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime())) return { error: "from must be an ISO date" };
+  if (from >= to) return { error: "from must be before to" };
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+/**
+ * Streaming CSV / NDJSON exports (?format=csv|ndjson, default csv).
+ * ADMIN: every team, or team=a,b (names or aliases); AGENT: their own team
+ * only. User ids are exported as emails.
+ * Mounted under /api (after auth).
+ */
+function exportRoutes({ store, teams }) {
+  const router = express.Router();
+  const staff = requireRole("AGENT", "ADMIN");
+
+  // Teams the caller may export: { teams } (null = all) or { status, error }
+  async function exportTeams(user, team) {
+    const requested = await teams.canonicalNames(listValues(team));
+    if (user.role === "ADMIN") return { teams: requested.length ? requested : null };
+
+    if (!user.team) return { status: 403, error: "Forbidden (agent has no team)" };
+    if (requested.some((name) => name !== user.team)) {
+      return { status: 403, error: "Forbidden (agents can only export their own team)" };
+    }
+    return { teams: [user.team] };
+  }
+
+  async function* ticketPages({ filters, sort, ascending }) {
+    let cursor = null;
+    for (;;) {
+      const { rows, hasMore } = await store.tickets.page(
+        { filters, sort, ascending, cursor, limit: PAGE_SIZE, withTotal: false },
+        EXPORT_TICKET_COLUMNS
+      );
+
+      const userIds = [...new Set(rows.flatMap((t) => [t.requester_user_id, t.assignee_user_id]).filter(Boolean))];
+      const emails = new Map((await store.users.listByIds(userIds, "id,email")).map((u) => [u.id, u.email]));
+      yield rows.map((t) => ({
+        ...t,
+        requester_email: emails.get(t.requester_user_id) || null,
+        assignee_email: emails.get(t.assignee_user_id) || null,
+      }));
+
+      if (!hasMore) return;
+      const last = rows[rows.length - 1];
+      cursor = { v: last[sort] ?? null, id: last.id };
+    }
+  }
+
+  // Keyset pages from an exportPage({ from, to, teams, after, limit }) repo method
+  async function* rangePages(exportPage, { from, to, teams: teamNames }) {
+    let after = null;
+    for (;;) {
+      const rows = await exportPage({ from, to, teams: teamNames, after, limit: PAGE_SIZE });
+      if (rows.length) yield rows;
+      if (rows.length < PAGE_SIZE) return;
+      after = rows[rows.length - 1];
+    }
+  }
+
+  const stamp = () => new Date().toISOString().slice(0, 10);
+
+  /**
+   * AGENT/ADMIN: GET /api/exports/tickets?format=csv|ndjson
+   * Same filters and sort as GET /api/tickets (status, priority, slaStatus,
+   * team, affectedSystem, requester, assignee, created/updated ranges, q,
+   * sort, order); cursor and limit are ignored.
+   */
+  router.get("/exports/tickets", staff, async (req, res) => {
+    try {
+      const { format, error: formatError } = parseFormat(req.query);
+      if (formatError) return res.status(400).json({ error: formatError });
+
+      const access = await exportTeams(req.user, req.query.team);
+      if (access.error) return res.status(access.status).json({ error: access.error });
+
+      const listQuery = parseTicketListQuery({ ...req.query, team: undefined, cursor: undefined });
+      if (listQuery.error) return res.status(400).json({ error: listQuery.error });
+
+      const { filters, requesterEmail, assignee, sort, ascending } = listQuery;
+      if (access.teams) filters.push({ column: "assigned_team", op: "in", value: access.teams });
+
+      if (assignee === "none") {
+        filters.push({ column: "assignee_user_id", op: "is", value: null });
+      } else if (assignee) {
+        filters.push({ column: "assignee_user_id", op: "eq", value: assignee === "me" ? req.user.id : assignee });
+      }
+
+      let requesterMissing = false;
+      if (requesterEmail) {
+        const requester = await store.users.findByEmail(requesterEmail, "id");
+        if (requester?.id) filters.push({ column: "requester_user_id", op: "eq", value: requester.id });
+        else requesterMissing = true;
+      }
+
+      const count = await streamExport(res, {
+        format,
+        filename: `tickets-${stamp()}`,
+        columns: TICKET_EXPORT,
+        pages: requesterMissing ? [] : ticketPages({ filters, sort, ascending }),
+      });
+      logger.info("Export finished", { kind: "tickets", rows: count, format, by: req.user.email });
+    } catch (e) {
+      if (res.headersSent) return res.destroy(e);
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * AGENT/ADMIN: GET /api/exports/audit-logs?format=&from=ISO&to=ISO&team=
+   * Audit entries created in [from, to) (default: last 30 days), oldest first.
+   */
+  router.get("/exports/audit-logs", staff, async (req, res) => {
+    try {
+      const { format, error: formatError } = parseFormat(req.query);
+      if (formatError) return res.status(400).json({ error: formatError });
+
+      const range = parseRange(req.query);
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      const access = await exportTeams(req.user, req.query.team);
+      if (access.error) return res.status(access.status).json({ error: access.error });
+
+      const count = await streamExport(res, {
+        format,
+        filename: `audit-logs-${range.from.slice(0, 10)}-${range.to.slice(0, 10)}`,
+        columns: AUDIT_EXPORT,
+        pages: rangePages(store.auditLogs.exportPage, { ...range, teams: access.teams }),
+      });
+      logger.info("Export finished", { kind: "audit", rows: count, format, by: req.user.email });
+    } catch (e) {
+      if (res.headersSent) return res.destroy(e);
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * AGENT/ADMIN: GET /api/exports/comments?format=&from=ISO&to=ISO&team=
+   * Ticket comments created in [from, to) (default: last 30 days), oldest first.
+   */
+  router.get("/exports/comments", staff, async (req, res) => {
+    try {
+      const { format, error: formatError } = parseFormat(req.query);
+      if (formatError) return res.status(400).json({ error: formatError });
+
+      const range = parseRange(req.query);
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      const access = await exportTeams(req.user, req.query.team);
+      if (access.error) return res.status(access.status).json({ error: access.error });
+
+      const count = await streamExport(res, {
+        format,
+        filename: `comments-${range.from.slice(0, 10)}-${range.to.slice(0, 10)}`,
+        columns: COMMENT_EXPORT,
+        pages: rangePages(store.comments.exportPage, { ...range, teams: access.teams }),
+      });
+      logger.info("Export finished", { kind: "comments", rows: count, format, by: req.user.email });
+    } catch (e) {
+      if (res.headersSent) return res.destroy(e);
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { exportRoutes };
@@ -0,0 +1,151 @@
+const crypto = require("crypto");
+const express = require("express");
+const { canAccessTicket } = require("../auth");
+const { parseInboundEmail } = require("../inbound/email");
+const { logger } = require("../observability/logger");
+
+// Merged tickets followed before a reply is given up on
+const MAX_MERGE_HOPS = 5;
+
+function secretMatches(expected, given) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Inbound email gateway (mail provider -> helpdesk).
+ * Mounted under /api/inbound BEFORE bearer auth; callers authenticate
+ * with X-Inbound-Secret = INBOUND_EMAIL_SECRET.
+ *
+ * New messages become tickets through the same path as POST /api/tickets
+ * (sender upserted as requester, triage, SLA). Replies that reference a
+ * ticket (subject "[Ticket abcd1234]" or In-Reply-To / References) become
+ * comments, if the sender can see that ticket. A reply on the thread of a
+ * merged duplicate goes to the ticket it was merged into. Auto-replies are
+ * ignored, and a redelivered Message-ID is a no-op.
+ *
+ * New tickets count against the sender's ticket rate limit (`rateLimiter`
+ * rule "ticketsPerEmail"); over it, the message is REJECTED.
+ */
+function inboundEmailRoutes({ store, auth, ticketService, secret, rateLimiter = null }) {
+  const router = express.Router();
+
+  async function record(mail, outcome, { reason = null, ticketId = null } = {}) {
+    await store.inboundEmails.create({
+      message_id: mail.messageId || `<generated-${crypto.randomUUID()}@helpdesk>`,
+      from_email: mail.fromEmail || null,
+      subject: mail.subject || null,
+      outcome,
+      reason,
+      ticket_id: ticketId,
+    });
+    return { outcome, reason, ticketId };
+  }
+
+  async function handle(mail) {
+    if (mail.messageId) {
+      const seen = await store.inboundEmails.findByMessageId(mail.messageId);
+      if (seen) {
+        return { status: 200, body: { duplicate: true, outcome: seen.outcome, ticketId: seen.ticket_id } };
+      }
+    }
+
+    if (mail.autoReply) {
+      return { status: 200, body: await record(mail, "IGNORED", { reason: mail.autoReply }) };
+    }
+
+    const referenced = mail.ticketRef ? await store.tickets.findByRef(mail.ticketRef) : null;
+
+    // Reply to an existing ticket -> comment
+    if (referenced) {
+      const sender = await store.users.findByEmail(mail.fromEmail);
+      if (!sender || !canAccessTicket(sender, referenced)) {
+        const reason = "sender cannot access the referenced ticket";
+        return { status: 200, body: await record(mail, "REJECTED", { reason, ticketId: referenced.id }) };
+      }
+
+      // Merged duplicate -> the primary ticket (the merge made the sender a watcher there)
+      let ticket = referenced;
+      for (let hops = 0; ticket?.merged_into_id && hops < MAX_MERGE_HOPS; hops++) {
+        ticket = await store.tickets.findById(ticket.merged_into_id);
+      }
+      if (!ticket || ticket.merged_into_id) {
+        const reason = "merged ticket not found";
+        return { status: 200, body: await record(mail, "REJECTED", { reason, ticketId: referenced.id }) };
+      }
+      if (!mail.body) {
+        const reason = "empty reply";
+        return { status: 200, body: await record(mail, "IGNORED", { reason, ticketId: ticket.id }) };
+      }
+
+      await ticketService.comment({ ticket, actor: sender, body: mail.body });
+      return { status: 200, body: await record(mail, "COMMENT_ADDED", { ticketId: ticket.id }) };
+    }
+
+    // New request -> ticket
+    if (rateLimiter && !(await rateLimiter.hit("ticketsPerEmail", mail.fromEmail)).allowed) {
+      return { status: 200, body: await record(mail, "REJECTED", { reason: "sender rate limit exceeded" }) };
+    }
+    const requester = await auth.findOrCreateUser({ email: mail.fromEmail, name: mail.fromName });
+    const title = mail.title || "(no subject)";
+    const { ticket: created } = await ticketService.create({
+      requester,
+      name: requester.name || mail.fromName,
+      department: requester.department,
+      title,
+      description: mail.body || title,
+    });
+    return { status: 201, body: await record(mail, "TICKET_CREATED", { ticketId: created.id }) };
+  }
+
+  /**
+   * POST /api/inbound/email
+   * Body: the raw message (Content-Type message/rfc822, text/plain or
+   * application/octet-stream), or JSON { raw }.
+   * Returns { outcome: TICKET_CREATED|COMMENT_ADDED|IGNORED|REJECTED, ticketId, reason }.
+   */
+  router.post(
+    "/email",
+    express.raw({
+      type: ["message/rfc822", "text/plain", "application/octet-stream"],
+      limit: "25mb",
+    }),
+    async (req, res) => {
+      if (!secret) {
+        return res.status(503).json({ error: "Inbound email is not configured (INBOUND_EMAIL_SECRET)" });
+      }
+      if (!secretMatches(secret, req.get("X-Inbound-Secret"))) {
+        return res.status(401).json({ error: "Unauthorized (bad inbound secret)" });
+      }
+
+      try {
+        const raw = Buffer.isBuffer(req.body) ? req.body : req.body?.raw;
+        if (!raw || !raw.length) {
+          return res.status(400).json({ error: "raw message body is required" });
+        }
+
+        const mail = await parseInboundEmail(raw);
+        if (!mail.fromEmail) {
+          return res.status(400).json({ error: "message has no From address" });
+        }
+
+        const { status, body } = await handle(mail);
+        logger.info("Inbound email", {
+          from: mail.fromEmail,
+          outcome: body.outcome,
+          duplicate: !!body.duplicate,
+          reason: body.reason || null,
+          ticketId: body.ticketId || null,
+        });
+        return res.status(status).json(body);
+      } catch (e) {
+        return res.status(500).json({ error: e?.message || "Server error" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = { inboundEmailRoutes };
@@ -0,0 +1,219 @@
+const express = require("express");
+const { requireRole, loadAccessibleTicket } = require("../auth");
+
+const ARTICLE_STATUSES = ["DRAFT", "PUBLISHED", "ARCHIVED"];
+const STAFF_ROLES = ["AGENT", "ADMIN"];
+
+const isStaff = (user) => STAFF_ROLES.includes(user?.role);
+
+// ADMIN: any article; AGENT: shared articles and their own team's
+function canEditArticle(user, article) {
+  if (user.role === "ADMIN") return true;
+  return user.role === "AGENT" && (!article.team || article.team === user.team);
+}
+
+// "a, b" | ["a","b"] -> ["a","b"] (lower-cased, unique)
+function toTags(value) {
+  const items = Array.isArray(value) ? value : String(value || "").split(",");
+  return [...new Set(items.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+// camelCase request body -> kb_articles columns; returns { article } or { error }
+function articleFromBody(body = {}, existing = {}) {
+  const pick = (key, fallback) => (body[key] !== undefined ? body[key] : fallback);
+
+  const article = {
+    title: String(pick("title", existing.title) || "").trim(),
+    body: String(pick("body", existing.body) ?? ""),
+    tags: toTags(pick("tags", existing.tags)),
+    team: pick("team", existing.team) || null,
+    status: String(pick("status", existing.status) || "DRAFT").toUpperCase(),
+  };
+
+  if (!article.title) return { error: "title is required" };
+  if (!ARTICLE_STATUSES.includes(article.status)) {
+    return { error: `status must be ${ARTICLE_STATUSES.join("|")}` };
+  }
+  return { article };
+}
+
+/**
+ * Knowledge base: articles (agents write, everyone reads PUBLISHED),
+ * drafts from resolved tickets and the try-KB-first deflection answer.
+ * Mounted under /api (after auth).
+ */
+function knowledgeRoutes({ store, knowledge }) {
+  const router = express.Router();
+  const staffOnly = requireRole(...STAFF_ROLES);
+
+  const withUrl = (a) => ({ ...a, url: knowledge.articleUrl(a.id) });
+
+  /**
+   * GET /api/kb/articles?q=&tag=&team=&status=&limit=50
+   * Requesters only ever see PUBLISHED articles.
+   */
+  router.get("/kb/articles", async (req, res) => {
+    try {
+      const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+      if (status && !ARTICLE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be ${ARTICLE_STATUSES.join("|")}` });
+      }
+
+      const articles = await store.kbArticles.list({
+        q: req.query.q ? String(req.query.q).trim() : null,
+        tag: req.query.tag ? String(req.query.tag).trim().toLowerCase() : null,
+        team: req.query.team ? String(req.query.team) : null,
+        status: isStaff(req.user) ? status : "PUBLISHED",
+        limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+      });
+      return res.json({ articles: articles.map(withUrl) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * GET /api/kb/articles/:id
+   */
+  router.get("/kb/articles/:id", async (req, res) => {
+    try {
+      const article = await store.kbArticles.findById(req.params.id);
+      if (!article || (!isStaff(req.user) && article.status !== "PUBLISHED")) {
+        return res.status(404).json({ error: "article not found" });
+      }
+      const { search_vector, ...rest } = article;
+      return res.json({ article: withUrl(rest) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * AGENT/ADMIN: POST /api/kb/articles
+   * Body: { title, body, tags?: string[], team?, status?: DRAFT|PUBLISHED|ARCHIVED }
+   * Agents can only create articles for their own team (or shared ones).
+   */
+  router.post("/kb/articles", staffOnly, async (req, res) => {
+    try {
+      const { article, error } = articleFromBody(req.body);
+      if (error) return res.status(400).json({ error });
+      if (!canEditArticle(req.user, article)) {
+        return res.status(403).json({ error: "Forbidden (article belongs to another team)" });
+      }
+
+      const created = await store.kbArticles.create({
+        ...article,
+        author_id: req.user.id,
+        updated_at: new Date().toISOString(),
+      });
+      return res.status(201).json({ article: withUrl(created) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * AGENT/ADMIN: PATCH /api/kb/articles/:id
+   */
+  router.patch("/kb/articles/:id", staffOnly, async (req, res) => {
+    try {
+      const existing = await store.kbArticles.findById(req.params.id);
+      if (!existing) return res.status(404).json({ error: "article not found" });
+
+      const { article, error } = articleFromBody(req.body, existing);
+      if (error) return res.status(400).json({ error });
+      if (!canEditArticle(req.user, existing) || !canEditArticle(req.user, article)) {
+        return res.status(403).json({ error: "Forbidden (article belongs to another team)" });
+      }
+
+      const updated = await store.kbArticles.update(existing.id, {
+        ...article,
+        updated_at: new Date().toISOString(),
+      });
+      return res.json({ ok: true, article: withUrl(updated) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * AGENT/ADMIN: DELETE /api/kb/articles/:id
+   */
+  router.delete("/kb/articles/:id", staffOnly, async (req, res) => {
+    try {
+      const existing = await store.kbArticles.findById(req.params.id);
+      if (!existing) return res.status(404).json({ error: "article not found" });
+      if (!canEditArticle(req.user, existing)) {
+        return res.status(403).json({ error: "Forbidden (article belongs to another team)" });
+      }
+
+      await store.kbArticles.remove(existing.id);
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * AGENT/ADMIN: POST /api/kb/articles/from-ticket/:ticketId
+   * Drafts an article from a RESOLVED/CLOSED ticket (problem, details and
+   * the agents' comments as the resolution).
+   */
+  router.post("/kb/articles/from-ticket/:ticketId", staffOnly, async (req, res) => {
+    try {
+      const ticket = await loadAccessibleTicket(store, req, res, req.params.ticketId);
+      if (!ticket) return;
+      if (!["RESOLVED", "CLOSED"].includes(ticket.status)) {
+        return res.status(409).json({ error: "Only RESOLVED or CLOSED tickets can become articles" });
+      }
+
+      const comments = await store.comments.listForTicket(ticket.id);
+      const authors = await store.users.listByIds([...new Set(comments.map((c) => c.author_id))]);
+      const staffIds = new Set(authors.filter(isStaff).map((u) => u.id));
+
+      const created = await store.kbArticles.create({
+        ...knowledge.draftFromTicket(ticket, comments, staffIds),
+        author_id: req.user.id,
+        updated_at: new Date().toISOString(),
+      });
+      return res.status(201).json({ article: withUrl(created) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * POST /api/kb/deflections/:id
+   * Body: { helped: boolean } - the requester's answer to the articles
+   * shown by POST /api/tickets (tryKbFirst). helped: false is also
+   * recorded automatically when they file the ticket anyway.
+   */
+  router.post("/kb/deflections/:id", async (req, res) => {
+    try {
+      const { helped } = req.body || {};
+      if (typeof helped !== "boolean") {
+        return res.status(400).json({ error: "helped must be a boolean" });
+      }
+
+      const deflection = await store.kbDeflections.findById(req.params.id);
+      if (!deflection || deflection.user_id !== req.user.id) {
+        return res.status(404).json({ error: "deflection not found" });
+      }
+      if (deflection.ticket_id) {
+        return res.status(409).json({ error: "a ticket was already filed for this request" });
+      }
+
+      await store.kbDeflections.update(deflection.id, {
+        helped,
+        answered_at: new Date().toISOString(),
+      });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { knowledgeRoutes };
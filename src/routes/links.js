@@ -0,0 +1,260 @@
+const express = require("express");
+const { requireRole, canAccessTicket, loadAccessibleTicket } = require("../auth");
+const { RELATIONS, INVERSE, MAX_PARENT_DEPTH, linkRow, relationFor } = require("../tickets/links");
+
+// tickets row -> linked ticket summary
+function linkedTicket(t) {
+  return {
+    id: t.id,
+    title: t.title,
+    status: t.status,
+    priority: t.priority,
+    assignedTeam: t.assigned_team,
+    mergedIntoId: t.merged_into_id || null,
+  };
+}
+
+/**
+ * Duplicate candidates, ticket links (duplicate / related / parent-child)
+ * and merging a duplicate into its primary ticket. Reading links follows
+ * ticket access; changing them is AGENT/ADMIN.
+ * Mounted under /api (after auth).
+ */
+function ticketLinkRoutes({ store, ticketService, publish }) {
+  const router = express.Router();
+  const staffOnly = requireRole("AGENT", "ADMIN");
+
+  // Would making parentId the parent of childId close a loop?
+  async function createsCycle(parentId, childId) {
+    let current = parentId;
+    for (let depth = 0; current && depth < MAX_PARENT_DEPTH; depth++) {
+      if (current === childId) return true;
+      current = (await store.ticketLinks.findParent(current))?.ticket_id || null;
+    }
+    return !!current;
+  }
+
+  /**
+   * GET /api/tickets/:id/links
+   * Returns { links: [{ id, relation, ticket, createdAt }] }; relation is
+   * DUPLICATE_OF | DUPLICATED_BY | PARENT_OF | CHILD_OF | RELATED, seen
+   * from this ticket. Linked tickets the caller cannot see are left out.
+   */
+  router.get("/tickets/:id/links", async (req, res) => {
+    try {
+      const ticket = await loadAccessibleTicket(store, req, res, req.params.id);
+      if (!ticket) return;
+
+      const links = await store.ticketLinks.listForTicket(ticket.id);
+      const others = await Promise.all(
+        links.map((l) => store.tickets.findById(relationFor(l, ticket.id).otherId))
+      );
+
+      const result = [];
+      links.forEach((link, i) => {
+        const other = others[i];
+        if (!other || !canAccessTicket(req.user, other)) return;
+        result.push({
+          id: link.id,
+          relation: relationFor(link, ticket.id).relation,
+          ticket: linkedTicket(other),
+          createdAt: link.created_at,
+        });
+      });
+
+      return res.json({ links: result });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * AGENT/ADMIN: POST /api/tickets/:id/links
+   * Body: { ticketId, relation: DUPLICATE_OF|DUPLICATED_BY|PARENT_OF|CHILD_OF|RELATED }
+   * One link per pair of tickets; a ticket has at most one parent.
+   */
+  router.post("/tickets/:id/links", staffOnly, async (req, res) => {
+    try {
+      const { ticketId, relation } = req.body || {};
+      const rel = String(relation || "").toUpperCase();
+      if (!RELATIONS[rel]) {
+        return res.status(400).json({ error: `relation must be ${Object.keys(RELATIONS).join("|")}` });
+      }
+      if (!ticketId) return res.status(400).json({ error: "ticketId is required" });
+      if (ticketId === req.params.id) {
+        return res.status(400).json({ error: "a ticket cannot be linked to itself" });
+      }
+
+      const ticket = await loadAccessibleTicket(store, req, res, req.params.id);
+      if (!ticket) return;
+      const other = await loadAccessibleTicket(store, req, res, String(ticketId), { label: "linked ticket" });
+      if (!other) return;
+
+      if (await store.ticketLinks.findBetween(ticket.id, other.id)) {
+        return res.status(409).json({ error: "these tickets are already linked" });
+      }
+
+      const row = linkRow(ticket.id, other.id, rel);
+      if (row.link_type === "PARENT") {
+        if (await store.ticketLinks.findParent(row.linked_ticket_id)) {
+          return res.status(409).json({ error: "the child ticket already has a parent" });
+        }
+        if (await createsCycle(row.ticket_id, row.linked_ticket_id)) {
+          return res.status(409).json({ error: "link would create a parent/child cycle" });
+        }
+      }
+
+      const link = await store.ticketLinks.create({ ...row, created_by: req.user.id });
+
+      const audit = (t, relationName, otherId) => ({
+        ticket_id: t.id,
+        actor_id: req.user.id,
+        action: "TICKET_LINKED",
+        field_name: relationName,
+        old_value: null,
+        new_value: otherId,
+      });
+      const audits = [audit(ticket, rel, other.id), audit(other, INVERSE[rel], ticket.id)];
+      await store.auditLogs.create(audits);
+      await publish(ticket, [audits[0]]);
+      await publish(other, [audits[1]]);
+
+      return res.status(201).json({
+        link: { id: link.id, relation: rel, ticket: linkedTicket(other), createdAt: link.created_at },
+      });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * AGENT/ADMIN: DELETE /api/tickets/:id/links/:linkId
+   */
+  router.delete("/tickets/:id/links/:linkId", staffOnly, async (req, res) => {
+    try {
+      const ticket = await loadAccessibleTicket(store, req, res, req.params.id);
+      if (!ticket) return;
+
+      const link = await store.ticketLinks.findById(req.params.linkId);
+      if (!link || (link.ticket_id !== ticket.id && link.linked_ticket_id !== ticket.id)) {
+        return res.status(404).json({ error: "link not found" });
+      }
+
+      const { relation, otherId } = relationFor(link, ticket.id);
+      await store.ticketLinks.remove(link.id);
+
+      const audits = [
+        {
+          ticket_id: ticket.id,
+          actor_id: req.user.id,
+          action: "TICKET_UNLINKED",
+          field_name: relation,
+          old_value: otherId,
+          new_value: null,
+        },
+        {
+          ticket_id: otherId,
+          actor_id: req.user.id,
+          action: "TICKET_UNLINKED",
+          field_name: INVERSE[relation],
+          old_value: ticket.id,
+          new_value: null,
+        },
+      ];
+      await store.auditLogs.create(audits);
+      await publish(ticket, [audits[0]]);
+
+      const other = await store.tickets.findById(otherId);
+      if (other) await publish(other, [audits[1]]);
+
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * AGENT/ADMIN: GET /api/tickets/:id/duplicates
+   * Open tickets that look like the same problem (same check as on create).
+   */
+  router.get("/tickets/:id/duplicates", staffOnly, async (req, res) => {
+    try {
+      const ticket = await loadAccessibleTicket(store, req, res, req.params.id);
+      if (!ticket) return;
+
+      const duplicates = await ticketService.findDuplicates({
+        title: ticket.title,
+        description: ticket.description,
+        affectedSystem: ticket.affected_system,
+        excludeId: ticket.id,
+      });
+      return res.json({ duplicates });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * AGENT/ADMIN: POST /api/tickets/:id/merge
+   * Body: { into: <primary ticket id> }
+   * Moves this ticket's comments, attachments and audit history to the
+   * primary, makes its requester and watchers watch the primary and closes
+   * it as a duplicate. Returns { ok, ticket: primary, merged: { id, version } }.
+   */
+  router.post("/tickets/:id/merge", staffOnly, async (req, res) => {
+    try {
+      const { into } = req.body || {};
+      if (!into) return res.status(400).json({ error: "into (primary ticket id) is required" });
+      if (into === req.params.id) {
+        return res.status(400).json({ error: "a ticket cannot be merged into itself" });
+      }
+
+      const source = await loadAccessibleTicket(store, req, res, req.params.id);
+      if (!source) return;
+      const target = await loadAccessibleTicket(store, req, res, String(into), { label: "primary ticket" });
+      if (!target) return;
+
+      if (source.merged_into_id) {
+        return res.status(409).json({ error: "ticket was already merged" });
+      }
+      if (target.merged_into_id || target.status === "CLOSED") {
+        return res.status(409).json({ error: "primary ticket is closed" });
+      }
+
+      const result = await store.tickets.merge({
+        sourceId: source.id,
+        targetId: target.id,
+        actorId: req.user.id,
+      });
+      if (!result) return res.status(409).json({ error: "ticket was already merged" });
+
+      const [mergedSource, primary] = await Promise.all([
+        store.tickets.findById(source.id),
+        store.tickets.findById(target.id),
+      ]);
+
+      const audit = (ticketId, fieldName, oldValue, newValue) => ({
+        ticket_id: ticketId,
+        actor_id: req.user.id,
+        action: "TICKET_MERGED",
+        field_name: fieldName,
+        old_value: oldValue,
+        new_value: newValue,
+      });
+      await publish(mergedSource, [audit(source.id, "merged_into", source.status, target.id)]);
+      await publish(primary, [audit(target.id, "merged_from", null, source.id)]);
+
+      return res.json({
+        ok: true,
+        ticket: primary,
+        merged: { id: mergedSource.id, version: result.sourceVersion },
+      });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { ticketLinkRoutes };
@@ -0,0 +1,158 @@
+const express = require("express");
+const { requireAdmin, canAccessTicket, loadAccessibleTicket } = require("../auth");
+const { AUDIT_ACTIONS } = require("../tickets/auditMessages");
+
+const STAFF_ROLES = ["AGENT", "ADMIN"];
+
+function publicPreferences(pref) {
+  return {
+    emailEnabled: pref ? pref.email_enabled !== false : true,
+    mutedEvents: pref?.muted_events || [],
+  };
+}
+
+/**
+ * Notification preferences, ticket watchers and (ADMIN) the capture
+ * mailbox. Mounted under /api (after auth).
+ */
+function notificationRoutes({ store, mailer }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/me/notifications
+   * Returns { emailEnabled, mutedEvents } and the events that can be muted.
+   */
+  router.get("/me/notifications", async (req, res) => {
+    try {
+      const pref = await store.notificationPreferences.findByUser(req.user.id);
+      return res.json({ preferences: publicPreferences(pref), events: AUDIT_ACTIONS });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * PUT /api/me/notifications
+   * Body: { emailEnabled?: boolean, mutedEvents?: string[] }
+   */
+  router.put("/me/notifications", async (req, res) => {
+    try {
+      const { emailEnabled, mutedEvents } = req.body || {};
+      const fields = { updated_at: new Date().toISOString() };
+
+      if (emailEnabled !== undefined) {
+        if (typeof emailEnabled !== "boolean") {
+          return res.status(400).json({ error: "emailEnabled must be a boolean" });
+        }
+        fields.email_enabled = emailEnabled;
+      }
+
+      if (mutedEvents !== undefined) {
+        const list = (Array.isArray(mutedEvents) ? mutedEvents : [])
+          .map((e) => String(e).trim().toUpperCase())
+          .filter(Boolean);
+        const unknown = list.filter((e) => !AUDIT_ACTIONS.includes(e));
+        if (!Array.isArray(mutedEvents) || unknown.length) {
+          return res.status(400).json({
+            error: `mutedEvents must be a list of ${AUDIT_ACTIONS.join("|")}`,
+          });
+        }
+        fields.muted_events = [...new Set(list)];
+      }
+
+      const pref = await store.notificationPreferences.set(req.user.id, fields);
+      return res.json({ ok: true, preferences: publicPreferences(pref) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * GET /api/tickets/:id/watchers
+   */
+  router.get("/tickets/:id/watchers", async (req, res) => {
+    try {
+      const ticket = await loadAccessibleTicket(store, req, res, req.params.id);
+      if (!ticket) return;
+
+      const rows = await store.watchers.listForTicket(ticket.id);
+      const users = await store.users.listByIds(rows.map((w) => w.user_id));
+      const byId = new Map(users.map((u) => [u.id, u]));
+
+      return res.json({
+        watchers: rows.map((w) => ({
+          userId: w.user_id,
+          email: byId.get(w.user_id)?.email || null,
+          name: byId.get(w.user_id)?.name || null,
+          since: w.created_at,
+        })),
+      });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * POST /api/tickets/:id/watchers
+   * Body: { email? } - watch the ticket yourself, or (AGENT/ADMIN) add
+   * another user who can see the ticket.
+   */
+  router.post("/tickets/:id/watchers", async (req, res) => {
+    try {
+      const ticket = await loadAccessibleTicket(store, req, res, req.params.id);
+      if (!ticket) return;
+
+      const email = String(req.body?.email || "").trim();
+      let watcher = req.user;
+
+      if (email && email.toLowerCase() !== String(req.user.email).toLowerCase()) {
+        if (!STAFF_ROLES.includes(req.user.role)) {
+          return res.status(403).json({ error: "Only agents can add other watchers" });
+        }
+        watcher = await store.users.findByEmail(email);
+        if (!watcher) return res.status(404).json({ error: "user not found" });
+        if (!canAccessTicket(watcher, ticket)) {
+          return res.status(400).json({ error: "user cannot see this ticket" });
+        }
+      }
+
+      await store.watchers.add(ticket.id, watcher.id);
+      return res.status(201).json({ ok: true, userId: watcher.id });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * DELETE /api/tickets/:id/watchers/:userId   (userId "me" = yourself)
+   */
+  router.delete("/tickets/:id/watchers/:userId", async (req, res) => {
+    try {
+      const ticket = await loadAccessibleTicket(store, req, res, req.params.id);
+      if (!ticket) return;
+
+      const userId = req.params.userId === "me" ? req.user.id : req.params.userId;
+      if (userId !== req.user.id && !STAFF_ROLES.includes(req.user.role)) {
+        return res.status(403).json({ error: "Only agents can remove other watchers" });
+      }
+
+      const removed = await store.watchers.remove(ticket.id, userId);
+      if (!removed) return res.status(404).json({ error: "not watching" });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * ADMIN: GET /api/admin/notifications/captured
+   * Messages kept by MAIL_TRANSPORT=capture (newest first).
+   */
+  router.get("/admin/notifications/captured", requireAdmin, (req, res) => {
+    return res.json({ transport: mailer.transport, messages: mailer.captured() });
+  });
+
+  return router;
+}
+
+module.exports = { notificationRoutes };
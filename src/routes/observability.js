@@ -0,0 +1,103 @@
+const crypto = require("crypto");
+const express = require("express");
+const { metrics } = require("../observability/metrics");
+
+function tokenMatches(expected, header) {
+  const given = String(header || "").replace(/^Bearer\s+/i, "");
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function withTimeout(ms, fn) {
+  let timer;
+  try {
+    return await Promise.race([
+      fn(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`no answer within ${ms}ms`)), ms);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Probes and metrics, mounted at the root BEFORE bearer auth.
+ *
+ * GET /health   liveness: the process answers (no dependency checks, so a
+ *               database outage does not get every instance restarted)
+ * GET /ready    readiness: 200 when the database answers, 503 otherwise.
+ *               The AI provider is checked too (at most every
+ *               `aiCheckSeconds`) but only marks the instance degraded:
+ *               triage falls back to rules, and another instance would
+ *               reach the same provider.
+ * GET /metrics  Prometheus text format; with `metricsToken` set it needs
+ *               Authorization: Bearer <token>.
+ */
+function observabilityRoutes({
+  store,
+  triageEngine,
+  registry,
+  metricsToken = null,
+  aiCheckSeconds = 60,
+  timeoutMs = 3000,
+}) {
+  const router = express.Router();
+  let aiChecked = { at: 0, results: null };
+
+  async function checkDatabase() {
+    const start = Date.now();
+    try {
+      await withTimeout(timeoutMs, () => store.health.ping());
+      return { ok: true, latencyMs: Date.now() - start, error: null };
+    } catch (e) {
+      return { ok: false, latencyMs: Date.now() - start, error: e?.message || String(e) };
+    }
+  }
+
+  async function checkAi() {
+    if (aiChecked.results && Date.now() - aiChecked.at < aiCheckSeconds * 1000) return aiChecked.results;
+    const results = await withTimeout(timeoutMs * 2, () => triageEngine.check()).catch((e) =>
+      triageEngine.providers.filter((p) => p !== "rules").map((provider) => ({
+        provider,
+        ok: false,
+        latencyMs: null,
+        error: e.message,
+      }))
+    );
+    aiChecked = { at: Date.now(), results };
+    return results;
+  }
+
+  router.get("/health", (_, res) => res.json({ ok: true }));
+
+  router.get("/ready", async (req, res) => {
+    const [database, ai] = await Promise.all([checkDatabase(), checkAi()]);
+    metrics.dependencyUp.set({ dependency: "database" }, database.ok ? 1 : 0);
+    for (const r of ai) metrics.dependencyUp.set({ dependency: r.provider }, r.ok ? 1 : 0);
+
+    return res.status(database.ok ? 200 : 503).json({
+      ready: database.ok,
+      degraded: ai.some((r) => !r.ok),
+      checks: { database, ai },
+    });
+  });
+
+  router.get("/metrics", async (req, res) => {
+    if (metricsToken && !tokenMatches(metricsToken, req.get("Authorization"))) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    try {
+      res.type("text/plain; version=0.0.4; charset=utf-8");
+      return res.send(await registry.render());
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { observabilityRoutes };
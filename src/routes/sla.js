@@ -0,0 +1,404 @@
+const express = require("express");
+const { requireAdmin } = require("../auth");
+const { validateCalendar } = require("../sla/calendar");
+const { TARGET_UNITS } = require("../sla/policy");
+const {
+  ESCALATION_TRIGGERS,
+  ESCALATION_ACTIONS,
+  SLA_TYPES,
+} = require("../sla/monitor");
+
+const PRIORITIES = ["HIGH", "MEDIUM", "LOW"];
+
+// camelCase request body -> business_calendars columns
+function calendarFromBody(body = {}) {
+  return {
+    name: body.name !== undefined ? String(body.name).trim() : undefined,
+    timezone: body.timezone,
+    working_hours: body.workingHours,
+    holidays: body.holidays,
+    hours_per_day: body.hoursPerDay,
+    is_default: body.isDefault !== undefined ? !!body.isDefault : undefined,
+  };
+}
+
+// camelCase request body -> sla_escalation_rules columns; returns
+// { rule } or { error }
+function escalationRuleFromBody(body = {}, existing = {}) {
+  const pick = (key, fallback) => (body[key] !== undefined ? body[key] : fallback);
+  const upper = (v) => (v ? String(v).trim().toUpperCase() : null);
+
+  const rule = {
+    team: pick("team", existing.team) || null,
+    priority: upper(pick("priority", existing.priority)),
+    sla_type: upper(pick("slaType", existing.sla_type)) || "RESOLUTION",
+    trigger: upper(pick("trigger", existing.trigger)),
+    action: upper(pick("action", existing.action)),
+    target_team: pick("targetTeam", existing.target_team) || null,
+    notify_email: pick("notifyEmail", existing.notify_email) || null,
+    enabled: pick("enabled", existing.enabled ?? true) !== false,
+  };
+
+  if (rule.priority && !PRIORITIES.includes(rule.priority)) {
+    return { error: "priority must be HIGH|MEDIUM|LOW (or omitted for any)" };
+  }
+  if (!SLA_TYPES.includes(rule.sla_type)) {
+    return { error: `slaType must be ${SLA_TYPES.join("|")}` };
+  }
+  if (!ESCALATION_TRIGGERS.includes(rule.trigger)) {
+    return { error: `trigger must be ${ESCALATION_TRIGGERS.join("|")}` };
+  }
+  if (!ESCALATION_ACTIONS.includes(rule.action)) {
+    return { error: `action must be ${ESCALATION_ACTIONS.join("|")}` };
+  }
+  if (rule.action === "REASSIGN" && !rule.target_team) {
+    return { error: "targetTeam is required for REASSIGN" };
+  }
+  if (rule.action === "NOTIFY" && !rule.notify_email) {
+    return { error: "notifyEmail is required for NOTIFY" };
+  }
+  return { rule };
+}
+
+/**
+ * ADMIN: business calendars, team -> calendar assignment, SLA policies
+ * and escalation rules.
+ * Mounted under /api/admin (after auth).
+ */
+function slaAdminRoutes({ store, sla, teams }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  // Team name or alias -> { name } (canonical), or { error } when unknown
+  async function canonicalTeam(value) {
+    if (!value) return { name: null };
+    const team = await teams.resolve(value);
+    return team ? { name: team.name } : { error: `unknown team: ${value}` };
+  }
+
+  // Canonical team / target_team on an escalation rule, in place
+  async function canonicalRuleTeams(rule) {
+    for (const column of ["team", "target_team"]) {
+      const { name, error } = await canonicalTeam(rule[column]);
+      if (error) return error;
+      rule[column] = name;
+    }
+    return null;
+  }
+
+  /**
+   * GET /api/admin/calendars
+   * Returns calendars with the teams assigned to each.
+   */
+  router.get("/calendars", async (req, res) => {
+    try {
+      const [calendars, mappings] = await Promise.all([
+        store.calendars.list(),
+        store.teamCalendars.list(),
+      ]);
+
+      const teamsByCalendar = {};
+      for (const m of mappings) {
+        (teamsByCalendar[m.calendar_id] = teamsByCalendar[m.calendar_id] || []).push(m.team);
+      }
+
+      return res.json({
+        calendars: calendars.map((c) => ({ ...c, teams: teamsByCalendar[c.id] || [] })),
+      });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * POST /api/admin/calendars
+   * Body: { name, timezone, workingHours: { mon: [{ start, end }], ... },
+   *         holidays?: ["YYYY-MM-DD"], hoursPerDay?, isDefault? }
+   */
+  router.post("/calendars", async (req, res) => {
+    try {
+      const calendar = calendarFromBody(req.body);
+      calendar.holidays = calendar.holidays || [];
+      calendar.hours_per_day = calendar.hours_per_day ?? null;
+      calendar.is_default = !!calendar.is_default;
+
+      const invalid = validateCalendar(calendar);
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      if (calendar.is_default) await store.calendars.clearDefault();
+
+      const nowIso = new Date().toISOString();
+      const created = await store.calendars.create({ ...calendar, updated_at: nowIso });
+      return res.status(201).json({ calendar: created });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * PATCH /api/admin/calendars/:id
+   * Body: any of the POST fields
+   */
+  router.patch("/calendars/:id", async (req, res) => {
+    try {
+      const existing = await store.calendars.findById(req.params.id);
+      if (!existing) return res.status(404).json({ error: "calendar not found" });
+
+      const patch = calendarFromBody(req.body);
+      const merged = { ...existing };
+      for (const [k, v] of Object.entries(patch)) if (v !== undefined) merged[k] = v;
+
+      const invalid = validateCalendar(merged);
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      if (patch.is_default) await store.calendars.clearDefault();
+
+      patch.updated_at = new Date().toISOString();
+      const updated = await store.calendars.update(existing.id, patch);
+      return res.json({ ok: true, calendar: updated });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/calendars/:id
+   * Refused while teams are still assigned to it.
+   */
+  router.delete("/calendars/:id", async (req, res) => {
+    try {
+      const inUse = await store.teamCalendars.listByCalendar(req.params.id);
+      if (inUse.length) {
+        return res.status(409).json({
+          error: `calendar is assigned to: ${inUse.map((m) => m.team).join(", ")}`,
+        });
+      }
+
+      const removed = await store.calendars.remove(req.params.id);
+      if (!removed) return res.status(404).json({ error: "calendar not found" });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * PUT /api/admin/teams/:team/calendar
+   * Body: { calendarId } (null to fall back to the default calendar)
+   */
+  router.put("/teams/:team/calendar", async (req, res) => {
+    try {
+      const { name: team, error } = await canonicalTeam(String(req.params.team || "").trim());
+      if (error) return res.status(400).json({ error });
+      const calendarId = req.body?.calendarId || null;
+
+      if (!calendarId) {
+        await store.teamCalendars.remove(team);
+        return res.json({ ok: true, team, calendarId: null });
+      }
+
+      const calendar = await store.calendars.findById(calendarId);
+      if (!calendar) return res.status(400).json({ error: "calendar not found" });
+
+      await store.teamCalendars.set(team, calendar.id);
+      return res.json({ ok: true, team, calendarId: calendar.id });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * GET /api/admin/sla-policies
+   */
+  router.get("/sla-policies", async (req, res) => {
+    try {
+      const policies = await store.slaPolicies.list();
+      return res.json({ policies });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * PUT /api/admin/sla-policies
+   * Body: { team?, priority, targetValue, targetUnit: HOURS|DAYS,
+   *         firstResponseValue?, firstResponseUnit? }
+   * Omit team for the all-teams row. Targets are business time.
+   */
+  router.put("/sla-policies", async (req, res) => {
+    try {
+      const {
+        team,
+        priority,
+        targetValue,
+        targetUnit,
+        firstResponseValue,
+        firstResponseUnit,
+      } = req.body || {};
+      const pr = String(priority || "").trim().toUpperCase();
+      const unit = String(targetUnit || "").trim().toUpperCase();
+      const value = Number(targetValue);
+      const frValue = firstResponseValue == null ? null : Number(firstResponseValue);
+      const frUnit = frValue == null ? null : String(firstResponseUnit || "").trim().toUpperCase();
+
+      if (!PRIORITIES.includes(pr)) {
+        return res.status(400).json({ error: "priority must be HIGH|MEDIUM|LOW" });
+      }
+      if (!TARGET_UNITS.includes(unit)) {
+        return res.status(400).json({ error: `targetUnit must be ${TARGET_UNITS.join("|")}` });
+      }
+      if (!(value > 0)) {
+        return res.status(400).json({ error: "targetValue must be a positive number" });
+      }
+      if (frValue != null && !(frValue > 0)) {
+        return res.status(400).json({ error: "firstResponseValue must be a positive number" });
+      }
+      if (frValue != null && !TARGET_UNITS.includes(frUnit)) {
+        return res
+          .status(400)
+          .json({ error: `firstResponseUnit must be ${TARGET_UNITS.join("|")}` });
+      }
+      const policyTeam = await canonicalTeam(team ? String(team).trim() : null);
+      if (policyTeam.error) return res.status(400).json({ error: policyTeam.error });
+
+      const policy = await store.slaPolicies.upsert({
+        team: policyTeam.name,
+        priority: pr,
+        target_value: value,
+        target_unit: unit,
+        first_response_value: frValue,
+        first_response_unit: frUnit,
+        updated_at: new Date().toISOString(),
+      });
+      return res.json({ ok: true, policy });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/sla-policies/:id
+   */
+  router.delete("/sla-policies/:id", async (req, res) => {
+    try {
+      const removed = await store.slaPolicies.remove(req.params.id);
+      if (!removed) return res.status(404).json({ error: "policy not found" });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * GET /api/admin/sla-policies/preview?team=...&priority=...&from=ISO
+   * Shows which policy/calendar applies and the resulting due date.
+   */
+  router.get("/sla-policies/preview", async (req, res) => {
+    try {
+      const raw = String(req.query.team || "") || null;
+      const team = (await canonicalTeam(raw)).name || raw;
+      const priority = String(req.query.priority || "MEDIUM").toUpperCase();
+      const fromIso = req.query.from ? new Date(String(req.query.from)) : new Date();
+
+      if (!PRIORITIES.includes(priority)) {
+        return res.status(400).json({ error: "priority must be HIGH|MEDIUM|LOW" });
+      }
+      if (Number.isNaN(fromIso.getTime())) {
+        return res.status(400).json({ error: "from must be an ISO date" });
+      }
+
+      const { dueAt, firstResponseDueAt, policy, calendar } = await sla.computeDueAt({
+        team,
+        priority,
+        fromIso: fromIso.toISOString(),
+      });
+      return res.json({
+        team,
+        priority,
+        from: fromIso.toISOString(),
+        dueAt,
+        firstResponseDueAt,
+        policy,
+        calendar: { id: calendar.id, name: calendar.name, timezone: calendar.timezone },
+      });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * GET /api/admin/escalation-rules
+   */
+  router.get("/escalation-rules", async (req, res) => {
+    try {
+      const rules = await store.escalationRules.list();
+      return res.json({ rules });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * POST /api/admin/escalation-rules
+   * Body: { team?, priority?, slaType?: RESOLUTION|FIRST_RESPONSE,
+   *         trigger: AT_RISK|BREACHED, action: BUMP_PRIORITY|REASSIGN|NOTIFY,
+   *         targetTeam? (REASSIGN), notifyEmail? (NOTIFY), enabled? }
+   * Omitted team/priority match any.
+   */
+  router.post("/escalation-rules", async (req, res) => {
+    try {
+      const { rule, error } = escalationRuleFromBody(req.body);
+      if (error) return res.status(400).json({ error });
+      const teamError = await canonicalRuleTeams(rule);
+      if (teamError) return res.status(400).json({ error: teamError });
+
+      const created = await store.escalationRules.create({
+        ...rule,
+        updated_at: new Date().toISOString(),
+      });
+      return res.status(201).json({ rule: created });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * PATCH /api/admin/escalation-rules/:id
+   */
+  router.patch("/escalation-rules/:id", async (req, res) => {
+    try {
+      const existing = await store.escalationRules.findById(req.params.id);
+      if (!existing) return res.status(404).json({ error: "rule not found" });
+
+      const { rule, error } = escalationRuleFromBody(req.body, existing);
+      if (error) return res.status(400).json({ error });
+      const teamError = await canonicalRuleTeams(rule);
+      if (teamError) return res.status(400).json({ error: teamError });
+
+      const updated = await store.escalationRules.update(existing.id, {
+        ...rule,
+        updated_at: new Date().toISOString(),
+      });
+      return res.json({ ok: true, rule: updated });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/escalation-rules/:id
+   */
+  router.delete("/escalation-rules/:id", async (req, res) => {
+    try {
+      const removed = await store.escalationRules.remove(req.params.id);
+      if (!removed) return res.status(404).json({ error: "rule not found" });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { slaAdminRoutes };
@@ -0,0 +1,118 @@
+const express = require("express");
+const { parseRating, MAX_COMMENT_CHARS } = require("../surveys");
+const { DONE_STATUSES } = require("../tickets/workflow");
+
+/**
+ * Requester satisfaction surveys, reached through the emailed links.
+ * Mounted under /api/surveys BEFORE bearer auth: the link token is the
+ * credential.
+ *
+ * reopenOption(ticket, requester) -> the workflow transition a rejection
+ * would take (null when the ticket can no longer be reopened)
+ * reopen(ticket, requester, transition, comment) -> { ok } or { ok: false, status, error }
+ */
+function surveyRoutes({ store, surveys, reopenOption, reopen }) {
+  const router = express.Router();
+
+  // token -> { survey, ticket, requester }; sends 404 / 410 itself
+  async function load(req, res) {
+    const { survey, status, error } = await surveys.find(req.params.token);
+    if (error) {
+      res.status(status).json({ error });
+      return null;
+    }
+    const ticket = await store.tickets.findById(survey.ticket_id);
+    const [requester] = survey.requester_user_id ? await store.users.listByIds([survey.requester_user_id]) : [];
+    if (!ticket || !requester) {
+      res.status(404).json({ error: "survey not found" });
+      return null;
+    }
+    return { survey, ticket, requester };
+  }
+
+  async function publicSurvey({ survey, ticket, requester }) {
+    const option = survey.rejected ? null : await reopenOption(ticket, requester);
+    return {
+      ticket: { id: ticket.id, title: ticket.title, status: ticket.status },
+      rating: survey.rating ?? null,
+      comment: survey.comment ?? null,
+      rejected: survey.rejected === true,
+      respondedAt: survey.responded_at || null,
+      expiresAt: survey.expires_at,
+      canReject: !!option,
+    };
+  }
+
+  /**
+   * GET /api/surveys/:token[?rating=1-5]
+   * With rating: the one-click answer from the email (can be changed until
+   * the survey expires). Returns { survey }.
+   */
+  router.get("/:token", async (req, res) => {
+    try {
+      const loaded = await load(req, res);
+      if (!loaded) return;
+
+      const rating = parseRating(req.query.rating);
+      if (rating === null) return res.status(400).json({ error: "rating must be 1-5" });
+      if (rating !== undefined) loaded.survey = await surveys.answer(loaded.survey, { rating });
+
+      return res.json({ survey: await publicSurvey(loaded) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * POST /api/surveys/:token
+   * Body: { rating?: 1-5, comment?, reject?: boolean }
+   * reject: true reopens the ticket through the team workflow (409 once
+   * that is no longer possible, e.g. after the reopen window); the comment
+   * becomes the reopening comment.
+   */
+  router.post("/:token", async (req, res) => {
+    try {
+      const loaded = await load(req, res);
+      if (!loaded) return;
+      const { survey, ticket, requester } = loaded;
+
+      const { comment, reject } = req.body || {};
+      const rating = parseRating(req.body?.rating);
+      if (rating === null) return res.status(400).json({ error: "rating must be 1-5" });
+      if (comment !== undefined && comment !== null && typeof comment !== "string") {
+        return res.status(400).json({ error: "comment must be a string" });
+      }
+      const text = comment ? comment.trim() : undefined;
+      if (text && text.length > MAX_COMMENT_CHARS) {
+        return res.status(400).json({ error: `comment must be at most ${MAX_COMMENT_CHARS} characters` });
+      }
+      if (rating === undefined && !text && reject !== true) {
+        return res.status(400).json({ error: "send a rating, a comment or reject: true" });
+      }
+
+      if (reject === true) {
+        if (survey.rejected) return res.status(409).json({ error: "the resolution was already rejected" });
+        if (!DONE_STATUSES.includes(ticket.status)) {
+          return res.status(409).json({ error: "the ticket is already open again" });
+        }
+        const option = await reopenOption(ticket, requester);
+        if (!option) {
+          return res.status(409).json({ error: "this ticket can no longer be reopened; please raise a new ticket" });
+        }
+        const reason = text ? `Resolution rejected: ${text}` : "Resolution rejected in the satisfaction survey";
+        const result = await reopen(ticket, requester, option, reason);
+        if (!result.ok) return res.status(result.status).json({ error: result.error });
+      }
+
+      const updated = await surveys.answer(survey, { rating, comment: text, rejected: reject === true });
+      const latest = await store.tickets.findById(ticket.id);
+      return res.json({ ok: true, survey: await publicSurvey({ survey: updated, ticket: latest, requester }) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { surveyRoutes };
@@ -0,0 +1,251 @@
+const express = require("express");
+const { requireAdmin } = require("../auth");
+const { teamKey } = require("../teams");
+
+// ["IT", " it ", ""] -> ["IT"] (trimmed, unique by key)
+function cleanAliases(value) {
+  const seen = new Set();
+  const out = [];
+  for (const a of value || []) {
+    const alias = String(a).trim();
+    if (!teamKey(alias) || seen.has(teamKey(alias))) continue;
+    seen.add(teamKey(alias));
+    out.push(alias);
+  }
+  return out;
+}
+
+// The other team already using one of `names` as its name or alias
+function conflictingTeam(teams, names, excludeId = null) {
+  const keys = new Set(names.map(teamKey));
+  return (
+    teams.find(
+      (t) => t.id !== excludeId && [t.name, ...(t.aliases || [])].some((n) => keys.has(teamKey(n)))
+    ) || null
+  );
+}
+
+function publicTeam(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    description: t.description || null,
+    aliases: t.aliases || [],
+    active: t.active !== false,
+  };
+}
+
+/**
+ * GET /api/teams (any signed-in user): active teams for pickers.
+ * Mounted under /api (after auth).
+ */
+function teamRoutes({ teams }) {
+  const router = express.Router();
+
+  router.get("/teams", async (req, res) => {
+    try {
+      const rows = await teams.list();
+      return res.json({
+        teams: rows.map((t) => ({ id: t.id, name: t.name, description: t.description || null })),
+      });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * ADMIN: teams (name, description for triage, aliases, active) and their
+ * AGENT members (users.team). Mounted under /api/admin (after auth).
+ */
+function teamAdminRoutes({ store, teams }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  async function loadTeam(req, res) {
+    const team = await store.teams.findById(req.params.id);
+    if (!team) res.status(404).json({ error: "team not found" });
+    return team;
+  }
+
+  /**
+   * GET /api/admin/teams
+   * All teams (inactive too) with their member count.
+   */
+  router.get("/teams", async (req, res) => {
+    try {
+      const rows = await teams.list({ includeInactive: true });
+      const result = [];
+      for (const t of rows) {
+        const members = await store.users.listByTeam(t.name, "id");
+        result.push({ ...publicTeam(t), memberCount: members.length });
+      }
+      return res.json({ teams: result });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * POST /api/admin/teams
+   * Body: { name, description?, aliases?: string[] }
+   * Names and aliases are unique across teams (ignoring case / punctuation).
+   */
+  router.post("/teams", async (req, res) => {
+    try {
+      const { name, description, aliases } = req.body || {};
+      const teamName = String(name || "").trim();
+      if (!teamKey(teamName)) return res.status(400).json({ error: "name is required" });
+      if (aliases !== undefined && !Array.isArray(aliases)) {
+        return res.status(400).json({ error: "aliases must be an array of strings" });
+      }
+
+      const aliasList = cleanAliases(aliases).filter((a) => teamKey(a) !== teamKey(teamName));
+      const existing = await teams.list({ includeInactive: true });
+      const conflict = conflictingTeam(existing, [teamName, ...aliasList]);
+      if (conflict) {
+        return res.status(409).json({ error: `name or alias already used by team ${conflict.name}` });
+      }
+
+      const [team] = await store.teams.create({
+        name: teamName,
+        description: description ? String(description).trim() : null,
+        aliases: aliasList,
+        active: true,
+      });
+      return res.status(201).json({ team: publicTeam(team) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * PATCH /api/admin/teams/:id
+   * Body: { name?, description?, aliases?, active? }
+   * A rename rewrites the name wherever it is stored (tickets, agents, SLA
+   * and assignment config, KB) and keeps the old name as an alias.
+   */
+  router.patch("/teams/:id", async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+
+      const { name, description, aliases, active } = req.body || {};
+      const newName = name !== undefined ? String(name).trim() : team.name;
+      if (!teamKey(newName)) return res.status(400).json({ error: "name must not be empty" });
+      if (aliases !== undefined && !Array.isArray(aliases)) {
+        return res.status(400).json({ error: "aliases must be an array of strings" });
+      }
+      if (active !== undefined && typeof active !== "boolean") {
+        return res.status(400).json({ error: "active must be a boolean" });
+      }
+      if (active === false && teamKey(team.name) === teamKey(teams.fallbackTeam)) {
+        return res.status(409).json({ error: "the fallback team cannot be deactivated" });
+      }
+
+      const aliasList =
+        aliases !== undefined
+          ? cleanAliases(aliases).filter((a) => teamKey(a) !== teamKey(newName))
+          : team.aliases || [];
+      const existing = await teams.list({ includeInactive: true });
+      const conflict = conflictingTeam(existing, [newName, ...aliasList], team.id);
+      if (conflict) {
+        return res.status(409).json({ error: `name or alias already used by team ${conflict.name}` });
+      }
+
+      await store.teams.update(team.id, {
+        description: description !== undefined ? (description ? String(description).trim() : null) : undefined,
+        aliases: aliasList,
+        active,
+      });
+      const updated =
+        newName !== team.name ? await store.teams.rename(team.id, newName) : await store.teams.findById(team.id);
+
+      return res.json({ ok: true, team: publicTeam(updated) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/teams/:id
+   * Deactivates the team (tickets keep it; triage stops using it).
+   */
+  router.delete("/teams/:id", async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+      if (teamKey(team.name) === teamKey(teams.fallbackTeam)) {
+        return res.status(409).json({ error: "the fallback team cannot be deactivated" });
+      }
+
+      await store.teams.update(team.id, { active: false });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * GET /api/admin/teams/:id/members
+   */
+  router.get("/teams/:id/members", async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+
+      const members = await store.users.listByTeam(team.name);
+      return res.json({ members });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * PUT /api/admin/teams/:id/members/:userId
+   * Moves an AGENT into this team (an agent belongs to one team).
+   */
+  router.put("/teams/:id/members/:userId", async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+
+      const [user] = await store.users.listByIds([req.params.userId]);
+      if (!user) return res.status(404).json({ error: "user not found" });
+      if (user.role !== "AGENT") {
+        return res.status(400).json({ error: "only AGENT users can be team members" });
+      }
+
+      const updated = await store.users.update(user.id, { team: team.name });
+      return res.json({ ok: true, user: updated });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/teams/:id/members/:userId
+   */
+  router.delete("/teams/:id/members/:userId", async (req, res) => {
+    try {
+      const team = await loadTeam(req, res);
+      if (!team) return;
+
+      const [user] = await store.users.listByIds([req.params.userId]);
+      if (!user || user.team !== team.name) {
+        return res.status(404).json({ error: "user is not a member of this team" });
+      }
+
+      const updated = await store.users.update(user.id, { team: null });
+      return res.json({ ok: true, user: updated });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { teamRoutes, teamAdminRoutes };
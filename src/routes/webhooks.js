@@ -0,0 +1,194 @@
+const express = require("express");
+const { requireAdmin } = require("../auth");
+const { generateSecret, WEBHOOK_EVENTS } = require("../webhooks/dispatcher");
+
+const DELIVERY_STATUSES = ["PENDING", "SUCCEEDED", "FAILED"];
+
+// "a, b" | ["a","b"] -> ["a","b"]
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return items.map((v) => String(v).trim()).filter(Boolean);
+}
+
+// camelCase request body -> webhook_subscriptions columns; returns
+// { subscription } or { error }
+function subscriptionFromBody(body = {}, existing = {}) {
+  const pick = (key, fallback) => (body[key] !== undefined ? body[key] : fallback);
+
+  const subscription = {
+    url: String(pick("url", existing.url) || "").trim(),
+    description: pick("description", existing.description) || null,
+    events: toList(pick("events", existing.events)).map((e) => e.toUpperCase()),
+    teams: toList(pick("teams", existing.teams)),
+    enabled: pick("enabled", existing.enabled ?? true) !== false,
+  };
+
+  let parsed = null;
+  try {
+    parsed = new URL(subscription.url);
+  } catch {
+    // handled below
+  }
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    return { error: "url must be an http(s) URL" };
+  }
+
+  const unknown = subscription.events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) {
+    return { error: `unknown events: ${unknown.join(", ")} (allowed: ${WEBHOOK_EVENTS.join("|")})` };
+  }
+  return { subscription };
+}
+
+// Team filters -> canonical team names (the dispatcher compares exactly);
+// { teams } or { error } naming the unknown ones
+async function canonicalTeams(teams, names) {
+  const resolved = await Promise.all(names.map((name) => teams.resolve(name)));
+  const unknown = names.filter((_, i) => !resolved[i]);
+  if (unknown.length) return { error: `unknown teams: ${unknown.join(", ")}` };
+  return { teams: [...new Set(resolved.map((t) => t.name))] };
+}
+
+// Secrets are only shown on create / rotate
+function publicSubscription(row) {
+  if (!row) return row;
+  const { secret, ...rest } = row;
+  return rest;
+}
+
+/**
+ * ADMIN: outbound webhook subscriptions and their delivery log.
+ * Mounted under /api/admin (after auth).
+ */
+function webhookAdminRoutes({ store, webhooks, teams }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  /**
+   * GET /api/admin/webhooks
+   * Returns subscriptions (without secrets) and the subscribable events.
+   */
+  router.get("/webhooks", async (req, res) => {
+    try {
+      const subscriptions = await store.webhooks.list();
+      return res.json({ webhooks: subscriptions.map(publicSubscription), events: WEBHOOK_EVENTS });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * POST /api/admin/webhooks
+   * Body: { url, events?: string[], teams?: string[], description?, enabled? }
+   * Empty events / teams = all; teams are names or aliases, stored as the
+   * canonical names (400 for unknown ones). Returns the signing secret once.
+   */
+  router.post("/webhooks", async (req, res) => {
+    try {
+      const { subscription, error } = subscriptionFromBody(req.body);
+      if (error) return res.status(400).json({ error });
+      const named = await canonicalTeams(teams, subscription.teams);
+      if (named.error) return res.status(400).json({ error: named.error });
+      subscription.teams = named.teams;
+
+      const created = await store.webhooks.create({
+        ...subscription,
+        secret: generateSecret(),
+        updated_at: new Date().toISOString(),
+      });
+      return res.status(201).json({ webhook: publicSubscription(created), secret: created.secret });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * PATCH /api/admin/webhooks/:id
+   * Same body as POST; { rotateSecret: true } issues (and returns) a new secret.
+   */
+  router.patch("/webhooks/:id", async (req, res) => {
+    try {
+      const existing = await store.webhooks.findById(req.params.id);
+      if (!existing) return res.status(404).json({ error: "webhook not found" });
+
+      const { subscription, error } = subscriptionFromBody(req.body, existing);
+      if (error) return res.status(400).json({ error });
+      const named = await canonicalTeams(teams, subscription.teams);
+      if (named.error) return res.status(400).json({ error: named.error });
+      subscription.teams = named.teams;
+
+      const rotate = req.body?.rotateSecret === true;
+      const updated = await store.webhooks.update(existing.id, {
+        ...subscription,
+        secret: rotate ? generateSecret() : undefined,
+        updated_at: new Date().toISOString(),
+      });
+      return res.json({
+        ok: true,
+        webhook: publicSubscription(updated),
+        ...(rotate ? { secret: updated.secret } : {}),
+      });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/webhooks/:id
+   * Also drops its delivery log.
+   */
+  router.delete("/webhooks/:id", async (req, res) => {
+    try {
+      const removed = await store.webhooks.remove(req.params.id);
+      if (!removed) return res.status(404).json({ error: "webhook not found" });
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * GET /api/admin/webhooks/:id/deliveries?status=PENDING|SUCCEEDED|FAILED&limit=50
+   * Delivery log, newest first.
+   */
+  router.get("/webhooks/:id/deliveries", async (req, res) => {
+    try {
+      const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be ${DELIVERY_STATUSES.join("|")}` });
+      }
+
+      const subscription = await store.webhooks.findById(req.params.id);
+      if (!subscription) return res.status(404).json({ error: "webhook not found" });
+
+      const deliveries = await store.webhookDeliveries.listForSubscription(subscription.id, {
+        status,
+        limit,
+      });
+      return res.json({ deliveries });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * POST /api/admin/webhooks/deliveries/:id/replay
+   * Queues the same payload again as a new delivery (replay_of = :id).
+   */
+  router.post("/webhooks/deliveries/:id/replay", async (req, res) => {
+    try {
+      const delivery = await webhooks.replay(req.params.id);
+      if (!delivery) return res.status(404).json({ error: "delivery not found" });
+      return res.status(202).json({ delivery });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { webhookAdminRoutes };
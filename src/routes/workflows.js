@@ -0,0 +1,156 @@
+const express = require("express");
+const { requireAdmin } = require("../auth");
+const { validateWorkflow, TICKET_STATUSES } = require("../tickets/workflow");
+const { logger } = require("../observability/logger");
+
+// :team value addressing the default workflow (team null)
+const DEFAULT_TEAM = "default";
+
+function publicWorkflow(row) {
+  return {
+    team: row.team,
+    version: row.version,
+    definition: row.definition,
+    createdBy: row.created_by || null,
+    createdAt: row.created_at || null,
+  };
+}
+
+// :team -> { team: canonical name | null (default) } or null when unknown
+async function resolveWorkflowTeam(teams, value) {
+  if (String(value).toLowerCase() === DEFAULT_TEAM) return { team: null };
+  const team = await teams.resolve(value);
+  return team ? { team: team.name } : null;
+}
+
+/**
+ * GET /api/workflows/:team (any signed-in user): the workflow in force for a
+ * team (name, alias or "default"), so the UI can render states and actions.
+ * Mounted under /api (after auth).
+ */
+function workflowRoutes({ teams, workflows }) {
+  const router = express.Router();
+
+  router.get("/workflows/:team", async (req, res) => {
+    try {
+      const target = await resolveWorkflowTeam(teams, req.params.team);
+      if (!target) return res.status(404).json({ error: "team not found" });
+
+      const workflow = await workflows.forTeam(target.team);
+      return res.json({ workflow: { ...workflow, inherited: workflow.team !== target.team } });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * ADMIN: versioned per-team workflows. Saving never edits a version; it
+ * adds the next one. Mounted under /api/admin (after auth).
+ */
+function workflowAdminRoutes({ store, teams }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  /**
+   * GET /api/admin/workflows
+   * Latest version per team that has its own workflow (team null = default).
+   */
+  router.get("/workflows", async (req, res) => {
+    try {
+      const rows = await store.workflows.list();
+      const latest = rows.filter((r, i) => i === 0 || rows[i - 1].team !== r.team);
+      return res.json({ workflows: latest.map(publicWorkflow) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * POST /api/admin/workflows/validate
+   * Body: a workflow definition. Returns { ok, workflow } (normalised) or 400.
+   */
+  router.post("/workflows/validate", async (req, res) => {
+    const { workflow, error } = validateWorkflow(req.body);
+    if (error) return res.status(400).json({ error });
+    return res.json({ ok: true, workflow });
+  });
+
+  /**
+   * GET /api/admin/workflows/:team/versions
+   * Every saved version of a team's workflow, newest first.
+   */
+  router.get("/workflows/:team/versions", async (req, res) => {
+    try {
+      const target = await resolveWorkflowTeam(teams, req.params.team);
+      if (!target) return res.status(404).json({ error: "team not found" });
+
+      const rows = await store.workflows.list("id,team,version,definition,created_by,created_at");
+      const versions = rows.filter((r) => r.team === target.team).map(publicWorkflow);
+      return res.json({ team: target.team, versions });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  /**
+   * PUT /api/admin/workflows/:team
+   * Body: { states, resolutionCodes?, transitions } (see validateWorkflow).
+   * :team is a team name / alias or "default". Optional If-Match: the
+   * version being replaced (0 when there is none yet); 409 if it moved on.
+   * Refused (409) while open tickets sit in a state the new version drops.
+   */
+  router.put("/workflows/:team", async (req, res) => {
+    try {
+      const target = await resolveWorkflowTeam(teams, req.params.team);
+      if (!target) return res.status(404).json({ error: "team not found" });
+
+      const { workflow, error } = validateWorkflow(req.body);
+      if (error) return res.status(400).json({ error });
+
+      const current = await store.workflows.findLatest(target.team);
+      const currentVersion = current?.version || 0;
+      const ifMatch = req.get("If-Match");
+      if (ifMatch) {
+        const expected = Number(String(ifMatch).trim().replace(/^W\//, "").replace(/^"(.*)"$/, "$1"));
+        if (expected !== currentVersion) {
+          res.set("ETag", `"${currentVersion}"`);
+          return res.status(409).json({ error: "Workflow was changed by someone else", version: currentVersion });
+        }
+      }
+
+      // Teams this version governs: the team, or (default) every team without its own
+      let governed = [target.team];
+      if (target.team === null) {
+        const own = new Set((await store.workflows.list("team")).map((r) => r.team));
+        governed = (await teams.list({ includeInactive: true })).map((t) => t.name).filter((n) => !own.has(n));
+      }
+      const dropped = TICKET_STATUSES.filter((s) => !workflow.states.some((st) => st.status === s));
+      const stranded = dropped.length && governed.length ? await store.tickets.countInStatuses(governed, dropped) : 0;
+      if (stranded) {
+        return res.status(409).json({
+          error: `${stranded} ticket(s) are in states this workflow drops (${dropped.join(", ")})`,
+        });
+      }
+
+      const row = await store.workflows.create({
+        team: target.team,
+        version: currentVersion + 1,
+        definition: workflow,
+        created_by: req.user.id,
+      });
+      logger.info("Workflow saved", { team: target.team || DEFAULT_TEAM, version: row.version, by: req.user.email });
+
+      res.set("ETag", `"${row.version}"`);
+      return res.json({ ok: true, workflow: publicWorkflow(row) });
+    } catch (e) {
+      return res.status(500).json({ error: e?.message || "Server error" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { workflowRoutes, workflowAdminRoutes };
@@ -0,0 +1,245 @@
+// Business-time math over a calendar:
+//   { timezone: "Europe/London",
+//     working_hours: { mon: [{ start: "09:00", end: "17:00" }], ..., sun: [] },
+//     holidays: ["2026-12-25", ...] }
+// All inputs/outputs are ISO strings (UTC); windows and holidays are read
+// in the calendar's own time zone, so DST shifts are handled per day.
+
+const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MINUTE = 60 * 1000;
+const MAX_DAYS_SCANNED = 3 * 366; // guard against calendars with no working time
+
+// Used when a team has no calendar: Mon-Fri around the clock, UTC (same
+// behaviour as the old whole-business-days SLA).
+const DEFAULT_CALENDAR = {
+  id: null,
+  name: "Default (Mon-Fri, 24h, UTC)",
+  timezone: "UTC",
+  working_hours: {
+    sun: [],
+    mon: [{ start: "00:00", end: "24:00" }],
+    tue: [{ start: "00:00", end: "24:00" }],
+    wed: [{ start: "00:00", end: "24:00" }],
+    thu: [{ start: "00:00", end: "24:00" }],
+    fri: [{ start: "00:00", end: "24:00" }],
+    sat: [],
+  },
+  holidays: [],
+  hours_per_day: 24,
+};
+
+const formatterCache = new Map();
+
+function partsFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+}
+
+// Wall-clock parts of an instant in a time zone
+function zonedParts(ms, timeZone) {
+  const p = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(new Date(ms))) {
+    if (type !== "literal") p[type] = Number(value);
+  }
+  return p;
+}
+
+function tzOffsetMs(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (ms - (ms % 1000));
+}
+
+// Instant for a wall-clock time in a time zone (minutes may be 1440 = end of day)
+function zonedTimeToMs(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const first = guess - tzOffsetMs(guess, timeZone);
+  // re-check once: the offset can differ on either side of a DST switch
+  return guess - tzOffsetMs(first, timeZone);
+}
+
+function parseHHMM(value) {
+  const m = /^(\d{2}):(\d{2})$/.exec(String(value || ""));
+  if (!m) return null;
+  const minutes = Number(m[1]) * 60 + Number(m[2]);
+  if (Number(m[2]) > 59 || minutes > 24 * 60) return null;
+  return minutes;
+}
+
+function isoDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.toISOString().slice(0, 10);
+}
+
+function holidaySet(calendar) {
+  return new Set(
+    (calendar.holidays || []).map((h) => (typeof h === "string" ? h : h?.date)).filter(Boolean)
+  );
+}
+
+// Local calendar date `dayOffset` days after the local date of `fromMs`
+function localDate(calendar, fromMs, dayOffset) {
+  const base = zonedParts(fromMs, calendar.timezone || "UTC");
+  const date = new Date(Date.UTC(base.year, base.month - 1, base.day + dayOffset));
+  return {
+    y: date.getUTCFullYear(),
+    mo: date.getUTCMonth() + 1,
+    d: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+  };
+}
+
+function localDayStartMs(calendar, fromMs, dayOffset) {
+  const { y, mo, d } = localDate(calendar, fromMs, dayOffset);
+  return zonedTimeToMs(y, mo, d, 0, calendar.timezone || "UTC");
+}
+
+// Working windows [{ startMs, endMs }] for the local date `dayOffset` days
+// after the local date of `fromMs`
+function windowsForDay(calendar, fromMs, dayOffset, holidays) {
+  const tz = calendar.timezone || "UTC";
+  const { y, mo, d, weekday } = localDate(calendar, fromMs, dayOffset);
+
+  if (holidays.has(isoDate(y, mo, d))) return [];
+
+  const spans = (calendar.working_hours || {})[DAY_KEYS[weekday]] || [];
+  return spans
+    .map((w) => ({ start: parseHHMM(w.start), end: parseHHMM(w.end) }))
+    .filter((w) => w.start !== null && w.end !== null && w.end > w.start)
+    .sort((a, b) => a.start - b.start)
+    .map((w) => ({
+      startMs: zonedTimeToMs(y, mo, d, w.start, tz),
+      endMs: zonedTimeToMs(y, mo, d, w.end, tz),
+    }));
+}
+
+/**
+ * Add `minutes` of business time to `startIso`. Time outside working
+ * windows (nights, weekends, holidays) does not count.
+ */
+function addBusinessMinutes(startIso, minutes, calendar = DEFAULT_CALENDAR) {
+  const startMs = new Date(startIso).getTime();
+  const holidays = holidaySet(calendar);
+  let remaining = Math.max(0, minutes) * MINUTE;
+
+  for (let day = 0; day < MAX_DAYS_SCANNED; day++) {
+    for (const w of windowsForDay(calendar, startMs, day, holidays)) {
+      if (w.endMs <= startMs) continue;
+      const from = Math.max(w.startMs, startMs);
+      const available = w.endMs - from;
+      if (remaining <= available) return new Date(from + remaining).toISOString();
+      remaining -= available;
+    }
+  }
+  throw new Error(`calendar "${calendar.name || calendar.id}" has no working time`);
+}
+
+/**
+ * Business minutes between two instants (0 if end <= start).
+ */
+function businessMinutesBetween(startIso, endIso, calendar = DEFAULT_CALENDAR) {
+  const startMs = new Date(startIso).getTime();
+  const endMs = new Date(endIso).getTime();
+  if (!(endMs > startMs)) return 0;
+
+  const holidays = holidaySet(calendar);
+  let total = 0;
+
+  for (let day = 0; day < MAX_DAYS_SCANNED; day++) {
+    const windows = windowsForDay(calendar, startMs, day, holidays);
+    for (const w of windows) {
+      const from = Math.max(w.startMs, startMs);
+      const to = Math.min(w.endMs, endMs);
+      if (to > from) total += to - from;
+    }
+    if (localDayStartMs(calendar, startMs, day + 1) >= endMs) break;
+  }
+  return total / MINUTE;
+}
+
+/**
+ * Length of a "business day" in minutes, used to express SLA targets in
+ * days: explicit hours_per_day, else the longest working day.
+ */
+function businessDayMinutes(calendar = DEFAULT_CALENDAR) {
+  if (calendar.hours_per_day) return Number(calendar.hours_per_day) * 60;
+
+  let longest = 0;
+  for (const key of DAY_KEYS) {
+    let total = 0;
+    for (const w of (calendar.working_hours || {})[key] || []) {
+      const start = parseHHMM(w.start);
+      const end = parseHHMM(w.end);
+      if (start !== null && end !== null && end > start) total += end - start;
+    }
+    longest = Math.max(longest, total);
+  }
+  return longest;
+}
+
+/**
+ * Validate an admin-supplied calendar body. Returns an error string or null.
+ */
+function validateCalendar({ name, timezone, working_hours, holidays, hours_per_day }) {
+  if (!name || !String(name).trim()) return "name is required";
+
+  if (!timezone) return "timezone is required";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch {
+    return `timezone must be an IANA time zone (got "${timezone}")`;
+  }
+
+  if (!working_hours || typeof working_hours !== "object") {
+    return "workingHours is required ({ mon: [{ start, end }], ... })";
+  }
+  let anyWindow = false;
+  for (const [key, spans] of Object.entries(working_hours)) {
+    if (!DAY_KEYS.includes(key)) return `workingHours: unknown day "${key}" (use ${DAY_KEYS.join("|")})`;
+    if (!Array.isArray(spans)) return `workingHours.${key} must be an array`;
+    for (const w of spans) {
+      const start = parseHHMM(w?.start);
+      const end = parseHHMM(w?.end);
+      if (start === null || end === null || end <= start) {
+        return `workingHours.${key}: each window needs start < end as HH:MM`;
+      }
+      anyWindow = true;
+    }
+  }
+  if (!anyWindow) return "workingHours must contain at least one window";
+
+  for (const h of holidays || []) {
+    const date = typeof h === "string" ? h : h?.date;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ""))) {
+      return "holidays must be YYYY-MM-DD dates (or { date, name })";
+    }
+  }
+
+  if (hours_per_day != null && !(Number(hours_per_day) > 0 && Number(hours_per_day) <= 24)) {
+    return "hoursPerDay must be between 0 and 24";
+  }
+  return null;
+}
+
+module.exports = {
+  DAY_KEYS,
+  DEFAULT_CALENDAR,
+  addBusinessMinutes,
+  businessMinutesBetween,
+  businessDayMinutes,
+  validateCalendar,
+};
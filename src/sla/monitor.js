@@ -0,0 +1,191 @@
+const { businessMinutesBetween } = require("./calendar");
+const { logger } = require("../observability/logger");
+
+const ESCALATION_TRIGGERS = ["AT_RISK", "BREACHED"];
+const ESCALATION_ACTIONS = ["BUMP_PRIORITY", "REASSIGN", "NOTIFY"];
+const SLA_TYPES = ["RESOLUTION", "FIRST_RESPONSE"];
+
+// Clock states the monitor still moves forward
+const LIVE_SLA_STATUSES = ["ON_TRACK", "AT_RISK"];
+
+const NEXT_PRIORITY = { LOW: "MEDIUM", MEDIUM: "HIGH" };
+
+// Per SLA type: which ticket columns hold the clock
+const CLOCKS = {
+  RESOLUTION: {
+    status: "sla_status",
+    dueAt: "sla_due_at",
+    target: "sla_target_minutes",
+    isRunning: (t) => !t.sla_paused_at,
+  },
+  FIRST_RESPONSE: {
+    status: "first_response_status",
+    dueAt: "first_response_due_at",
+    target: "first_response_target_minutes",
+    isRunning: (t) => !t.first_responded_at,
+  },
+};
+
+/**
+ * Periodic SLA evaluation for open (not RESOLVED/CLOSED) tickets.
+ *
+ * For each running clock (resolution, first response):
+ *   ON_TRACK -> AT_RISK  once `atRiskPercent` of the window has elapsed
+ *   *        -> BREACHED once the due date has passed
+ * Every transition writes SLA_AT_RISK / SLA_BREACHED to audit_logs
+ * (system actor = null) and then applies matching escalation rules.
+ *
+ * `notify({ ticket, rule, trigger, slaType })` delivers NOTIFY rules.
+ * `onAudit(ticket, audits)` sees every entry written (webhooks).
+ * `teams` (team directory) fills team_id on REASSIGN.
+ */
+function createSlaMonitor({ store, sla, teams, atRiskPercent = 75, notify, onAudit }) {
+  const deliver =
+    notify ||
+    (async ({ ticket, rule, trigger, slaType }) => {
+      logger.info("Escalation", { notify: rule.notify_email, slaType, trigger, ticketId: ticket.id });
+    });
+
+  async function audit(ticket, entry) {
+    const row = { ticket_id: ticket.id, actor_id: null, ...entry };
+    await store.auditLogs.create(row);
+    if (onAudit) await onAudit(ticket, [row]);
+  }
+
+  // Ticket change + its SLA_ESCALATED entry, atomically; bumps the version
+  // so concurrent editors get a 409 instead of overwriting
+  async function applyEscalation(ticket, updates, entry) {
+    const row = { ticket_id: ticket.id, actor_id: null, action: "SLA_ESCALATED", ...entry };
+    const version = await store.tickets.applyChange({ ticketId: ticket.id, updates, audits: [row] });
+    Object.assign(ticket, updates, version ? { version } : {});
+    if (onAudit) await onAudit(ticket, [row]);
+  }
+
+  async function escalate(ticket, trigger, slaType, rules) {
+    const matching = rules.filter(
+      (r) =>
+        r.trigger === trigger &&
+        (r.sla_type || "RESOLUTION") === slaType &&
+        (!r.team || r.team === ticket.assigned_team) &&
+        (!r.priority || r.priority === ticket.priority)
+    );
+
+    let fired = 0;
+    for (const rule of matching) {
+      if (rule.action === "BUMP_PRIORITY") {
+        const next = NEXT_PRIORITY[ticket.priority];
+        if (!next) continue;
+        // due dates are left alone: bumping must not extend a late ticket
+        await applyEscalation(
+          ticket,
+          { priority: next },
+          { field_name: "priority", old_value: ticket.priority, new_value: next }
+        );
+      } else if (rule.action === "REASSIGN") {
+        if (!rule.target_team || rule.target_team === ticket.assigned_team) continue;
+        // the assignee belongs to the old team; the ticket goes to the new queue
+        const target = teams ? await teams.resolve(rule.target_team) : null;
+        await applyEscalation(
+          ticket,
+          { assigned_team: rule.target_team, team_id: target?.id || null, assignee_user_id: null },
+          { field_name: "assigned_team", old_value: ticket.assigned_team, new_value: rule.target_team }
+        );
+      } else if (rule.action === "NOTIFY") {
+        if (!rule.notify_email) continue;
+        await deliver({ ticket, rule, trigger, slaType });
+        await audit(ticket, {
+          action: "SLA_ESCALATED",
+          field_name: "notify",
+          old_value: null,
+          new_value: rule.notify_email,
+        });
+      } else {
+        continue;
+      }
+      fired++;
+    }
+    return fired;
+  }
+
+  // Next state of one clock, or null when it does not change
+  async function nextState(ticket, slaType, nowIso, calendars) {
+    const clock = CLOCKS[slaType];
+    const current = ticket[clock.status];
+    const dueAt = ticket[clock.dueAt];
+
+    if (!dueAt || !LIVE_SLA_STATUSES.includes(current) || !clock.isRunning(ticket)) return null;
+    if (new Date(dueAt) <= new Date(nowIso)) return "BREACHED";
+    if (current === "AT_RISK") return null;
+
+    const team = ticket.assigned_team;
+    if (!calendars.has(team)) calendars.set(team, await sla.calendarForTeam(team));
+    const calendar = calendars.get(team);
+
+    let total = ticket[clock.target];
+    if (!total) {
+      const due = await sla.computeDueAt({ team, priority: ticket.priority, fromIso: nowIso });
+      total = slaType === "RESOLUTION" ? due.targetMinutes : due.firstResponseTargetMinutes;
+    }
+
+    const remaining = businessMinutesBetween(nowIso, dueAt, calendar);
+    return remaining <= total * (1 - atRiskPercent / 100) ? "AT_RISK" : null;
+  }
+
+  /**
+   * One pass. Returns counts: { checked, atRisk, breached, escalations }.
+   */
+  async function run(nowIso = new Date().toISOString()) {
+    const [tickets, rules] = await Promise.all([
+      store.tickets.listSlaCandidates(),
+      store.escalationRules.listEnabled(),
+    ]);
+
+    const calendars = new Map();
+    const summary = { checked: tickets.length, atRisk: 0, breached: 0, escalations: 0 };
+
+    for (const ticket of tickets) {
+      for (const slaType of SLA_TYPES) {
+        const state = await nextState(ticket, slaType, nowIso, calendars);
+        if (!state) continue;
+
+        // Status + audit together, against the version the state was computed
+        // from: a ticket resolved or re-prioritised since is left for the next pass
+        const clock = CLOCKS[slaType];
+        const updates = { [clock.status]: state };
+        const row = {
+          ticket_id: ticket.id,
+          actor_id: null,
+          action: state === "BREACHED" ? "SLA_BREACHED" : "SLA_AT_RISK",
+          field_name: clock.status,
+          old_value: ticket[clock.status],
+          new_value: state,
+        };
+        const version = await store.tickets.applyChange({
+          ticketId: ticket.id,
+          expectedVersion: ticket.version ?? 1,
+          updates,
+          audits: [row],
+        });
+        if (version === null) break;
+        Object.assign(ticket, updates, { version });
+        if (onAudit) await onAudit(ticket, [row]);
+
+        if (state === "BREACHED") summary.breached++;
+        else summary.atRisk++;
+
+        summary.escalations += await escalate(ticket, state, slaType, rules);
+      }
+    }
+
+    return summary;
+  }
+
+  return { run };
+}
+
+module.exports = {
+  createSlaMonitor,
+  ESCALATION_TRIGGERS,
+  ESCALATION_ACTIONS,
+  SLA_TYPES,
+};
@@ -0,0 +1,173 @@
+const {
+  DEFAULT_CALENDAR,
+  addBusinessMinutes,
+  businessMinutesBetween,
+  businessDayMinutes,
+} = require("./calendar");
+
+const TARGET_UNITS = ["HOURS", "DAYS"];
+
+// Statuses in which the SLA clock is stopped (waiting on the requester)
+const PAUSED_STATUSES = ["WAITING"];
+
+// Used when no sla_policies row matches (the old slaDaysForPriority table)
+const DEFAULT_TARGETS = {
+  HIGH: { target_value: 1, target_unit: "DAYS" },
+  MEDIUM: { target_value: 3, target_unit: "DAYS" },
+  LOW: { target_value: 5, target_unit: "DAYS" },
+};
+
+// First-response targets when the matching policy does not set one
+const DEFAULT_FIRST_RESPONSE = {
+  HIGH: { first_response_value: 1, first_response_unit: "HOURS" },
+  MEDIUM: { first_response_value: 4, first_response_unit: "HOURS" },
+  LOW: { first_response_value: 1, first_response_unit: "DAYS" },
+};
+
+/**
+ * SLA policy lookup + due-date computation.
+ *
+ * Policies carry a resolution target and an optional first-response
+ * target (both business time).
+ *
+ * Policy resolution for (team, priority):
+ *   sla_policies row for that team -> row with team = null (all teams)
+ *   -> DEFAULT_TARGETS
+ * Calendar resolution for a team:
+ *   team_calendars mapping -> calendar flagged is_default -> DEFAULT_CALENDAR
+ */
+function createSlaService({ store }) {
+  async function calendarForTeam(team) {
+    const mapping = team ? await store.teamCalendars.findByTeam(team) : null;
+    if (mapping?.calendar_id) {
+      const cal = await store.calendars.findById(mapping.calendar_id);
+      if (cal) return cal;
+    }
+    return (await store.calendars.findDefault()) || DEFAULT_CALENDAR;
+  }
+
+  async function policyFor(team, priority) {
+    const rows = await store.slaPolicies.listForPriority(priority);
+    const match =
+      rows.find((r) => team && r.team === team) || rows.find((r) => !r.team);
+    return match || { team: null, priority, ...DEFAULT_TARGETS[priority] || DEFAULT_TARGETS.LOW };
+  }
+
+  function toMinutes(value, unit, calendar) {
+    if (unit === "HOURS") return Number(value) * 60;
+    return Number(value) * businessDayMinutes(calendar);
+  }
+
+  function targetMinutes(policy, calendar) {
+    return toMinutes(policy.target_value, policy.target_unit, calendar);
+  }
+
+  function firstResponseMinutes(policy, calendar) {
+    const fr = policy.first_response_value
+      ? policy
+      : DEFAULT_FIRST_RESPONSE[policy.priority] || DEFAULT_FIRST_RESPONSE.LOW;
+    return toMinutes(fr.first_response_value, fr.first_response_unit, calendar);
+  }
+
+  /**
+   * Resolution and first-response due dates for a ticket of
+   * `team`/`priority` whose clocks start at fromIso.
+   * Returns { dueAt, targetMinutes, firstResponseDueAt,
+   *           firstResponseTargetMinutes, policy, calendar }.
+   */
+  async function computeDueAt({ team, priority, fromIso }) {
+    const [policy, calendar] = await Promise.all([
+      policyFor(team, priority),
+      calendarForTeam(team),
+    ]);
+    const minutes = targetMinutes(policy, calendar);
+    const frMinutes = firstResponseMinutes(policy, calendar);
+    return {
+      dueAt: addBusinessMinutes(fromIso, minutes, calendar),
+      targetMinutes: minutes,
+      firstResponseDueAt: addBusinessMinutes(fromIso, frMinutes, calendar),
+      firstResponseTargetMinutes: frMinutes,
+      policy,
+      calendar,
+    };
+  }
+
+  /**
+   * Stop the clock. `ticket` is the ticket state after the other changes
+   * of the same update. Remembers the business time left until the due
+   * date; an already-breached ticket stays BREACHED with nothing left.
+   * Returns { updates, audit } (audit without ticket/actor ids).
+   */
+  async function pause(ticket, nowIso) {
+    const breached = ticket.sla_status === "BREACHED";
+    const calendar = await calendarForTeam(ticket.assigned_team);
+    const remaining = breached
+      ? 0
+      : Math.round(businessMinutesBetween(nowIso, ticket.sla_due_at, calendar));
+
+    return {
+      updates: {
+        sla_paused_at: nowIso,
+        sla_remaining_minutes: remaining,
+        sla_status: breached ? "BREACHED" : "PAUSED",
+      },
+      audit: {
+        action: "SLA_PAUSED",
+        field_name: "sla_due_at",
+        old_value: ticket.sla_due_at,
+        new_value: String(remaining),
+      },
+    };
+  }
+
+  /**
+   * Restart the clock: the new due date is the remembered business time
+   * counted from now, and the paused span is added to sla_paused_seconds.
+   */
+  async function resume(ticket, nowIso) {
+    const pausedMs = ticket.sla_paused_at
+      ? Math.max(0, new Date(nowIso) - new Date(ticket.sla_paused_at))
+      : 0;
+
+    const updates = {
+      sla_paused_at: null,
+      sla_remaining_minutes: null,
+      sla_paused_seconds: (ticket.sla_paused_seconds || 0) + Math.round(pausedMs / 1000),
+    };
+
+    let newDue = ticket.sla_due_at;
+    if (ticket.sla_status !== "BREACHED") {
+      const calendar = await calendarForTeam(ticket.assigned_team);
+      newDue = addBusinessMinutes(nowIso, ticket.sla_remaining_minutes || 0, calendar);
+      updates.sla_due_at = newDue;
+      updates.sla_status = "ON_TRACK";
+    }
+
+    return {
+      updates,
+      audit: {
+        action: "SLA_RESUMED",
+        field_name: "sla_due_at",
+        old_value: ticket.sla_due_at,
+        new_value: newDue,
+      },
+    };
+  }
+
+  return {
+    calendarForTeam,
+    policyFor,
+    targetMinutes,
+    computeDueAt,
+    pause,
+    resume,
+  };
+}
+
+module.exports = {
+  createSlaService,
+  TARGET_UNITS,
+  DEFAULT_TARGETS,
+  DEFAULT_FIRST_RESPONSE,
+  PAUSED_STATUSES,
+};
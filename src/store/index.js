@@ -0,0 +1,35 @@
+const { createMemoryDriver } = require("./memory");
+const { createSupabaseDriver } = require("./supabase");
+const { createRepositories } = require("./repositories");
+
+const BACKENDS = ["supabase", "memory"];
+
+/**
+ * Build the storage layer from config/env.
+ *
+ * STORAGE_BACKEND=supabase (default) | memory
+ * MEMORY_STORE_FILE=./local-db.json  (optional, memory backend only)
+ */
+function createStore(options = {}) {
+  const backend = String(
+    options.backend || process.env.STORAGE_BACKEND || "supabase"
+  ).toLowerCase();
+
+  let driver;
+  if (backend === "supabase") {
+    driver = createSupabaseDriver({
+      url: options.supabaseUrl || process.env.SUPABASE_URL,
+      serviceRoleKey: options.supabaseKey || process.env.SUPABASE_SERVICE_ROLE_KEY,
+    });
+  } else if (backend === "memory") {
+    driver = createMemoryDriver({
+      persistPath: options.persistPath || process.env.MEMORY_STORE_FILE || null,
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use ${BACKENDS.join("|")})`);
+  }
+
+  return { backend, driver, ...createRepositories(driver) };
+}
+
+module.exports = { createStore };
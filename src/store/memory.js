@@ -0,0 +1,221 @@
+const fs = require("fs");
+const { randomUUID } = require("crypto");
+const memoryFunctions = require("./memoryFunctions");
+
+// -------------------- Filter helpers --------------------
+// ILIKE pattern -> RegExp: % and _ are wildcards, a backslash escapes the next character
+function likeToRegExp(pattern) {
+  const source = String(pattern).replace(/\\(.)|([%_])|([.*+?^${}()|[\]\\])/g, (_, literal, wildcard, special) => {
+    if (literal !== undefined) return literal.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    if (wildcard) return wildcard === "%" ? ".*" : ".";
+    return `\\${special}`;
+  });
+  return new RegExp(`^${source}$`, "i");
+}
+
+// Every search word must appear in one of the source columns
+function matchesText(row, f) {
+  const haystack = (f.sourceColumns || [f.column])
+    .map((c) => String(row[c] ?? ""))
+    .join(" ")
+    .toLowerCase();
+  return String(f.value || "")
+    .toLowerCase()
+    .replace(/["']/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => haystack.includes(word));
+}
+
+function matchesFilter(row, f) {
+  if (f.or) return f.or.some((sub) => matchesFilter(row, sub));
+  if (f.and) return f.and.every((sub) => matchesFilter(row, sub));
+  if (f.op === "fts") return matchesText(row, f);
+
+  const v = row[f.column];
+  switch (f.op) {
+    case "eq":
+      return v === f.value;
+    case "neq":
+      return v !== f.value;
+    case "lt":
+      return v != null && v < f.value;
+    case "lte":
+      return v != null && v <= f.value;
+    case "gt":
+      return v != null && v > f.value;
+    case "gte":
+      return v != null && v >= f.value;
+    case "in":
+      return (f.value || []).includes(v);
+    case "notIn":
+      return !(f.value || []).includes(v);
+    case "contains":
+      return Array.isArray(v) && (f.value || []).every((x) => v.includes(x));
+    case "is":
+      return (v ?? null) === f.value;
+    case "ilike":
+      return v != null && likeToRegExp(f.value).test(String(v));
+    default:
+      throw new Error(`Unsupported filter op: ${f.op}`);
+  }
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a == null) return 1; // nulls last
+  if (b == null) return -1;
+  return a < b ? -1 : 1;
+}
+
+function project(row, columns) {
+  if (!columns || columns === "*") return { ...row };
+  const out = {};
+  for (const c of columns.split(",").map((s) => s.trim()).filter(Boolean)) {
+    out[c] = row[c] === undefined ? null : row[c];
+  }
+  return out;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function withoutUndefined(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj || {})) {
+    if (v !== undefined) out[k] = v;
+  }
+  return out;
+}
+
+// -------------------- Driver --------------------
+
+/**
+ * In-memory storage driver. Everything lives in process memory; pass
+ * `persistPath` to snapshot the tables to a JSON file after each write so
+ * a local API survives restarts.
+ *
+ * rpc(name, args) runs the JS twin of a Postgres function (see
+ * ./memoryFunctions) against the tables, all-or-nothing.
+ */
+function createMemoryDriver({ persistPath } = {}) {
+  let tables = {};
+
+  if (persistPath && fs.existsSync(persistPath)) {
+    tables = JSON.parse(fs.readFileSync(persistPath, "utf8") || "{}");
+  }
+
+  function rowsOf(table) {
+    if (!tables[table]) tables[table] = [];
+    return tables[table];
+  }
+
+  function persist() {
+    if (persistPath) fs.writeFileSync(persistPath, JSON.stringify(tables, null, 2));
+  }
+
+  function filterRows(table, filters = []) {
+    return rowsOf(table).filter((r) => filters.every((f) => matchesFilter(r, f)));
+  }
+
+  // Synchronous table operations; the async driver API and rpc wrap these
+  const db = {
+    select(table, { columns, filters, order, limit } = {}) {
+      let rows = filterRows(table, filters);
+
+      for (const o of [...(order || [])].reverse()) {
+        rows = [...rows].sort((x, y) => {
+          const a = x[o.column];
+          const b = y[o.column];
+          // Explicit null placement, else Postgres' (last ascending, first descending)
+          if (o.nullsFirst !== undefined && (a == null) !== (b == null)) {
+            return (a == null) === o.nullsFirst ? -1 : 1;
+          }
+          const cmp = compareValues(a, b);
+          return o.ascending === false ? -cmp : cmp;
+        });
+      }
+      if (limit) rows = rows.slice(0, limit);
+
+      return rows.map((r) => clone(project(r, columns)));
+    },
+
+    insert(table, rows, { columns } = {}) {
+      const nowIso = new Date().toISOString();
+      const inserted = (Array.isArray(rows) ? rows : [rows]).map((r) => ({
+        id: randomUUID(),
+        created_at: nowIso,
+        ...clone(withoutUndefined(r)),
+      }));
+
+      rowsOf(table).push(...inserted);
+      return inserted.map((r) => clone(project(r, columns)));
+    },
+
+    count(table, { filters } = {}) {
+      return filterRows(table, filters).length;
+    },
+
+    update(table, patch, { columns, filters } = {}) {
+      const changes = clone(withoutUndefined(patch));
+      const matched = filterRows(table, filters);
+
+      for (const r of matched) Object.assign(r, changes);
+      return matched.map((r) => clone(project(r, columns)));
+    },
+
+    remove(table, { filters } = {}) {
+      const doomed = new Set(filterRows(table, filters));
+      tables[table] = rowsOf(table).filter((r) => !doomed.has(r));
+      return doomed.size;
+    },
+  };
+
+  return {
+    name: "memory",
+
+    async select(table, options) {
+      return db.select(table, options);
+    },
+
+    async insert(table, rows, options) {
+      const inserted = db.insert(table, rows, options);
+      persist();
+      return inserted;
+    },
+
+    async count(table, options) {
+      return db.count(table, options);
+    },
+
+    async update(table, patch, options) {
+      const updated = db.update(table, patch, options);
+      if (updated.length) persist();
+      return updated;
+    },
+
+    async remove(table, options) {
+      const removed = db.remove(table, options);
+      if (removed) persist();
+      return removed;
+    },
+
+    async rpc(name, args = {}) {
+      const fn = memoryFunctions[name];
+      if (!fn) throw new Error(`Unknown function: ${name}`);
+
+      const snapshot = clone(tables);
+      try {
+        const result = fn(db, args);
+        persist();
+        return clone(result);
+      } catch (e) {
+        tables = snapshot;
+        throw e;
+      }
+    },
+  };
+}
+
+module.exports = { createMemoryDriver };
@@ -0,0 +1,652 @@
+// JS twins of the Postgres functions in supabase/migrations, run by the
+// memory driver's rpc() against its synchronous table API. Keep the
+// argument names and return values identical to the SQL versions.
+
+const { MAX_PARENT_DEPTH } = require("../tickets/links");
+
+const byId = (id) => [{ column: "id", op: "eq", value: id }];
+
+// Would making parentId the parent of childId close a loop? Same walk as
+// POST /api/tickets/:id/links, over the given ticket_links rows.
+function createsParentCycle(links, parentId, childId) {
+  let current = parentId;
+  for (let depth = 0; current && depth < MAX_PARENT_DEPTH; depth++) {
+    if (current === childId) return true;
+    current = links.find((l) => l.link_type === "PARENT" && l.linked_ticket_id === current)?.ticket_id || null;
+  }
+  return !!current;
+}
+
+/**
+ * apply_ticket_change: compare-and-swap on tickets.version, then the
+ * comment and audit inserts. Returns the new version, or null when the
+ * ticket is missing or p_expected_version is stale.
+ */
+function apply_ticket_change(db, { p_ticket_id, p_expected_version, p_updates, p_comment, p_audits }) {
+  const [current] = db.select("tickets", { columns: "id,version", filters: byId(p_ticket_id) });
+  if (!current) return null;
+
+  const currentVersion = current.version ?? 1;
+  if (p_expected_version != null && currentVersion !== p_expected_version) return null;
+
+  const version = currentVersion + 1;
+  const { id, version: _ignored, ...updates } = p_updates || {};
+  db.update("tickets", { ...updates, version }, { filters: byId(p_ticket_id) });
+
+  if (p_comment) db.insert("ticket_comments", { ...p_comment, ticket_id: p_ticket_id });
+  if (p_audits && p_audits.length) db.insert("audit_logs", p_audits);
+
+  return version;
+}
+
+// Rough stand-in for the 'english' text search config
+const STOPWORDS = new Set(
+  "a an and are as at be but by can for from has have i in is it its my no not of on or our so that the their this to was we were what when where which with you your".split(" ")
+);
+
+function words(text) {
+  return [
+    ...new Set(
+      String(text || "")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((w) => w.length > 1 && !STOPWORDS.has(w))
+    ),
+  ];
+}
+
+/**
+ * match_kb_articles: PUBLISHED articles where any query word appears,
+ * ranked like the weights in 0013 (title > tags > body).
+ */
+function match_kb_articles(db, { p_query, p_limit = 3 }) {
+  const query = words(p_query);
+  if (!query.length) return [];
+
+  const articles = db.select("kb_articles", {
+    filters: [{ column: "status", op: "eq", value: "PUBLISHED" }],
+  });
+
+  return articles
+    .map((a) => {
+      const title = words(a.title);
+      const tags = words((a.tags || []).join(" "));
+      const body = words(a.body);
+      let rank = 0;
+      for (const w of query) {
+        if (title.includes(w)) rank += 1;
+        if (tags.includes(w)) rank += 0.4;
+        if (body.includes(w)) rank += 0.2;
+      }
+      return { id: a.id, title: a.title, team: a.team ?? null, rank, updated_at: a.updated_at };
+    })
+    .filter((a) => a.rank > 0)
+    .sort((x, y) => y.rank - x.rank || String(y.updated_at).localeCompare(String(x.updated_at)))
+    .slice(0, Math.max(p_limit || 3, 1))
+    .map(({ updated_at, ...row }) => row);
+}
+
+// pg_trgm: lower-cased words padded as "  word ", every 3-character slice
+function trigrams(text) {
+  const set = new Set();
+  for (const word of String(text || "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean)) {
+    const padded = `  ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) set.add(padded.slice(i, i + 3));
+  }
+  return set;
+}
+
+// pg_trgm similarity(): shared trigrams / all trigrams
+function similarity(a, b) {
+  const x = trigrams(a);
+  const y = trigrams(b);
+  if (!x.size || !y.size) return 0;
+  let shared = 0;
+  for (const t of x) if (y.has(t)) shared += 1;
+  return shared / (x.size + y.size - shared);
+}
+
+const systemKey = (value) => String(value || "").trim().toLowerCase();
+
+/**
+ * find_similar_tickets: open, unmerged tickets for the same affected
+ * system since p_since, scored 0.7 * title + 0.3 * description similarity.
+ */
+function find_similar_tickets(
+  db,
+  { p_title, p_description, p_affected_system, p_since, p_exclude_id = null, p_min_score = 0.3, p_limit = 5 }
+) {
+  const candidates = db.select("tickets", {
+    filters: [
+      { column: "status", op: "notIn", value: ["RESOLVED", "CLOSED"] },
+      { column: "merged_into_id", op: "is", value: null },
+      { column: "created_at", op: "gte", value: p_since },
+    ],
+  });
+
+  return candidates
+    .filter((t) => t.id !== p_exclude_id && systemKey(t.affected_system) === systemKey(p_affected_system))
+    .map((t) => ({
+      id: t.id,
+      title: t.title,
+      status: t.status,
+      assigned_team: t.assigned_team ?? null,
+      created_at: t.created_at,
+      score:
+        0.7 * similarity(t.title, p_title) +
+        0.3 * similarity(String(t.description || "").slice(0, 500), String(p_description || "").slice(0, 500)),
+    }))
+    .filter((t) => t.score >= p_min_score)
+    .sort((x, y) => y.score - x.score || String(y.created_at).localeCompare(String(x.created_at)))
+    .slice(0, Math.max(p_limit || 5, 1));
+}
+
+/**
+ * merge_tickets: move comments, attachments and audit history from the
+ * source to the target, copy watchers, move the source's other PARENT /
+ * RELATED links unless the target is already linked to that ticket or the
+ * move would close a parent/child loop, close the source with a DUPLICATE
+ * link. Returns { source_version, target_version } or null.
+ */
+function merge_tickets(db, { p_source_id, p_target_id, p_actor_id }) {
+  const [src] = db.select("tickets", { filters: byId(p_source_id) });
+  const [tgt] = db.select("tickets", { filters: byId(p_target_id) });
+  if (!src || !tgt || src.id === tgt.id || src.merged_into_id || tgt.merged_into_id) return null;
+
+  const ofSource = [{ column: "ticket_id", op: "eq", value: p_source_id }];
+  for (const table of ["ticket_comments", "attachments", "audit_logs"]) {
+    db.update(table, { ticket_id: p_target_id }, { filters: ofSource });
+  }
+
+  const watching = new Set(
+    db.select("ticket_watchers", { filters: [{ column: "ticket_id", op: "eq", value: p_target_id }] }).map((w) => w.user_id)
+  );
+  const newWatchers = db.select("ticket_watchers", { filters: ofSource }).map((w) => w.user_id);
+  if (src.requester_user_id !== tgt.requester_user_id) newWatchers.push(src.requester_user_id);
+  for (const userId of newWatchers) {
+    if (!userId || watching.has(userId)) continue;
+    watching.add(userId);
+    db.insert("ticket_watchers", { ticket_id: p_target_id, user_id: userId });
+  }
+
+  db.remove("ticket_links", {
+    filters: [
+      {
+        or: [
+          { and: [{ column: "ticket_id", op: "eq", value: p_source_id }, { column: "linked_ticket_id", op: "eq", value: p_target_id }] },
+          { and: [{ column: "ticket_id", op: "eq", value: p_target_id }, { column: "linked_ticket_id", op: "eq", value: p_source_id }] },
+        ],
+      },
+    ],
+  });
+  const links = db.select("ticket_links", {});
+  const linkedToTarget = (otherId) =>
+    links.some(
+      (e) =>
+        (e.ticket_id === p_target_id && e.linked_ticket_id === otherId) ||
+        (e.ticket_id === otherId && e.linked_ticket_id === p_target_id)
+    );
+  for (const link of links) {
+    if (!["PARENT", "RELATED"].includes(link.link_type)) continue;
+    const fromSource = link.ticket_id === p_source_id;
+    if (!fromSource && link.linked_ticket_id !== p_source_id) continue;
+    const otherId = fromSource ? link.linked_ticket_id : link.ticket_id;
+    if (otherId === p_target_id || linkedToTarget(otherId)) continue;
+    // The target keeps its own parent, if it has one
+    const targetHasParent = links.some((e) => e.linked_ticket_id === p_target_id && e.link_type === "PARENT");
+    if (!fromSource && link.link_type === "PARENT" && targetHasParent) continue;
+    if (link.link_type === "PARENT") {
+      const [parentId, childId] = fromSource ? [p_target_id, otherId] : [otherId, p_target_id];
+      if (createsParentCycle(links, parentId, childId)) continue;
+    }
+
+    const moved = fromSource ? { ticket_id: p_target_id } : { linked_ticket_id: p_target_id };
+    db.update("ticket_links", moved, { filters: byId(link.id) });
+    Object.assign(link, moved);
+  }
+
+  db.insert("ticket_links", {
+    ticket_id: p_source_id,
+    linked_ticket_id: p_target_id,
+    link_type: "DUPLICATE",
+    created_by: p_actor_id,
+  });
+
+  const nowIso = new Date().toISOString();
+  const source_version = (src.version ?? 1) + 1;
+  const target_version = (tgt.version ?? 1) + 1;
+  db.update(
+    "tickets",
+    { status: "CLOSED", merged_into_id: p_target_id, updated_at: nowIso, version: source_version },
+    { filters: byId(p_source_id) }
+  );
+  db.update("tickets", { updated_at: nowIso, version: target_version }, { filters: byId(p_target_id) });
+
+  db.insert("audit_logs", [
+    {
+      ticket_id: p_source_id,
+      actor_id: p_actor_id,
+      action: "TICKET_MERGED",
+      field_name: "merged_into",
+      old_value: src.status,
+      new_value: p_target_id,
+    },
+    {
+      ticket_id: p_target_id,
+      actor_id: p_actor_id,
+      action: "TICKET_MERGED",
+      field_name: "merged_from",
+      old_value: null,
+      new_value: p_source_id,
+    },
+  ]);
+
+  return { source_version, target_version };
+}
+
+// Every place a team is stored by name: [table, column]
+const TEAM_NAME_COLUMNS = [
+  ["tickets", "assigned_team"],
+  ["users", "team"],
+  ["kb_articles", "team"],
+  ["team_calendars", "team"],
+  ["team_assignment_rules", "team"],
+  ["sla_policies", "team"],
+  ["sla_escalation_rules", "team"],
+  ["sla_escalation_rules", "target_team"],
+  ["ticket_workflows", "team"],
+];
+
+// ... and where it is one element of a name array: [table, column]
+const TEAM_NAME_ARRAY_COLUMNS = [["webhook_subscriptions", "teams"]];
+
+/**
+ * rename_team: new name everywhere the old one is stored; the old name
+ * becomes an alias. Returns the team row or null.
+ */
+function rename_team(db, { p_team_id, p_name }) {
+  const [team] = db.select("teams", { filters: byId(p_team_id) });
+  if (!team) return null;
+
+  const oldName = team.name;
+  const aliases = team.aliases || [];
+  const keepAliases = oldName.toLowerCase() === String(p_name).toLowerCase() || aliases.includes(oldName);
+
+  const [result] = db.update(
+    "teams",
+    {
+      name: p_name,
+      aliases: keepAliases ? aliases : [...aliases, oldName],
+      updated_at: new Date().toISOString(),
+    },
+    { filters: byId(p_team_id) }
+  );
+  if (oldName === p_name) return result;
+
+  for (const [table, column] of TEAM_NAME_COLUMNS) {
+    db.update(table, { [column]: p_name }, { filters: [{ column, op: "eq", value: oldName }] });
+  }
+  for (const [table, column] of TEAM_NAME_ARRAY_COLUMNS) {
+    for (const row of db.select(table, { filters: [{ column, op: "contains", value: [oldName] }] })) {
+      const names = row[column].map((name) => (name === oldName ? p_name : name));
+      db.update(table, { [column]: names }, { filters: byId(row.id) });
+    }
+  }
+  return result;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// date_trunc(bucket, ts at time zone 'UTC') as a Date; weeks start on Monday
+function bucketStart(bucket, iso) {
+  const d = new Date(iso);
+  if (bucket === "month") return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  const day = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  if (bucket === "week") return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  return day;
+}
+
+function nextBucket(bucket, start) {
+  if (bucket === "month") return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  return new Date(start.getTime() + (bucket === "week" ? 7 : 1) * DAY_MS);
+}
+
+const minutesBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / 60000;
+const round = (value, digits) => (value == null ? null : Number(Number(value).toFixed(digits)));
+const inRange = (iso, from, to) => !!iso && iso >= from && iso < to;
+
+// percentile_cont over an ascending list
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const pos = p * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function durationStats(minutes) {
+  const sorted = [...minutes].sort((a, b) => a - b);
+  const mean = sorted.length ? sorted.reduce((sum, m) => sum + m, 0) / sorted.length : null;
+  return {
+    count: sorted.length,
+    meanMinutes: round(mean, 1),
+    p50Minutes: round(percentile(sorted, 0.5), 1),
+    p90Minutes: round(percentile(sorted, 0.9), 1),
+  };
+}
+
+function countBy(rows, column) {
+  const counts = {};
+  for (const r of rows) {
+    if (r[column] == null) continue;
+    counts[r[column]] = (counts[r[column]] || 0) + 1;
+  }
+  return counts;
+}
+
+// [{ key, label, met, total }] per value of keyOf(row), sorted like the SQL
+function complianceBy(rows, keyOf, labelOf = () => null) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyOf(r) ?? null;
+    const g = groups.get(key) || { key, label: labelOf(r) ?? null, met: 0, total: 0 };
+    g.total += 1;
+    if (r.met) g.met += 1;
+    groups.set(key, g);
+  }
+  const text = (v) => (v == null ? "\uffff" : String(v));
+  return [...groups.values()].sort(
+    (a, b) => text(a.label).localeCompare(text(b.label)) || text(a.key).localeCompare(text(b.key))
+  );
+}
+
+const complianceRow = (g) => ({ met: g.met, breached: g.total - g.met, rate: round(g.met / g.total, 4) });
+
+const BACKLOG_AGE_BUCKETS = [
+  ["<1d", 0, 1],
+  ["1-3d", 1, 3],
+  ["3-7d", 3, 7],
+  ["7-30d", 7, 30],
+  ["30d+", 30, null],
+];
+
+/**
+ * ticket_analytics: the dashboard aggregates from 0017 (period counts,
+ * created/resolved series, response and resolution times, SLA compliance,
+ * backlog ageing) for tickets matching the team / requester filters.
+ */
+function ticket_analytics(db, { p_from, p_to, p_bucket = "day", p_teams = null, p_requester_id = null, p_now = null }) {
+  const filters = [{ column: "merged_into_id", op: "is", value: null }];
+  if (p_teams) filters.push({ column: "assigned_team", op: "in", value: p_teams });
+  if (p_requester_id) filters.push({ column: "requester_user_id", op: "eq", value: p_requester_id });
+  const scoped = db.select("tickets", { filters });
+
+  const from = new Date(p_from).toISOString();
+  const to = new Date(p_to).toISOString();
+  const now = p_now ? new Date(p_now).getTime() : Date.now();
+
+  const created = scoped.filter((t) => inRange(t.created_at, from, to));
+  const resolved = scoped
+    .filter((t) => inRange(t.resolved_at, from, to))
+    .map((t) => ({
+      ...t,
+      minutes: minutesBetween(t.created_at, t.resolved_at),
+      met: t.sla_status !== "BREACHED" && (!t.sla_due_at || Date.parse(t.resolved_at) <= Date.parse(t.sla_due_at)),
+    }));
+  const responded = scoped
+    .filter((t) => inRange(t.first_responded_at, from, to))
+    .map((t) => minutesBetween(t.created_at, t.first_responded_at));
+  const openNow = scoped
+    .filter((t) => !["RESOLVED", "CLOSED"].includes(t.status))
+    .map((t) => ({ ...t, ageDays: (now - Date.parse(t.created_at)) / DAY_MS }));
+
+  const series = [];
+  const last = bucketStart(p_bucket, new Date(Date.parse(to) - 1).toISOString());
+  for (let b = bucketStart(p_bucket, from); b <= last; b = nextBucket(p_bucket, b)) {
+    const inBucket = (iso) => bucketStart(p_bucket, iso).getTime() === b.getTime();
+    series.push({
+      bucket: b.toISOString().slice(0, 10),
+      created: created.filter((t) => inBucket(t.created_at)).length,
+      resolved: resolved.filter((t) => inBucket(t.resolved_at)).length,
+    });
+  }
+
+  const agentIds = [...new Set(resolved.map((t) => t.assignee_user_id).filter(Boolean))];
+  const agents = new Map(
+    (agentIds.length ? db.select("users", { filters: [{ column: "id", op: "in", value: agentIds }] }) : []).map(
+      (u) => [u.id, u.name || u.email]
+    )
+  );
+  const overall = { met: resolved.filter((t) => t.met).length, total: resolved.length };
+
+  return {
+    kpis: {
+      total: created.length,
+      resolved: resolved.length,
+      open: openNow.length,
+      breached: openNow.filter((t) => t.sla_status === "BREACHED").length,
+    },
+    charts: {
+      byStatus: countBy(created, "status"),
+      byPriority: countBy(created, "priority"),
+      bySla: countBy(created, "sla_status"),
+      byTeam: countBy(created, "assigned_team"),
+    },
+    series,
+    firstResponse: durationStats(responded),
+    resolution: durationStats(resolved.map((t) => t.minutes)),
+    slaCompliance: {
+      overall: {
+        met: overall.met,
+        breached: overall.total - overall.met,
+        rate: overall.total ? round(overall.met / overall.total, 4) : null,
+      },
+      byTeam: complianceBy(resolved, (t) => t.assigned_team, (t) => t.assigned_team).map((g) => ({
+        team: g.key,
+        ...complianceRow(g),
+      })),
+      byPriority: complianceBy(resolved, (t) => t.priority, (t) => t.priority).map((g) => ({
+        priority: g.key,
+        ...complianceRow(g),
+      })),
+      byAgent: complianceBy(
+        resolved,
+        (t) => t.assignee_user_id,
+        (t) => agents.get(t.assignee_user_id)
+      ).map((g) => ({ agentId: g.key, name: g.label, ...complianceRow(g) })),
+    },
+    backlogAge: BACKLOG_AGE_BUCKETS.map(([bucket, lo, hi]) => ({
+      bucket,
+      count: openNow.filter((t) => t.ageDays >= lo && (hi === null || t.ageDays < hi)).length,
+    })),
+  };
+}
+
+// Rows of `table` in [p_from, p_to) after the (p_after_at, p_after_id)
+// keyset, with their ticket, ordered by (created_at, id)
+function exportPage(db, table, { p_from, p_to, p_teams = null, p_after_at = null, p_after_id = null, p_limit = 500 }) {
+  const from = new Date(p_from).toISOString();
+  const to = new Date(p_to).toISOString();
+  const after = p_after_at ? new Date(p_after_at).toISOString() : null;
+
+  const rows = db
+    .select(table, {
+      filters: [
+        { column: "created_at", op: "gte", value: from },
+        { column: "created_at", op: "lt", value: to },
+      ],
+      order: [{ column: "created_at" }, { column: "id" }],
+    })
+    .filter((r) => !after || r.created_at > after || (r.created_at === after && r.id > p_after_id));
+
+  const out = [];
+  const tickets = new Map();
+  for (const row of rows) {
+    if (!tickets.has(row.ticket_id)) tickets.set(row.ticket_id, db.select("tickets", { filters: byId(row.ticket_id) })[0]);
+    const ticket = tickets.get(row.ticket_id);
+    if (!ticket || (p_teams && !p_teams.includes(ticket.assigned_team))) continue;
+    out.push({ row, ticket });
+    if (out.length >= Math.max(p_limit || 500, 1)) break;
+  }
+  return out;
+}
+
+function emailOf(db, userId) {
+  if (!userId) return null;
+  return db.select("users", { columns: "email", filters: byId(userId) })[0]?.email ?? null;
+}
+
+/**
+ * export_audit_logs: audit entries with ticket title / team and the
+ * actor's email; assignee changes carry emails instead of user ids.
+ */
+function export_audit_logs(db, args) {
+  return exportPage(db, "audit_logs", args).map(({ row: a, ticket }) => {
+    const assignee = a.field_name === "assignee_user_id";
+    return {
+      id: a.id,
+      created_at: a.created_at,
+      ticket_id: a.ticket_id,
+      ticket_title: ticket.title,
+      assigned_team: ticket.assigned_team ?? null,
+      action: a.action,
+      field_name: a.field_name ?? null,
+      old_value: assignee ? emailOf(db, a.old_value) || a.old_value : a.old_value ?? null,
+      new_value: assignee ? emailOf(db, a.new_value) || a.new_value : a.new_value ?? null,
+      actor_email: emailOf(db, a.actor_id),
+    };
+  });
+}
+
+/**
+ * export_ticket_comments: comments with ticket title / team and the
+ * author's email.
+ */
+function export_ticket_comments(db, args) {
+  return exportPage(db, "ticket_comments", args).map(({ row: c, ticket }) => ({
+    id: c.id,
+    created_at: c.created_at,
+    ticket_id: c.ticket_id,
+    ticket_title: ticket.title,
+    assigned_team: ticket.assigned_team ?? null,
+    author_email: emailOf(db, c.author_id),
+    body: c.body,
+  }));
+}
+
+// CSAT figures for a group of answered surveys
+function csatRow(rows) {
+  const ratings = rows.map((r) => r.rating).filter((r) => r != null);
+  const satisfied = ratings.filter((r) => r >= 4).length;
+  return {
+    responses: rows.length,
+    average: ratings.length ? round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length, 2) : null,
+    satisfied,
+    satisfiedRate: ratings.length ? round(satisfied / ratings.length, 4) : null,
+    rejected: rows.filter((r) => r.rejected).length,
+  };
+}
+
+/**
+ * csat_analytics: survey answers given in [p_from, p_to) overall, per team
+ * (at resolution) and per agent; same filters as ticket_analytics.
+ */
+function csat_analytics(db, { p_from, p_to, p_teams = null, p_requester_id = null }) {
+  const from = new Date(p_from).toISOString();
+  const to = new Date(p_to).toISOString();
+  const teamNames = new Map(db.select("teams").map((t) => [t.id, t.name]));
+
+  const answered = db
+    .select("ticket_surveys", { filters: [{ column: "responded_at", op: "gte", value: from }] })
+    .filter((s) => s.responded_at < to)
+    .map((s) => ({ ...s, team: teamNames.get(s.team_id) ?? null }))
+    .filter((s) => !p_teams || p_teams.includes(s.team))
+    .filter((s) => !p_requester_id || s.requester_user_id === p_requester_id)
+    .filter((s) => {
+      const [ticket] = db.select("tickets", { columns: "merged_into_id", filters: byId(s.ticket_id) });
+      return ticket && !ticket.merged_into_id;
+    });
+
+  const agentIds = [...new Set(answered.map((s) => s.assignee_user_id).filter(Boolean))];
+  const agents = new Map(
+    (agentIds.length ? db.select("users", { filters: [{ column: "id", op: "in", value: agentIds }] }) : []).map(
+      (u) => [u.id, u.name || u.email]
+    )
+  );
+  const groups = (keyOf, labelOf) =>
+    complianceBy(answered, keyOf, labelOf).map((g) => ({
+      ...g,
+      ...csatRow(answered.filter((s) => (keyOf(s) ?? null) === g.key)),
+    }));
+
+  return {
+    overall: csatRow(answered),
+    byTeam: groups((s) => s.team).map(({ key, responses, average, satisfiedRate, rejected }) => ({
+      team: key,
+      responses,
+      average,
+      satisfiedRate,
+      rejected,
+    })),
+    byAgent: groups(
+      (s) => s.assignee_user_id,
+      (s) => agents.get(s.assignee_user_id)
+    ).map(({ key, label, responses, average, satisfiedRate, rejected }) => ({
+      agentId: key,
+      name: label,
+      responses,
+      average,
+      satisfiedRate,
+      rejected,
+    })),
+  };
+}
+
+/**
+ * record_ai_usage: adds to the day's AI usage counters (row created on the
+ * day's first call).
+ */
+function record_ai_usage(db, { p_day, p_calls = 0, p_tokens = 0, p_skipped = 0 }) {
+  const filters = [{ column: "day", op: "eq", value: p_day }];
+  const [row] = db.select("ai_usage", { filters });
+  const updated_at = new Date().toISOString();
+  if (!row) {
+    db.insert("ai_usage", { day: p_day, calls: p_calls, tokens: p_tokens, skipped: p_skipped, updated_at });
+    return null;
+  }
+  db.update(
+    "ai_usage",
+    { calls: row.calls + p_calls, tokens: row.tokens + p_tokens, skipped: row.skipped + p_skipped, updated_at },
+    { filters }
+  );
+  return null;
+}
+
+// open_tickets_by_team: [{ team, open }] of open, unmerged tickets
+function open_tickets_by_team(db) {
+  const open = db
+    .select("tickets", {
+      columns: "assigned_team,merged_into_id",
+      filters: [{ column: "status", op: "notIn", value: ["RESOLVED", "CLOSED"] }],
+    })
+    .filter((t) => !t.merged_into_id);
+  const counts = new Map();
+  for (const t of open) counts.set(t.assigned_team ?? null, (counts.get(t.assigned_team ?? null) || 0) + 1);
+  return [...counts]
+    .map(([team, count]) => ({ team, open: count }))
+    .sort((a, b) => String(a.team).localeCompare(String(b.team)));
+}
+
+module.exports = {
+  apply_ticket_change,
+  match_kb_articles,
+  find_similar_tickets,
+  merge_tickets,
+  rename_team,
+  ticket_analytics,
+  export_audit_logs,
+  export_ticket_comments,
+  csat_analytics,
+  record_ai_usage,
+  open_tickets_by_team,
+};
@@ -0,0 +1,975 @@
+// Column lists shared by the routes (kept identical to the API responses)
+const USER_COLUMNS = "id,email,name,department,role,team,available,skills,created_at";
+const TICKET_COLUMNS =
+  "id,title,assigned_team,priority,status,sla_due_at,sla_status,created_at,updated_at,ai_summary_problem,ai_summary_impact,ai_summary_action,ai_knowledge_suggestions,triage_provider,triage_validation,ai_raw_response,sla_paused_at,sla_paused_seconds,first_response_due_at,first_response_status,first_responded_at,resolved_at,version,assignee_user_id,resolution_code,resolution_note";
+// Single-ticket view (GET /api/tickets/:id): list columns plus the request
+// details, without the raw AI output
+const TICKET_DETAIL_COLUMNS = [
+  ...TICKET_COLUMNS.split(",").filter((c) => !["ai_raw_response", "triage_validation"].includes(c)),
+  "requester_user_id,description,affected_system,is_blocking,requested_timeline,try_kb_first,merged_into_id,team_id",
+].join(",");
+
+function first(rows) {
+  return rows && rows.length ? rows[0] : null;
+}
+
+const eq = (column, value) => ({ column, op: "eq", value });
+const isNull = (column) => ({ column, op: "is", value: null });
+// Text matched literally by ILIKE (no % / _ wildcards)
+const likeLiteral = (text) => String(text ?? "").replace(/[\\%_]/g, "\\$&");
+const inList = (column, value) => ({ column, op: "in", value });
+const newestFirst = [{ column: "created_at", ascending: false }];
+
+// { requesterUserId?, assignedTeam? } -> driver filters
+function ticketScopeFilters({ requesterUserId, assignedTeam } = {}) {
+  const filters = [];
+  if (requesterUserId) filters.push(eq("requester_user_id", requesterUserId));
+  if (assignedTeam) filters.push(eq("assigned_team", assignedTeam));
+  return filters;
+}
+
+/**
+ * Domain repositories on top of a storage driver. Routes only talk to
+ * these, never to a driver (or Supabase) directly.
+ */
+function createRepositories(driver) {
+  const users = {
+    // Case-insensitive: JWTs and mail headers do not agree on casing
+    async findByEmail(email, columns = USER_COLUMNS) {
+      return first(
+        await driver.select("users", {
+          columns,
+          filters: [{ column: "email", op: "ilike", value: likeLiteral(email) }],
+          limit: 1,
+        })
+      );
+    },
+
+    async listByIds(ids, columns = USER_COLUMNS) {
+      if (!ids.length) return [];
+      return driver.select("users", { columns, filters: [inList("id", ids)] });
+    },
+
+    // matches email OR name
+    async search({ query, limit = 50 } = {}) {
+      const filters = [];
+      if (query) {
+        filters.push({
+          or: [
+            { column: "email", op: "ilike", value: `%${query}%` },
+            { column: "name", op: "ilike", value: `%${query}%` },
+          ],
+        });
+      }
+      return driver.select("users", {
+        columns: USER_COLUMNS,
+        filters,
+        order: newestFirst,
+        limit,
+      });
+    },
+
+    // Everyone whose users.team is `team` (agents and admins)
+    async listByTeam(team, columns = USER_COLUMNS) {
+      return driver.select("users", { columns, filters: [eq("team", team)], order: [{ column: "email" }] });
+    },
+
+    // AGENTs of a team that are not out of office
+    async listAvailableAgents(team, columns = USER_COLUMNS) {
+      return driver.select("users", {
+        columns,
+        filters: [
+          eq("role", "AGENT"),
+          eq("team", team),
+          { column: "available", op: "neq", value: false },
+        ],
+        order: [{ column: "id" }],
+      });
+    },
+
+    async create(user, columns = USER_COLUMNS) {
+      return first(await driver.insert("users", user, { columns }));
+    },
+
+    async update(id, patch, columns = USER_COLUMNS) {
+      return first(await driver.update("users", patch, { columns, filters: [eq("id", id)] }));
+    },
+  };
+
+  const tickets = {
+    async create(ticket, columns = TICKET_COLUMNS) {
+      return first(await driver.insert("tickets", ticket, { columns }));
+    },
+
+    async findById(id, columns = "*") {
+      return first(await driver.select("tickets", { columns, filters: [eq("id", id)], limit: 1 }));
+    },
+
+    /**
+     * Ticket by full id or by the 8-hex-digit short reference used in
+     * email subjects ("[Ticket c52509a9]"). A short ref that matches more
+     * than one ticket resolves to null.
+     */
+    async findByRef(ref, columns = "*") {
+      const value = String(ref || "").toLowerCase();
+      if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(value)) {
+        return tickets.findById(value, columns);
+      }
+      if (!/^[0-9a-f]{8}$/.test(value)) return null;
+
+      const rows = await driver.select("tickets", {
+        columns,
+        filters: [
+          { column: "id", op: "gte", value: `${value}-0000-0000-0000-000000000000` },
+          { column: "id", op: "lte", value: `${value}-ffff-ffff-ffff-ffffffffffff` },
+        ],
+        limit: 2,
+      });
+      return rows.length === 1 ? rows[0] : null;
+    },
+
+    /**
+     * Keyset-paginated listing ordered by (sort, id), rows without a
+     * `sort` value last in either direction.
+     * cursor: { v, id } of the last row of the previous page (v null once
+     * the page reached those rows).
+     * Returns { rows, total, hasMore }; total ignores the cursor (null
+     * with withTotal: false, which skips the count query).
+     */
+    async page(
+      {
+        scope = {},
+        filters = [],
+        sort = "created_at",
+        ascending = false,
+        cursor = null,
+        limit = 50,
+        withTotal = true,
+      } = {},
+      columns = TICKET_COLUMNS
+    ) {
+      const base = [...ticketScopeFilters(scope), ...filters];
+      const after = [];
+      if (cursor) {
+        const op = ascending ? "gt" : "lt";
+        const nextId = { column: "id", op, value: cursor.id };
+        if (cursor.v == null) {
+          after.push(isNull(sort), nextId);
+        } else {
+          after.push({
+            or: [{ column: sort, op, value: cursor.v }, { and: [eq(sort, cursor.v), nextId] }, isNull(sort)],
+          });
+        }
+      }
+
+      const [rows, total] = await Promise.all([
+        driver.select("tickets", {
+          columns,
+          filters: [...base, ...after],
+          order: [
+            { column: sort, ascending, nullsFirst: false },
+            { column: "id", ascending },
+          ],
+          limit: limit + 1,
+        }),
+        withTotal ? driver.count("tickets", { filters: base }) : null,
+      ]);
+
+      return { rows: rows.slice(0, limit), total, hasMore: rows.length > limit };
+    },
+
+    async update(id, patch, columns = TICKET_COLUMNS) {
+      return first(await driver.update("tickets", patch, { columns, filters: [eq("id", id)] }));
+    },
+
+    // Open, unmerged tickets per assigned team: [{ team, open }] (the database counts)
+    async countOpenByTeam() {
+      return (await driver.rpc("open_tickets_by_team")) || [];
+    },
+
+    // Unmerged tickets of these teams currently in one of `statuses`
+    async countInStatuses(teams, statuses) {
+      return driver.count("tickets", {
+        filters: [inList("assigned_team", teams), inList("status", statuses), isNull("merged_into_id")],
+      });
+    },
+
+    /**
+     * Atomically apply a ticket change: update (bumping `version`), the
+     * optional comment and the audit entries, all or nothing.
+     * expectedVersion null skips the version check (system changes).
+     * Returns the new version, or null on a version conflict / missing ticket.
+     */
+    async applyChange({ ticketId, expectedVersion = null, updates = {}, comment = null, audits = [] }) {
+      const version = await driver.rpc("apply_ticket_change", {
+        p_ticket_id: ticketId,
+        p_expected_version: expectedVersion,
+        p_updates: updates,
+        p_comment: comment,
+        p_audits: audits,
+      });
+      return version ?? null;
+    },
+
+    /**
+     * Likely duplicates of a new request: open tickets for the same
+     * affected system created since `since`, best first.
+     * Returns [{ id, title, status, assigned_team, created_at, score }].
+     */
+    async findSimilar({ title, description, affectedSystem, since, excludeId = null, minScore = 0.3, limit = 5 }) {
+      const rows = await driver.rpc("find_similar_tickets", {
+        p_title: title,
+        p_description: description || "",
+        p_affected_system: affectedSystem || null,
+        p_since: since,
+        p_exclude_id: excludeId,
+        p_min_score: minScore,
+        p_limit: limit,
+      });
+      return rows || [];
+    },
+
+    /**
+     * Merge sourceId into targetId (see merge_tickets in 0014).
+     * Returns { sourceVersion, targetVersion }, or null when either ticket
+     * is missing or already merged.
+     */
+    async merge({ sourceId, targetId, actorId }) {
+      const result = await driver.rpc("merge_tickets", {
+        p_source_id: sourceId,
+        p_target_id: targetId,
+        p_actor_id: actorId,
+      });
+      return result ? { sourceVersion: result.source_version, targetVersion: result.target_version } : null;
+    },
+
+    /**
+     * Dashboard aggregates, computed in the database (ticket_analytics in
+     * 0017, csat_analytics in 0020): { kpis, charts, series, firstResponse,
+     * resolution, slaCompliance, backlogAge, csat }. `teams` / `requesterId`
+     * narrow the tickets.
+     */
+    async analytics({ from, to, bucket = "day", teams = null, requesterId = null }) {
+      const [tickets, csat] = await Promise.all([
+        driver.rpc("ticket_analytics", {
+          p_from: from,
+          p_to: to,
+          p_bucket: bucket,
+          p_teams: teams,
+          p_requester_id: requesterId,
+        }),
+        driver.rpc("csat_analytics", { p_from: from, p_to: to, p_teams: teams, p_requester_id: requesterId }),
+      ]);
+      return { ...tickets, csat };
+    },
+
+    // RESOLVED (unmerged) tickets resolved in (after, before), oldest first
+    async listResolvedBefore(beforeIso, { after = null, limit = 200 } = {}) {
+      const filters = [
+        eq("status", "RESOLVED"),
+        { column: "resolved_at", op: "lt", value: beforeIso },
+        isNull("merged_into_id"),
+      ];
+      if (after) filters.push({ column: "resolved_at", op: "gt", value: after });
+      return driver.select("tickets", {
+        filters,
+        order: [{ column: "resolved_at" }],
+        limit,
+      });
+    },
+
+    // userId -> number of open (not RESOLVED/CLOSED) tickets assigned to them
+    async countOpenByAssignee(userIds) {
+      const counts = new Map(userIds.map((id) => [id, 0]));
+      if (!userIds.length) return counts;
+
+      const rows = await driver.select("tickets", {
+        columns: "assignee_user_id",
+        filters: [
+          inList("assignee_user_id", userIds),
+          { column: "status", op: "notIn", value: ["RESOLVED", "CLOSED"] },
+        ],
+      });
+      for (const r of rows) counts.set(r.assignee_user_id, (counts.get(r.assignee_user_id) || 0) + 1);
+      return counts;
+    },
+
+    // Open tickets with at least one SLA clock the monitor may advance
+    async listSlaCandidates() {
+      return driver.select("tickets", {
+        columns:
+          "id,title,version,requester_user_id,assigned_team,priority,status,sla_status,sla_due_at,sla_target_minutes,sla_paused_at,first_response_status,first_response_due_at,first_response_target_minutes,first_responded_at",
+        filters: [
+          { column: "status", op: "notIn", value: ["RESOLVED", "CLOSED"] },
+          {
+            or: [
+              { column: "sla_status", op: "in", value: ["ON_TRACK", "AT_RISK"] },
+              { column: "first_response_status", op: "in", value: ["ON_TRACK", "AT_RISK"] },
+            ],
+          },
+        ],
+      });
+    },
+  };
+
+  const comments = {
+    async create(comment) {
+      return first(await driver.insert("ticket_comments", comment));
+    },
+
+    async listForTicket(ticketId) {
+      return driver.select("ticket_comments", {
+        columns: "id, body, created_at, author_id",
+        filters: [eq("ticket_id", ticketId)],
+        order: newestFirst,
+      });
+    },
+
+    // One export page (export_ticket_comments in 0018); after = last row's { created_at, id }
+    async exportPage({ from, to, teams = null, after = null, limit = 500 }) {
+      return (
+        (await driver.rpc("export_ticket_comments", {
+          p_from: from,
+          p_to: to,
+          p_teams: teams,
+          p_after_at: after?.created_at ?? null,
+          p_after_id: after?.id ?? null,
+          p_limit: limit,
+        })) || []
+      );
+    },
+  };
+
+  const attachments = {
+    async create(rows) {
+      return driver.insert("attachments", rows);
+    },
+
+    async findById(id) {
+      return first(await driver.select("attachments", { filters: [eq("id", id)], limit: 1 }));
+    },
+
+    async listForTicket(ticketId) {
+      return driver.select("attachments", {
+        columns: "id, ticket_id, comment_id, uploader_id, filename, content_type, size_bytes, created_at",
+        filters: [eq("ticket_id", ticketId)],
+        order: newestFirst,
+      });
+    },
+  };
+
+  const auditLogs = {
+    // accepts one entry or an array of entries
+    async create(entries) {
+      return driver.insert("audit_logs", entries, { columns: "id" });
+    },
+
+    async listForTicket(ticketId) {
+      return driver.select("audit_logs", {
+        columns: "id, action, field_name, old_value, new_value, created_at, actor_id",
+        filters: [eq("ticket_id", ticketId)],
+        order: newestFirst,
+      });
+    },
+
+    // One export page (export_audit_logs in 0018); after = last row's { created_at, id }
+    async exportPage({ from, to, teams = null, after = null, limit = 500 }) {
+      return (
+        (await driver.rpc("export_audit_logs", {
+          p_from: from,
+          p_to: to,
+          p_teams: teams,
+          p_after_at: after?.created_at ?? null,
+          p_after_id: after?.id ?? null,
+          p_limit: limit,
+        })) || []
+      );
+    },
+  };
+
+  const calendars = {
+    async list() {
+      return driver.select("business_calendars", { order: [{ column: "name" }] });
+    },
+
+    async findById(id) {
+      return first(await driver.select("business_calendars", { filters: [eq("id", id)], limit: 1 }));
+    },
+
+    async findDefault() {
+      return first(
+        await driver.select("business_calendars", { filters: [eq("is_default", true)], limit: 1 })
+      );
+    },
+
+    async create(calendar) {
+      return first(await driver.insert("business_calendars", calendar));
+    },
+
+    async update(id, patch) {
+      return first(await driver.update("business_calendars", patch, { filters: [eq("id", id)] }));
+    },
+
+    // only one calendar may be the default
+    async clearDefault() {
+      await driver.update("business_calendars", { is_default: false }, {
+        columns: "id",
+        filters: [eq("is_default", true)],
+      });
+    },
+
+    async remove(id) {
+      return driver.remove("business_calendars", { filters: [eq("id", id)] });
+    },
+  };
+
+  const teamCalendars = {
+    async list() {
+      return driver.select("team_calendars", { order: [{ column: "team" }] });
+    },
+
+    async findByTeam(team) {
+      return first(await driver.select("team_calendars", { filters: [eq("team", team)], limit: 1 }));
+    },
+
+    async listByCalendar(calendarId) {
+      return driver.select("team_calendars", { filters: [eq("calendar_id", calendarId)] });
+    },
+
+    async set(team, calendarId) {
+      const existing = await teamCalendars.findByTeam(team);
+      if (existing) {
+        return first(
+          await driver.update("team_calendars", { calendar_id: calendarId }, {
+            filters: [eq("team", team)],
+          })
+        );
+      }
+      return first(await driver.insert("team_calendars", { team, calendar_id: calendarId }));
+    },
+
+    async remove(team) {
+      return driver.remove("team_calendars", { filters: [eq("team", team)] });
+    },
+  };
+
+  const slaPolicies = {
+    async list() {
+      return driver.select("sla_policies", {
+        order: [{ column: "team" }, { column: "priority" }],
+      });
+    },
+
+    async listForPriority(priority) {
+      return driver.select("sla_policies", { filters: [eq("priority", priority)] });
+    },
+
+    async findById(id) {
+      return first(await driver.select("sla_policies", { filters: [eq("id", id)], limit: 1 }));
+    },
+
+    // one row per (team, priority); team null = applies to every team
+    async upsert({ team, priority, ...fields }) {
+      const filters = [team ? eq("team", team) : isNull("team"), eq("priority", priority)];
+      const existing = first(await driver.select("sla_policies", { filters, limit: 1 }));
+      if (existing) {
+        return first(await driver.update("sla_policies", fields, { filters: [eq("id", existing.id)] }));
+      }
+      return first(
+        await driver.insert("sla_policies", { team: team || null, priority, ...fields })
+      );
+    },
+
+    async remove(id) {
+      return driver.remove("sla_policies", { filters: [eq("id", id)] });
+    },
+  };
+
+  const teams = {
+    async list() {
+      return driver.select("teams", { order: [{ column: "name" }] });
+    },
+
+    async findById(id) {
+      return first(await driver.select("teams", { filters: [eq("id", id)], limit: 1 }));
+    },
+
+    async create(rows) {
+      return driver.insert("teams", rows);
+    },
+
+    async update(id, patch) {
+      return first(
+        await driver.update("teams", { ...patch, updated_at: new Date().toISOString() }, {
+          filters: [eq("id", id)],
+        })
+      );
+    },
+
+    // New name everywhere the team is stored by name (see rename_team in 0016)
+    async rename(id, name) {
+      return (await driver.rpc("rename_team", { p_team_id: id, p_name: name })) || null;
+    },
+  };
+
+  // Per-team auto-assignment strategy (+ round-robin cursor)
+  const assignmentRules = {
+    async list() {
+      return driver.select("team_assignment_rules", { order: [{ column: "team" }] });
+    },
+
+    async findByTeam(team) {
+      return first(
+        await driver.select("team_assignment_rules", { filters: [eq("team", team)], limit: 1 })
+      );
+    },
+
+    async set(team, patch) {
+      const fields = { ...patch, updated_at: new Date().toISOString() };
+      const existing = await assignmentRules.findByTeam(team);
+      if (existing) {
+        return first(
+          await driver.update("team_assignment_rules", fields, { filters: [eq("team", team)] })
+        );
+      }
+      return first(await driver.insert("team_assignment_rules", { team, ...fields }));
+    },
+  };
+
+  // Versioned ticket workflows; team null = default for teams without one
+  const workflows = {
+    async list(columns = "id,team,version,created_by,created_at") {
+      return driver.select("ticket_workflows", {
+        columns,
+        order: [{ column: "team" }, { column: "version", ascending: false }],
+      });
+    },
+
+    async findLatest(team) {
+      return first(
+        await driver.select("ticket_workflows", {
+          filters: [team ? eq("team", team) : isNull("team")],
+          order: [{ column: "version", ascending: false }],
+          limit: 1,
+        })
+      );
+    },
+
+    async findVersion(team, version) {
+      return first(
+        await driver.select("ticket_workflows", {
+          filters: [team ? eq("team", team) : isNull("team"), eq("version", version)],
+          limit: 1,
+        })
+      );
+    },
+
+    // Rows are never updated: every save is a new version
+    async create(row) {
+      return first(await driver.insert("ticket_workflows", row));
+    },
+  };
+
+  // Satisfaction surveys (looked up by the hash of their link token)
+  const surveys = {
+    async create(row) {
+      return first(await driver.insert("ticket_surveys", row));
+    },
+
+    async findByTokenHash(tokenHash) {
+      return first(
+        await driver.select("ticket_surveys", { filters: [eq("token_hash", tokenHash)], limit: 1 })
+      );
+    },
+
+    async update(id, patch) {
+      return first(await driver.update("ticket_surveys", patch, { filters: [eq("id", id)] }));
+    },
+
+    // A new resolution supersedes the ticket's unanswered surveys
+    async expireOpen(ticketId, nowIso) {
+      return driver.update(
+        "ticket_surveys",
+        { expires_at: nowIso },
+        {
+          filters: [
+            eq("ticket_id", ticketId),
+            isNull("responded_at"),
+            { column: "expires_at", op: "gt", value: nowIso },
+          ],
+        }
+      );
+    },
+  };
+
+  // Readiness probe: one cheap round trip to the database
+  const health = {
+    async ping() {
+      await driver.select("users", { columns: "id", limit: 1 });
+    },
+  };
+
+  // AI calls / tokens per UTC day ("YYYY-MM-DD"), for the triage budget
+  const aiUsage = {
+    async record({ day, calls = 0, tokens = 0, skipped = 0 }) {
+      await driver.rpc("record_ai_usage", { p_day: day, p_calls: calls, p_tokens: tokens, p_skipped: skipped });
+    },
+
+    // Days from `fromDay` on, oldest first
+    async listSince(fromDay) {
+      return driver.select("ai_usage", {
+        columns: "day,calls,tokens,skipped",
+        filters: [{ column: "day", op: "gte", value: fromDay }],
+        order: [{ column: "day" }],
+      });
+    },
+  };
+
+  const escalationRules = {
+    async list() {
+      return driver.select("sla_escalation_rules", { order: newestFirst });
+    },
+
+    async listEnabled() {
+      return driver.select("sla_escalation_rules", { filters: [eq("enabled", true)] });
+    },
+
+    async findById(id) {
+      return first(
+        await driver.select("sla_escalation_rules", { filters: [eq("id", id)], limit: 1 })
+      );
+    },
+
+    async create(rule) {
+      return first(await driver.insert("sla_escalation_rules", rule));
+    },
+
+    async update(id, patch) {
+      return first(await driver.update("sla_escalation_rules", patch, { filters: [eq("id", id)] }));
+    },
+
+    async remove(id) {
+      return driver.remove("sla_escalation_rules", { filters: [eq("id", id)] });
+    },
+  };
+
+  const webhooks = {
+    async list() {
+      return driver.select("webhook_subscriptions", { order: newestFirst });
+    },
+
+    async listEnabled() {
+      return driver.select("webhook_subscriptions", { filters: [eq("enabled", true)] });
+    },
+
+    async findById(id) {
+      return first(
+        await driver.select("webhook_subscriptions", { filters: [eq("id", id)], limit: 1 })
+      );
+    },
+
+    async create(subscription) {
+      return first(await driver.insert("webhook_subscriptions", subscription));
+    },
+
+    async update(id, patch) {
+      return first(await driver.update("webhook_subscriptions", patch, { filters: [eq("id", id)] }));
+    },
+
+    async remove(id) {
+      return driver.remove("webhook_subscriptions", { filters: [eq("id", id)] });
+    },
+  };
+
+  const webhookDeliveries = {
+    async create(rows) {
+      return driver.insert("webhook_deliveries", rows);
+    },
+
+    async findById(id) {
+      return first(
+        await driver.select("webhook_deliveries", { filters: [eq("id", id)], limit: 1 })
+      );
+    },
+
+    async listForSubscription(subscriptionId, { status, limit = 50 } = {}) {
+      const filters = [eq("subscription_id", subscriptionId)];
+      if (status) filters.push(eq("status", status));
+      return driver.select("webhook_deliveries", { filters, order: newestFirst, limit });
+    },
+
+    // PENDING deliveries whose next attempt is due
+    async listDue(nowIso, limit = 50) {
+      return driver.select("webhook_deliveries", {
+        filters: [eq("status", "PENDING"), { column: "next_attempt_at", op: "lte", value: nowIso }],
+        order: [{ column: "next_attempt_at", ascending: true }],
+        limit,
+      });
+    },
+
+    /**
+     * Claim a due delivery for sending: bump attempts and push
+     * next_attempt_at out to `leaseUntil`, only if nobody else did
+     * (attempts unchanged). Returns the row, or null when already taken.
+     */
+    async claim(delivery, leaseUntil) {
+      return first(
+        await driver.update(
+          "webhook_deliveries",
+          { attempts: delivery.attempts + 1, next_attempt_at: leaseUntil },
+          {
+            filters: [
+              eq("id", delivery.id),
+              eq("status", "PENDING"),
+              eq("attempts", delivery.attempts),
+            ],
+          }
+        )
+      );
+    },
+
+    async update(id, patch) {
+      return first(await driver.update("webhook_deliveries", patch, { filters: [eq("id", id)] }));
+    },
+  };
+
+  const KB_SEARCH_COLUMNS = ["title", "tags", "body"];
+
+  const kbArticles = {
+    // { q, tag, team, status } -> newest first; q is full-text (all words)
+    async list({ q, tag, team, status, limit = 50 } = {}) {
+      const filters = [];
+      if (status) filters.push(Array.isArray(status) ? inList("status", status) : eq("status", status));
+      if (team) filters.push(eq("team", team));
+      if (tag) filters.push({ column: "tags", op: "contains", value: [tag] });
+      if (q) {
+        filters.push({ column: "search_vector", op: "fts", value: q, sourceColumns: KB_SEARCH_COLUMNS });
+      }
+      return driver.select("kb_articles", {
+        columns: "id,title,tags,team,status,source_ticket_id,author_id,created_at,updated_at",
+        filters,
+        order: [{ column: "updated_at", ascending: false }],
+        limit,
+      });
+    },
+
+    async findById(id) {
+      return first(await driver.select("kb_articles", { filters: [eq("id", id)], limit: 1 }));
+    },
+
+    async create(article) {
+      return first(await driver.insert("kb_articles", article));
+    },
+
+    async update(id, patch) {
+      return first(await driver.update("kb_articles", patch, { filters: [eq("id", id)] }));
+    },
+
+    async remove(id) {
+      return driver.remove("kb_articles", { filters: [eq("id", id)] });
+    },
+
+    // Ranked PUBLISHED matches for free text: [{ id, title, team, rank }]
+    async match(query, limit = 3) {
+      return (await driver.rpc("match_kb_articles", { p_query: query, p_limit: limit })) || [];
+    },
+  };
+
+  const kbDeflections = {
+    async create(row) {
+      return first(await driver.insert("kb_deflections", row));
+    },
+
+    async findById(id) {
+      return first(await driver.select("kb_deflections", { filters: [eq("id", id)], limit: 1 }));
+    },
+
+    async update(id, patch) {
+      return first(await driver.update("kb_deflections", patch, { filters: [eq("id", id)] }));
+    },
+  };
+
+  // DUPLICATE / RELATED / PARENT links (ticket_id -> linked_ticket_id)
+  const ticketLinks = {
+    // Links on either side of the ticket
+    async listForTicket(ticketId) {
+      return driver.select("ticket_links", {
+        filters: [{ or: [eq("ticket_id", ticketId), eq("linked_ticket_id", ticketId)] }],
+        order: [{ column: "created_at" }],
+      });
+    },
+
+    // The link between two tickets, whichever direction it was made in
+    async findBetween(a, b) {
+      return first(
+        await driver.select("ticket_links", {
+          filters: [
+            {
+              or: [
+                { and: [eq("ticket_id", a), eq("linked_ticket_id", b)] },
+                { and: [eq("ticket_id", b), eq("linked_ticket_id", a)] },
+              ],
+            },
+          ],
+          limit: 1,
+        })
+      );
+    },
+
+    async findParent(childId) {
+      return first(
+        await driver.select("ticket_links", {
+          filters: [eq("linked_ticket_id", childId), eq("link_type", "PARENT")],
+          limit: 1,
+        })
+      );
+    },
+
+    async listChildren(parentId) {
+      return driver.select("ticket_links", {
+        filters: [eq("ticket_id", parentId), eq("link_type", "PARENT")],
+      });
+    },
+
+    async findById(id) {
+      return first(await driver.select("ticket_links", { filters: [eq("id", id)], limit: 1 }));
+    },
+
+    async create(link) {
+      return first(await driver.insert("ticket_links", link));
+    },
+
+    async remove(id) {
+      return driver.remove("ticket_links", { filters: [eq("id", id)] });
+    },
+  };
+
+  // Processed inbound emails (idempotency on Message-ID)
+  const inboundEmails = {
+    async findByMessageId(messageId) {
+      return first(
+        await driver.select("inbound_emails", { filters: [eq("message_id", messageId)], limit: 1 })
+      );
+    },
+
+    async create(row) {
+      return first(await driver.insert("inbound_emails", row));
+    },
+  };
+
+  const watchers = {
+    async listForTicket(ticketId) {
+      return driver.select("ticket_watchers", {
+        filters: [eq("ticket_id", ticketId)],
+        order: [{ column: "created_at" }],
+      });
+    },
+
+    async add(ticketId, userId) {
+      const existing = first(
+        await driver.select("ticket_watchers", {
+          filters: [eq("ticket_id", ticketId), eq("user_id", userId)],
+          limit: 1,
+        })
+      );
+      return existing || first(await driver.insert("ticket_watchers", { ticket_id: ticketId, user_id: userId }));
+    },
+
+    async remove(ticketId, userId) {
+      return driver.remove("ticket_watchers", {
+        filters: [eq("ticket_id", ticketId), eq("user_id", userId)],
+      });
+    },
+  };
+
+  const notificationPreferences = {
+    async findByUser(userId) {
+      return first(
+        await driver.select("notification_preferences", {
+          filters: [eq("user_id", userId)],
+          limit: 1,
+        })
+      );
+    },
+
+    async listByUsers(userIds) {
+      if (!userIds.length) return [];
+      return driver.select("notification_preferences", { filters: [inList("user_id", userIds)] });
+    },
+
+    async set(userId, fields) {
+      const existing = await notificationPreferences.findByUser(userId);
+      if (existing) {
+        return first(
+          await driver.update("notification_preferences", fields, {
+            filters: [eq("user_id", userId)],
+          })
+        );
+      }
+      return first(await driver.insert("notification_preferences", { user_id: userId, ...fields }));
+    },
+  };
+
+  // Email outbox
+  const notifications = {
+    async create(rows) {
+      return driver.insert("notifications", rows);
+    },
+
+    async listPending(limit = 1000) {
+      return driver.select("notifications", {
+        filters: [eq("status", "PENDING")],
+        order: [{ column: "created_at" }],
+        limit,
+      });
+    },
+
+    // PENDING -> SENDING; returns only the rows this caller got
+    async claim(ids) {
+      if (!ids.length) return [];
+      return driver.update("notifications", { status: "SENDING" }, {
+        columns: "id",
+        filters: [inList("id", ids), eq("status", "PENDING")],
+      });
+    },
+
+    async update(ids, patch) {
+      if (!ids.length) return [];
+      return driver.update("notifications", patch, { columns: "id", filters: [inList("id", ids)] });
+    },
+  };
+
+  return {
+    users,
+    tickets,
+    comments,
+    attachments,
+    auditLogs,
+    calendars,
+    teamCalendars,
+    slaPolicies,
+    escalationRules,
+    webhooks,
+    webhookDeliveries,
+    watchers,
+    notificationPreferences,
+    notifications,
+    inboundEmails,
+    teams,
+    assignmentRules,
+    workflows,
+    surveys,
+    aiUsage,
+    health,
+    kbArticles,
+    kbDeflections,
+    ticketLinks,
+  };
+}
+
+module.exports = {
+  createRepositories,
+  USER_COLUMNS,
+  TICKET_COLUMNS,
+  TICKET_DETAIL_COLUMNS,
+};
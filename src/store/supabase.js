@@ -0,0 +1,119 @@
+const { createClient } = require("@supabase/supabase-js");
+
+// Values inside or()/and() are double-quoted so commas, dots and colons
+// (timestamps) survive PostgREST parsing
+function quote(value) {
+  if (value === null) return "null";
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+// PostgREST "or" syntax: col.op.value,col.op.value,and(...)
+function toOrClause(filters) {
+  return filters
+    .map((f) => {
+      if (f.or) return `or(${toOrClause(f.or)})`;
+      if (f.and) return `and(${toOrClause(f.and)})`;
+      if (f.op === "in") return `${f.column}.in.(${f.value.map(quote).join(",")})`;
+      if (f.op === "notIn") return `${f.column}.not.in.(${f.value.map(quote).join(",")})`;
+      if (f.op === "is") return `${f.column}.is.${quote(f.value)}`;
+      if (f.op === "contains") return `${f.column}.cs.{${f.value.map(quote).join(",")}}`;
+      return `${f.column}.${f.op}.${quote(f.value)}`;
+    })
+    .join(",");
+}
+
+function applyFilters(q, filters = []) {
+  for (const f of filters) {
+    if (f.or) {
+      q = q.or(toOrClause(f.or));
+      continue;
+    }
+    switch (f.op) {
+      case "eq":
+      case "neq":
+      case "lt":
+      case "lte":
+      case "gt":
+      case "gte":
+      case "ilike":
+      case "is":
+      case "in":
+        q = q[f.op](f.column, f.value);
+        break;
+      case "notIn":
+        q = q.not(f.column, "in", `(${f.value.join(",")})`);
+        break;
+      case "contains":
+        q = q.contains(f.column, f.value);
+        break;
+      case "fts":
+        q = q.textSearch(f.column, f.value, { type: "websearch", config: "english" });
+        break;
+      default:
+        throw new Error(`Unsupported filter op: ${f.op}`);
+    }
+  }
+  return q;
+}
+
+/**
+ * Supabase storage driver (the production backend).
+ */
+function createSupabaseDriver({ url, serviceRoleKey } = {}) {
+  const supabase = createClient(url, serviceRoleKey);
+
+  return {
+    name: "supabase",
+    client: supabase,
+
+    async select(table, { columns, filters, order, limit } = {}) {
+      let q = applyFilters(supabase.from(table).select(columns || "*"), filters);
+      for (const o of order || []) {
+        q = q.order(o.column, { ascending: o.ascending !== false, nullsFirst: o.nullsFirst });
+      }
+      if (limit) q = q.limit(limit);
+
+      const { data, error } = await q;
+      if (error) throw error;
+      return data || [];
+    },
+
+    async insert(table, rows, { columns } = {}) {
+      const { data, error } = await supabase
+        .from(table)
+        .insert(rows)
+        .select(columns || "*");
+      if (error) throw error;
+      return data || [];
+    },
+
+    async count(table, { filters } = {}) {
+      const q = applyFilters(supabase.from(table).select("id", { count: "exact", head: true }), filters);
+      const { count, error } = await q;
+      if (error) throw error;
+      return count || 0;
+    },
+
+    async update(table, patch, { columns, filters } = {}) {
+      const q = applyFilters(supabase.from(table).update(patch), filters);
+      const { data, error } = await q.select(columns || "*");
+      if (error) throw error;
+      return data || [];
+    },
+
+    async rpc(name, args = {}) {
+      const { data, error } = await supabase.rpc(name, args);
+      if (error) throw error;
+      return data;
+    },
+
+    async remove(table, { filters } = {}) {
+      const q = applyFilters(supabase.from(table).delete({ count: "exact" }), filters);
+      const { count, error } = await q;
+      if (error) throw error;
+      return count || 0;
+    },
+  };
+}
+
+module.exports = { createSupabaseDriver };
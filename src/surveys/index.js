@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const { DONE_STATUSES } = require("../tickets/workflow");
+
+const RATINGS = [1, 2, 3, 4, 5];
+const RATING_LABELS = { 1: "Very unhappy", 2: "Unhappy", 3: "Okay", 4: "Happy", 5: "Very happy" };
+const MAX_COMMENT_CHARS = 2000;
+
+const shortId = (id) => String(id || "").slice(0, 8);
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Moved from an open status into RESOLVED / CLOSED
+const isResolution = (a) =>
+  a.action === "STATUS_CHANGED" && DONE_STATUSES.includes(a.new_value) && !DONE_STATUSES.includes(a.old_value);
+
+/**
+ * Requester satisfaction (CSAT) surveys.
+ *
+ * onAudits(ticket, audits) creates a survey whenever a ticket is resolved
+ * and mails the requester one-click rating links (1-5) plus a link to the
+ * survey, where they can add a comment or reject the resolution. Links
+ * carry a random token; only its hash is stored. A survey expires after
+ * `expiryDays`; a new resolution supersedes the unanswered ones.
+ *
+ * find(token) -> { survey } or { status, error } (404 unknown, 410 expired)
+ * answer(survey, { rating, comment, rejected }) records the answer.
+ */
+function createSurveys({ store, mailer, appUrl = null, expiryDays = 14 }) {
+  const surveyLink = (token) =>
+    appUrl ? `${String(appUrl).replace(/\/+$/, "")}/surveys/${token}` : `/api/surveys/${token}`;
+
+  async function send(ticket) {
+    if (!ticket.requester_user_id) return null;
+    const [requester] = await store.users.listByIds([ticket.requester_user_id], "id,name,email");
+    if (!requester) return null;
+
+    const token = crypto.randomBytes(24).toString("base64url");
+    const now = new Date();
+    await store.surveys.expireOpen(ticket.id, now.toISOString());
+    const survey = await store.surveys.create({
+      ticket_id: ticket.id,
+      requester_user_id: requester.id,
+      team_id: ticket.team_id || null,
+      assignee_user_id: ticket.assignee_user_id || null,
+      token_hash: hashToken(token),
+      sent_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + expiryDays * 24 * 60 * 60 * 1000).toISOString(),
+    });
+
+    const pref = await store.notificationPreferences.findByUser(requester.id);
+    if (!requester.email || pref?.email_enabled === false) return survey;
+
+    const link = surveyLink(token);
+    await mailer.send({
+      to: requester.email,
+      subject: `[Ticket ${shortId(ticket.id)}] How did we do? ${ticket.title || "Ticket"}`,
+      references: `<ticket-${ticket.id}@helpdesk>`,
+      text: [
+        `Hi ${requester.name || requester.email},`,
+        "",
+        `Your ticket "${ticket.title || ticket.id}" was resolved. How happy are you with the result?`,
+        "",
+        ...RATINGS.map((r) => `  ${r} - ${RATING_LABELS[r]}: ${link}?rating=${r}`),
+        "",
+        "Not solved? Reject the resolution and we reopen the ticket:",
+        `  ${link}`,
+        "",
+        `This survey is open for ${expiryDays} days.`,
+      ].join("\n"),
+    });
+    return survey;
+  }
+
+  async function onAudits(ticket, audits) {
+    if (!expiryDays || !(audits || []).some(isResolution)) return null;
+    return send(ticket);
+  }
+
+  async function find(token) {
+    const survey = token ? await store.surveys.findByTokenHash(hashToken(token)) : null;
+    if (!survey) return { status: 404, error: "survey not found" };
+    if (Date.parse(survey.expires_at) <= Date.now()) return { status: 410, error: "this survey has expired" };
+    return { survey };
+  }
+
+  // Ratings may be changed until the survey expires; a rejection is final
+  async function answer(survey, { rating, comment, rejected }) {
+    const patch = { responded_at: new Date().toISOString() };
+    if (rating !== undefined) patch.rating = rating;
+    if (comment !== undefined) patch.comment = comment;
+    if (rejected) patch.rejected = true;
+    return store.surveys.update(survey.id, patch);
+  }
+
+  return { onAudits, find, answer };
+}
+
+// "4" / 4 -> 4; undefined when absent, null when not a 1-5 rating
+function parseRating(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const n = Number(value);
+  return RATINGS.includes(n) ? n : null;
+}
+
+module.exports = { createSurveys, parseRating, RATINGS, MAX_COMMENT_CHARS };
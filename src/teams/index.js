@@ -0,0 +1,112 @@
+// Same rows as the seed in supabase/migrations/0016_teams.sql; written on
+// first use when the teams table is empty (memory backend, fresh installs)
+const DEFAULT_TEAMS = [
+  {
+    name: "IT Support",
+    description: "Laptops, accounts, passwords, VPN, email and collaboration tools",
+    aliases: ["IT", "IT Helpdesk", "Helpdesk", "Service Desk", "Tech Support"],
+  },
+  {
+    name: "HR / People Ops",
+    description: "Leave, benefits, onboarding, offboarding and people processes",
+    aliases: ["HR", "People Ops", "People", "Human Resources"],
+  },
+  {
+    name: "Engineering",
+    description: "Product bugs, deployments, APIs, databases and internal services",
+    aliases: ["Eng", "Development", "Software Engineering"],
+  },
+  {
+    name: "Operations",
+    description: "Logistics, inventory, deliveries and business processes",
+    aliases: ["Ops"],
+  },
+  {
+    name: "Finance",
+    description: "Invoices, expenses, reimbursements, payroll and budgets",
+    aliases: ["Accounting", "Accounts Payable"],
+  },
+  {
+    name: "Facilities",
+    description: "Office space, equipment, building issues and meeting rooms",
+    aliases: ["Office", "Workplace"],
+  },
+  {
+    name: "Security / Compliance",
+    description: "Phishing, suspicious activity, access requests and compliance",
+    aliases: ["Security", "Compliance", "InfoSec"],
+  },
+  {
+    name: "Procurement",
+    description: "Purchases, vendors, quotes and subscriptions",
+    aliases: ["Purchasing"],
+  },
+  { name: "Legal", description: "Contracts, NDAs and other legal matters", aliases: [] },
+  { name: "Other / General", description: "Anything that fits no other team", aliases: ["Other", "General"] },
+];
+
+// "IT-Support " -> "itsupport" (same key as resolve_team() in SQL)
+const teamKey = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+
+// Name match first, then aliases; active teams win over inactive ones
+function matchTeam(teams, value) {
+  const key = teamKey(value);
+  if (!key) return null;
+  const ordered = [...teams].sort((a, b) => (b.active !== false) - (a.active !== false));
+  return (
+    ordered.find((t) => teamKey(t.name) === key) ||
+    ordered.find((t) => (t.aliases || []).some((a) => teamKey(a) === key)) ||
+    null
+  );
+}
+
+/**
+ * Canonical team lookups on top of the teams table.
+ *
+ * resolve(value) -> team row for a name or alias (any case / spacing), or null
+ * canonical(value) -> resolve(value), else the fallback team; used for
+ *   AI output, which always has to land in a real team
+ * canonicalNames(values) -> team names for filter values (unknown values
+ *   are kept as given, so they simply match nothing)
+ * triageContext() -> { teams, resolveTeam } for the triage providers: the
+ *   active teams for the prompt and a sync name -> canonical name lookup
+ */
+function createTeamDirectory({ store, fallbackTeam = "Other / General" }) {
+  let seeding = null;
+
+  async function list({ includeInactive = false } = {}) {
+    let rows = await store.teams.list();
+    if (!rows.length) {
+      seeding = seeding || store.teams.create(DEFAULT_TEAMS.map((t) => ({ ...t, active: true })));
+      await seeding;
+      rows = await store.teams.list();
+    }
+    return includeInactive ? rows : rows.filter((t) => t.active !== false);
+  }
+
+  async function resolve(value) {
+    return matchTeam(await list({ includeInactive: true }), value);
+  }
+
+  async function canonical(value) {
+    const teams = await list();
+    return matchTeam(teams, value) || matchTeam(teams, fallbackTeam) || { id: null, name: fallbackTeam };
+  }
+
+  async function canonicalNames(values) {
+    const teams = await list({ includeInactive: true });
+    return values.map((value) => matchTeam(teams, value)?.name || value);
+  }
+
+  async function triageContext() {
+    const teams = await list();
+    return {
+      teams: teams.map((t) => ({ name: t.name, description: t.description || null })),
+      resolveTeam: (value) => matchTeam(teams, value)?.name || null,
+    };
+  }
+
+  return { list, resolve, canonical, canonicalNames, triageContext, fallbackTeam };
+}
+
+module.exports = { createTeamDirectory, matchTeam, teamKey, DEFAULT_TEAMS };
@@ -0,0 +1,47 @@
+const { formatAuditMessage, shortRef } = require("./auditMessages");
+
+// Timeline entries shared by GET /api/tickets/:id/activity and the live
+// event stream (GET /api/events). usersById: { id: { id, name, email, role } }
+
+// Every user an audit / comment / attachment list refers to
+function activityUserIds({ audits = [], comments = [], files = [] }) {
+  const ids = new Set();
+  for (const a of audits) {
+    if (a.actor_id) ids.add(a.actor_id);
+    if (a.action !== "ASSIGNEE_CHANGED") continue;
+    if (a.old_value) ids.add(a.old_value);
+    if (a.new_value) ids.add(a.new_value);
+  }
+  for (const c of comments) if (c.author_id) ids.add(c.author_id);
+  for (const f of files) if (f.uploader_id) ids.add(f.uploader_id);
+  return [...ids];
+}
+
+function auditEntry(a, usersById) {
+  return {
+    id: a.id,
+    type: "AUDIT",
+    createdAt: a.created_at,
+    actor: usersById[a.actor_id] || null,
+    action: a.action,
+    field: a.field_name,
+    oldValue: a.old_value,
+    newValue: a.new_value,
+    message: formatAuditMessage(a, (id) => usersById[id]?.name || usersById[id]?.email || shortRef(id)),
+  };
+}
+
+// attachments: the comment's files, already in their public shape
+function commentEntry(c, usersById, attachments = []) {
+  return {
+    id: c.id,
+    type: "COMMENT",
+    createdAt: c.created_at,
+    actor: usersById[c.author_id] || null,
+    body: c.body,
+    message: "Comment added",
+    attachments,
+  };
+}
+
+module.exports = { activityUserIds, auditEntry, commentEntry };
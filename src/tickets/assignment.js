@@ -0,0 +1,65 @@
+const { UUID_RE } = require("./listQuery");
+
+const ASSIGNMENT_STRATEGIES = ["NONE", "ROUND_ROBIN", "LEAST_OPEN", "SKILLS"];
+
+const skillKey = (value) => String(value || "").trim().toLowerCase();
+
+// Fewest open tickets wins; ties keep the candidates' order
+async function leastOpen(store, agents) {
+  const counts = await store.tickets.countOpenByAssignee(agents.map((a) => a.id));
+  return agents.reduce((best, a) => (counts.get(a.id) < counts.get(best.id) ? a : best));
+}
+
+/**
+ * Picks the agent for a ticket entering a team, using the team's
+ * strategy (team_assignment_rules, default NONE). Only AGENTs of the team
+ * with available != false are considered.
+ *
+ * pick({ team, affectedSystem }, { peek }) -> user id or null (stays in
+ * the queue); peek (dry runs) does not advance the round-robin cursor
+ *
+ * checkAssignee(userId, team) -> error message or null, for manual
+ * assignment: ADMINs, or AGENTs of the ticket's team.
+ */
+function createAssigner({ store }) {
+  async function pick({ team, affectedSystem }, { peek = false } = {}) {
+    if (!team) return null;
+
+    const rule = await store.assignmentRules.findByTeam(team);
+    const strategy = rule?.strategy || "NONE";
+    if (strategy === "NONE") return null;
+
+    const agents = await store.users.listAvailableAgents(team, "id,skills");
+    if (!agents.length) return null;
+
+    if (strategy === "ROUND_ROBIN") {
+      const last = agents.findIndex((a) => a.id === rule.last_assignee_id);
+      const next = agents[(last + 1) % agents.length];
+      if (!peek) await store.assignmentRules.set(team, { last_assignee_id: next.id });
+      return next.id;
+    }
+
+    if (strategy === "SKILLS") {
+      const system = skillKey(affectedSystem);
+      const skilled = system ? agents.filter((a) => (a.skills || []).map(skillKey).includes(system)) : [];
+      return (await leastOpen(store, skilled.length ? skilled : agents)).id;
+    }
+
+    return (await leastOpen(store, agents)).id;
+  }
+
+  async function checkAssignee(userId, team) {
+    if (!UUID_RE.test(String(userId))) return "assignee not found";
+    const [user] = await store.users.listByIds([userId], "id,role,team");
+    if (!user) return "assignee not found";
+    if (user.role === "ADMIN") return null;
+    if (user.role !== "AGENT" || user.team !== team) {
+      return `assignee must be an agent of team ${team}`;
+    }
+    return null;
+  }
+
+  return { pick, checkAssignee };
+}
+
+module.exports = { createAssigner, ASSIGNMENT_STRATEGIES };
@@ -0,0 +1,89 @@
+// Human-readable wording for audit_logs rows, shared by the activity
+// timeline and notification emails.
+
+// Every action written to audit_logs
+const AUDIT_ACTIONS = [
+  "TICKET_CREATED",
+  "STATUS_CHANGED",
+  "PRIORITY_CHANGED",
+  "TEAM_CHANGED",
+  "ASSIGNEE_CHANGED",
+  "COMMENT_ADDED",
+  "SLA_UPDATED",
+  "SLA_PAUSED",
+  "SLA_RESUMED",
+  "SLA_AT_RISK",
+  "SLA_BREACHED",
+  "SLA_ESCALATED",
+  "TICKET_LINKED",
+  "TICKET_UNLINKED",
+  "TICKET_MERGED",
+  "RESOLUTION_SET",
+];
+
+// Link relation (field_name of TICKET_LINKED / TICKET_UNLINKED) -> wording
+const RELATION_LABELS = {
+  DUPLICATE_OF: "duplicate of",
+  DUPLICATED_BY: "duplicated by",
+  PARENT_OF: "parent of",
+  CHILD_OF: "child of",
+  RELATED: "related to",
+};
+
+// Ticket id -> the 8-hex-digit short reference used in email subjects
+const shortRef = (id) => String(id || "").slice(0, 8);
+
+// "95" -> "1h 35m"
+function formatMinutes(value) {
+  const total = Math.max(0, Math.round(Number(value) || 0));
+  const h = Math.floor(total / 60);
+  const m = total % 60;
+  return h ? `${h}h ${m}m` : `${m}m`;
+}
+
+// SLA_AT_RISK / SLA_BREACHED name the clock's status column
+function slaClockLabel(fieldName) {
+  return fieldName === "first_response_status" ? "First-response" : "Resolution";
+}
+
+// Friendly activity formatting. `userLabel(id)` names the users in
+// ASSIGNEE_CHANGED entries (defaults to the short id).
+function formatAuditMessage(a, userLabel = shortRef) {
+  if (a.action === "TICKET_CREATED") return "Ticket created";
+  if (a.action === "STATUS_CHANGED") return `Status changed: ${a.old_value} → ${a.new_value}`;
+  if (a.action === "TEAM_CHANGED") return `Team changed: ${a.old_value} → ${a.new_value}`;
+  if (a.action === "ASSIGNEE_CHANGED") {
+    if (!a.new_value) return `Unassigned (was ${userLabel(a.old_value)})`;
+    if (!a.old_value) return `Assigned to ${userLabel(a.new_value)}`;
+    return `Assignee changed: ${userLabel(a.old_value)} → ${userLabel(a.new_value)}`;
+  }
+  if (a.action === "PRIORITY_CHANGED") return `Priority changed: ${a.old_value} → ${a.new_value}`;
+  if (a.action === "SLA_UPDATED") return `SLA updated: ${a.old_value} → ${a.new_value}`;
+  if (a.action === "SLA_PAUSED") return `SLA paused (${formatMinutes(a.new_value)} business time left)`;
+  if (a.action === "SLA_RESUMED") return `SLA resumed: ${a.old_value} → ${a.new_value}`;
+  if (a.action === "SLA_AT_RISK") return `${slaClockLabel(a.field_name)} SLA at risk (${a.old_value} → ${a.new_value})`;
+  if (a.action === "SLA_BREACHED") return `${slaClockLabel(a.field_name)} SLA breached (${a.old_value} → ${a.new_value})`;
+  if (a.action === "SLA_ESCALATED") {
+    if (a.field_name === "notify") return `Escalated: notified ${a.new_value}`;
+    return `Escalated: ${a.field_name === "assigned_team" ? "team" : a.field_name} ${a.old_value} → ${a.new_value}`;
+  }
+  if (a.action === "TICKET_LINKED") {
+    return `Linked as ${RELATION_LABELS[a.field_name] || "related to"} ticket ${shortRef(a.new_value)}`;
+  }
+  if (a.action === "TICKET_UNLINKED") {
+    return `Unlinked from ticket ${shortRef(a.old_value)} (${RELATION_LABELS[a.field_name] || "related to"})`;
+  }
+  if (a.action === "TICKET_MERGED") {
+    if (a.field_name === "merged_into") return `Merged into ticket ${shortRef(a.new_value)}`;
+    return `Ticket ${shortRef(a.new_value)} merged into this one`;
+  }
+  if (a.action === "RESOLUTION_SET") {
+    if (a.field_name === "resolution_note") return `Resolution note: ${a.new_value}`;
+    return `Resolution: ${a.new_value}`;
+  }
+  if (a.action === "COMMENT_ADDED") return "Comment added";
+  if (a.field_name) return `${a.action}: ${a.field_name}`;
+  return a.action || "Activity";
+}
+
+module.exports = { formatAuditMessage, shortRef, AUDIT_ACTIONS };
@@ -0,0 +1,80 @@
+const { logger } = require("../observability/logger");
+
+/**
+ * Closes tickets that have been RESOLVED for longer than `afterHours`.
+ *
+ * Only where the team's workflow has a RESOLVED -> CLOSED transition (its
+ * roles and required fields are for people; this is the system). Each
+ * close is a versioned change with a STATUS_CHANGED audit by the system
+ * actor (null), so a concurrent edit wins and the ticket is retried on the
+ * next run. `publish(ticket, audits)` fans the change out.
+ *
+ * run(now) -> { checked, closed }
+ */
+function createAutoCloser({ store, workflows, afterHours, publish, batchSize = 200 }) {
+  let running = null;
+
+  async function closeOne(ticket, nowIso) {
+    const { definition } = await workflows.forTeam(ticket.assigned_team);
+    if (!definition.transitions.some((t) => t.from === "RESOLVED" && t.to === "CLOSED")) return false;
+
+    const updates = { status: "CLOSED", updated_at: nowIso };
+    const audits = [
+      {
+        ticket_id: ticket.id,
+        actor_id: null,
+        action: "STATUS_CHANGED",
+        field_name: "status",
+        old_value: "RESOLVED",
+        new_value: "CLOSED",
+      },
+    ];
+    const version = await store.tickets.applyChange({
+      ticketId: ticket.id,
+      expectedVersion: ticket.version ?? 1,
+      updates,
+      audits,
+    });
+    if (version === null) return false;
+
+    await publish({ ...ticket, ...updates, version }, audits);
+    return true;
+  }
+
+  async function run(now = new Date()) {
+    if (running) return running;
+
+    running = (async () => {
+      const cutoff = new Date(now.getTime() - afterHours * 60 * 60 * 1000).toISOString();
+      let checked = 0;
+      let closed = 0;
+
+      // Page by resolved_at, so tickets whose workflow never closes them
+      // (they stay RESOLVED) do not hold up the rest
+      for (let after = null; ; ) {
+        const due = await store.tickets.listResolvedBefore(cutoff, { after, limit: batchSize });
+        for (const ticket of due) {
+          try {
+            if (await closeOne(ticket, now.toISOString())) closed++;
+          } catch (e) {
+            logger.error("Auto-close of ticket failed", { ticketId: ticket.id, err: e });
+          }
+        }
+        checked += due.length;
+        if (due.length < batchSize) break;
+        after = due[due.length - 1].resolved_at;
+      }
+      return { checked, closed };
+    })();
+
+    try {
+      return await running;
+    } finally {
+      running = null;
+    }
+  }
+
+  return { run };
+}
+
+module.exports = { createAutoCloser };
@@ -0,0 +1,45 @@
+// Ticket links are stored once, directional (ticket_links.ticket_id ->
+// linked_ticket_id); the API talks in relations seen from one ticket.
+
+// Parent chains longer than this are treated as a cycle (also in
+// supabase/migrations: ticket_parent_cycle)
+const MAX_PARENT_DEPTH = 20;
+
+// relation -> { type: link_type, reverse: whether the other ticket is ticket_id }
+const RELATIONS = {
+  DUPLICATE_OF: { type: "DUPLICATE", reverse: false },
+  DUPLICATED_BY: { type: "DUPLICATE", reverse: true },
+  PARENT_OF: { type: "PARENT", reverse: false },
+  CHILD_OF: { type: "PARENT", reverse: true },
+  RELATED: { type: "RELATED", reverse: false },
+};
+
+// Relation of ticket B to ticket A when A has `relation` to B
+const INVERSE = {
+  DUPLICATE_OF: "DUPLICATED_BY",
+  DUPLICATED_BY: "DUPLICATE_OF",
+  PARENT_OF: "CHILD_OF",
+  CHILD_OF: "PARENT_OF",
+  RELATED: "RELATED",
+};
+
+// (ticketId has `relation` to otherId) -> ticket_links row
+function linkRow(ticketId, otherId, relation) {
+  const { type, reverse } = RELATIONS[relation];
+  return reverse
+    ? { ticket_id: otherId, linked_ticket_id: ticketId, link_type: type }
+    : { ticket_id: ticketId, linked_ticket_id: otherId, link_type: type };
+}
+
+// ticket_links row -> { relation, otherId } from ticketId's side
+function relationFor(link, ticketId) {
+  const outgoing = link.ticket_id === ticketId;
+  const otherId = outgoing ? link.linked_ticket_id : link.ticket_id;
+  if (link.link_type === "RELATED") return { relation: "RELATED", otherId };
+  const relation = Object.keys(RELATIONS).find(
+    (r) => RELATIONS[r].type === link.link_type && RELATIONS[r].reverse === !outgoing
+  );
+  return { relation, otherId };
+}
+
+module.exports = { RELATIONS, INVERSE, MAX_PARENT_DEPTH, linkRow, relationFor };
@@ -0,0 +1,122 @@
+// Query-string parsing for ticket listings (GET /api/tickets and the
+// routes that reuse its filters). Produces storage filters; the scope
+// (my/team/all) is applied separately by the caller.
+
+const SORT_FIELDS = ["created_at", "updated_at", "sla_due_at", "title", "status"];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Columns searched by ?q= (kept in sync with tickets.search_vector)
+const SEARCH_COLUMNS = [
+  "title",
+  "description",
+  "ai_summary_problem",
+  "ai_summary_impact",
+  "ai_summary_action",
+];
+
+// query param -> ticket column, values may be comma-separated
+const LIST_FILTERS = {
+  status: "status",
+  priority: "priority",
+  slaStatus: "sla_status",
+  team: "assigned_team",
+  affectedSystem: "affected_system",
+};
+
+// query param -> [column, op]
+const RANGE_FILTERS = {
+  createdFrom: ["created_at", "gte"],
+  createdTo: ["created_at", "lt"],
+  updatedFrom: ["updated_at", "gte"],
+  updatedTo: ["updated_at", "lt"],
+};
+
+function listValues(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function encodeCursor(row, sort) {
+  return Buffer.from(JSON.stringify({ v: row[sort] ?? null, id: row.id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!parsed || typeof parsed !== "object" || !parsed.id) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse list query params into { filters, requesterEmail, assignee, sort,
+ * ascending, cursor, limit } or { error }.
+ *
+ * status/priority/slaStatus/team/affectedSystem (comma-separated)
+ * requester=<email>, assignee=me|none|<user id> (resolved by the caller), createdFrom/createdTo/updatedFrom/updatedTo (ISO)
+ * q=<full-text search>, sort=<field>, order=asc|desc, cursor, limit
+ */
+function parseTicketListQuery(query = {}) {
+  const filters = [];
+
+  for (const [param, column] of Object.entries(LIST_FILTERS)) {
+    const values = listValues(query[param]);
+    if (values.length === 1) filters.push({ column, op: "eq", value: values[0] });
+    else if (values.length > 1) filters.push({ column, op: "in", value: values });
+  }
+
+  for (const [param, [column, op]] of Object.entries(RANGE_FILTERS)) {
+    if (!query[param]) continue;
+    const d = new Date(String(query[param]));
+    if (Number.isNaN(d.getTime())) return { error: `${param} must be an ISO date` };
+    filters.push({ column, op, value: d.toISOString() });
+  }
+
+  const q = String(query.q || "").trim();
+  if (q) {
+    filters.push({ column: "search_vector", op: "fts", value: q, sourceColumns: SEARCH_COLUMNS });
+  }
+
+  const assignee = String(query.assignee || "").trim() || null;
+  if (assignee && !["me", "none"].includes(assignee) && !UUID_RE.test(assignee)) {
+    return { error: "assignee must be me|none|<user id>" };
+  }
+
+  const sort = String(query.sort || "created_at");
+  if (!SORT_FIELDS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(", ")}` };
+  }
+  const order = String(query.order || "desc").toLowerCase();
+  if (!["asc", "desc"].includes(order)) return { error: "order must be asc|desc" };
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: "invalid cursor" };
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return { error: "limit must be a positive integer" };
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  return {
+    filters,
+    requesterEmail: String(query.requester || "").trim() || null,
+    assignee,
+    sort,
+    ascending: order === "asc",
+    cursor,
+    limit,
+  };
+}
+
+module.exports = { parseTicketListQuery, encodeCursor, SORT_FIELDS, SEARCH_COLUMNS, UUID_RE };
@@ -0,0 +1,238 @@
+// First response: the first comment/status change by someone other than
+// the requester stops the first-response clock. Adds the columns to `updates`.
+function markFirstResponse(ticket, actor, updates, nowIso) {
+  if (ticket.first_responded_at || actor.id === ticket.requester_user_id) return;
+  updates.first_responded_at = nowIso;
+  if (ticket.first_response_status !== "BREACHED") updates.first_response_status = "MET";
+}
+
+/**
+ * Ticket write paths shared by the API and the inbound email gateway.
+ *
+ * create({ requester, title, description, ... }) triages (against the
+ * teams table; the AI's team is mapped to a real team), computes the
+ * SLA, auto-assigns inside the team (assigner), inserts the ticket and
+ * writes TICKET_CREATED (+ ASSIGNEE_CHANGED).
+ * `attachmentContext` ([{ filename, excerpt }]) is extra triage input only.
+ * Title and description are cut to `maxChars` (the API rejects longer
+ * ones; email bodies are just trimmed), which also bounds the AI prompt.
+ * Returns { ticket, knowledgeSuggestions, possibleDuplicates }
+ * (matched knowledge base articles, similar open tickets).
+ *
+ * findDuplicates({ title, description, affectedSystem, excludeId }) lists
+ * open tickets for the same system created in the last
+ * `duplicates.windowHours` that score at least `duplicates.minScore`.
+ *
+ * comment({ ticket, actor, body }) adds a comment + COMMENT_ADDED
+ * atomically (no version check) and returns the new version.
+ *
+ * `publish(ticket, audits, comment)` fans the audit entries out
+ * (webhooks, notifications).
+ */
+function createTicketService({
+  store,
+  triageEngine,
+  sla,
+  teams,
+  knowledge,
+  assigner,
+  publish,
+  duplicates = { windowHours: 72, minScore: 0.3 },
+  maxChars = { title: 200, description: 10000 },
+}) {
+  async function findDuplicates({ title, description, affectedSystem, excludeId = null }) {
+    const rows = await store.tickets.findSimilar({
+      title,
+      description,
+      affectedSystem,
+      since: new Date(Date.now() - duplicates.windowHours * 3600 * 1000).toISOString(),
+      excludeId,
+      minScore: duplicates.minScore,
+    });
+    return rows.map((t) => ({
+      id: t.id,
+      title: t.title,
+      status: t.status,
+      assignedTeam: t.assigned_team,
+      createdAt: t.created_at,
+      score: Math.round(t.score * 100) / 100,
+    }));
+  }
+
+  async function create({
+    requester,
+    name,
+    department,
+    title,
+    description,
+    affectedSystem,
+    isBlocking,
+    requestedTimeline, // ASAP | TODAY | THIS_WEEK | NO_RUSH
+    tryKbFirst,
+    attachmentContext = [],
+  }) {
+    title = String(title).slice(0, maxChars.title);
+    description = String(description).slice(0, maxChars.description);
+
+    // 1) Triage (first provider that succeeds; null if all failed)
+    const teamContext = await teams.triageContext();
+    const {
+      provider: triageProvider,
+      triage,
+      validation,
+      raw: aiRawResponse,
+      attempts: triageAttempts,
+    } = await triageEngine.triage(
+      {
+        email: requester.email,
+        name,
+        department,
+        title,
+        description,
+        affectedSystem,
+        isBlocking: !!isBlocking,
+        requestedTimeline: requestedTimeline || null,
+        ...(attachmentContext.length ? { attachments: attachmentContext } : {}),
+      },
+      teamContext
+    );
+
+    // Canonical team (unknown / missing -> the fallback team)
+    const team = await teams.canonical(triage?.assignedTeam);
+    const assignedTeam = team.name;
+
+    const priority = ["HIGH", "MEDIUM", "LOW"].includes(triage?.priority)
+      ? triage.priority
+      : "MEDIUM";
+
+    const aiProblem = triage?.summary?.problem || null;
+    const aiImpact = triage?.summary?.impact || null;
+    const aiAction = triage?.summary?.requestedAction || null;
+
+    // Only suggestions backed by a real (published) article are kept
+    const knowledgeSuggestions = await knowledge.suggest({
+      title,
+      description,
+      affectedSystem,
+      aiSuggestions: Array.isArray(triage?.knowledgeSuggestions) ? triage.knowledgeSuggestions : [],
+    });
+
+    // Open tickets that look like the same problem (checked before ours exists)
+    const possibleDuplicates = await findDuplicates({ title, description, affectedSystem });
+
+    // 2) SLA (team's calendar + policy for team/priority)
+    const nowIso = new Date().toISOString();
+    const {
+      dueAt: slaDueAt,
+      targetMinutes: slaTargetMinutes,
+      firstResponseDueAt,
+      firstResponseTargetMinutes,
+    } = await sla.computeDueAt({
+      team: assignedTeam,
+      priority,
+      fromIso: nowIso,
+    });
+
+    // Team's auto-assignment strategy (null = team queue)
+    const assigneeId = await assigner.pick({ team: assignedTeam, affectedSystem });
+
+    // 3) Create ticket
+    const ticket = await store.tickets.create(
+      {
+        requester_user_id: requester.id,
+
+        title,
+        description,
+        affected_system: affectedSystem || null,
+        is_blocking: !!isBlocking,
+        requested_timeline: requestedTimeline || null,
+        try_kb_first: tryKbFirst !== false, // default true
+
+        assigned_team: assignedTeam,
+        team_id: team.id,
+        assignee_user_id: assigneeId,
+        priority,
+
+        ai_summary_problem: aiProblem,
+        ai_summary_impact: aiImpact,
+        ai_summary_action: aiAction,
+        ai_knowledge_suggestions: knowledgeSuggestions,
+        triage_provider: triageProvider || "default",
+        triage_validation: {
+          valid: !!validation?.valid,
+          fields: validation?.fields || null,
+          attempts: triageAttempts,
+        },
+        ai_raw_response: aiRawResponse,
+
+        status: "NEW",
+        sla_due_at: slaDueAt,
+        sla_status: "ON_TRACK",
+        sla_target_minutes: slaTargetMinutes,
+        sla_paused_seconds: 0,
+        first_response_due_at: firstResponseDueAt,
+        first_response_target_minutes: firstResponseTargetMinutes,
+        first_response_status: "ON_TRACK",
+        updated_at: nowIso,
+        version: 1,
+      },
+      "id, title, requester_user_id, status, assigned_team, priority, sla_due_at, sla_status, created_at, updated_at, triage_provider, version, assignee_user_id"
+    );
+
+    // 4) Audit log
+    const createdAudit = {
+      ticket_id: ticket.id,
+      actor_id: requester.id,
+      action: "TICKET_CREATED",
+      field_name: null,
+      old_value: null,
+      new_value: null,
+    };
+    const audits = [createdAudit];
+    if (assigneeId) {
+      audits.push({
+        ticket_id: ticket.id,
+        actor_id: null,
+        action: "ASSIGNEE_CHANGED",
+        field_name: "assignee_user_id",
+        old_value: null,
+        new_value: assigneeId,
+      });
+    }
+    await store.auditLogs.create(audits);
+    await publish(ticket, audits);
+
+    return { ticket, knowledgeSuggestions, possibleDuplicates };
+  }
+
+  async function comment({ ticket, actor, body }) {
+    const nowIso = new Date().toISOString();
+    const newComment = { ticket_id: ticket.id, author_id: actor.id, body };
+    const audits = [
+      {
+        ticket_id: ticket.id,
+        actor_id: actor.id,
+        action: "COMMENT_ADDED",
+        field_name: null,
+        old_value: null,
+        new_value: null,
+      },
+    ];
+
+    const updates = { updated_at: nowIso };
+    markFirstResponse(ticket, actor, updates, nowIso);
+
+    const version = await store.tickets.applyChange({
+      ticketId: ticket.id,
+      updates,
+      comment: newComment,
+      audits,
+    });
+    await publish({ ...ticket, ...updates, version }, audits, newComment);
+    return version;
+  }
+
+  return { create, comment, findDuplicates };
+}
+
+module.exports = { createTicketService, markFirstResponse };
@@ -0,0 +1,281 @@
+// Ticket statuses the rest of the app understands (SLA pause, analytics,
+// open/closed checks); a workflow picks its states from these
+const TICKET_STATUSES = ["NEW", "IN_PROGRESS", "WAITING", "RESOLVED", "CLOSED"];
+const DONE_STATUSES = ["RESOLVED", "CLOSED"];
+
+const WORKFLOW_ROLES = ["REQUESTER", "AGENT", "ADMIN"];
+
+// What a transition may demand from the change that takes it:
+//   comment         a comment in the same change
+//   resolutionCode  one of the workflow's resolutionCodes (into RESOLVED/CLOSED)
+//   resolutionNote  free-text resolution note (into RESOLVED/CLOSED)
+//   assignee        the ticket has an assignee once the change is applied
+const REQUIRED_FIELDS = ["comment", "resolutionCode", "resolutionNote", "assignee"];
+const RESOLUTION_FIELDS = ["resolutionCode", "resolutionNote"];
+
+const MAX_REOPEN_WINDOW_HOURS = 24 * 365;
+const MAX_RESOLUTION_NOTE_CHARS = 5000;
+
+const STAFF = ["AGENT", "ADMIN"];
+const EVERYONE = ["REQUESTER", "AGENT", "ADMIN"];
+
+// Used by teams without a workflow of their own when no default was saved.
+// Same transitions as the old hard-coded map, plus a requester reopen.
+const DEFAULT_WORKFLOW = {
+  states: [
+    { status: "NEW", label: "New" },
+    { status: "IN_PROGRESS", label: "In progress" },
+    { status: "WAITING", label: "Waiting for requester" },
+    { status: "RESOLVED", label: "Resolved" },
+    { status: "CLOSED", label: "Closed" },
+  ],
+  resolutionCodes: ["FIXED", "WORKAROUND", "DUPLICATE", "NOT_REPRODUCIBLE", "WONT_FIX"],
+  transitions: [
+    { from: "NEW", to: "IN_PROGRESS", label: "Start work", roles: STAFF, requires: [] },
+    { from: "IN_PROGRESS", to: "WAITING", label: "Wait for requester", roles: STAFF, requires: [] },
+    { from: "IN_PROGRESS", to: "RESOLVED", label: "Resolve", roles: STAFF, requires: [] },
+    { from: "WAITING", to: "IN_PROGRESS", label: "Resume", roles: EVERYONE, requires: [] },
+    { from: "RESOLVED", to: "CLOSED", label: "Close", roles: EVERYONE, requires: [] },
+    {
+      from: "RESOLVED",
+      to: "IN_PROGRESS",
+      label: "Reopen",
+      roles: EVERYONE,
+      requires: ["comment"],
+      reopenWindowHours: 168,
+    },
+  ],
+};
+
+const isList = (value) => Array.isArray(value) && value.every((v) => typeof v === "string");
+const upper = (value) => String(value || "").trim().toUpperCase();
+
+function validateTransition(t, i, statuses, codes) {
+  const at = `transitions[${i}]`;
+  if (!t || typeof t !== "object") return { error: `${at} must be an object` };
+
+  const from = upper(t.from);
+  const to = upper(t.to);
+  if (!statuses.includes(from)) return { error: `${at}.from must be one of the workflow states` };
+  if (!statuses.includes(to)) return { error: `${at}.to must be one of the workflow states` };
+  if (from === to) return { error: `${at} must change the status` };
+
+  if (!isList(t.roles) || !t.roles.length) {
+    return { error: `${at}.roles must be a non-empty array of ${WORKFLOW_ROLES.join("|")}` };
+  }
+  const roles = [...new Set(t.roles.map(upper))];
+  if (roles.some((r) => !WORKFLOW_ROLES.includes(r))) {
+    return { error: `${at}.roles must be a non-empty array of ${WORKFLOW_ROLES.join("|")}` };
+  }
+
+  if (t.requires !== undefined && !isList(t.requires)) {
+    return { error: `${at}.requires must be an array of ${REQUIRED_FIELDS.join("|")}` };
+  }
+  const requires = [...new Set(t.requires || [])];
+  if (requires.some((f) => !REQUIRED_FIELDS.includes(f))) {
+    return { error: `${at}.requires must be an array of ${REQUIRED_FIELDS.join("|")}` };
+  }
+  if (!DONE_STATUSES.includes(to) && requires.some((f) => RESOLUTION_FIELDS.includes(f))) {
+    return { error: `${at}: resolution fields can only be required when moving to RESOLVED or CLOSED` };
+  }
+  if (requires.includes("resolutionCode") && !codes.length) {
+    return { error: `${at} requires a resolutionCode but the workflow has no resolutionCodes` };
+  }
+
+  let reopenWindowHours = null;
+  if (t.reopenWindowHours !== undefined && t.reopenWindowHours !== null) {
+    reopenWindowHours = Number(t.reopenWindowHours);
+    if (!DONE_STATUSES.includes(from) || DONE_STATUSES.includes(to)) {
+      return { error: `${at}.reopenWindowHours only applies to RESOLVED/CLOSED -> open transitions` };
+    }
+    const inRange = reopenWindowHours > 0 && reopenWindowHours <= MAX_REOPEN_WINDOW_HOURS;
+    if (!Number.isFinite(reopenWindowHours) || !inRange) {
+      return { error: `${at}.reopenWindowHours must be more than 0 and at most ${MAX_REOPEN_WINDOW_HOURS}` };
+    }
+  }
+
+  const label = t.label ? String(t.label).trim().slice(0, 60) : null;
+  return { transition: { from, to, label, roles, requires, ...(reopenWindowHours ? { reopenWindowHours } : {}) } };
+}
+
+/**
+ * Checks an admin-supplied workflow definition and returns it normalised:
+ * { workflow: { states, resolutionCodes, transitions } } or { error }.
+ *
+ * - states: [{ status, label? }] from TICKET_STATUSES; NEW is required
+ *   (tickets are created NEW) and every other state must be reachable
+ * - resolutionCodes: ["FIXED", ...] offered when resolving
+ * - transitions: [{ from, to, label?, roles, requires?, reopenWindowHours? }],
+ *   at most one per (from, to); reopenWindowHours bounds a RESOLVED/CLOSED ->
+ *   open transition to that many hours after the ticket was resolved
+ */
+function validateWorkflow(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "workflow must be an object with states and transitions" };
+  }
+  const { states, resolutionCodes = [], transitions } = input;
+
+  if (!Array.isArray(states) || !states.length) return { error: "states must be a non-empty array" };
+  const cleanStates = [];
+  for (const [i, s] of states.entries()) {
+    const status = upper(typeof s === "string" ? s : s?.status);
+    if (!TICKET_STATUSES.includes(status)) {
+      return { error: `states[${i}].status must be ${TICKET_STATUSES.join("|")}` };
+    }
+    if (cleanStates.some((c) => c.status === status)) return { error: `state ${status} is listed twice` };
+    const label = typeof s === "object" && s.label ? String(s.label).trim().slice(0, 60) : null;
+    cleanStates.push({ status, label });
+  }
+  const statuses = cleanStates.map((s) => s.status);
+  if (!statuses.includes("NEW")) return { error: "states must include NEW" };
+
+  if (!isList(resolutionCodes)) return { error: "resolutionCodes must be an array of strings" };
+  const codes = [...new Set(resolutionCodes.map(upper).filter(Boolean))];
+  if (codes.some((c) => !/^[A-Z0-9_]{1,40}$/.test(c))) {
+    return { error: "resolutionCodes must be codes like FIXED or WONT_FIX" };
+  }
+
+  if (!Array.isArray(transitions)) return { error: "transitions must be an array" };
+  const cleanTransitions = [];
+  for (const [i, t] of transitions.entries()) {
+    const { transition, error } = validateTransition(t, i, statuses, codes);
+    if (error) return { error };
+    if (cleanTransitions.some((c) => c.from === transition.from && c.to === transition.to)) {
+      return { error: `transition ${transition.from} -> ${transition.to} is listed twice` };
+    }
+    cleanTransitions.push(transition);
+  }
+
+  // Every state has to be reachable from NEW
+  const reached = new Set(["NEW"]);
+  for (let grew = true; grew; ) {
+    grew = false;
+    for (const t of cleanTransitions) {
+      if (reached.has(t.from) && !reached.has(t.to)) {
+        reached.add(t.to);
+        grew = true;
+      }
+    }
+  }
+  const unreachable = statuses.filter((s) => !reached.has(s));
+  if (unreachable.length) return { error: `unreachable state(s) from NEW: ${unreachable.join(", ")}` };
+
+  return { workflow: { states: cleanStates, resolutionCodes: codes, transitions: cleanTransitions } };
+}
+
+// Roles the actor holds on this ticket: their own, plus REQUESTER on
+// tickets they raised (an agent filing a ticket with another team)
+function actorRoles(actor, ticket) {
+  const roles = [actor.role];
+  if (ticket.requester_user_id && ticket.requester_user_id === actor.id) roles.push("REQUESTER");
+  return roles;
+}
+
+// End of a transition's reopen window for the ticket (ms), or null if unbounded
+function reopenDeadline(transition, ticket) {
+  if (!transition.reopenWindowHours) return null;
+  const since = Date.parse(ticket.resolved_at || ticket.updated_at);
+  return since + transition.reopenWindowHours * 60 * 60 * 1000;
+}
+
+/**
+ * Transitions the actor can take on the ticket right now (for the UI):
+ * [{ to, label, requires, resolutionCodes?, availableUntil? }]
+ */
+function availableTransitions(workflow, ticket, actor, now = Date.now()) {
+  const roles = actorRoles(actor, ticket);
+  return workflow.transitions
+    .filter((t) => t.from === ticket.status && t.roles.some((r) => roles.includes(r)))
+    .filter((t) => reopenDeadline(t, ticket) === null || now <= reopenDeadline(t, ticket))
+    .map((t) => {
+      const deadline = reopenDeadline(t, ticket);
+      return {
+        to: t.to,
+        label: t.label,
+        requires: t.requires,
+        ...(t.requires.includes("resolutionCode") || DONE_STATUSES.includes(t.to)
+          ? { resolutionCodes: workflow.resolutionCodes }
+          : {}),
+        ...(deadline !== null ? { availableUntil: new Date(deadline).toISOString() } : {}),
+      };
+    });
+}
+
+/**
+ * Checks a status change against the ticket's workflow.
+ * fields: { comment, resolutionCode, resolutionNote, assigneeId } as they
+ * will be after the change (assigneeId: the resulting assignee).
+ * Returns { transition, resolutionCode, resolutionNote } or { status, error }.
+ */
+function checkTransition(workflow, ticket, actor, to, fields = {}, now = Date.now()) {
+  const from = ticket.status;
+  const transition = workflow.transitions.find((t) => t.from === from && t.to === to);
+  if (!transition) return { status: 400, error: `Invalid status transition: ${from} -> ${to}` };
+
+  const roles = actorRoles(actor, ticket);
+  if (!transition.roles.some((r) => roles.includes(r))) {
+    return { status: 403, error: `Forbidden (${actor.role} cannot move a ticket ${from} -> ${to})` };
+  }
+
+  const deadline = reopenDeadline(transition, ticket);
+  if (deadline !== null && now > deadline) {
+    return {
+      status: 409,
+      error: `${from} -> ${to} is only possible within ${transition.reopenWindowHours}h of resolution`,
+    };
+  }
+
+  const comment = String(fields.comment || "").trim();
+  const resolutionCode = fields.resolutionCode ? upper(fields.resolutionCode) : null;
+  const resolutionNote = fields.resolutionNote ? String(fields.resolutionNote).trim() : null;
+
+  if ((resolutionCode || resolutionNote) && !DONE_STATUSES.includes(to)) {
+    return { status: 400, error: "resolutionCode / resolutionNote only apply when resolving or closing" };
+  }
+  if (resolutionCode && !workflow.resolutionCodes.includes(resolutionCode)) {
+    return { status: 400, error: `resolutionCode must be ${workflow.resolutionCodes.join("|")}` };
+  }
+  if (resolutionNote && resolutionNote.length > MAX_RESOLUTION_NOTE_CHARS) {
+    return { status: 400, error: `resolutionNote must be at most ${MAX_RESOLUTION_NOTE_CHARS} characters` };
+  }
+
+  const provided = {
+    comment: !!comment,
+    resolutionCode: !!resolutionCode,
+    resolutionNote: !!resolutionNote,
+    assignee: !!fields.assigneeId,
+  };
+  const missing = transition.requires.filter((f) => !provided[f]);
+  if (missing.length) {
+    return { status: 400, error: `${from} -> ${to} requires: ${missing.join(", ")}` };
+  }
+
+  return { transition, resolutionCode, resolutionNote };
+}
+
+/**
+ * The workflow in force for a team: its latest saved version, else the
+ * latest default (team null), else DEFAULT_WORKFLOW as version 0.
+ * forTeam(team) -> { team, version, definition }
+ */
+function createWorkflows({ store }) {
+  async function forTeam(team) {
+    const row = (team && (await store.workflows.findLatest(team))) || (await store.workflows.findLatest(null));
+    if (row) return { team: row.team, version: row.version, definition: row.definition };
+    return { team: null, version: 0, definition: DEFAULT_WORKFLOW };
+  }
+
+  return { forTeam };
+}
+
+module.exports = {
+  createWorkflows,
+  TICKET_STATUSES,
+  DONE_STATUSES,
+  WORKFLOW_ROLES,
+  REQUIRED_FIELDS,
+  DEFAULT_WORKFLOW,
+  validateWorkflow,
+  availableTransitions,
+  checkTransition,
+};
@@ -0,0 +1,116 @@
+class AiBudgetExceededError extends Error {
+  constructor(message, { period, metric } = {}) {
+    super(message);
+    this.name = "AiBudgetExceededError";
+    this.budgetExceeded = true;
+    this.period = period;
+    this.metric = metric;
+  }
+}
+
+const PERIODS = ["daily", "monthly"];
+const METRICS = ["calls", "tokens"];
+
+// "YYYY-MM-DD" (UTC)
+const dayOf = (date) => date.toISOString().slice(0, 10);
+const monthStartOf = (date) => `${dayOf(date).slice(0, 7)}-01`;
+
+// Unset, empty or 0 -> no limit
+function parseBudget(value) {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) && n > 0 ? Math.floor(n) : null;
+}
+
+function totals(rows) {
+  return rows.reduce(
+    (sum, r) => ({
+      calls: sum.calls + Number(r.calls || 0),
+      tokens: sum.tokens + Number(r.tokens || 0),
+      skipped: sum.skipped + Number(r.skipped || 0),
+    }),
+    { calls: 0, tokens: 0, skipped: 0 }
+  );
+}
+
+/**
+ * Daily and monthly (UTC) cap on AI calls and tokens, shared by every app
+ * instance through the ai_usage table.
+ *
+ * limits: { daily: { calls, tokens }, monthly: { calls, tokens } }; null = no cap.
+ *
+ * check() throws AiBudgetExceededError once a cap is reached (and counts
+ * the refusal as skipped); record({ calls, tokens }) adds what a call used.
+ * A call in flight may overshoot a cap by its own tokens. report() is the
+ * admin view.
+ */
+function createAiBudget({ store, limits = {} }) {
+  const caps = Object.fromEntries(
+    PERIODS.map((p) => [p, Object.fromEntries(METRICS.map((m) => [m, limits[p]?.[m] ?? null]))])
+  );
+  const capped = PERIODS.some((p) => METRICS.some((m) => caps[p][m] !== null));
+
+  async function usage(now = new Date()) {
+    const today = dayOf(now);
+    const days = await store.aiUsage.listSince(monthStartOf(now));
+    return {
+      daily: { day: today, ...totals(days.filter((d) => String(d.day).slice(0, 10) === today)) },
+      monthly: { month: today.slice(0, 7), ...totals(days) },
+    };
+  }
+
+  // First { period, metric } whose cap is used up, or null
+  function exhausted(used) {
+    for (const period of PERIODS) {
+      for (const metric of METRICS) {
+        const cap = caps[period][metric];
+        if (cap !== null && used[period][metric] >= cap) return { period, metric };
+      }
+    }
+    return null;
+  }
+
+  async function check() {
+    if (!capped) return;
+    const now = new Date();
+    const over = exhausted(await usage(now));
+    if (!over) return;
+
+    await store.aiUsage.record({ day: dayOf(now), skipped: 1 });
+    throw new AiBudgetExceededError(`AI ${over.period} ${over.metric} budget used up`, over);
+  }
+
+  async function record({ calls = 0, tokens = 0 }) {
+    if (!calls && !tokens) return;
+    await store.aiUsage.record({ day: dayOf(new Date()), calls, tokens });
+  }
+
+  async function report({ days = 31 } = {}) {
+    const now = new Date();
+    const used = await usage(now);
+    const since = dayOf(new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000));
+    const history = await store.aiUsage.listSince(since);
+
+    const remaining = (period) =>
+      Object.fromEntries(
+        METRICS.map((m) => [m, caps[period][m] === null ? null : Math.max(0, caps[period][m] - used[period][m])])
+      );
+    const over = exhausted(used);
+
+    return {
+      limits: caps,
+      usage: used,
+      remaining: { daily: remaining("daily"), monthly: remaining("monthly") },
+      exhausted: over,
+      days: history.map((d) => ({
+        day: String(d.day).slice(0, 10),
+        calls: Number(d.calls || 0),
+        tokens: Number(d.tokens || 0),
+        skipped: Number(d.skipped || 0),
+      })),
+    };
+  }
+
+  return { check, record, report };
+}
+
+module.exports = { createAiBudget, parseBudget, AiBudgetExceededError };
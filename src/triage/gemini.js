@@ -0,0 +1,205 @@
+const { GoogleGenAI } = require("@google/genai");
+const { TEAMS, triageResponseSchema, validateTriage } = require("./schema");
+const { logger } = require("../observability/logger");
+const { metrics } = require("../observability/metrics");
+
+function safeJsonParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    const cleaned = String(text || "")
+      .replace(/```json/gi, "")
+      .replace(/```/g, "")
+      .trim();
+    return JSON.parse(cleaned);
+  }
+}
+
+// "- IT Support: Laptops, accounts, ..." per team
+function teamList(teams) {
+  return teams.map((t) => (t.description ? `- ${t.name}: ${t.description}` : `- ${t.name}`)).join("\n");
+}
+
+function buildPrompt(payload, teams) {
+  return `
+Return ONLY valid JSON. No markdown. No explanation.
+
+You are an AI request triage assistant for an internal company tool (ServiceNow alternative).
+
+Task:
+Given the request details, produce:
+- assignedTeam (exactly one owning team from the list below)
+- priority (HIGH|MEDIUM|LOW)
+- summary { problem, impact, requestedAction }
+- knowledgeSuggestions: array of 0-2 items { title, reason }
+- summary fields are short plain sentences (max 500 chars each)
+
+Teams available (use the exact name):
+${teamList(teams)}
+
+Priority rules:
+- HIGH if work is blocked OR timeline is ASAP OR major business impact.
+- MEDIUM for normal operational issues.
+- LOW for informational / non-urgent requests.
+
+Request JSON (attachments, if present, are excerpts of text files the requester attached):
+${JSON.stringify(payload)}
+
+Output JSON schema:
+{
+  "assignedTeam": "string",
+  "priority": "HIGH|MEDIUM|LOW",
+  "summary": {
+    "problem": "string",
+    "impact": "string",
+    "requestedAction": "string"
+  },
+  "knowledgeSuggestions": [
+    { "title": "string", "reason": "string" }
+  ]
+}
+`.trim();
+}
+
+class TriageValidationError extends Error {
+  constructor(message, { raw, validation, tries } = {}) {
+    super(message);
+    this.name = "TriageValidationError";
+    this.raw = raw;
+    this.validation = validation;
+    this.tries = tries;
+  }
+}
+
+function buildRepairPrompt(payload, teams, raw, errors) {
+  return `
+Your previous answer did not match the required JSON schema.
+
+Problems:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Previous answer:
+${raw}
+
+Return ONLY the corrected JSON object for the same request. No markdown. No explanation.
+
+${buildPrompt(payload, teams)}
+`.trim();
+}
+
+async function withTimeout(ms, fn) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Gemini call timed out after ${ms}ms`));
+    }, ms);
+  });
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Gemini triage provider. Uses structured output (response schema), then
+ * validates the answer ourselves; invalid answers get up to
+ * `maxAttempts - 1` repair round-trips, each bounded by `timeoutMs`.
+ *
+ * `context.teams` ([{ name, description }]) is the team list for the prompt
+ * and schema; `context.resolveTeam` canonicalises the answer's team.
+ *
+ * Resolves { triage, raw, validation, tries }; throws TriageValidationError
+ * (carrying raw + validation) when no attempt produced a valid answer.
+ *
+ * `budget` (see ./budget) is checked before every call, repairs included,
+ * and told each call's token count; an exhausted budget throws
+ * AiBudgetExceededError.
+ *
+ * ping() checks the API key and model with a metadata call (no tokens);
+ * used by the readiness probe.
+ */
+function createGeminiProvider({
+  apiKey,
+  model = "gemini-2.5-flash",
+  maxAttempts = 3,
+  timeoutMs = 20000,
+  budget = null,
+} = {}) {
+  const ai = apiKey ? new GoogleGenAI({ apiKey }) : null;
+
+  return {
+    name: "gemini",
+
+    async ping() {
+      if (!ai) throw new Error("GEMINI_API_KEY not configured");
+      await withTimeout(timeoutMs, (abortSignal) => ai.models.get({ model, config: { abortSignal } }));
+    },
+
+    async triage(payload, context = {}) {
+      if (!ai) throw new Error("GEMINI_API_KEY not configured");
+
+      const teams = context.teams || TEAMS.map((name) => ({ name }));
+      const responseSchema = triageResponseSchema(teams.map((t) => t.name));
+
+      let raw = null;
+      let validation = null;
+
+      for (let tries = 1; tries <= maxAttempts; tries++) {
+        const contents = validation
+          ? buildRepairPrompt(payload, teams, raw, validation.errors)
+          : buildPrompt(payload, teams);
+
+        if (budget) await budget.check();
+        const stopTimer = metrics.aiCallDuration.startTimer();
+        let response;
+        try {
+          response = await withTimeout(timeoutMs, (abortSignal) =>
+            ai.models.generateContent({
+              model,
+              contents,
+              config: {
+                responseMimeType: "application/json",
+                responseSchema,
+                abortSignal,
+              },
+            })
+          );
+        } finally {
+          stopTimer({ provider: "gemini", outcome: response ? "ok" : "error" });
+          // Timed-out / failed calls count too (they may still be billed)
+          if (budget) await budget.record({ calls: 1, tokens: response?.usageMetadata?.totalTokenCount || 0 });
+        }
+        raw = response.text ?? "";
+
+        let parsed;
+        try {
+          parsed = safeJsonParse(raw);
+        } catch (err) {
+          parsed = undefined;
+          validation = {
+            valid: false,
+            fields: { root: { ok: false, error: `invalid JSON: ${err.message}` } },
+            errors: [`response is not valid JSON (${err.message})`],
+            value: null,
+          };
+        }
+        if (parsed !== undefined) validation = validateTriage(parsed, context);
+
+        if (validation.valid) {
+          return { triage: validation.value, raw, validation, tries };
+        }
+        logger.warn("Gemini triage answer invalid", { try: tries, maxAttempts, errors: validation.errors });
+      }
+
+      throw new TriageValidationError(
+        `Gemini triage invalid after ${maxAttempts} attempt(s): ${validation.errors.join("; ")}`,
+        { raw, validation, tries: maxAttempts }
+      );
+    },
+  };
+}
+
+module.exports = { createGeminiProvider, safeJsonParse, TriageValidationError };
@@ -0,0 +1,124 @@
+const { createGeminiProvider } = require("./gemini");
+const { createRulesProvider } = require("./rules");
+const { logger } = require("../observability/logger");
+const { metrics } = require("../observability/metrics");
+
+const PROVIDER_FACTORIES = {
+  gemini: (options) =>
+    createGeminiProvider({
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || "gemini-2.5-flash",
+      maxAttempts: Number(process.env.TRIAGE_MAX_ATTEMPTS || 3),
+      timeoutMs: Number(process.env.TRIAGE_TIMEOUT_MS || 20000),
+      budget: options.budget || null,
+    }),
+  rules: () => createRulesProvider(),
+};
+
+/**
+ * Triage engine: tries providers in order until one succeeds.
+ *
+ * TRIAGE_PROVIDERS=gemini,rules  (default; comma-separated, first wins)
+ *
+ * triage(payload, context) -> { provider, triage, validation, raw, attempts }
+ * - context ({ teams, resolveTeam }) is the team directory's triageContext()
+ * - provider/triage/validation are null when every provider failed
+ * - raw is the last raw model response seen (even if that provider lost),
+ *   so a ticket triaged by the fallback still shows what the AI said
+ * - attempts has one entry per provider tried, with its per-field outcome
+ *
+ * options.budget (see ./budget) caps the AI providers. When it is used up
+ * and nothing else in the list succeeds, the rules provider triages
+ * anyway, so tickets degrade to non-AI triage instead of none.
+ */
+function createTriageEngine(options = {}) {
+  const order = String(options.providers || process.env.TRIAGE_PROVIDERS || "gemini,rules")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = order.map((name) => {
+    if (options.overrides?.[name]) return options.overrides[name];
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown triage provider "${name}" (use ${Object.keys(PROVIDER_FACTORIES).join("|")})`
+      );
+    }
+    return factory(options);
+  });
+  // Only needed when "rules" is not in the list already
+  const budgetFallback = order.includes("rules") ? null : createRulesProvider();
+
+  return {
+    providers: providers.map((p) => p.name),
+
+    async triage(payload, context = {}) {
+      const attempts = [];
+      let raw = null;
+
+      const queue = [...providers];
+
+      for (const provider of queue) {
+        try {
+          const result = await provider.triage(payload, context);
+          if (result.raw != null) raw = result.raw;
+          attempts.push({
+            provider: provider.name,
+            ok: true,
+            tries: result.tries,
+            fields: result.validation.fields,
+          });
+          metrics.triageAttempts.inc({ provider: provider.name, outcome: "ok" });
+          if (provider !== providers[0]) metrics.triageFallbacks.inc({ provider: provider.name });
+          logger.info("Triage succeeded", { provider: provider.name, tries: result.tries ?? null });
+          return {
+            provider: provider.name,
+            triage: result.triage,
+            validation: result.validation,
+            raw,
+            attempts,
+          };
+        } catch (err) {
+          if (err?.raw != null) raw = err.raw;
+          attempts.push({
+            provider: provider.name,
+            ok: false,
+            tries: err?.tries ?? null,
+            fields: err?.validation?.fields ?? null,
+            error: err?.message || String(err),
+            ...(err?.budgetExceeded ? { budgetExceeded: true } : {}),
+          });
+          const outcome = err?.budgetExceeded ? "budget_exceeded" : "failed";
+          metrics.triageAttempts.inc({ provider: provider.name, outcome });
+          logger.warn("Triage provider failed", { provider: provider.name, outcome, err });
+          if (err?.budgetExceeded && budgetFallback && !queue.includes(budgetFallback)) queue.push(budgetFallback);
+        }
+      }
+
+      metrics.triageFailures.inc();
+      logger.error("Triage failed with every provider", { providers: attempts.map((a) => a.provider) });
+      return { provider: null, triage: null, validation: null, raw, attempts };
+    },
+
+    // Reachability of the providers that have a ping() (the AI ones):
+    // [{ provider, ok, latencyMs, error }]
+    async check() {
+      return Promise.all(
+        providers
+          .filter((p) => typeof p.ping === "function")
+          .map(async (p) => {
+            const start = Date.now();
+            try {
+              await p.ping();
+              return { provider: p.name, ok: true, latencyMs: Date.now() - start, error: null };
+            } catch (e) {
+              return { provider: p.name, ok: false, latencyMs: Date.now() - start, error: e?.message || String(e) };
+            }
+          })
+      );
+    },
+  };
+}
+
+module.exports = { createTriageEngine };
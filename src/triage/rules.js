@@ -0,0 +1,125 @@
+// Deterministic, offline triage. Used when the AI provider is down (or
+// configured out), so tickets still land with a sensible team/priority.
+const { validateTriage } = require("./schema");
+
+const TEAM_KEYWORDS = {
+  "IT Support": [
+    "laptop", "password", "vpn", "wifi", "wi-fi", "printer", "outlook", "email",
+    "login", "log in", "mfa", "2fa", "monitor", "keyboard", "install", "license",
+    "slack", "teams", "zoom", "account locked", "reset",
+  ],
+  "HR / People Ops": [
+    "leave", "vacation", "pto", "holiday", "benefits", "onboarding", "offboarding",
+    "hiring", "recruit", "payslip", "parental", "performance review", "hr",
+  ],
+  Engineering: [
+    "bug", "deploy", "deployment", "api", "production", "staging", "server",
+    "database", "build", "pipeline", "ci", "github", "repo", "stack trace",
+    "exception", "500", "latency", "feature",
+  ],
+  Operations: [
+    "shipment", "logistics", "inventory", "warehouse", "delivery", "process",
+    "schedule", "supply",
+  ],
+  Finance: [
+    "invoice", "expense", "reimbursement", "payroll", "budget", "payment",
+    "refund", "tax", "billing",
+  ],
+  Facilities: [
+    "office", "desk", "chair", "hvac", "air conditioning", "heating", "light",
+    "parking", "cleaning", "meeting room", "kitchen", "leak", "elevator",
+  ],
+  "Security / Compliance": [
+    "phishing", "malware", "virus", "breach", "suspicious", "security",
+    "compliance", "gdpr", "audit", "badge", "access request", "permission",
+  ],
+  Procurement: [
+    "purchase", "quote", "vendor", "supplier", "purchase order", "po",
+    "procure", "subscription",
+  ],
+  Legal: [
+    "contract", "nda", "agreement", "legal", "trademark", "lawsuit", "terms",
+    "policy review",
+  ],
+};
+
+const HIGH_KEYWORDS = ["outage", "down", "urgent", "breach", "cannot work", "can't work", "blocked", "critical"];
+const LOW_KEYWORDS = ["question", "fyi", "how do i", "how to", "when convenient", "nice to have"];
+
+function tokenize(text) {
+  return ` ${String(text || "").toLowerCase().replace(/[^a-z0-9@'\-\s]/g, " ").replace(/\s+/g, " ")} `;
+}
+
+function hasKeyword(haystack, kw) {
+  return haystack.includes(` ${kw} `);
+}
+
+function scoreTeams({ title, description, affectedSystem }) {
+  const text = tokenize(`${title || ""} ${description || ""}`);
+  const system = tokenize(affectedSystem);
+
+  let best = { team: "Other / General", score: 0 };
+  for (const [team, keywords] of Object.entries(TEAM_KEYWORDS)) {
+    let score = 0;
+    for (const kw of keywords) {
+      if (hasKeyword(text, kw)) score += 1;
+      // the affected system is a stronger signal than free text
+      if (hasKeyword(system, kw)) score += 2;
+    }
+    if (score > best.score) best = { team, score };
+  }
+  return best.team;
+}
+
+function pickPriority({ title, description, isBlocking, requestedTimeline }) {
+  const text = tokenize(`${title || ""} ${description || ""}`);
+
+  if (isBlocking || requestedTimeline === "ASAP") return "HIGH";
+  if (HIGH_KEYWORDS.some((kw) => hasKeyword(text, kw))) return "HIGH";
+  if (requestedTimeline === "NO_RUSH") return "LOW";
+  if (LOW_KEYWORDS.some((kw) => hasKeyword(text, kw))) return "LOW";
+  return "MEDIUM";
+}
+
+function firstSentence(text, max = 200) {
+  const s = String(text || "").trim().split(/(?<=[.!?])\s/)[0] || "";
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+/**
+ * Rule-based triage provider. Never calls the network and never throws
+ * for a well-formed payload. Output goes through the same validator as AI
+ * output so both providers produce the same shape; a keyword team that is
+ * not in `context` (renamed or deactivated) falls back to Other / General.
+ */
+function createRulesProvider() {
+  return {
+    name: "rules",
+
+    async triage(payload, context = {}) {
+      const resolveTeam = context.resolveTeam || ((t) => t);
+      const assignedTeam = resolveTeam(scoreTeams(payload)) || resolveTeam("Other / General") || "Other / General";
+      const priority = pickPriority(payload);
+
+      const impactParts = [payload.isBlocking ? "Requester is blocked" : "Requester is not blocked"];
+      if (payload.affectedSystem) impactParts.push(`affected system: ${payload.affectedSystem}`);
+
+      const triage = {
+        assignedTeam,
+        priority,
+        summary: {
+          problem: firstSentence(payload.title || payload.description),
+          impact: impactParts.join("; "),
+          requestedAction: firstSentence(payload.description),
+        },
+        knowledgeSuggestions: [],
+      };
+      const validation = validateTriage(triage, context);
+      if (!validation.valid) throw new Error(`rules triage invalid: ${validation.errors.join("; ")}`);
+
+      return { triage: validation.value, raw: null, validation, tries: 1 };
+    },
+  };
+}
+
+module.exports = { createRulesProvider, scoreTeams, pickPriority };
@@ -0,0 +1,156 @@
+const { Type } = require("@google/genai");
+
+// Built-in team names (rules keywords, and the default when no team list
+// is passed); the live list comes from the teams table
+const TEAMS = [
+  "IT Support",
+  "HR / People Ops",
+  "Engineering",
+  "Operations",
+  "Finance",
+  "Facilities",
+  "Security / Compliance",
+  "Procurement",
+  "Legal",
+  "Other / General",
+];
+
+const PRIORITIES = ["HIGH", "MEDIUM", "LOW"];
+
+const MAX_TEXT = 500;
+const MAX_SUGGESTIONS = 2;
+
+// Sent to Gemini as the structured-output response schema
+const triageResponseSchema = (teamNames = TEAMS) => ({
+  type: Type.OBJECT,
+  properties: {
+    assignedTeam: { type: Type.STRING, enum: teamNames },
+    priority: { type: Type.STRING, enum: PRIORITIES },
+    summary: {
+      type: Type.OBJECT,
+      properties: {
+        problem: { type: Type.STRING },
+        impact: { type: Type.STRING },
+        requestedAction: { type: Type.STRING },
+      },
+      required: ["problem", "impact", "requestedAction"],
+      propertyOrdering: ["problem", "impact", "requestedAction"],
+    },
+    knowledgeSuggestions: {
+      type: Type.ARRAY,
+      maxItems: String(MAX_SUGGESTIONS),
+      items: {
+        type: Type.OBJECT,
+        properties: {
+          title: { type: Type.STRING },
+          reason: { type: Type.STRING },
+        },
+        required: ["title", "reason"],
+      },
+    },
+  },
+  required: ["assignedTeam", "priority", "summary", "knowledgeSuggestions"],
+  propertyOrdering: ["assignedTeam", "priority", "summary", "knowledgeSuggestions"],
+});
+
+// Case-insensitive match against the built-in names
+const defaultResolveTeam = (value) =>
+  TEAMS.find((t) => t.toLowerCase() === String(value).trim().toLowerCase()) || null;
+
+function checkText(value, label) {
+  if (value === undefined || value === null) return { ok: false, error: `${label} is missing` };
+  if (typeof value !== "string") return { ok: false, error: `${label} must be a string` };
+  if (!value.trim()) return { ok: false, error: `${label} is empty` };
+  if (value.length > MAX_TEXT) return { ok: false, error: `${label} exceeds ${MAX_TEXT} chars` };
+  return { ok: true };
+}
+
+/**
+ * Validate a parsed triage object against the declared schema.
+ *
+ * Returns { valid, fields, errors, value } where `fields` holds the
+ * per-field outcome ({ ok, error? }) and `value` is the normalized triage
+ * (canonical team name, trimmed text) when valid, else null.
+ *
+ * `context` ({ teams, resolveTeam }, from the team directory) supplies the
+ * allowed teams; resolveTeam maps names and aliases to the canonical name.
+ */
+function validateTriage(obj, context = {}) {
+  const teamNames = context.teams ? context.teams.map((t) => t.name) : TEAMS;
+  const resolveTeam = context.resolveTeam || defaultResolveTeam;
+
+  const fields = {};
+  const value = {};
+
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    return {
+      valid: false,
+      fields: { root: { ok: false, error: "response is not a JSON object" } },
+      errors: ["root: response is not a JSON object"],
+      value: null,
+    };
+  }
+
+  // assignedTeam: a known team (name or alias, any case)
+  const team = typeof obj.assignedTeam === "string" ? resolveTeam(obj.assignedTeam) : null;
+  if (obj.assignedTeam === undefined || obj.assignedTeam === null) {
+    fields.assignedTeam = { ok: false, error: "assignedTeam is missing" };
+  } else if (!team) {
+    fields.assignedTeam = { ok: false, error: `assignedTeam must be one of: ${teamNames.join(", ")}` };
+  } else {
+    fields.assignedTeam = { ok: true };
+    value.assignedTeam = team;
+  }
+
+  // priority: HIGH|MEDIUM|LOW
+  const priority = typeof obj.priority === "string" ? obj.priority.trim().toUpperCase() : null;
+  if (PRIORITIES.includes(priority)) {
+    fields.priority = { ok: true };
+    value.priority = priority;
+  } else {
+    fields.priority = { ok: false, error: "priority must be HIGH|MEDIUM|LOW" };
+  }
+
+  // summary.{problem,impact,requestedAction}
+  const summary = obj.summary && typeof obj.summary === "object" ? obj.summary : {};
+  value.summary = {};
+  for (const key of ["problem", "impact", "requestedAction"]) {
+    const result = checkText(summary[key], `summary.${key}`);
+    fields[`summary.${key}`] = result;
+    if (result.ok) value.summary[key] = summary[key].trim();
+  }
+
+  // knowledgeSuggestions: 0-2 x { title, reason }
+  const ks = obj.knowledgeSuggestions;
+  if (ks === undefined || ks === null) {
+    fields.knowledgeSuggestions = { ok: false, error: "knowledgeSuggestions is missing" };
+  } else if (!Array.isArray(ks)) {
+    fields.knowledgeSuggestions = { ok: false, error: "knowledgeSuggestions must be an array" };
+  } else if (ks.length > MAX_SUGGESTIONS) {
+    fields.knowledgeSuggestions = {
+      ok: false,
+      error: `knowledgeSuggestions must have at most ${MAX_SUGGESTIONS} items`,
+    };
+  } else {
+    const bad = ks.findIndex(
+      (k) => !k || !checkText(k.title, "title").ok || !checkText(k.reason, "reason").ok
+    );
+    if (bad !== -1) {
+      fields.knowledgeSuggestions = {
+        ok: false,
+        error: `knowledgeSuggestions[${bad}] needs non-empty title and reason`,
+      };
+    } else {
+      fields.knowledgeSuggestions = { ok: true };
+      value.knowledgeSuggestions = ks.map((k) => ({ title: k.title.trim(), reason: k.reason.trim() }));
+    }
+  }
+
+  const errors = Object.entries(fields)
+    .filter(([, r]) => !r.ok)
+    .map(([, r]) => r.error);
+
+  return { valid: errors.length === 0, fields, errors, value: errors.length ? null : value };
+}
+
+module.exports = { TEAMS, PRIORITIES, triageResponseSchema, validateTriage };
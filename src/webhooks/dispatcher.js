@@ -0,0 +1,274 @@
+const crypto = require("crypto");
+const { AUDIT_ACTIONS } = require("../tickets/auditMessages");
+const { logger } = require("../observability/logger");
+
+// Subscribable events = the actions written to audit_logs
+const WEBHOOK_EVENTS = AUDIT_ACTIONS;
+
+// Ticket fields included in every payload
+const TICKET_FIELDS = [
+  "id",
+  "title",
+  "status",
+  "priority",
+  "assigned_team",
+  "sla_status",
+  "sla_due_at",
+  "first_response_status",
+  "version",
+  "created_at",
+  "updated_at",
+];
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * Signature sent as X-Webhook-Signature: "sha256=<hex>", an HMAC-SHA256
+ * of `${timestamp}.${body}` with the subscription secret. Receivers
+ * recompute it and reject stale X-Webhook-Timestamp values.
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+}
+
+function matchesSubscription(subscription, event, team) {
+  const events = subscription.events || [];
+  const teams = subscription.teams || [];
+  return (!events.length || events.includes(event)) && (!teams.length || teams.includes(team));
+}
+
+/**
+ * Outbound webhooks for ticket events.
+ *
+ * publish() turns audit entries into PENDING rows in webhook_deliveries
+ * (one per matching subscription) and kicks a drain. drain() sends every
+ * due delivery; failures are retried with exponential backoff
+ * (retryBaseMs * 2^(attempt-1)) until maxAttempts, then marked FAILED.
+ * replay() re-queues a logged delivery as a new row.
+ */
+function createWebhookDispatcher({
+  store,
+  maxAttempts = 8,
+  retryBaseMs = 30 * 1000,
+  timeoutMs = 10 * 1000,
+  fetchImpl = fetch,
+}) {
+  let draining = null;
+  let rerun = false;
+
+  function buildPayload({ ticket, audit, comment, occurredAt }) {
+    const snapshot = {};
+    for (const field of TICKET_FIELDS) snapshot[field] = ticket[field] ?? null;
+
+    return {
+      event: audit.action,
+      occurredAt,
+      ticket: snapshot,
+      change: {
+        field: audit.field_name ?? null,
+        oldValue: audit.old_value ?? null,
+        newValue: audit.new_value ?? null,
+        actorId: audit.actor_id ?? null,
+      },
+      comment: audit.action === "COMMENT_ADDED" && comment ? { body: comment.body } : undefined,
+    };
+  }
+
+  /**
+   * Queue deliveries for `audits` on `ticket` (the ticket after the
+   * change; its assigned_team is matched against subscription teams).
+   * Returns the number of deliveries queued.
+   */
+  async function publish({ ticket, audits, comment = null }) {
+    if (!ticket || !audits?.length) return 0;
+
+    const subscriptions = await store.webhooks.listEnabled();
+    if (!subscriptions.length) return 0;
+
+    const nowIso = new Date().toISOString();
+    const rows = [];
+    for (const audit of audits) {
+      const matching = subscriptions.filter((s) =>
+        matchesSubscription(s, audit.action, ticket.assigned_team)
+      );
+      if (!matching.length) continue;
+
+      const payload = buildPayload({ ticket, audit, comment, occurredAt: nowIso });
+      for (const subscription of matching) {
+        rows.push({
+          subscription_id: subscription.id,
+          event: audit.action,
+          ticket_id: ticket.id,
+          payload,
+          status: "PENDING",
+          attempts: 0,
+          next_attempt_at: nowIso,
+          updated_at: nowIso,
+        });
+      }
+    }
+    if (!rows.length) return 0;
+
+    await store.webhookDeliveries.create(rows);
+    kick();
+    return rows.length;
+  }
+
+  // Send one claimed delivery; returns { ok, statusCode?, error? }
+  async function send(subscription, delivery) {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await fetchImpl(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "helpdesk-webhooks/1",
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": delivery.id,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signPayload(subscription.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (response.ok) return { ok: true, statusCode: response.status };
+      return { ok: false, statusCode: response.status, error: `HTTP ${response.status}` };
+    } catch (e) {
+      return { ok: false, error: e?.message || "request failed" };
+    }
+  }
+
+  async function attempt(delivery, subscriptions) {
+    const nowMs = Date.now();
+    // Lease: if this process dies mid-send the row becomes due again
+    const claimed = await store.webhookDeliveries.claim(
+      delivery,
+      new Date(nowMs + timeoutMs + 60 * 1000).toISOString()
+    );
+    if (!claimed) return null;
+
+    if (!subscriptions.has(delivery.subscription_id)) {
+      subscriptions.set(delivery.subscription_id, await store.webhooks.findById(delivery.subscription_id));
+    }
+    const subscription = subscriptions.get(delivery.subscription_id);
+    const attempts = delivery.attempts + 1;
+
+    if (!subscription || !subscription.enabled) {
+      await store.webhookDeliveries.update(delivery.id, {
+        status: "FAILED",
+        last_error: subscription ? "subscription disabled" : "subscription deleted",
+        updated_at: new Date().toISOString(),
+      });
+      return false;
+    }
+
+    const result = await send(subscription, delivery);
+    const doneIso = new Date().toISOString();
+
+    if (result.ok) {
+      await store.webhookDeliveries.update(delivery.id, {
+        status: "SUCCEEDED",
+        last_status_code: result.statusCode,
+        last_error: null,
+        delivered_at: doneIso,
+        updated_at: doneIso,
+      });
+      return true;
+    }
+
+    const giveUp = attempts >= maxAttempts;
+    await store.webhookDeliveries.update(delivery.id, {
+      status: giveUp ? "FAILED" : "PENDING",
+      last_status_code: result.statusCode ?? null,
+      last_error: result.error,
+      next_attempt_at: giveUp
+        ? doneIso
+        : new Date(Date.now() + retryBaseMs * 2 ** (attempts - 1)).toISOString(),
+      updated_at: doneIso,
+    });
+    return false;
+  }
+
+  /**
+   * Send every due delivery once. Returns counts:
+   * { attempted, succeeded, failed }.
+   */
+  async function drain() {
+    // Already running: make the current pass look again once it is done
+    if (draining) {
+      rerun = true;
+      return draining;
+    }
+
+    draining = (async () => {
+      const summary = { attempted: 0, succeeded: 0, failed: 0 };
+      const subscriptions = new Map();
+
+      do {
+        rerun = false;
+        const due = await store.webhookDeliveries.listDue(new Date().toISOString());
+
+        for (const delivery of due) {
+          const ok = await attempt(delivery, subscriptions);
+          if (ok === null) continue;
+          summary.attempted++;
+          if (ok) summary.succeeded++;
+          else summary.failed++;
+        }
+      } while (rerun);
+
+      return summary;
+    })();
+
+    try {
+      return await draining;
+    } finally {
+      draining = null;
+    }
+  }
+
+  // Fire-and-forget drain after new deliveries are queued
+  function kick() {
+    setImmediate(() => {
+      drain().catch((e) => logger.error("Webhook delivery failed", { err: e }));
+    });
+  }
+
+  /**
+   * Re-send a logged delivery (any status) as a new PENDING row.
+   * Returns the new row, or null when the original does not exist.
+   */
+  async function replay(deliveryId) {
+    const original = await store.webhookDeliveries.findById(deliveryId);
+    if (!original) return null;
+
+    const nowIso = new Date().toISOString();
+    const [copy] = await store.webhookDeliveries.create({
+      subscription_id: original.subscription_id,
+      event: original.event,
+      ticket_id: original.ticket_id,
+      payload: original.payload,
+      status: "PENDING",
+      attempts: 0,
+      next_attempt_at: nowIso,
+      replay_of: original.id,
+      updated_at: nowIso,
+    });
+    kick();
+    return copy;
+  }
+
+  return { publish, drain, replay };
+}
+
+module.exports = {
+  createWebhookDispatcher,
+  signPayload,
+  generateSecret,
+  WEBHOOK_EVENTS,
+};
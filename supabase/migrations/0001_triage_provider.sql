@@ -0,0 +1,4 @@
+-- Which triage provider produced the ticket's team/priority/summary
+-- (gemini | rules | default when every provider failed)
+alter table tickets
+  add column if not exists triage_provider text;
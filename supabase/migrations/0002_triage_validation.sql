@@ -0,0 +1,8 @@
+-- Per-field validation outcome of the triage that was used, plus every
+-- provider attempt ({ valid, fields, attempts: [{ provider, ok, tries, fields, error }] })
+alter table tickets
+  add column if not exists triage_validation jsonb;
+
+-- Raw model output from the last AI attempt (kept even when a fallback won)
+alter table tickets
+  add column if not exists ai_raw_response text;
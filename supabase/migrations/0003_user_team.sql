@@ -0,0 +1,4 @@
+-- Team an AGENT works in (matches tickets.assigned_team); used for
+-- scope=team and per-ticket access checks
+alter table users
+  add column if not exists team text;
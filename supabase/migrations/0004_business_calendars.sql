@@ -0,0 +1,39 @@
+-- Business calendars: working hours per weekday, holidays and time zone.
+-- working_hours: { "mon": [{ "start": "09:00", "end": "17:00" }], ..., "sun": [] }
+-- holidays: ["2026-12-25", ...] (or [{ "date": "...", "name": "..." }])
+create table if not exists business_calendars (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  timezone text not null default 'UTC',
+  working_hours jsonb not null,
+  holidays jsonb not null default '[]'::jsonb,
+  hours_per_day numeric,
+  is_default boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists business_calendars_one_default
+  on business_calendars (is_default) where is_default;
+
+-- Which calendar a team's SLA clock runs on
+create table if not exists team_calendars (
+  team text primary key,
+  calendar_id uuid not null references business_calendars (id),
+  created_at timestamptz not null default now()
+);
+
+-- SLA targets per (team, priority); team null = every team.
+-- target_unit HOURS = business hours, DAYS = business days of the calendar.
+create table if not exists sla_policies (
+  id uuid primary key default gen_random_uuid(),
+  team text,
+  priority text not null check (priority in ('HIGH', 'MEDIUM', 'LOW')),
+  target_value numeric not null check (target_value > 0),
+  target_unit text not null check (target_unit in ('HOURS', 'DAYS')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists sla_policies_team_priority
+  on sla_policies (coalesce(team, ''), priority);
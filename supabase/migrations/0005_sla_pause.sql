@@ -0,0 +1,8 @@
+-- SLA pause/resume while a ticket is WAITING on the requester.
+-- sla_paused_at: set while the clock is stopped
+-- sla_remaining_minutes: business minutes left when it was stopped
+-- sla_paused_seconds: total wall-clock time spent paused (completed pauses)
+alter table tickets
+  add column if not exists sla_paused_at timestamptz,
+  add column if not exists sla_remaining_minutes integer,
+  add column if not exists sla_paused_seconds integer not null default 0;
@@ -0,0 +1,42 @@
+-- sla_status: ON_TRACK | AT_RISK | BREACHED | PAUSED
+-- sla_target_minutes: business minutes of the current resolution window
+--   (what AT_RISK percentages are measured against)
+alter table tickets
+  add column if not exists sla_target_minutes integer;
+
+-- First-response SLA, tracked separately from resolution
+-- first_response_status: ON_TRACK | AT_RISK | BREACHED | MET
+alter table tickets
+  add column if not exists first_response_due_at timestamptz,
+  add column if not exists first_response_target_minutes integer,
+  add column if not exists first_response_status text,
+  add column if not exists first_responded_at timestamptz;
+
+alter table sla_policies
+  add column if not exists first_response_value numeric,
+  add column if not exists first_response_unit text
+    check (first_response_unit in ('HOURS', 'DAYS'));
+
+-- System events (SLA monitor, escalations) have no human actor
+alter table audit_logs
+  alter column actor_id drop not null;
+
+-- Escalation rules, applied when a clock goes AT_RISK or BREACHED.
+-- team / priority null = any.
+create table if not exists sla_escalation_rules (
+  id uuid primary key default gen_random_uuid(),
+  team text,
+  priority text check (priority in ('HIGH', 'MEDIUM', 'LOW')),
+  sla_type text not null default 'RESOLUTION'
+    check (sla_type in ('RESOLUTION', 'FIRST_RESPONSE')),
+  trigger text not null check (trigger in ('AT_RISK', 'BREACHED')),
+  action text not null check (action in ('BUMP_PRIORITY', 'REASSIGN', 'NOTIFY')),
+  target_team text,
+  notify_email text,
+  enabled boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists tickets_open_sla_idx
+  on tickets (status, sla_status, first_response_status);
@@ -0,0 +1,30 @@
+-- Full-text search for GET /api/tickets?q=... (title > description > AI summary)
+alter table tickets
+  add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+    setweight(
+      to_tsvector(
+        'english',
+        coalesce(ai_summary_problem, '') || ' ' ||
+        coalesce(ai_summary_impact, '') || ' ' ||
+        coalesce(ai_summary_action, '')
+      ),
+      'C'
+    )
+  ) stored;
+
+create index if not exists tickets_search_vector_idx on tickets using gin (search_vector);
+
+-- Keyset pagination: (sort column, id) for each sortable column
+create index if not exists tickets_created_at_id_idx on tickets (created_at, id);
+create index if not exists tickets_updated_at_id_idx on tickets (updated_at, id);
+create index if not exists tickets_sla_due_at_id_idx on tickets (sla_due_at, id);
+create index if not exists tickets_title_id_idx on tickets (title, id);
+create index if not exists tickets_status_id_idx on tickets (status, id);
+
+-- Common filters
+create index if not exists tickets_assigned_team_idx on tickets (assigned_team);
+create index if not exists tickets_requester_user_id_idx on tickets (requester_user_id);
+create index if not exists tickets_affected_system_idx on tickets (affected_system);
@@ -0,0 +1,61 @@
+-- Optimistic concurrency: every change through apply_ticket_change bumps
+-- version; clients send it back as If-Match.
+alter table tickets
+  add column if not exists version integer not null default 1;
+
+-- Apply one ticket change atomically:
+--   1) update the ticket if version still equals p_expected_version
+--      (null = no check), bumping version
+--   2) insert the comment (if any)
+--   3) insert the audit entries
+-- Returns the new version, or null on conflict / missing ticket.
+-- p_updates keys are tickets column names; values are cast via the row type.
+create or replace function apply_ticket_change(
+  p_ticket_id uuid,
+  p_expected_version integer,
+  p_updates jsonb,
+  p_comment jsonb,
+  p_audits jsonb
+) returns integer
+language plpgsql
+as $$
+declare
+  set_clause text;
+  new_version integer;
+begin
+  select string_agg(
+           format('%I = (jsonb_populate_record(null::tickets, $3)).%I', k, k),
+           ', '
+         )
+    into set_clause
+    from jsonb_object_keys(coalesce(p_updates, '{}'::jsonb)) as k
+   where k not in ('id', 'version');
+
+  execute format(
+    'update tickets set %s version = version + 1
+      where id = $1 and ($2 is null or version = $2)
+      returning version',
+    coalesce(set_clause || ',', '')
+  )
+  into new_version
+  using p_ticket_id, p_expected_version, p_updates;
+
+  if new_version is null then
+    return null;
+  end if;
+
+  if p_comment is not null then
+    insert into ticket_comments (ticket_id, author_id, body)
+    select p_ticket_id, c.author_id, c.body
+      from jsonb_populate_record(null::ticket_comments, p_comment) c;
+  end if;
+
+  if p_audits is not null and jsonb_array_length(p_audits) > 0 then
+    insert into audit_logs (ticket_id, actor_id, action, field_name, old_value, new_value)
+    select a.ticket_id, a.actor_id, a.action, a.field_name, a.old_value, a.new_value
+      from jsonb_populate_recordset(null::audit_logs, p_audits) a;
+  end if;
+
+  return new_version;
+end;
+$$;
@@ -0,0 +1,41 @@
+-- Outbound webhooks. events / teams empty = all.
+-- events are audit_logs actions (TICKET_CREATED, STATUS_CHANGED, ...).
+create table if not exists webhook_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  url text not null,
+  secret text not null,
+  description text,
+  events text[] not null default '{}',
+  teams text[] not null default '{}',
+  enabled boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Delivery log. One row per (subscription, event); replays add a new row
+-- pointing at the original.
+-- status: PENDING | SUCCEEDED | FAILED
+-- next_attempt_at doubles as the claim lease while a worker is sending.
+create table if not exists webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  subscription_id uuid not null references webhook_subscriptions(id) on delete cascade,
+  event text not null,
+  ticket_id uuid references tickets(id) on delete set null,
+  payload jsonb not null,
+  status text not null default 'PENDING'
+    check (status in ('PENDING', 'SUCCEEDED', 'FAILED')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_status_code integer,
+  last_error text,
+  delivered_at timestamptz,
+  replay_of uuid references webhook_deliveries(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_due_idx
+  on webhook_deliveries (status, next_attempt_at);
+
+create index if not exists webhook_deliveries_subscription_idx
+  on webhook_deliveries (subscription_id, created_at desc);
@@ -0,0 +1,36 @@
+-- Users who follow a ticket besides its requester / assignee
+create table if not exists ticket_watchers (
+  ticket_id uuid not null references tickets(id) on delete cascade,
+  user_id uuid not null references users(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (ticket_id, user_id)
+);
+
+-- Per-user email opt-out. No row = everything on.
+create table if not exists notification_preferences (
+  user_id uuid primary key references users(id) on delete cascade,
+  email_enabled boolean not null default true,
+  muted_events text[] not null default '{}',
+  updated_at timestamptz not null default now()
+);
+
+-- Outbox: one row per (recipient, event), mailed in per-user digests.
+-- status: PENDING | SENDING | SENT | SKIPPED | FAILED
+create table if not exists notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  ticket_id uuid references tickets(id) on delete cascade,
+  ticket_title text,
+  event text not null,
+  message text not null,
+  detail text,
+  status text not null default 'PENDING'
+    check (status in ('PENDING', 'SENDING', 'SENT', 'SKIPPED', 'FAILED')),
+  attempts integer not null default 0,
+  last_error text,
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_pending_idx
+  on notifications (status, created_at);
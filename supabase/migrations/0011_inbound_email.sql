@@ -0,0 +1,13 @@
+-- Inbound email gateway log; message_id makes redelivered mail a no-op.
+-- outcome: TICKET_CREATED | COMMENT_ADDED | IGNORED | REJECTED
+create table if not exists inbound_emails (
+  id uuid primary key default gen_random_uuid(),
+  message_id text not null unique,
+  from_email text,
+  subject text,
+  outcome text not null
+    check (outcome in ('TICKET_CREATED', 'COMMENT_ADDED', 'IGNORED', 'REJECTED')),
+  reason text,
+  ticket_id uuid references tickets(id) on delete set null,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,69 @@
+-- Files attached to a ticket (comment_id null) or to one of its comments.
+-- Blobs live in ATTACHMENT_STORAGE under storage_key.
+create table if not exists attachments (
+  id uuid primary key,
+  ticket_id uuid not null references tickets(id) on delete cascade,
+  comment_id uuid references ticket_comments(id) on delete cascade,
+  uploader_id uuid references users(id) on delete set null,
+  filename text not null,
+  content_type text not null,
+  size_bytes bigint not null,
+  sha256 text,
+  storage_key text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists attachments_ticket_idx
+  on attachments (ticket_id, created_at);
+
+-- Same as 0008, but the caller may pick the comment id (p_comment.id) so
+-- attachments can point at the comment it creates.
+create or replace function apply_ticket_change(
+  p_ticket_id uuid,
+  p_expected_version integer,
+  p_updates jsonb,
+  p_comment jsonb,
+  p_audits jsonb
+) returns integer
+language plpgsql
+as $$
+declare
+  set_clause text;
+  new_version integer;
+begin
+  select string_agg(
+           format('%I = (jsonb_populate_record(null::tickets, $3)).%I', k, k),
+           ', '
+         )
+    into set_clause
+    from jsonb_object_keys(coalesce(p_updates, '{}'::jsonb)) as k
+   where k not in ('id', 'version');
+
+  execute format(
+    'update tickets set %s version = version + 1
+      where id = $1 and ($2 is null or version = $2)
+      returning version',
+    coalesce(set_clause || ',', '')
+  )
+  into new_version
+  using p_ticket_id, p_expected_version, p_updates;
+
+  if new_version is null then
+    return null;
+  end if;
+
+  if p_comment is not null then
+    insert into ticket_comments (id, ticket_id, author_id, body)
+    select coalesce(c.id, gen_random_uuid()), p_ticket_id, c.author_id, c.body
+      from jsonb_populate_record(null::ticket_comments, p_comment) c;
+  end if;
+
+  if p_audits is not null and jsonb_array_length(p_audits) > 0 then
+    insert into audit_logs (ticket_id, actor_id, action, field_name, old_value, new_value)
+    select a.ticket_id, a.actor_id, a.action, a.field_name, a.old_value, a.new_value
+      from jsonb_populate_recordset(null::audit_logs, p_audits) a;
+  end if;
+
+  return new_version;
+end;
+$$;
@@ -0,0 +1,65 @@
+-- Knowledge base articles. team = owning team (null = shared).
+-- status: DRAFT | PUBLISHED | ARCHIVED; only PUBLISHED is shown to
+-- requesters and used for suggestions / deflection.
+create table if not exists kb_articles (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  body text not null default '',
+  tags text[] not null default '{}',
+  team text,
+  status text not null default 'DRAFT'
+    check (status in ('DRAFT', 'PUBLISHED', 'ARCHIVED')),
+  source_ticket_id uuid references tickets(id) on delete set null,
+  author_id uuid references users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- array_to_string is only STABLE; this wrapper lets tags feed the
+-- generated column
+create or replace function kb_tags_text(tags text[]) returns text
+language sql immutable
+as $$ select coalesce(array_to_string(tags, ' '), '') $$;
+
+alter table kb_articles
+  add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', kb_tags_text(tags)), 'B') ||
+    setweight(to_tsvector('english', coalesce(body, '')), 'C')
+  ) stored;
+
+create index if not exists kb_articles_search_vector_idx on kb_articles using gin (search_vector);
+create index if not exists kb_articles_status_idx on kb_articles (status, team);
+
+-- "Try the knowledge base first": what was shown, and whether it helped.
+-- helped null = no answer yet; false = the requester filed ticket_id anyway.
+create table if not exists kb_deflections (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  title text not null,
+  description text,
+  article_ids uuid[] not null default '{}',
+  helped boolean,
+  ticket_id uuid references tickets(id) on delete set null,
+  created_at timestamptz not null default now(),
+  answered_at timestamptz
+);
+
+-- Published articles ranked against free text (any word may match,
+-- unlike websearch / ?q= which needs all of them)
+create or replace function match_kb_articles(p_query text, p_limit integer default 3)
+returns table (id uuid, title text, team text, rank real)
+language sql stable
+as $$
+  with q as (
+    select nullif(replace(plainto_tsquery('english', coalesce(p_query, ''))::text, '&', '|'), '')::tsquery as query
+  )
+  select a.id, a.title, a.team, ts_rank_cd(a.search_vector, q.query) as rank
+    from kb_articles a, q
+   where q.query is not null
+     and a.status = 'PUBLISHED'
+     and a.search_vector @@ q.query
+   order by rank desc, a.updated_at desc
+   limit greatest(coalesce(p_limit, 3), 1);
+$$;
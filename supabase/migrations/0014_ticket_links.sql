@@ -0,0 +1,175 @@
+-- Ticket relationships, directional from ticket_id to linked_ticket_id:
+--   DUPLICATE  ticket_id is a duplicate of linked_ticket_id
+--   PARENT     ticket_id is the parent (incident) of linked_ticket_id (a report)
+--   RELATED    no direction
+create table if not exists ticket_links (
+  id uuid primary key default gen_random_uuid(),
+  ticket_id uuid not null references tickets(id) on delete cascade,
+  linked_ticket_id uuid not null references tickets(id) on delete cascade,
+  link_type text not null check (link_type in ('DUPLICATE', 'RELATED', 'PARENT')),
+  created_by uuid references users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  check (ticket_id <> linked_ticket_id),
+  unique (ticket_id, linked_ticket_id)
+);
+
+create index if not exists ticket_links_linked_idx on ticket_links (linked_ticket_id);
+
+-- A report belongs to at most one incident
+create unique index if not exists ticket_links_one_parent_idx
+  on ticket_links (linked_ticket_id) where link_type = 'PARENT';
+
+-- Set on a ticket that was merged into another (it is CLOSED at that point)
+alter table tickets
+  add column if not exists merged_into_id uuid references tickets(id) on delete set null;
+
+-- Duplicate detection: trigram similarity on title / description
+create extension if not exists pg_trgm;
+
+create index if not exists tickets_title_trgm_idx on tickets using gin (title gin_trgm_ops);
+
+-- Open tickets for the same affected system (case-insensitive, both empty
+-- counts as the same) created since p_since, scored
+-- 0.7 * title similarity + 0.3 * description similarity (first 500 chars).
+create or replace function find_similar_tickets(
+  p_title text,
+  p_description text,
+  p_affected_system text,
+  p_since timestamptz,
+  p_exclude_id uuid default null,
+  p_min_score real default 0.3,
+  p_limit integer default 5
+) returns table (id uuid, title text, status text, assigned_team text, created_at timestamptz, score real)
+language sql stable
+as $$
+  select s.id, s.title, s.status, s.assigned_team, s.created_at, s.score
+    from (
+      select t.id, t.title, t.status, t.assigned_team, t.created_at,
+             (0.7 * similarity(t.title, coalesce(p_title, '')) +
+              0.3 * similarity(left(coalesce(t.description, ''), 500),
+                               left(coalesce(p_description, ''), 500)))::real as score
+        from tickets t
+       where t.status not in ('RESOLVED', 'CLOSED')
+         and t.merged_into_id is null
+         and t.created_at >= p_since
+         and (p_exclude_id is null or t.id <> p_exclude_id)
+         and lower(trim(coalesce(t.affected_system, ''))) = lower(trim(coalesce(p_affected_system, '')))
+    ) s
+   where s.score >= p_min_score
+   order by s.score desc, s.created_at desc
+   limit greatest(coalesce(p_limit, 5), 1);
+$$;
+
+-- Would making p_parent_id the parent of p_child_id close a loop? Walks up
+-- from p_parent_id; chains deeper than 20 (MAX_PARENT_DEPTH in
+-- src/tickets/links.js) count as a loop too.
+create or replace function ticket_parent_cycle(p_parent_id uuid, p_child_id uuid)
+returns boolean
+language sql stable
+as $$
+  with recursive up (id, depth) as (
+    select p_parent_id, 0
+    union all
+    select l.ticket_id, up.depth + 1
+      from up
+      join ticket_links l on l.linked_ticket_id = up.id and l.link_type = 'PARENT'
+     where up.id <> p_child_id and up.depth < 20
+  )
+  select exists (select 1 from up where id = p_child_id or depth >= 20);
+$$;
+
+-- Merge p_source_id into p_target_id in one transaction:
+--   comments, attachments and audit history move to the target,
+--   the source's requester and watchers start watching the target,
+--   the source's other PARENT / RELATED links move to the target, except
+--   pairs the target is already linked in (or would link it to itself) and
+--   parent links that would close a loop (ticket_parent_cycle),
+--   the source is CLOSED with merged_into_id set and a DUPLICATE link,
+--   both tickets get a TICKET_MERGED audit entry and a new version.
+-- Returns { source_version, target_version }, or null when either ticket
+-- is missing or already merged.
+create or replace function merge_tickets(p_source_id uuid, p_target_id uuid, p_actor_id uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+  src tickets;
+  tgt tickets;
+  source_version integer;
+  target_version integer;
+begin
+  select * into src from tickets where id = p_source_id for update;
+  select * into tgt from tickets where id = p_target_id for update;
+
+  if src.id is null or tgt.id is null or src.id = tgt.id
+     or src.merged_into_id is not null or tgt.merged_into_id is not null then
+    return null;
+  end if;
+
+  update ticket_comments set ticket_id = p_target_id where ticket_id = p_source_id;
+  update attachments set ticket_id = p_target_id where ticket_id = p_source_id;
+  update audit_logs set ticket_id = p_target_id where ticket_id = p_source_id;
+
+  insert into ticket_watchers (ticket_id, user_id)
+  select p_target_id, w.user_id
+    from ticket_watchers w
+   where w.ticket_id = p_source_id
+  on conflict do nothing;
+
+  if src.requester_user_id is distinct from tgt.requester_user_id then
+    insert into ticket_watchers (ticket_id, user_id)
+    values (p_target_id, src.requester_user_id)
+    on conflict do nothing;
+  end if;
+
+  delete from ticket_links
+   where (ticket_id = p_source_id and linked_ticket_id = p_target_id)
+      or (ticket_id = p_target_id and linked_ticket_id = p_source_id);
+
+  update ticket_links l
+     set ticket_id = p_target_id
+   where l.ticket_id = p_source_id
+     and l.link_type in ('PARENT', 'RELATED')
+     and not exists (
+       select 1 from ticket_links e
+        where (e.ticket_id = p_target_id and e.linked_ticket_id = l.linked_ticket_id)
+           or (e.ticket_id = l.linked_ticket_id and e.linked_ticket_id = p_target_id)
+     )
+     and not (l.link_type = 'PARENT' and ticket_parent_cycle(p_target_id, l.linked_ticket_id));
+
+  -- The target keeps its own parent, if it has one
+  update ticket_links l
+     set linked_ticket_id = p_target_id
+   where l.linked_ticket_id = p_source_id
+     and l.link_type in ('PARENT', 'RELATED')
+     and not exists (
+       select 1 from ticket_links e
+        where (e.ticket_id = p_target_id and e.linked_ticket_id = l.ticket_id)
+           or (e.ticket_id = l.ticket_id and e.linked_ticket_id = p_target_id)
+     )
+     and not (l.link_type = 'PARENT' and exists (
+       select 1 from ticket_links e where e.linked_ticket_id = p_target_id and e.link_type = 'PARENT'
+     ))
+     and not (l.link_type = 'PARENT' and ticket_parent_cycle(l.ticket_id, p_target_id));
+
+  insert into ticket_links (ticket_id, linked_ticket_id, link_type, created_by)
+  values (p_source_id, p_target_id, 'DUPLICATE', p_actor_id);
+
+  update tickets
+     set status = 'CLOSED', merged_into_id = p_target_id, updated_at = now(), version = version + 1
+   where id = p_source_id
+  returning version into source_version;
+
+  update tickets
+     set updated_at = now(), version = version + 1
+   where id = p_target_id
+  returning version into target_version;
+
+  insert into audit_logs (ticket_id, actor_id, action, field_name, old_value, new_value)
+  values
+    (p_source_id, p_actor_id, 'TICKET_MERGED', 'merged_into', src.status, p_target_id::text),
+    (p_target_id, p_actor_id, 'TICKET_MERGED', 'merged_from', null, p_source_id::text);
+
+  return jsonb_build_object('source_version', source_version, 'target_version', target_version);
+end;
+$$;
@@ -0,0 +1,24 @@
+-- The agent who owns a ticket inside its assigned_team (null = team queue)
+alter table tickets
+  add column if not exists assignee_user_id uuid references users(id) on delete set null;
+
+create index if not exists tickets_assignee_status_idx on tickets (assignee_user_id, status);
+
+-- Agents: available = false (out of office) is skipped by auto-assignment;
+-- skills are matched against tickets.affected_system (case-insensitive)
+alter table users
+  add column if not exists available boolean not null default true,
+  add column if not exists skills text[] not null default '{}';
+
+-- Auto-assignment of new tickets per team:
+--   NONE         leave new tickets in the team queue (default)
+--   ROUND_ROBIN  next available agent after last_assignee_id
+--   LEAST_OPEN   available agent with the fewest open tickets
+--   SKILLS       LEAST_OPEN among agents with a matching skill (all agents if none match)
+create table if not exists team_assignment_rules (
+  team text primary key,
+  strategy text not null default 'NONE'
+    check (strategy in ('NONE', 'ROUND_ROBIN', 'LEAST_OPEN', 'SKILLS')),
+  last_assignee_id uuid references users(id) on delete set null,
+  updated_at timestamptz not null default now()
+);
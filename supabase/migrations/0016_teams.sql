@@ -0,0 +1,171 @@
+-- Teams as managed entities. Other tables keep referring to a team by its
+-- canonical name (tickets.assigned_team, users.team, SLA / assignment
+-- config, kb_articles.team); tickets also carry team_id.
+-- aliases: other spellings that resolve to this team (AI output, old data).
+-- description: shown to the triage model next to the name.
+create table if not exists teams (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  description text,
+  aliases text[] not null default '{}',
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists teams_name_key on teams (lower(name));
+
+insert into teams (name, description, aliases) values
+  ('IT Support', 'Laptops, accounts, passwords, VPN, email and collaboration tools',
+    array['IT', 'IT Helpdesk', 'Helpdesk', 'Service Desk', 'Tech Support']),
+  ('HR / People Ops', 'Leave, benefits, onboarding, offboarding and people processes',
+    array['HR', 'People Ops', 'People', 'Human Resources']),
+  ('Engineering', 'Product bugs, deployments, APIs, databases and internal services',
+    array['Eng', 'Development', 'Software Engineering']),
+  ('Operations', 'Logistics, inventory, deliveries and business processes',
+    array['Ops']),
+  ('Finance', 'Invoices, expenses, reimbursements, payroll and budgets',
+    array['Accounting', 'Accounts Payable']),
+  ('Facilities', 'Office space, equipment, building issues and meeting rooms',
+    array['Office', 'Workplace']),
+  ('Security / Compliance', 'Phishing, suspicious activity, access requests and compliance',
+    array['Security', 'Compliance', 'InfoSec']),
+  ('Procurement', 'Purchases, vendors, quotes and subscriptions',
+    array['Purchasing']),
+  ('Legal', 'Contracts, NDAs and other legal matters',
+    array[]::text[]),
+  ('Other / General', 'Anything that fits no other team',
+    array['Other', 'General'])
+on conflict do nothing;
+
+alter table tickets
+  add column if not exists team_id uuid references teams(id) on delete set null;
+
+create index if not exists tickets_team_id_idx on tickets (team_id);
+
+-- "IT-support " / "it helpdesk" -> the team it names (name or alias,
+-- ignoring case, spaces and punctuation); null when nothing matches
+create or replace function resolve_team(p_value text)
+returns uuid
+language sql stable
+as $$
+  with k as (select regexp_replace(lower(coalesce(p_value, '')), '[^a-z0-9]+', '', 'g') as key)
+  select t.id
+    from teams t, k
+   where k.key <> ''
+     and (regexp_replace(lower(t.name), '[^a-z0-9]+', '', 'g') = k.key
+          or exists (select 1 from unnest(t.aliases) a
+                      where regexp_replace(lower(a), '[^a-z0-9]+', '', 'g') = k.key))
+   order by (regexp_replace(lower(t.name), '[^a-z0-9]+', '', 'g') = k.key) desc, t.active desc
+   limit 1;
+$$;
+
+-- ---- Normalise stored values ----
+
+-- Tickets: every ticket gets a real team; unknown values go to Other / General
+update tickets t
+   set team_id = coalesce(resolve_team(t.assigned_team), (select id from teams where name = 'Other / General'));
+
+update tickets t
+   set assigned_team = tm.name
+  from teams tm
+ where tm.id = t.team_id
+   and t.assigned_team is distinct from tm.name;
+
+-- Agents, KB and SLA / escalation rules: rewrite values that resolve
+update users u set team = tm.name
+  from teams tm
+ where u.team is not null and tm.id = resolve_team(u.team) and u.team <> tm.name;
+
+update kb_articles a set team = tm.name
+  from teams tm
+ where a.team is not null and tm.id = resolve_team(a.team) and a.team <> tm.name;
+
+update sla_escalation_rules r set team = tm.name
+  from teams tm
+ where r.team is not null and tm.id = resolve_team(r.team) and r.team <> tm.name;
+
+update sla_escalation_rules r set target_team = tm.name
+  from teams tm
+ where r.target_team is not null and tm.id = resolve_team(r.target_team) and r.target_team <> tm.name;
+
+-- Webhook team filters: each element that resolves becomes the canonical name
+update webhook_subscriptions w
+   set teams = (
+     select array_agg(distinct coalesce(tm.name, u.team))
+       from unnest(w.teams) as u(team)
+       left join teams tm on tm.id = resolve_team(u.team)
+   )
+ where cardinality(w.teams) > 0;
+
+-- Keyed by team: only the first variant is renamed, and only when the
+-- canonical row does not exist yet (otherwise the canonical row wins and
+-- the other variants stay unused)
+update team_calendars c set team = tm.name
+  from teams tm
+ where tm.id = resolve_team(c.team) and c.team <> tm.name
+   and not exists (select 1 from team_calendars c2 where c2.team = tm.name)
+   and c.team = (select min(c3.team) from team_calendars c3 where resolve_team(c3.team) = tm.id);
+
+update team_assignment_rules r set team = tm.name
+  from teams tm
+ where tm.id = resolve_team(r.team) and r.team <> tm.name
+   and not exists (select 1 from team_assignment_rules r2 where r2.team = tm.name)
+   and r.team = (select min(r3.team) from team_assignment_rules r3 where resolve_team(r3.team) = tm.id);
+
+update sla_policies p set team = tm.name
+  from teams tm
+ where p.team is not null and tm.id = resolve_team(p.team) and p.team <> tm.name
+   and not exists (
+     select 1 from sla_policies p2 where p2.team = tm.name and p2.priority = p.priority
+   )
+   and p.id = (
+     select p3.id from sla_policies p3
+      where p3.priority = p.priority and resolve_team(p3.team) = tm.id
+      order by p3.created_at, p3.id
+      limit 1
+   );
+
+-- Rename a team everywhere its name is stored; the old name becomes an
+-- alias so old spellings keep resolving. Returns the team row, or null
+-- when the team is missing.
+create or replace function rename_team(p_team_id uuid, p_name text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  old_name text;
+  result teams;
+begin
+  select name into old_name from teams where id = p_team_id for update;
+  if old_name is null then
+    return null;
+  end if;
+
+  update teams
+     set name = p_name,
+         aliases = case
+           when lower(old_name) = lower(p_name) or old_name = any(aliases) then aliases
+           else array_append(aliases, old_name)
+         end,
+         updated_at = now()
+   where id = p_team_id
+  returning * into result;
+
+  if old_name = p_name then
+    return to_jsonb(result);
+  end if;
+
+  update tickets set assigned_team = p_name where assigned_team = old_name;
+  update users set team = p_name where team = old_name;
+  update kb_articles set team = p_name where team = old_name;
+  update team_calendars set team = p_name where team = old_name;
+  update team_assignment_rules set team = p_name where team = old_name;
+  update sla_policies set team = p_name where team = old_name;
+  update sla_escalation_rules set team = p_name where team = old_name;
+  update sla_escalation_rules set target_team = p_name where target_team = old_name;
+  update webhook_subscriptions set teams = array_replace(teams, old_name, p_name) where old_name = any(teams);
+
+  return to_jsonb(result);
+end;
+$$;
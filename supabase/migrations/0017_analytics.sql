@@ -0,0 +1,182 @@
+-- When the ticket moved to RESOLVED (time to resolution); null until then
+alter table tickets
+  add column if not exists resolved_at timestamptz;
+
+update tickets t
+   set resolved_at = a.resolved_at
+  from (
+    select ticket_id, max(created_at) as resolved_at
+      from audit_logs
+     where action = 'STATUS_CHANGED' and new_value = 'RESOLVED'
+     group by ticket_id
+  ) a
+ where a.ticket_id = t.id
+   and t.status in ('RESOLVED', 'CLOSED')
+   and t.resolved_at is null;
+
+create index if not exists tickets_resolved_at_idx on tickets (resolved_at) where resolved_at is not null;
+create index if not exists tickets_first_responded_at_idx on tickets (first_responded_at) where first_responded_at is not null;
+
+-- Dashboard aggregates for GET /api/analytics (merged duplicates excluded).
+--   p_from / p_to   period [from, to) for created / resolved / responded
+--   p_bucket        day | week | month, UTC (weeks start on Monday)
+--   p_teams         assigned_team filter, null = any
+--   p_requester_id  scope=my
+-- open / breached and backlog ageing describe the open tickets as of p_now.
+-- Durations are wall-clock minutes from created_at. A resolved ticket met
+-- its SLA when it was never BREACHED and resolved_at <= sla_due_at.
+create or replace function ticket_analytics(
+  p_from timestamptz,
+  p_to timestamptz,
+  p_bucket text default 'day',
+  p_teams text[] default null,
+  p_requester_id uuid default null,
+  p_now timestamptz default now()
+) returns jsonb
+language sql stable
+as $$
+  with scoped as (
+    select t.*
+      from tickets t
+     where t.merged_into_id is null
+       and (p_teams is null or t.assigned_team = any(p_teams))
+       and (p_requester_id is null or t.requester_user_id = p_requester_id)
+  ),
+  created as (
+    select * from scoped where created_at >= p_from and created_at < p_to
+  ),
+  resolved as (
+    select s.*,
+           extract(epoch from s.resolved_at - s.created_at) / 60 as minutes,
+           (s.sla_status is distinct from 'BREACHED'
+             and (s.sla_due_at is null or s.resolved_at <= s.sla_due_at)) as met
+      from scoped s
+     where s.resolved_at >= p_from and s.resolved_at < p_to
+  ),
+  responded as (
+    select extract(epoch from s.first_responded_at - s.created_at) / 60 as minutes
+      from scoped s
+     where s.first_responded_at >= p_from and s.first_responded_at < p_to
+  ),
+  open_now as (
+    select s.*, extract(epoch from p_now - s.created_at) / 86400 as age_days
+      from scoped s
+     where s.status not in ('RESOLVED', 'CLOSED')
+  ),
+  buckets as (
+    select b as bucket_start
+      from generate_series(
+        date_trunc(p_bucket, p_from at time zone 'UTC'),
+        date_trunc(p_bucket, (p_to at time zone 'UTC') - interval '1 microsecond'),
+        ('1 ' || p_bucket)::interval
+      ) b
+  ),
+  created_by_bucket as (
+    select date_trunc(p_bucket, created_at at time zone 'UTC') as bucket_start, count(*) as n
+      from created group by 1
+  ),
+  resolved_by_bucket as (
+    select date_trunc(p_bucket, resolved_at at time zone 'UTC') as bucket_start, count(*) as n
+      from resolved group by 1
+  ),
+  compliance as (
+    select 'team' as dim, assigned_team as key, null::text as label,
+           count(*) filter (where met) as met, count(*) as total
+      from resolved group by assigned_team
+    union all
+    select 'priority', priority, null, count(*) filter (where met), count(*)
+      from resolved group by priority
+    union all
+    select 'agent', r.assignee_user_id::text, min(coalesce(u.name, u.email)),
+           count(*) filter (where r.met), count(*)
+      from resolved r
+      left join users u on u.id = r.assignee_user_id
+     group by r.assignee_user_id
+  )
+  select jsonb_build_object(
+    'kpis', jsonb_build_object(
+      'total', (select count(*) from created),
+      'resolved', (select count(*) from resolved),
+      'open', (select count(*) from open_now),
+      'breached', (select count(*) from open_now where sla_status = 'BREACHED')
+    ),
+    'charts', jsonb_build_object(
+      'byStatus', (select coalesce(jsonb_object_agg(status, n), '{}') from
+        (select status, count(*) as n from created group by status) x),
+      'byPriority', (select coalesce(jsonb_object_agg(priority, n), '{}') from
+        (select priority, count(*) as n from created group by priority) x),
+      'bySla', (select coalesce(jsonb_object_agg(sla_status, n), '{}') from
+        (select sla_status, count(*) as n from created where sla_status is not null group by sla_status) x),
+      'byTeam', (select coalesce(jsonb_object_agg(assigned_team, n), '{}') from
+        (select assigned_team, count(*) as n from created where assigned_team is not null group by assigned_team) x)
+    ),
+    'series', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+               'bucket', to_char(b.bucket_start, 'YYYY-MM-DD'),
+               'created', coalesce(c.n, 0),
+               'resolved', coalesce(r.n, 0)
+             ) order by b.bucket_start), '[]')
+        from buckets b
+        left join created_by_bucket c using (bucket_start)
+        left join resolved_by_bucket r using (bucket_start)
+    ),
+    'firstResponse', (
+      select jsonb_build_object(
+               'count', count(*),
+               'meanMinutes', round(avg(minutes)::numeric, 1),
+               'p50Minutes', round((percentile_cont(0.5) within group (order by minutes))::numeric, 1),
+               'p90Minutes', round((percentile_cont(0.9) within group (order by minutes))::numeric, 1)
+             )
+        from responded
+    ),
+    'resolution', (
+      select jsonb_build_object(
+               'count', count(*),
+               'meanMinutes', round(avg(minutes)::numeric, 1),
+               'p50Minutes', round((percentile_cont(0.5) within group (order by minutes))::numeric, 1),
+               'p90Minutes', round((percentile_cont(0.9) within group (order by minutes))::numeric, 1)
+             )
+        from resolved
+    ),
+    'slaCompliance', jsonb_build_object(
+      'overall', (
+        select jsonb_build_object(
+                 'met', count(*) filter (where met),
+                 'breached', count(*) filter (where not met),
+                 'rate', case when count(*) = 0 then null
+                              else round((count(*) filter (where met))::numeric / count(*), 4) end
+               )
+          from resolved
+      ),
+      'byTeam', (
+        select coalesce(jsonb_agg(jsonb_build_object(
+                 'team', key, 'met', met, 'breached', total - met,
+                 'rate', round(met::numeric / total, 4)
+               ) order by key), '[]')
+          from compliance where dim = 'team'
+      ),
+      'byPriority', (
+        select coalesce(jsonb_agg(jsonb_build_object(
+                 'priority', key, 'met', met, 'breached', total - met,
+                 'rate', round(met::numeric / total, 4)
+               ) order by key), '[]')
+          from compliance where dim = 'priority'
+      ),
+      'byAgent', (
+        select coalesce(jsonb_agg(jsonb_build_object(
+                 'agentId', key, 'name', label, 'met', met, 'breached', total - met,
+                 'rate', round(met::numeric / total, 4)
+               ) order by label nulls last, key), '[]')
+          from compliance where dim = 'agent'
+      )
+    ),
+    'backlogAge', (
+      select jsonb_agg(jsonb_build_object('bucket', a.label, 'count', (
+               select count(*) from open_now o
+                where o.age_days >= a.lo and (a.hi is null or o.age_days < a.hi)
+             )) order by a.lo)
+        from (values ('<1d', 0, 1), ('1-3d', 1, 3), ('3-7d', 3, 7), ('7-30d', 7, 30), ('30d+', 30, null))
+             as a(label, lo, hi)
+    )
+  );
+$$;
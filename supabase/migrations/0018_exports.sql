@@ -0,0 +1,73 @@
+-- Keyset-paged rows for the audit log / comment exports, ordered by
+-- (created_at, id): pass the last row's created_at / id as p_after_* for the
+-- next page. Joined with the ticket (title, team) and the user's email;
+-- p_teams (ticket assigned_team) null = any.
+create index if not exists audit_logs_created_at_id_idx on audit_logs (created_at, id);
+create index if not exists ticket_comments_created_at_id_idx on ticket_comments (created_at, id);
+
+create or replace function export_audit_logs(
+  p_from timestamptz,
+  p_to timestamptz,
+  p_teams text[] default null,
+  p_after_at timestamptz default null,
+  p_after_id uuid default null,
+  p_limit int default 500
+) returns table (
+  id uuid,
+  created_at timestamptz,
+  ticket_id uuid,
+  ticket_title text,
+  assigned_team text,
+  action text,
+  field_name text,
+  old_value text,
+  new_value text,
+  actor_email text
+)
+language sql stable
+as $$
+  select a.id, a.created_at, a.ticket_id, t.title, t.assigned_team, a.action, a.field_name,
+         -- assignee changes store user ids; export the emails instead
+         case when a.field_name = 'assignee_user_id' then coalesce(uo.email, a.old_value) else a.old_value end,
+         case when a.field_name = 'assignee_user_id' then coalesce(un.email, a.new_value) else a.new_value end,
+         u.email
+    from audit_logs a
+    join tickets t on t.id = a.ticket_id
+    left join users u on u.id = a.actor_id
+    left join users uo on a.field_name = 'assignee_user_id' and uo.id::text = a.old_value
+    left join users un on a.field_name = 'assignee_user_id' and un.id::text = a.new_value
+   where a.created_at >= p_from and a.created_at < p_to
+     and (p_teams is null or t.assigned_team = any(p_teams))
+     and (p_after_at is null or (a.created_at, a.id) > (p_after_at, p_after_id))
+   order by a.created_at, a.id
+   limit greatest(p_limit, 1);
+$$;
+
+create or replace function export_ticket_comments(
+  p_from timestamptz,
+  p_to timestamptz,
+  p_teams text[] default null,
+  p_after_at timestamptz default null,
+  p_after_id uuid default null,
+  p_limit int default 500
+) returns table (
+  id uuid,
+  created_at timestamptz,
+  ticket_id uuid,
+  ticket_title text,
+  assigned_team text,
+  author_email text,
+  body text
+)
+language sql stable
+as $$
+  select c.id, c.created_at, c.ticket_id, t.title, t.assigned_team, u.email, c.body
+    from ticket_comments c
+    join tickets t on t.id = c.ticket_id
+    left join users u on u.id = c.author_id
+   where c.created_at >= p_from and c.created_at < p_to
+     and (p_teams is null or t.assigned_team = any(p_teams))
+     and (p_after_at is null or (c.created_at, c.id) > (p_after_at, p_after_id))
+   order by c.created_at, c.id
+   limit greatest(p_limit, 1);
+$$;
@@ -0,0 +1,64 @@
+-- Admin-defined ticket workflows per team (states, transitions with the
+-- roles that may take them, required fields, reopen windows). Rows are
+-- immutable: saving a workflow adds the next version for its team and the
+-- highest version is in force. team null = default for teams without one;
+-- with no rows at all the built-in default in src/tickets/workflow.js applies.
+create table if not exists ticket_workflows (
+  id uuid primary key default gen_random_uuid(),
+  team text,
+  version integer not null check (version > 0),
+  definition jsonb not null,
+  created_by uuid references users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists ticket_workflows_team_version_key
+  on ticket_workflows (coalesce(team, ''), version);
+
+-- Filled by transitions into RESOLVED / CLOSED; cleared on reopen
+alter table tickets
+  add column if not exists resolution_code text,
+  add column if not exists resolution_note text;
+
+-- rename_team (0016) also rewrites workflow rows
+create or replace function rename_team(p_team_id uuid, p_name text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  old_name text;
+  result teams;
+begin
+  select name into old_name from teams where id = p_team_id for update;
+  if old_name is null then
+    return null;
+  end if;
+
+  update teams
+     set name = p_name,
+         aliases = case
+           when lower(old_name) = lower(p_name) or old_name = any(aliases) then aliases
+           else array_append(aliases, old_name)
+         end,
+         updated_at = now()
+   where id = p_team_id
+  returning * into result;
+
+  if old_name = p_name then
+    return to_jsonb(result);
+  end if;
+
+  update tickets set assigned_team = p_name where assigned_team = old_name;
+  update users set team = p_name where team = old_name;
+  update kb_articles set team = p_name where team = old_name;
+  update team_calendars set team = p_name where team = old_name;
+  update team_assignment_rules set team = p_name where team = old_name;
+  update sla_policies set team = p_name where team = old_name;
+  update sla_escalation_rules set team = p_name where team = old_name;
+  update sla_escalation_rules set target_team = p_name where target_team = old_name;
+  update webhook_subscriptions set teams = array_replace(teams, old_name, p_name) where old_name = any(teams);
+  update ticket_workflows set team = p_name where team = old_name;
+
+  return to_jsonb(result);
+end;
+$$;
@@ -0,0 +1,95 @@
+-- Requester satisfaction surveys: one per resolution, mailed with one-click
+-- rating links. Only a hash of the link token is stored. team_id and
+-- assignee_user_id are the ticket's team / agent when it was resolved, so
+-- a later reassignment does not move the score.
+create table if not exists ticket_surveys (
+  id uuid primary key default gen_random_uuid(),
+  ticket_id uuid not null references tickets(id) on delete cascade,
+  requester_user_id uuid references users(id) on delete set null,
+  team_id uuid references teams(id) on delete set null,
+  assignee_user_id uuid references users(id) on delete set null,
+  token_hash text not null unique,
+  rating smallint check (rating between 1 and 5),
+  comment text,
+  rejected boolean not null default false,
+  sent_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  responded_at timestamptz
+);
+
+create index if not exists ticket_surveys_ticket_idx on ticket_surveys (ticket_id);
+create index if not exists ticket_surveys_responded_at_idx on ticket_surveys (responded_at)
+  where responded_at is not null;
+
+-- Auto-close scan: RESOLVED tickets by resolution time
+create index if not exists tickets_resolved_status_idx on tickets (resolved_at)
+  where status = 'RESOLVED';
+
+-- CSAT for GET /api/analytics: survey answers given in [p_from, p_to).
+-- Same filters as ticket_analytics (team names, requester; merged tickets
+-- excluded). satisfied = rating 4 or 5; rejected answers reopened the
+-- ticket and may carry no rating.
+create or replace function csat_analytics(
+  p_from timestamptz,
+  p_to timestamptz,
+  p_teams text[] default null,
+  p_requester_id uuid default null
+) returns jsonb
+language sql stable
+as $$
+  with answered as (
+    select s.rating, s.rejected, tm.name as team, s.assignee_user_id
+      from ticket_surveys s
+      join tickets t on t.id = s.ticket_id
+      left join teams tm on tm.id = s.team_id
+     where s.responded_at >= p_from and s.responded_at < p_to
+       and t.merged_into_id is null
+       and (p_teams is null or tm.name = any(p_teams))
+       and (p_requester_id is null or s.requester_user_id = p_requester_id)
+  ),
+  grouped as (
+    select 'team' as dim, team as key, null::text as label,
+           count(*) as responses,
+           count(rating) as rated,
+           avg(rating) as average,
+           count(*) filter (where rating >= 4) as satisfied,
+           count(*) filter (where rejected) as rejected
+      from answered group by team
+    union all
+    select 'agent', a.assignee_user_id::text, min(coalesce(u.name, u.email)),
+           count(*), count(a.rating), avg(a.rating),
+           count(*) filter (where a.rating >= 4), count(*) filter (where a.rejected)
+      from answered a
+      left join users u on u.id = a.assignee_user_id
+     group by a.assignee_user_id
+  )
+  select jsonb_build_object(
+    'overall', (
+      select jsonb_build_object(
+               'responses', count(*),
+               'average', round(avg(rating)::numeric, 2),
+               'satisfied', count(*) filter (where rating >= 4),
+               'satisfiedRate', case when count(rating) = 0 then null
+                                     else round((count(*) filter (where rating >= 4))::numeric / count(rating), 4) end,
+               'rejected', count(*) filter (where rejected)
+             )
+        from answered
+    ),
+    'byTeam', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+               'team', key, 'responses', responses, 'average', round(average::numeric, 2),
+               'satisfiedRate', case when rated = 0 then null else round(satisfied::numeric / rated, 4) end,
+               'rejected', rejected
+             ) order by key nulls last), '[]')
+        from grouped where dim = 'team'
+    ),
+    'byAgent', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+               'agentId', key, 'name', label, 'responses', responses, 'average', round(average::numeric, 2),
+               'satisfiedRate', case when rated = 0 then null else round(satisfied::numeric / rated, 4) end,
+               'rejected', rejected
+             ) order by label nulls last, key), '[]')
+        from grouped where dim = 'agent'
+    )
+  );
+$$;
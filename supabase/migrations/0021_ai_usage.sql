@@ -0,0 +1,28 @@
+-- AI (Gemini) usage per UTC day, for the daily / monthly triage budget.
+-- skipped counts triage calls refused because a budget was used up (the
+-- ticket was triaged without AI instead).
+create table if not exists ai_usage (
+  day date primary key,
+  calls bigint not null default 0,
+  tokens bigint not null default 0,
+  skipped bigint not null default 0,
+  updated_at timestamptz not null default now()
+);
+
+-- Adds to a day's counters (several app instances may record at once)
+create or replace function record_ai_usage(
+  p_day date,
+  p_calls bigint default 0,
+  p_tokens bigint default 0,
+  p_skipped bigint default 0
+) returns void
+language sql
+as $$
+  insert into ai_usage (day, calls, tokens, skipped, updated_at)
+  values (p_day, p_calls, p_tokens, p_skipped, now())
+  on conflict (day) do update set
+    calls = ai_usage.calls + excluded.calls,
+    tokens = ai_usage.tokens + excluded.tokens,
+    skipped = ai_usage.skipped + excluded.skipped,
+    updated_at = now();
+$$;
@@ -0,0 +1,14 @@
+-- Open tickets per assigned team, for the tickets_open gauge on /metrics
+-- (read on every scrape, so counted in the database). Merged tickets are
+-- left out like everywhere else.
+create or replace function open_tickets_by_team()
+returns table (team text, open bigint)
+language sql
+stable
+as $$
+  select assigned_team, count(*)
+  from tickets
+  where status not in ('RESOLVED', 'CLOSED') and merged_into_id is null
+  group by assigned_team
+  order by assigned_team;
+$$;
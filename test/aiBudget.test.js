@@ -0,0 +1,102 @@
+// AI triage budget: daily / monthly caps, skipped calls, the rules
+// fallback once a cap is used up and the admin usage report.
+Object.assign(process.env, { AI_BUDGET_DAILY_CALLS: "50", AI_BUDGET_MONTHLY_TOKENS: "100000" });
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../src/store");
+const { createAiBudget, parseBudget, AiBudgetExceededError } = require("../src/triage/budget");
+const { createTriageEngine } = require("../src/triage");
+
+const ADMIN = "admin@example.com";
+const today = () => new Date().toISOString().slice(0, 10);
+
+test("budgets are positive integers; anything else means no cap", () => {
+  assert.equal(parseBudget("1000"), 1000);
+  assert.equal(parseBudget("2.9"), 2);
+  for (const off of [undefined, "", "0", "-5", "lots"]) assert.equal(parseBudget(off), null);
+});
+
+test("check() refuses once a cap is used up and counts the refusal", async () => {
+  const store = createStore({ backend: "memory" });
+  const budget = createAiBudget({ store, limits: { daily: { calls: 2 }, monthly: { tokens: 1000 } } });
+
+  await budget.check();
+  await budget.record({ calls: 1, tokens: 300 });
+  await budget.record({ calls: 0, tokens: 0 });
+  await budget.check();
+  await budget.record({ calls: 1, tokens: 200 });
+
+  const err = await budget.check().catch((e) => e);
+  assert.ok(err instanceof AiBudgetExceededError);
+  assert.equal(err.message, "AI daily calls budget used up");
+  assert.deepEqual([err.budgetExceeded, err.period, err.metric], [true, "daily", "calls"]);
+
+  const report = await budget.report({ days: 7 });
+  assert.deepEqual(report.usage.daily, { day: today(), calls: 2, tokens: 500, skipped: 1 });
+  assert.deepEqual(report.remaining, {
+    daily: { calls: 0, tokens: null },
+    monthly: { calls: null, tokens: 500 },
+  });
+  assert.deepEqual(report.exhausted, { period: "daily", metric: "calls" });
+  assert.deepEqual(report.days, [{ day: today(), calls: 2, tokens: 500, skipped: 1 }]);
+});
+
+test("without caps check() never touches the store", async () => {
+  const store = {
+    aiUsage: {
+      listSince: async () => assert.fail("no usage lookup without caps"),
+      record: async () => assert.fail("no usage writes without caps"),
+    },
+  };
+  await createAiBudget({ store }).check();
+});
+
+test("a used-up budget falls back to rules triage even when rules is not listed", async () => {
+  const capped = {
+    name: "gemini",
+    triage: async () => Promise.reject(new AiBudgetExceededError("AI daily calls budget used up")),
+  };
+  const engine = createTriageEngine({ providers: "gemini", overrides: { gemini: capped } });
+
+  const result = await engine.triage({ title: "VPN is down", description: "Cannot connect to the VPN" });
+
+  assert.equal(result.provider, "rules");
+  assert.equal(result.triage.assignedTeam, "IT Support");
+  assert.deepEqual(
+    result.attempts.map((a) => [a.provider, a.ok, a.budgetExceeded ?? false]),
+    [
+      ["gemini", false, true],
+      ["rules", true, false],
+    ]
+  );
+
+  // other failures do not bring rules in
+  const failing = { name: "gemini", triage: async () => Promise.reject(new Error("quota exceeded")) };
+  const plain = createTriageEngine({ providers: "gemini", overrides: { gemini: failing } });
+  assert.equal((await plain.triage({ title: "VPN is down" })).provider, null);
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+
+test("admins see usage against the budget", async () => {
+  await api.store.aiUsage.record({ day: today(), calls: 3, tokens: 1200 });
+
+  const { status, body } = await api.call(ADMIN, "GET", "/api/admin/ai-usage?days=1");
+  assert.equal(status, 200);
+  assert.deepEqual(body.limits, {
+    daily: { calls: 50, tokens: null },
+    monthly: { calls: null, tokens: 100000 },
+  });
+  assert.deepEqual(body.remaining.daily, { calls: 47, tokens: null });
+  assert.equal(body.remaining.monthly.tokens, 98800);
+  assert.equal(body.exhausted, null);
+  assert.equal(body.days.length, 1);
+
+  assert.equal((await api.call(ADMIN, "GET", "/api/admin/ai-usage?days=0")).status, 400);
+  assert.equal((await api.call("ana@example.com", "GET", "/api/admin/ai-usage")).status, 403);
+});
@@ -0,0 +1,135 @@
+// Analytics: the database aggregates (series, response and resolution
+// times, SLA compliance, backlog ageing) and the API's scope and range rules.
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../src/store");
+
+const ADMIN = "admin@example.com";
+const DAY = 24 * 60 * 60 * 1000;
+
+const at = (iso, minutes = 0) => new Date(Date.parse(iso) + minutes * 60000).toISOString();
+const ago = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+async function seed() {
+  const store = createStore({ backend: "memory" });
+  const agent = await store.users.create({ email: "agent@example.com", name: "Avery Agent", role: "AGENT" });
+  const requester = await store.users.create({ email: "req@example.com", role: "REQUESTER" });
+  const defaults = { title: "t", status: "OPEN", priority: "LOW", sla_status: "ON_TRACK" };
+  const ticket = (fields) => store.tickets.create({ ...defaults, requester_user_id: requester.id, ...fields }, "*");
+
+  // resolved a day after creation, past its due date
+  await ticket({
+    assigned_team: "IT Support",
+    priority: "HIGH",
+    status: "RESOLVED",
+    created_at: "2026-03-03T09:00:00.000Z",
+    first_responded_at: at("2026-03-03T09:00:00.000Z", 30),
+    sla_due_at: at("2026-03-03T09:00:00.000Z", 240),
+    resolved_at: "2026-03-04T09:00:00.000Z",
+    assignee_user_id: agent.id,
+  });
+  // resolved in two hours, within its SLA
+  await ticket({
+    assigned_team: "HR / People Ops",
+    status: "RESOLVED",
+    created_at: "2026-03-10T09:00:00.000Z",
+    first_responded_at: at("2026-03-10T09:00:00.000Z", 60),
+    sla_due_at: at("2026-03-10T09:00:00.000Z", 480),
+    resolved_at: at("2026-03-10T09:00:00.000Z", 120),
+  });
+  // open tickets from outside the period: breached (2 days old) and 45 days old
+  const primary = await ticket({ assigned_team: "IT Support", created_at: ago(2), sla_status: "BREACHED" });
+  await ticket({ assigned_team: "IT Support", created_at: ago(45) });
+  // a merged duplicate is never counted
+  await ticket({ assigned_team: "IT Support", created_at: "2026-03-05T09:00:00.000Z", merged_into_id: primary.id });
+
+  return { store, agent, requester };
+}
+
+test("period aggregates: series, durations, SLA compliance and backlog ageing", async () => {
+  const { store, agent } = await seed();
+  const result = await store.tickets.analytics({
+    from: "2026-03-02T00:00:00.000Z",
+    to: "2026-03-16T00:00:00.000Z",
+    bucket: "week",
+  });
+
+  assert.deepEqual(result.kpis, { total: 2, resolved: 2, open: 2, breached: 1 });
+  assert.deepEqual(result.series, [
+    { bucket: "2026-03-02", created: 1, resolved: 1 },
+    { bucket: "2026-03-09", created: 1, resolved: 1 },
+  ]);
+  assert.deepEqual(result.charts.byTeam, { "IT Support": 1, "HR / People Ops": 1 });
+
+  assert.equal(result.firstResponse.count, 2);
+  assert.equal(result.firstResponse.meanMinutes, 45);
+  assert.deepEqual(
+    [result.resolution.count, result.resolution.meanMinutes, result.resolution.p50Minutes],
+    [2, 780, 780]
+  );
+
+  assert.deepEqual(result.slaCompliance.overall, { met: 1, breached: 1, rate: 0.5 });
+  assert.deepEqual(result.slaCompliance.byTeam, [
+    { team: "HR / People Ops", met: 1, breached: 0, rate: 1 },
+    { team: "IT Support", met: 0, breached: 1, rate: 0 },
+  ]);
+  assert.deepEqual(result.slaCompliance.byAgent[0], {
+    agentId: agent.id,
+    name: "Avery Agent",
+    met: 0,
+    breached: 1,
+    rate: 0,
+  });
+
+  const backlog = Object.fromEntries(result.backlogAge.map((b) => [b.bucket, b.count]));
+  assert.deepEqual(backlog, { "<1d": 0, "1-3d": 1, "3-7d": 0, "7-30d": 0, "30d+": 1 });
+});
+
+test("team and requester filters narrow the tickets", async () => {
+  const { store, requester } = await seed();
+  const range = { from: "2026-03-01T00:00:00.000Z", to: "2026-04-01T00:00:00.000Z", bucket: "month" };
+
+  const hr = await store.tickets.analytics({ ...range, teams: ["HR / People Ops"] });
+  assert.deepEqual(hr.kpis, { total: 1, resolved: 1, open: 0, breached: 0 });
+  assert.deepEqual(hr.series, [{ bucket: "2026-03-01", created: 1, resolved: 1 }]);
+
+  const other = await store.tickets.analytics({ ...range, requesterId: "00000000-0000-0000-0000-000000000000" });
+  assert.equal(other.kpis.open, 0);
+  assert.equal((await store.tickets.analytics({ ...range, requesterId: requester.id })).kpis.resolved, 2);
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+
+test("the API validates the range and bucket", async () => {
+  const get = async (query) => (await api.call(ADMIN, "GET", `/api/analytics?scope=all&${query}`)).status;
+
+  assert.equal(await get("bucket=hour"), 400);
+  assert.equal(await get("from=yesterday"), 400);
+  assert.equal(await get("from=2026-03-10&to=2026-03-01"), 400);
+  assert.equal(await get("from=2020-01-01&to=2026-01-01&bucket=day"), 400);
+  assert.equal(await get("from=2020-01-01&to=2026-01-01&bucket=week"), 200);
+});
+
+test("scope=my counts the caller's tickets; resolving stamps resolved_at", async () => {
+  const { body: mine } = await api.call("ana@example.com", "POST", "/api/tickets", {
+    body: { title: "Laptop screen flickers", description: "Flickers all day" },
+  });
+  await api.call("bo@example.com", "POST", "/api/tickets", { body: { title: "Mouse", description: "Broken" } });
+  await api.patchTicket(ADMIN, mine.id, { status: "IN_PROGRESS" });
+  await api.patchTicket(ADMIN, mine.id, { status: "RESOLVED" });
+
+  const { body } = await api.call("ana@example.com", "GET", "/api/analytics?scope=my");
+  assert.deepEqual(body.kpis, { total: 1, resolved: 1, open: 0, breached: 0 });
+  assert.equal(body.range.bucket, "day");
+  assert.equal(body.series.length, 31);
+  assert.equal(body.resolution.count, 1);
+
+  assert.equal((await api.call("ana@example.com", "GET", "/api/analytics?scope=all")).status, 403);
+  const all = await api.call(ADMIN, "GET", "/api/analytics?scope=all");
+  assert.equal(all.body.kpis.total, 2);
+});
@@ -0,0 +1,160 @@
+// Ticket assignment: the per-team strategies, manual assignment rules,
+// availability and the assignee list filter.
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createAssigner } = require("../src/tickets/assignment");
+const { createStore } = require("../src/store");
+
+const ADMIN = "admin@example.com";
+
+async function team(strategy) {
+  const store = createStore({ backend: "memory" });
+  const agent = (email, fields = {}) =>
+    store.users.create({ email, role: "AGENT", team: "IT Support", available: true, skills: [], ...fields });
+  const agents = [
+    await agent("a@example.com"),
+    await agent("b@example.com", { skills: ["VPN"] }),
+    await agent("c@example.com"),
+    await agent("away@example.com", { available: false, skills: ["vpn"] }),
+    await agent("hr@example.com", { team: "HR / People Ops" }),
+  ];
+  if (strategy) await store.assignmentRules.set("IT Support", { strategy });
+  return { store, assigner: createAssigner({ store }), agents };
+}
+
+const openFor = (store, assigneeId) =>
+  store.tickets.create({ title: "t", status: "OPEN", assigned_team: "IT Support", assignee_user_id: assigneeId });
+
+test("no rule (NONE): tickets stay in the team queue", async () => {
+  const { assigner } = await team();
+  assert.equal(await assigner.pick({ team: "IT Support" }), null);
+  assert.equal(await assigner.pick({ team: null }), null);
+});
+
+test("ROUND_ROBIN cycles through the available agents of the team", async () => {
+  const { assigner, agents } = await team("ROUND_ROBIN");
+  // the rotation follows user id order
+  const [a, b, c] = agents.slice(0, 3).sort((x, y) => x.id.localeCompare(y.id));
+
+  const picks = [];
+  for (let i = 0; i < 4; i++) picks.push(await assigner.pick({ team: "IT Support" }));
+
+  assert.deepEqual(picks, [a.id, b.id, c.id, a.id]);
+});
+
+test("LEAST_OPEN picks the agent with the fewest open tickets", async () => {
+  const { store, assigner, agents } = await team("LEAST_OPEN");
+  const [a, b, c] = agents;
+  await openFor(store, a.id);
+  await openFor(store, c.id);
+  await openFor(store, c.id);
+
+  assert.equal(await assigner.pick({ team: "IT Support" }), b.id);
+  await openFor(store, b.id);
+  await openFor(store, b.id);
+  assert.equal(await assigner.pick({ team: "IT Support" }), a.id);
+});
+
+test("SKILLS prefers agents with the affected system as a skill", async () => {
+  const { store, assigner, agents } = await team("SKILLS");
+  const [a, b, c] = agents;
+  await openFor(store, b.id);
+  await openFor(store, c.id);
+
+  // b is busier but the only available VPN agent
+  assert.equal(await assigner.pick({ team: "IT Support", affectedSystem: " vpn " }), b.id);
+  // nobody knows printers: least open overall
+  assert.equal(await assigner.pick({ team: "IT Support", affectedSystem: "Printer" }), a.id);
+});
+
+test("manual assignees must be agents of the ticket's team, or admins", async () => {
+  const { store, assigner, agents } = await team();
+  const admin = await store.users.create({ email: "root@example.com", role: "ADMIN" });
+  const requester = await store.users.create({ email: "req@example.com", role: "REQUESTER" });
+
+  assert.equal(await assigner.checkAssignee(agents[0].id, "IT Support"), null);
+  assert.equal(await assigner.checkAssignee(admin.id, "IT Support"), null);
+  const wrongTeam = "assignee must be an agent of team IT Support";
+  assert.equal(await assigner.checkAssignee(agents[4].id, "IT Support"), wrongTeam);
+  assert.equal(await assigner.checkAssignee(requester.id, "IT Support"), wrongTeam);
+  assert.equal(await assigner.checkAssignee("not-a-uuid", "IT Support"), "assignee not found");
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+  for (const email of ["it.one@example.com", "it.two@example.com"]) {
+    await api.call(ADMIN, "PATCH", "/api/admin/users/role", { body: { email, role: "AGENT", team: "IT Support" } });
+  }
+});
+after(() => api.close());
+
+const newTicket = async () =>
+  (
+    await api.call("requester@example.com", "POST", "/api/tickets", {
+      body: { title: "VPN disconnects", description: "The VPN drops", affectedSystem: "VPN" },
+    })
+  ).body;
+
+test("admins set the team strategy; new tickets are auto-assigned", async () => {
+  const bad = await api.call(ADMIN, "PUT", "/api/admin/assignment/IT%20Support", { body: { strategy: "RANDOM" } });
+  assert.equal(bad.status, 400);
+  const forbidden = await api.call("it.one@example.com", "PUT", "/api/admin/assignment/IT%20Support", {
+    body: { strategy: "ROUND_ROBIN" },
+  });
+  assert.equal(forbidden.status, 403);
+
+  const set = await api.call(ADMIN, "PUT", "/api/admin/assignment/IT%20Support", {
+    body: { strategy: "round_robin" },
+  });
+  assert.equal(set.body.rule.strategy, "ROUND_ROBIN");
+
+  const first = await api.store.tickets.findById((await newTicket()).id);
+  const second = await api.store.tickets.findById((await newTicket()).id);
+  assert.ok(first.assignee_user_id);
+  assert.ok(second.assignee_user_id);
+  assert.notEqual(first.assignee_user_id, second.assignee_user_id);
+
+  // out of office: skipped
+  const two = await api.store.users.findByEmail("it.two@example.com");
+  const away = await api.call("it.two@example.com", "PUT", "/api/me/availability", { body: { available: false } });
+  assert.equal(away.status, 200);
+  for (let i = 0; i < 2; i++) {
+    assert.notEqual((await api.store.tickets.findById((await newTicket()).id)).assignee_user_id, two.id);
+  }
+  await api.call("it.two@example.com", "PUT", "/api/me/availability", { body: { available: true } });
+
+  await api.call(ADMIN, "PUT", "/api/admin/assignment/IT%20Support", { body: { strategy: "NONE" } });
+});
+
+test("agents assign tickets; requesters cannot", async () => {
+  const { id } = await newTicket();
+
+  assert.equal((await api.patchTicket("requester@example.com", id, { assigneeId: "me" })).status, 403);
+
+  const hr = await api.call(ADMIN, "PATCH", "/api/admin/users/role", {
+    body: { email: "hr.agent@example.com", role: "AGENT", team: "HR / People Ops" },
+  });
+  assert.equal((await api.patchTicket(ADMIN, id, { assigneeId: hr.body.user.id })).status, 400);
+
+  const mine = await api.patchTicket("it.one@example.com", id, { assigneeId: "me" });
+  assert.equal(mine.status, 200);
+  const one = await api.store.users.findByEmail("it.one@example.com");
+  assert.equal(mine.body.ticket.assignee_user_id, one.id);
+
+  const { body } = await api.call("it.one@example.com", "GET", `/api/tickets/${id}/activity`);
+  const entry = body.timeline.find((e) => e.action === "ASSIGNEE_CHANGED");
+  assert.match(entry.message, /it\.one@example\.com/);
+
+  const listed = await api.call("it.one@example.com", "GET", "/api/tickets?scope=team&assignee=me");
+  assert.ok(listed.body.tickets.some((t) => t.id === id));
+  assert.ok(listed.body.tickets.every((t) => t.assignee_user_id === one.id));
+  const queue = await api.call("it.one@example.com", "GET", "/api/tickets?scope=team&assignee=none");
+  assert.ok(!queue.body.tickets.some((t) => t.id === id));
+  assert.equal((await api.call(ADMIN, "GET", "/api/tickets?scope=all&assignee=bob")).status, 400);
+
+  // moving to another team hands the ticket to that team's queue
+  const moved = await api.patchTicket(ADMIN, id, { assignedTeam: "Facilities" });
+  assert.equal(moved.body.ticket.assignee_user_id, null);
+});
@@ -0,0 +1,125 @@
+// Attachments: multipart uploads with limits, UTF-8 file names, and
+// permission-checked downloads with a safe Content-Disposition.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "attachments-test-"));
+Object.assign(process.env, {
+  ATTACHMENT_STORAGE: "local",
+  ATTACHMENT_DIR: dir,
+  ATTACHMENT_MAX_BYTES: "1024",
+  ATTACHMENT_MAX_FILES: "2",
+});
+
+const { startApp, token } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { safeFilename } = require("../src/attachments");
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(async () => {
+  await api.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function upload(email, files, fields = { title: "Broken report", description: "See the attached file" }) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  for (const file of files) {
+    form.append("files", new Blob([file.content], { type: file.type || "text/plain" }), file.name);
+  }
+  const res = await fetch(`${api.baseUrl}/api/tickets`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${await token(email)}` },
+    body: form,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function download(email, id) {
+  const res = await fetch(`${api.baseUrl}/api/attachments/${id}`, {
+    headers: { Authorization: `Bearer ${await token(email)}` },
+  });
+  return { status: res.status, headers: res.headers, text: await res.text() };
+}
+
+test("file names lose paths, quotes and control characters", () => {
+  assert.equal(safeFilename("C:\\Users\\ana\\report.pdf"), "report.pdf");
+  assert.equal(safeFilename('../etc/"passwd"\n'), "_passwd__");
+  assert.equal(safeFilename(""), "file");
+});
+
+test("uploads keep UTF-8 names and download with an ASCII fallback plus filename*", async () => {
+  const name = 'Prüfbericht "Q1" (März).txt';
+  const created = await upload("owner@example.com", [{ name, content: "Fehler in Zeile 3" }]);
+  assert.equal(created.status, 201);
+  const [attachment] = created.body.attachments;
+  assert.equal(attachment.filename, "Prüfbericht _Q1_ (März).txt");
+  assert.equal(attachment.size, Buffer.byteLength("Fehler in Zeile 3"));
+
+  const listed = await api.call("owner@example.com", "GET", `/api/tickets/${created.body.id}/attachments`);
+  assert.deepEqual(listed.body.attachments.map((a) => a.id), [attachment.id]);
+
+  const file = await download("owner@example.com", attachment.id);
+  assert.equal(file.status, 200);
+  assert.equal(file.text, "Fehler in Zeile 3");
+  assert.equal(file.headers.get("x-content-type-options"), "nosniff");
+  assert.equal(
+    file.headers.get("content-disposition"),
+    'attachment; filename="Pr_fbericht _Q1_ (M_rz).txt"; ' +
+      "filename*=UTF-8''Pr%C3%BCfbericht%20_Q1_%20%28M%C3%A4rz%29.txt"
+  );
+});
+
+test("downloads follow the ticket's access rule", async () => {
+  const created = await upload("private@example.com", [{ name: "notes.txt", content: "secret" }]);
+  const [attachment] = created.body.attachments;
+
+  assert.equal((await download("someone-else@example.com", attachment.id)).status, 403);
+  assert.equal((await download("admin@example.com", attachment.id)).status, 200);
+  assert.equal((await download("admin@example.com", "00000000-0000-0000-0000-000000000000")).status, 404);
+  const list = await api.call("someone-else@example.com", "GET", `/api/tickets/${created.body.id}/attachments`);
+  assert.equal(list.status, 403);
+});
+
+test("type, size and count limits are enforced", async () => {
+  const exe = await upload("owner@example.com", [
+    { name: "setup.exe", content: "MZ", type: "application/x-msdownload" },
+  ]);
+  assert.equal(exe.status, 415);
+
+  const big = await upload("owner@example.com", [{ name: "big.txt", content: "x".repeat(2048) }]);
+  assert.equal(big.status, 413);
+
+  const many = await upload("owner@example.com", [
+    { name: "a.txt", content: "a" },
+    { name: "b.txt", content: "b" },
+    { name: "c.txt", content: "c" },
+  ]);
+  assert.equal(many.status, 400);
+});
+
+test("a comment can carry files", async () => {
+  const created = await upload("owner@example.com", []);
+  const id = created.body.id;
+  const { headers } = await api.call("owner@example.com", "GET", `/api/tickets/${id}`);
+
+  const form = new FormData();
+  form.append("comment", "Screenshot attached");
+  form.append("files", new Blob(["PNGDATA"], { type: "image/png" }), "screen.png");
+  const res = await fetch(`${api.baseUrl}/api/tickets/${id}`, {
+    method: "PATCH",
+    headers: { Authorization: `Bearer ${await token("owner@example.com")}`, "If-Match": headers.get("etag") },
+    body: form,
+  });
+  assert.equal(res.status, 200);
+
+  const { body } = await api.call("owner@example.com", "GET", `/api/tickets/${id}/attachments`);
+  assert.equal(body.attachments.length, 1);
+  assert.equal(body.attachments[0].filename, "screen.png");
+  assert.ok(body.attachments[0].commentId);
+});
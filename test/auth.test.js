@@ -0,0 +1,100 @@
+// Bearer JWT auth, user provisioning and role checks.
+const { startApp, token } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { SignJWT } = require("jose");
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+
+test("/api needs a bearer token; /health does not", async () => {
+  assert.equal((await api.call(null, "GET", "/api/me")).status, 401);
+  assert.equal((await api.call(null, "GET", "/health")).status, 200);
+
+  const bad = await api.call(null, "GET", "/api/me", { headers: { Authorization: "Bearer not-a-jwt" } });
+  assert.equal(bad.status, 401);
+});
+
+test("tokens signed with another secret are rejected", async () => {
+  const forged = await new SignJWT({ email: "mallory@example.com" })
+    .setProtectedHeader({ alg: "HS256" })
+    .setExpirationTime("1h")
+    .sign(new TextEncoder().encode("other-secret"));
+
+  const { status } = await api.call(null, "GET", "/api/me", { headers: { Authorization: `Bearer ${forged}` } });
+  assert.equal(status, 401);
+});
+
+test("unknown emails are provisioned as REQUESTER", async () => {
+  const { status, body } = await api.call("new.user@example.com", "GET", "/api/me");
+
+  assert.equal(status, 200);
+  assert.equal(body.user.email, "new.user@example.com");
+  assert.equal(body.user.role, "REQUESTER");
+});
+
+test("AUTH_ADMIN_EMAILS are promoted to ADMIN", async () => {
+  const { body } = await api.call("admin@example.com", "GET", "/api/me");
+  assert.equal(body.user.role, "ADMIN");
+});
+
+test("a token without the email claim is rejected", async () => {
+  const noEmail = await new SignJWT({})
+    .setProtectedHeader({ alg: "HS256" })
+    .setExpirationTime("1h")
+    .sign(new TextEncoder().encode(process.env.AUTH_JWT_SECRET));
+
+  const { status, body } = await api.call(null, "GET", "/api/me", { headers: { Authorization: `Bearer ${noEmail}` } });
+  assert.equal(status, 401);
+  assert.match(body.error, /no "email" claim/);
+});
+
+test("admin routes are ADMIN only", async () => {
+  const denied = await api.call("requester@example.com", "GET", "/api/admin/users");
+  assert.equal(denied.status, 403);
+
+  const role = await api.call("admin@example.com", "PATCH", "/api/admin/users/role", {
+    body: { email: "agent@example.com", role: "agent", team: "IT Support" },
+  });
+  assert.equal(role.status, 200);
+  assert.equal(role.body.user.role, "AGENT");
+
+  const me = await api.call("agent@example.com", "GET", "/api/me");
+  assert.deepEqual([me.body.user.role, me.body.user.team], ["AGENT", "IT Support"]);
+
+  const invalid = await api.call("admin@example.com", "PATCH", "/api/admin/users/role", {
+    body: { email: "agent@example.com", role: "OWNER" },
+  });
+  assert.equal(invalid.status, 400);
+});
+
+test("tickets are visible to their requester, their team's agents and admins", async () => {
+  const created = await api.call("owner@example.com", "POST", "/api/tickets", {
+    body: { title: "Laptop screen cracked", description: "Dropped it, screen is cracked", affectedSystem: "laptop" },
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.assignedTeam, "IT Support");
+  const path = `/api/tickets/${created.body.id}/comments`;
+
+  await api.call("admin@example.com", "PATCH", "/api/admin/users/role", {
+    body: { email: "hr.agent@example.com", role: "AGENT", team: "HR / People Ops" },
+  });
+  await api.call("admin@example.com", "PATCH", "/api/admin/users/role", {
+    body: { email: "it.agent@example.com", role: "AGENT", team: "IT Support" },
+  });
+
+  assert.equal((await api.call("owner@example.com", "GET", path)).status, 200);
+  assert.equal((await api.call("it.agent@example.com", "GET", path)).status, 200);
+  assert.equal((await api.call("admin@example.com", "GET", path)).status, 200);
+  assert.equal((await api.call("hr.agent@example.com", "GET", path)).status, 403);
+  assert.equal((await api.call("someone.else@example.com", "GET", path)).status, 403);
+});
+
+test("the name claim fills a new user's name", async () => {
+  const bearer = await token("claims@example.com", { name: "Claims Person" });
+  const { body } = await api.call(null, "GET", "/api/me", { headers: { Authorization: `Bearer ${bearer}` } });
+  assert.equal(body.user.name, "Claims Person");
+});
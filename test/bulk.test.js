@@ -0,0 +1,113 @@
+// Bulk ticket changes: per-ticket results, dry runs, filters and the
+// isolation of one failing ticket from the rest.
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const ADMIN = "admin@example.com";
+const AGENT = "it.agent@example.com";
+const MISSING = "00000000-0000-0000-0000-000000000000";
+
+let api;
+before(async () => {
+  api = await startApp();
+  await api.call(ADMIN, "PATCH", "/api/admin/users/role", {
+    body: { email: AGENT, role: "AGENT", team: "IT Support" },
+  });
+});
+after(() => api.close());
+
+const file = async (title, description = "Laptop does not start") =>
+  (await api.call("ana@example.com", "POST", "/api/tickets", { body: { title, description } })).body;
+const bulk = (email, body) => api.call(email, "POST", "/api/tickets/bulk", { body });
+
+test("requests are validated before any ticket is touched", async () => {
+  const { id } = await file("Laptop broken");
+
+  assert.equal((await bulk("ana@example.com", { ids: [id], changes: { priority: "LOW" } })).status, 403);
+  assert.equal((await bulk(ADMIN, { ids: [id] })).status, 400);
+  assert.equal((await bulk(ADMIN, { ids: [id], changes: {} })).status, 400);
+  assert.equal((await bulk(ADMIN, { changes: { priority: "LOW" } })).status, 400);
+  assert.equal((await bulk(ADMIN, { ids: [id], filter: {}, changes: { priority: "LOW" } })).status, 400);
+  const invalid = await bulk(ADMIN, { ids: [id, "nope"], changes: { priority: "LOW" } });
+  assert.deepEqual(invalid.body, { error: "invalid ticket id: nope" });
+  const tooMany = Array.from({ length: 201 }, (_, i) => `00000000-0000-0000-0000-${String(i).padStart(12, "0")}`);
+  assert.equal((await bulk(ADMIN, { ids: tooMany, changes: { priority: "LOW" } })).status, 400);
+
+  assert.equal((await api.store.tickets.findById(id)).version, 1);
+});
+
+test("each ticket gets its own result; refusals do not stop the others", async () => {
+  const a = await file("Keyboard broken");
+  const b = await file("Mouse broken");
+  const payroll = await api.call("ana@example.com", "POST", "/api/tickets", {
+    body: { title: "Payroll question", description: "My invoice reimbursement is missing from payroll" },
+  });
+  assert.notEqual(payroll.body.assignedTeam, "IT Support");
+
+  const res = await bulk(AGENT, {
+    ids: [a.id, b.id, b.id, payroll.body.id, MISSING],
+    changes: { status: "IN_PROGRESS", comment: "Looking into it" },
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.total, res.body.succeeded, res.body.failed], [4, 2, 2]);
+  const byId = Object.fromEntries(res.body.results.map((r) => [r.id, r]));
+  assert.equal(byId[a.id].version, 2);
+  const statusChange = { action: "STATUS_CHANGED", field: "status", from: "NEW", to: "IN_PROGRESS" };
+  assert.deepEqual(byId[a.id].changes[0], statusChange);
+  assert.equal(byId[payroll.body.id].status, 403);
+  assert.equal(byId[MISSING].status, 404);
+
+  const comments = (await api.call(AGENT, "GET", `/api/tickets/${b.id}/comments`)).body.comments;
+  assert.deepEqual(comments.map((c) => c.body), ["Looking into it"]);
+
+  // IN_PROGRESS -> CLOSED skips RESOLVED: refused like PATCH would
+  const again = await bulk(AGENT, { ids: [a.id], changes: { status: "CLOSED" } });
+  assert.equal(again.body.results[0].ok, false);
+  assert.equal(again.body.results[0].status, 400);
+});
+
+test("dryRun previews the changes without writing", async () => {
+  const { id } = await file("Monitor flickers");
+  const original = await api.store.tickets.findById(id);
+
+  const res = await bulk(ADMIN, { ids: [id], changes: { priority: "HIGH", status: "IN_PROGRESS" }, dryRun: true });
+
+  assert.equal(res.body.dryRun, true);
+  const [result] = res.body.results;
+  assert.equal(result.changed, true);
+  assert.ok(result.changes.some((c) => c.field === "priority" && c.to === "HIGH"));
+  assert.equal(result.version, undefined);
+  assert.deepEqual(await api.store.tickets.findById(id), original);
+  assert.equal((await api.call(ADMIN, "GET", `/api/tickets/${id}/activity`)).body.timeline.length, 1);
+});
+
+test("a filter selects the tickets like GET /api/tickets", async () => {
+  const tagged = [await file("Docking station bulk-a"), await file("Docking station bulk-b")];
+
+  const res = await bulk(ADMIN, { filter: { scope: "all", q: "docking" }, changes: { priority: "LOW" } });
+
+  assert.deepEqual(res.body.results.map((r) => r.id).sort(), tagged.map((t) => t.id).sort());
+  assert.equal((await bulk(AGENT, { filter: { scope: "all" }, changes: { priority: "LOW" } })).status, 403);
+});
+
+test("a storage error fails its own ticket only", async () => {
+  const first = await file("Headset broken");
+  const second = await file("Webcam broken");
+  const applyChange = api.store.tickets.applyChange;
+  api.store.tickets.applyChange = async (args) => {
+    if (args.ticketId === first.id) throw new Error("connection reset");
+    return applyChange(args);
+  };
+
+  try {
+    const res = await bulk(ADMIN, { ids: [first.id, second.id], changes: { priority: "LOW" } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results[0], { id: first.id, ok: false, status: 500, error: "connection reset" });
+    assert.equal(res.body.results[1].ok, true);
+    assert.equal((await api.store.tickets.findById(second.id)).priority, "LOW");
+  } finally {
+    api.store.tickets.applyChange = applyChange;
+  }
+});
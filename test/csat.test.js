@@ -0,0 +1,158 @@
+// Auto-close of long-resolved tickets and requester satisfaction surveys:
+// emailed rating links, rejection through the workflow, CSAT analytics.
+const crypto = require("crypto");
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../src/store");
+const { createAutoCloser } = require("../src/tickets/autoClose");
+const { DEFAULT_WORKFLOW } = require("../src/tickets/workflow");
+const { parseRating } = require("../src/surveys");
+const { autoCloseResolved } = require("../server");
+
+const ADMIN = "admin@example.com";
+const AGENT = "it.agent@example.com";
+const HOUR = 60 * 60 * 1000;
+
+test("auto-close closes tickets resolved long enough ago, page by page", async () => {
+  const store = createStore({ backend: "memory" });
+  const now = new Date("2026-03-10T12:00:00.000Z");
+  const resolved = (team, hoursAgo) =>
+    store.tickets.create(
+      {
+        title: team,
+        status: "RESOLVED",
+        assigned_team: team,
+        version: 1,
+        resolved_at: new Date(now.getTime() - hoursAgo * HOUR).toISOString(),
+      },
+      "*"
+    );
+  const old = [await resolved("IT Support", 30), await resolved("IT Support", 50), await resolved("Finance", 90)];
+  const recent = await resolved("IT Support", 2);
+  // Legal's workflow has no RESOLVED -> CLOSED: its ticket stays resolved
+  const legal = await resolved("Legal", 40);
+
+  const workflows = {
+    forTeam: async (team) => ({
+      definition: team === "Legal" ? { ...DEFAULT_WORKFLOW, transitions: [] } : DEFAULT_WORKFLOW,
+    }),
+  };
+  const published = [];
+  const closer = createAutoCloser({
+    store,
+    workflows,
+    afterHours: 24,
+    batchSize: 2,
+    publish: async (ticket, audits) => published.push([ticket.id, audits[0].new_value]),
+  });
+
+  assert.deepEqual(await closer.run(now), { checked: 4, closed: 3 });
+  for (const t of old) {
+    const ticket = await store.tickets.findById(t.id);
+    assert.deepEqual([ticket.status, ticket.version], ["CLOSED", 2]);
+  }
+  assert.equal((await store.tickets.findById(recent.id)).status, "RESOLVED");
+  assert.equal((await store.tickets.findById(legal.id)).status, "RESOLVED");
+  assert.deepEqual(published.map(([, to]) => to), ["CLOSED", "CLOSED", "CLOSED"]);
+  const [audit] = await store.auditLogs.listForTicket(old[0].id);
+  assert.deepEqual([audit.actor_id, audit.old_value, audit.new_value], [null, "RESOLVED", "CLOSED"]);
+
+  assert.deepEqual(await closer.run(now), { checked: 1, closed: 0 });
+});
+
+test("ratings are 1-5", () => {
+  assert.equal(parseRating("4"), 4);
+  assert.equal(parseRating(undefined), undefined);
+  assert.equal(parseRating(""), undefined);
+  assert.equal(parseRating("0"), null);
+  assert.equal(parseRating(4.5), null);
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+  await api.call(ADMIN, "PATCH", "/api/admin/users/role", {
+    body: { email: AGENT, role: "AGENT", team: "IT Support" },
+  });
+});
+after(() => api.close());
+
+async function resolvedTicket(email, title) {
+  const { body } = await api.call(email, "POST", "/api/tickets", {
+    body: { title, description: "VPN keeps failing" },
+  });
+  await api.patchTicket(AGENT, body.id, { status: "IN_PROGRESS", assigneeId: "me" });
+  await api.patchTicket(AGENT, body.id, { status: "RESOLVED" });
+  return body.id;
+}
+
+// Survey path from the newest survey email to `email` about the ticket
+async function surveyPath(email, id) {
+  const { body } = await api.call(ADMIN, "GET", "/api/admin/notifications/captured");
+  const subject = `[Ticket ${id.slice(0, 8)}] How did we do?`;
+  const mail = body.messages.find((m) => m.to === email && m.subject.startsWith(subject));
+  return mail.text.match(/(\/api\/surveys\/[\w-]+)\?rating=5/)[1];
+}
+
+test("resolving mails one-click rating links; answers can change until expiry", async () => {
+  const id = await resolvedTicket("ana@example.com", "VPN login fails");
+  const path = await surveyPath("ana@example.com", id);
+
+  const clicked = await api.call(null, "GET", `${path}?rating=2`);
+  assert.equal(clicked.status, 200);
+  assert.equal(clicked.body.survey.rating, 2);
+  assert.equal(clicked.body.survey.canReject, true);
+
+  const changed = await api.call(null, "POST", path, { body: { rating: 5, comment: "  Fixed quickly " } });
+  assert.deepEqual([changed.body.survey.rating, changed.body.survey.comment], [5, "Fixed quickly"]);
+
+  assert.equal((await api.call(null, "GET", `${path}?rating=9`)).status, 400);
+  assert.equal((await api.call(null, "POST", path, { body: {} })).status, 400);
+  assert.equal((await api.call(null, "GET", "/api/surveys/not-a-real-token")).status, 404);
+
+  const analytics = await api.call(ADMIN, "GET", "/api/analytics?scope=all");
+  assert.deepEqual(analytics.body.csat.overall, {
+    responses: 1,
+    average: 5,
+    satisfied: 1,
+    satisfiedRate: 1,
+    rejected: 0,
+  });
+  assert.equal(analytics.body.csat.byTeam[0].team, "IT Support");
+  assert.equal(analytics.body.csat.byAgent[0].name, AGENT);
+});
+
+test("rejecting the resolution reopens the ticket through the workflow", async () => {
+  const id = await resolvedTicket("bo@example.com", "VPN certificate error");
+  const path = await surveyPath("bo@example.com", id);
+
+  const rejected = await api.call(null, "POST", path, { body: { reject: true, comment: "Still failing" } });
+  assert.equal(rejected.status, 200);
+  assert.equal(rejected.body.survey.rejected, true);
+  assert.equal(rejected.body.survey.ticket.status, "IN_PROGRESS");
+
+  const comments = (await api.call("bo@example.com", "GET", `/api/tickets/${id}/comments`)).body.comments;
+  assert.deepEqual(comments.map((c) => c.body), ["Resolution rejected: Still failing"]);
+  assert.equal((await api.call(null, "POST", path, { body: { reject: true } })).status, 409);
+});
+
+test("late rejections are refused; old resolutions auto-close; surveys expire", async () => {
+  const id = await resolvedTicket("cy@example.com", "VPN timeout");
+  const path = await surveyPath("cy@example.com", id);
+  await api.store.tickets.update(id, { resolved_at: new Date(Date.now() - 200 * HOUR).toISOString() });
+
+  const late = await api.call(null, "POST", path, { body: { reject: true } });
+  assert.equal(late.status, 409);
+  assert.equal(late.body.error, "this ticket can no longer be reopened; please raise a new ticket");
+  assert.equal((await api.call(null, "GET", path)).body.survey.canReject, false);
+
+  // past AUTO_CLOSE_HOURS (168h): closed by the system
+  await autoCloseResolved();
+  assert.equal((await api.store.tickets.findById(id)).status, "CLOSED");
+
+  const hash = crypto.createHash("sha256").update(path.split("/").pop()).digest("hex");
+  const row = await api.store.surveys.findByTokenHash(hash);
+  await api.store.surveys.update(row.id, { expires_at: new Date(Date.now() - 1000).toISOString() });
+  assert.equal((await api.call(null, "GET", path)).status, 410);
+});
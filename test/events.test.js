@@ -0,0 +1,169 @@
+// Live ticket activity over Server-Sent Events: the event hub's replay
+// buffer, stream access rules and Last-Event-ID resume.
+const { startApp, token } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEventHub } = require("../src/events");
+
+const ADMIN = "admin@example.com";
+const AGENT = "it.agent@example.com";
+
+const ticket = { id: "t1", title: "VPN", assigned_team: "IT Support", requester_user_id: "u1", secret: "x" };
+
+test("the hub fans out accepted events and replays the ones after Last-Event-ID", () => {
+  const hub = createEventHub({ bufferSize: 2 });
+  const seen = [];
+  const unsubscribe = hub.subscribe((e) => e.entry.action !== "HIDDEN", (e) => seen.push(e));
+
+  hub.publish(ticket, [{ action: "STATUS_CHANGED" }, { action: "HIDDEN" }]);
+  assert.equal(hub.clientCount, 1);
+  assert.deepEqual(seen.map((e) => e.entry.action), ["STATUS_CHANGED"]);
+  assert.equal(seen[0].ticket.secret, undefined);
+  assert.equal(seen[0].requesterUserId, "u1");
+
+  const [boot] = seen[0].id.split("-");
+  const replay = hub.since(`${boot}-1`, () => true);
+  assert.deepEqual(replay.events.map((e) => e.entry.action), ["HIDDEN"]);
+  assert.deepEqual(hub.since(`${boot}-2`, () => true).events, []);
+
+  hub.publish(ticket, [{ action: "TEAM_CHANGED", oldValue: "Facilities" }]);
+  assert.equal(seen.at(-1).previousTeam, "Facilities");
+  // event 1 fell out of the two-event buffer; other boots and future ids reset
+  assert.deepEqual(hub.since(`${boot}-0`, () => true), { reset: true });
+  assert.deepEqual(hub.since("other-1", () => true), { reset: true });
+  assert.deepEqual(hub.since(`${boot}-9`, () => true), { reset: true });
+
+  unsubscribe();
+  assert.equal(hub.clientCount, 0);
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+  await api.call(ADMIN, "PATCH", "/api/admin/users/role", {
+    body: { email: AGENT, role: "AGENT", team: "IT Support" },
+  });
+});
+after(() => api.close());
+
+// Opens GET /api/events; next(predicate) resolves with the first parsed
+// message ({ id, event, data }) matching it, or rejects after a timeout
+async function openStream(email, query, headers = {}) {
+  const controller = new AbortController();
+  const res = await fetch(`${api.baseUrl}/api/events?${query}`, {
+    headers: { Accept: "text/event-stream", Authorization: `Bearer ${await token(email)}`, ...headers },
+    signal: controller.signal,
+  });
+  if (!res.headers.get("content-type")?.startsWith("text/event-stream")) {
+    return { status: res.status, body: await res.json(), close() {} };
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+  const messages = [];
+
+  async function next(predicate = () => true, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const index = messages.findIndex(predicate);
+      if (index !== -1) return messages.splice(index, 1)[0];
+
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("no matching event")), Math.max(deadline - Date.now(), 0));
+      });
+      const { value, done } = await Promise.race([reader.read(), timeout]).finally(() => clearTimeout(timer));
+      if (done) throw new Error("stream ended");
+
+      buffered += decoder.decode(value, { stream: true });
+      const parts = buffered.split("\n\n");
+      buffered = parts.pop();
+      for (const part of parts) {
+        const fields = Object.fromEntries(
+          part.split("\n").map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)])
+        );
+        if (fields.event) messages.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+      }
+    }
+  }
+
+  return { status: res.status, next, close: () => controller.abort() };
+}
+
+const file = async (email, title) =>
+  (await api.call(email, "POST", "/api/tickets", { body: { title, description: "VPN drops every hour" } })).body;
+
+test("streams check the ticket or scope like the ticket routes", async () => {
+  const { id } = await file("ana@example.com", "VPN drops");
+
+  assert.equal((await openStream("ana@example.com", "")).status, 400);
+  assert.equal((await openStream("ana@example.com", "ticket=nope")).status, 404);
+  assert.equal((await openStream("bo@example.com", `ticket=${id}`)).status, 403);
+  assert.equal((await openStream("ana@example.com", "scope=all")).status, 403);
+
+  // EventSource cannot send headers: ?access_token= is accepted for streams
+  const res = await fetch(`${api.baseUrl}/api/events?scope=my&access_token=${await token("ana@example.com")}`, {
+    headers: { Accept: "text/event-stream" },
+  });
+  assert.equal(res.status, 200);
+  await res.body.cancel();
+  const plain = await fetch(`${api.baseUrl}/api/me?access_token=${await token("ana@example.com")}`);
+  assert.equal(plain.status, 401);
+});
+
+test("clients get activity as it happens and resume from Last-Event-ID", async () => {
+  const { id } = await file("ana@example.com", "VPN drops again");
+  const stream = await openStream("ana@example.com", `ticket=${id}`);
+  let lastId;
+  try {
+    assert.equal(stream.status, 200);
+    await api.patchTicket(AGENT, id, { status: "IN_PROGRESS", comment: "Checking the tunnel" });
+
+    const status = await stream.next((m) => m.data.activity.action === "STATUS_CHANGED");
+    assert.equal(status.event, "activity");
+    assert.equal(status.data.ticket.status, "IN_PROGRESS");
+    assert.equal(status.data.activity.message, "Status changed: NEW → IN_PROGRESS");
+    const comment = await stream.next((m) => m.data.activity.type === "COMMENT");
+    assert.equal(comment.data.activity.body, "Checking the tunnel");
+    lastId = comment.id;
+  } finally {
+    stream.close();
+  }
+
+  // missed while disconnected
+  await api.patchTicket(AGENT, id, { priority: "HIGH" });
+  const resumed = await openStream("ana@example.com", `ticket=${id}`, { "Last-Event-ID": lastId });
+  try {
+    const missed = await resumed.next();
+    assert.equal(missed.data.activity.action, "PRIORITY_CHANGED");
+  } finally {
+    resumed.close();
+  }
+
+  const stale = await openStream("ana@example.com", `ticket=${id}`, { "Last-Event-ID": "gone-1" });
+  try {
+    assert.equal((await stale.next()).event, "reset");
+  } finally {
+    stale.close();
+  }
+});
+
+test("team streams see tickets entering the team and the move out of it", async () => {
+  const stream = await openStream(AGENT, "scope=team");
+  try {
+    const { id } = await file("cy@example.com", "VPN certificate expired");
+    const created = await stream.next((m) => m.data.ticket.id === id);
+    assert.equal(created.data.activity.action, "TICKET_CREATED");
+
+    await api.patchTicket(ADMIN, id, { assignedTeam: "Finance" });
+    const moved = await stream.next((m) => m.data.activity.action === "TEAM_CHANGED");
+    assert.equal(moved.data.ticket.assigned_team, "Finance");
+
+    // no longer the agent's team: later activity is not streamed
+    await api.patchTicket(ADMIN, id, { priority: "LOW" });
+    await assert.rejects(stream.next((m) => m.data.ticket.id === id, 300), /no matching event/);
+  } finally {
+    stream.close();
+  }
+});
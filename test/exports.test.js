@@ -0,0 +1,168 @@
+// Exports: CSV escaping, the page-by-page stream and the export routes'
+// team access rules.
+const { startApp, token } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { csvLine, streamExport } = require("../src/exports");
+
+const ADMIN = "admin@example.com";
+const AGENT = "it.agent@example.com";
+
+test("CSV cells are quoted when needed and formulas are defused", () => {
+  assert.equal(csvLine(["plain", 3, null, undefined, true]), "plain,3,,,true\r\n");
+  assert.equal(csvLine(['say "hi"', "a,b", "two\nlines"]), '"say ""hi""","a,b","two\nlines"\r\n');
+  assert.equal(csvLine(["=SUM(A1:A9)", "+1", "-2", "@cmd", "\tx"]), "'=SUM(A1:A9),'+1,'-2,'@cmd,'\tx\r\n");
+  assert.equal(csvLine(['=HYPERLINK("http://x")']), '"\'=HYPERLINK(""http://x"")"\r\n');
+  assert.equal(csvLine([{ a: 1 }, ["x", "y"]]), '"{""a"":1}","[""x"",""y""]"\r\n');
+});
+
+// Just enough of an Express response for streamExport
+function fakeResponse({ failWritesAfter = Infinity } = {}) {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    chunks: [],
+    headers: {},
+    destroyed: false,
+    writableEnded: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+    },
+    write(chunk) {
+      res.chunks.push(chunk);
+      return res.chunks.length < failWritesAfter;
+    },
+    end() {
+      res.writableEnded = true;
+    },
+    destroy(err) {
+      res.destroyed = true;
+      res.error = err;
+    },
+  });
+  return res;
+}
+
+const columns = [
+  ["id", (r) => r.id],
+  ["name", (r) => r.name],
+];
+
+test("streamExport writes a header and one chunk per page", async () => {
+  const res = fakeResponse();
+  async function* pages() {
+    yield [{ id: 1, name: "a" }];
+    yield [{ id: 2, name: null }];
+  }
+
+  const count = await streamExport(res, { format: "csv", filename: "x", columns, pages: pages() });
+
+  assert.equal(count, 2);
+  assert.deepEqual(res.chunks, ["id,name\r\n", "1,a\r\n", "2,\r\n"]);
+  assert.equal(res.headers["Content-Type"], "text/csv; charset=utf-8");
+  assert.equal(res.headers["Content-Disposition"], 'attachment; filename="x.csv"');
+  assert.equal(res.writableEnded, true);
+
+  const ndjson = fakeResponse();
+  await streamExport(ndjson, { format: "ndjson", filename: "x", columns, pages: [[{ id: 1 }]] });
+  assert.deepEqual(ndjson.chunks, ['{"id":1,"name":null}\n']);
+});
+
+test("streamExport waits for drain, stops when the client leaves and aborts on errors", async () => {
+  const res = fakeResponse({ failWritesAfter: 1 });
+  let pulled = 0;
+  async function* pages() {
+    for (;;) {
+      pulled += 1;
+      yield [{ id: pulled, name: "x" }];
+    }
+  }
+
+  const pending = streamExport(res, { format: "csv", filename: "x", columns, pages: pages() });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(res.chunks.length, 1); // header written, waiting for "drain"
+  res.destroyed = true;
+  res.emit("close");
+  assert.equal(await pending, 0);
+  assert.equal(pulled, 1);
+
+  const broken = fakeResponse();
+  async function* failing() {
+    yield [{ id: 1, name: "a" }];
+    throw new Error("db gone");
+  }
+  assert.equal(await streamExport(broken, { format: "csv", filename: "x", columns, pages: failing() }), 1);
+  assert.equal(broken.error.message, "db gone");
+  assert.equal(broken.writableEnded, false);
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+  await api.call(ADMIN, "PATCH", "/api/admin/users/role", {
+    body: { email: AGENT, role: "AGENT", team: "IT Support" },
+  });
+});
+after(() => api.close());
+
+async function download(email, path) {
+  const res = await fetch(`${api.baseUrl}${path}`, { headers: { Authorization: `Bearer ${await token(email)}` } });
+  return { status: res.status, headers: res.headers, text: await res.text() };
+}
+
+test("ticket exports escape user text and map user ids to emails", async () => {
+  const { body } = await api.call("ana@example.com", "POST", "/api/tickets", {
+    body: { title: '=cmd|"/c calc", laptop', description: "VPN client crashes", affectedSystem: "VPN" },
+  });
+  await api.patchTicket(AGENT, body.id, { assigneeId: "me" });
+
+  const csv = await download(ADMIN, "/api/exports/tickets?team=IT&sort=created_at&order=asc");
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-disposition"), /^attachment; filename="tickets-\d{4}-\d{2}-\d{2}\.csv"$/);
+  const [header, row, end] = csv.text.split("\r\n");
+  assert.match(header, /^id,title,status,priority,team,affected_system,requester_email,assignee_email,/);
+  assert.ok(row.startsWith(`${body.id},"'=cmd|""/c calc"", laptop",`));
+  assert.ok(row.includes(",ana@example.com,it.agent@example.com,"));
+  assert.equal(end, "");
+
+  const ndjson = await download(ADMIN, "/api/exports/tickets?format=ndjson&team=IT%20Support");
+  const [ticket] = ndjson.text.trim().split("\n").map((line) => JSON.parse(line));
+  assert.equal(ticket.title, '=cmd|"/c calc", laptop');
+  assert.equal(ticket.assignee_email, "it.agent@example.com");
+
+  assert.equal((await download(ADMIN, "/api/exports/tickets?format=xlsx")).status, 400);
+  assert.equal((await download(ADMIN, "/api/exports/tickets?requester=nobody@example.com")).text.split("\r\n")[1], "");
+});
+
+test("agents export their own team only; requesters cannot export", async () => {
+  assert.equal((await download(AGENT, "/api/exports/tickets?team=Finance")).status, 403);
+  assert.equal((await download(AGENT, "/api/exports/tickets?team=helpdesk")).status, 200);
+  assert.equal((await download("ana@example.com", "/api/exports/tickets")).status, 403);
+  assert.equal((await download(AGENT, "/api/exports/comments?from=2026-03-10&to=2026-03-01")).status, 400);
+});
+
+test("comment and audit exports cover the date range, oldest first", async () => {
+  const { body } = await api.call("bo@example.com", "POST", "/api/tickets", {
+    body: { title: "Password reset", description: "Locked out of my account" },
+  });
+  await api.patchTicket("bo@example.com", body.id, { comment: "Line one\nline two, with a comma" });
+
+  const comments = await download(AGENT, "/api/exports/comments");
+  const lines = comments.text.split("\r\n");
+  assert.equal(lines[0], "id,created_at,ticket_id,ticket_title,team,author_email,body");
+  assert.match(lines[1], /,IT Support,bo@example\.com,"Line one\nline two, with a comma"$/);
+
+  const audit = await download(ADMIN, "/api/exports/audit-logs?format=ndjson");
+  const actions = audit.text
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line))
+    .filter((a) => a.ticket_id === body.id)
+    .map((a) => a.action);
+  assert.equal(actions[0], "TICKET_CREATED");
+  assert.ok(actions.includes("COMMENT_ADDED"));
+});
@@ -0,0 +1,81 @@
+// Shared setup for the API tests: the real app on the memory storage
+// backend with rules-only triage (no Supabase, no Gemini), captured email
+// sent without a digest delay, and signed bearer tokens for test users.
+// Require this before anything that loads server.js; each test file runs
+// in its own process, so its own store.
+require("./logs");
+
+Object.assign(process.env, {
+  STORAGE_BACKEND: "memory",
+  MEMORY_STORE_FILE: "",
+  TRIAGE_PROVIDERS: "rules",
+  AUTH_JWT_SECRET: "test-secret",
+  AUTH_ADMIN_EMAILS: "admin@example.com",
+  MAIL_TRANSPORT: "capture",
+  MAIL_CAPTURE_DIR: "",
+  NOTIFY_DIGEST_MINUTES: "0",
+});
+
+const { SignJWT } = require("jose");
+
+function token(email, claims = {}) {
+  return new SignJWT({ email, ...claims })
+    .setProtectedHeader({ alg: "HS256" })
+    .setSubject(email)
+    .setIssuedAt()
+    .setExpirationTime("1h")
+    .sign(new TextEncoder().encode(process.env.AUTH_JWT_SECRET));
+}
+
+/**
+ * Start the app on a free port. Returns { baseUrl, app, store, call,
+ * patchTicket, close }; call(email, method, path, { body, headers }) ->
+ * { status, headers, body } sends a bearer token for `email` (null: no
+ * Authorization header). patchTicket(email, id, body) PATCHes with the
+ * ticket's current ETag as If-Match.
+ */
+async function startApp() {
+  const { app, store } = require("../../server");
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function call(email, method, path, { body, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(email ? { Authorization: `Bearer ${await token(email)}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch {
+      // non-JSON body (CSV, plain text): hand back the text
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  async function patchTicket(email, id, body) {
+    const current = await call(email, "GET", `/api/tickets/${id}`);
+    return call(email, "PATCH", `/api/tickets/${id}`, {
+      body,
+      headers: { "If-Match": current.headers.get("etag") || "" },
+    });
+  }
+
+  return {
+    baseUrl,
+    app,
+    store,
+    call,
+    patchTicket,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { startApp, token };
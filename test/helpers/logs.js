@@ -0,0 +1,6 @@
+// The test runner reads results from each test file's stdout, and app logs
+// written there (emoji and all) can corrupt that stream. Send them to stderr,
+// and keep the structured logger's info lines out of stdout unless asked for.
+console.log = console.error;
+console.info = console.error;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "warn";
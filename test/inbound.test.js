@@ -0,0 +1,147 @@
+// Inbound email: parsing (ticket refs, quotes, auto-replies) and the
+// gateway that turns messages into tickets and threaded comments.
+process.env.INBOUND_EMAIL_SECRET = "inbound-secret";
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseInboundEmail, stripReply } = require("../src/inbound/email");
+const { ticketMessageId } = require("../src/notifications");
+
+const ID = "c52509a9-1c2d-4e5f-8a9b-0123456789ab";
+
+function message({
+  from = "Ana Lopez <ana@example.com>",
+  subject = "Laptop broken",
+  headers = {},
+  body = "It will not boot.",
+}) {
+  const lines = [`From: ${from}`, "To: help@example.com", `Subject: ${subject}`];
+  for (const [name, value] of Object.entries(headers)) lines.push(`${name}: ${value}`);
+  return [...lines, "Content-Type: text/plain; charset=utf-8", "", body].join("\r\n");
+}
+
+test("new messages: sender, title and body", async () => {
+  const mail = await parseInboundEmail(
+    message({ from: "Ana Lopez <Ana@Example.COM>", headers: { "Message-ID": "<m1@mail>" } })
+  );
+
+  assert.equal(mail.fromEmail, "ana@example.com");
+  assert.equal(mail.fromName, "Ana Lopez");
+  assert.equal(mail.messageId, "<m1@mail>");
+  assert.equal(mail.title, "Laptop broken");
+  assert.equal(mail.body, "It will not boot.");
+  assert.equal(mail.ticketRef, null);
+  assert.equal(mail.autoReply, null);
+});
+
+test("ticket refs come from the subject or the thread headers", async () => {
+  const bySubject = await parseInboundEmail(message({ subject: "RE: Fwd: [Ticket #C52509A9] Laptop broken" }));
+  assert.equal(bySubject.ticketRef, "c52509a9");
+  assert.equal(bySubject.title, "Laptop broken");
+
+  const byHeader = await parseInboundEmail(
+    message({ subject: "Re: something else", headers: { "In-Reply-To": ticketMessageId(ID) } })
+  );
+  assert.equal(byHeader.ticketRef, ID);
+
+  const byReferences = await parseInboundEmail(
+    message({ subject: "Re: x", headers: { References: `<a@mail> ${ticketMessageId(ID)}` } })
+  );
+  assert.equal(byReferences.ticketRef, ID);
+});
+
+test("quoted history and signatures are stripped from replies", () => {
+  const text = ["Still broken after the update.", "", "> earlier reply", "Thanks", "-- ", "Ana"].join("\n");
+  assert.equal(stripReply(text), "Still broken after the update.\n\nThanks");
+
+  // "On ... wrote:" wrapped over two lines
+  const wrapped = "Fixed, thanks!\n\nOn Mon, 9 Mar 2026 at 10:00, Helpdesk\n<help@example.com> wrote:\n> hi";
+  assert.equal(stripReply(wrapped), "Fixed, thanks!");
+  assert.equal(stripReply("Yes\nFrom: Helpdesk\nSent: Monday"), "Yes");
+  assert.equal(stripReply("Done\n\nSent from my iPhone"), "Done");
+});
+
+test("auto-replies and bounces are recognised", async () => {
+  const reason = async (opts) => (await parseInboundEmail(message(opts))).autoReply;
+
+  assert.equal(await reason({ headers: { "Auto-Submitted": "auto-replied" } }), "Auto-Submitted: auto-replied");
+  assert.equal(await reason({ headers: { "Auto-Submitted": "no" } }), null);
+  assert.equal(await reason({ headers: { Precedence: "bulk" } }), "Precedence: bulk");
+  assert.equal(await reason({ subject: "Out of Office: back Monday" }), "auto-reply subject");
+  assert.equal(await reason({ from: "postmaster@mail.example.com" }), "system sender postmaster@mail.example.com");
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+
+async function deliver(raw, secret = "inbound-secret") {
+  const res = await fetch(`${api.baseUrl}/api/inbound/email`, {
+    method: "POST",
+    headers: { "Content-Type": "message/rfc822", "X-Inbound-Secret": secret },
+    body: raw,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test("the gateway needs the inbound secret", async () => {
+  assert.equal((await deliver(message({}), "wrong")).status, 401);
+  assert.equal((await deliver(message({}), "")).status, 401);
+});
+
+test("a new message becomes a ticket, its redelivery is a no-op", async () => {
+  const raw = message({ from: "New Person <new.person@example.com>", headers: { "Message-ID": "<new-1@mail>" } });
+
+  const first = await deliver(raw);
+  assert.equal(first.status, 201);
+  assert.equal(first.body.outcome, "TICKET_CREATED");
+
+  const ticket = await api.store.tickets.findById(first.body.ticketId);
+  assert.equal(ticket.title, "Laptop broken");
+  assert.equal(ticket.description, "It will not boot.");
+  assert.equal(ticket.requester_user_id, (await api.store.users.findByEmail("new.person@example.com")).id);
+
+  const again = await deliver(raw);
+  assert.deepEqual(again.body, { duplicate: true, outcome: "TICKET_CREATED", ticketId: first.body.ticketId });
+});
+
+test("replies thread into comments; the sender's address case does not matter", async () => {
+  // the user signed in as Reply.User@Example.com
+  await api.call("Reply.User@Example.com", "GET", "/api/me");
+  const created = await api.call("Reply.User@Example.com", "POST", "/api/tickets", {
+    body: { title: "Badge not working", description: "Door badge rejected" },
+  });
+  const id = created.body.id;
+
+  const reply = await deliver(
+    message({
+      from: "reply.user@example.com",
+      subject: `Re: [Ticket ${id.slice(0, 8)}] Badge not working`,
+      body: "Still rejected this morning.\n\nOn Tue, Helpdesk wrote:\n> earlier",
+      headers: { "Message-ID": "<reply-1@mail>" },
+    })
+  );
+  assert.equal(reply.status, 200);
+  assert.deepEqual(reply.body, { outcome: "COMMENT_ADDED", reason: null, ticketId: id });
+
+  const { body } = await api.call("Reply.User@Example.com", "GET", `/api/tickets/${id}/comments`);
+  assert.deepEqual(body.comments.map((c) => c.body), ["Still rejected this morning."]);
+
+  const stranger = await deliver(
+    message({ from: "stranger@example.com", subject: `Re: [Ticket ${id.slice(0, 8)}] Badge`, body: "me too" })
+  );
+  assert.equal(stranger.body.outcome, "REJECTED");
+});
+
+test("auto-replies are recorded and ignored", async () => {
+  const res = await deliver(
+    message({ subject: "Automatic reply: Laptop broken", headers: { "Message-ID": "<ooo@mail>" } })
+  );
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.outcome, "IGNORED");
+  assert.equal(res.body.reason, "auto-reply subject");
+  assert.equal(res.body.ticketId, null);
+});
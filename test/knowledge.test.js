@@ -0,0 +1,120 @@
+// Knowledge base: article permissions and search, suggestions on new
+// tickets, drafts from resolved tickets and KB-first deflection.
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const ADMIN = "admin@example.com";
+const AGENT = "it.agent@example.com";
+const REQUESTER = "requester@example.com";
+
+let api;
+let vpnArticle;
+before(async () => {
+  api = await startApp();
+  await api.call(ADMIN, "PATCH", "/api/admin/users/role", {
+    body: { email: AGENT, role: "AGENT", team: "IT Support" },
+  });
+
+  const created = await api.call(AGENT, "POST", "/api/kb/articles", {
+    body: {
+      title: "Fix VPN disconnects",
+      body: "Reinstall the VPN client and reboot.",
+      tags: "VPN, network, vpn",
+      team: "IT Support",
+      status: "PUBLISHED",
+    },
+  });
+  vpnArticle = created.body.article;
+  await api.call(AGENT, "POST", "/api/kb/articles", { body: { title: "VPN draft notes", body: "wip" } });
+});
+after(() => api.close());
+
+test("agents write articles for their own team; requesters cannot write", async () => {
+  assert.deepEqual(vpnArticle.tags, ["vpn", "network"]);
+  assert.equal(vpnArticle.url, `/api/kb/articles/${vpnArticle.id}`);
+
+  const otherTeam = await api.call(AGENT, "POST", "/api/kb/articles", {
+    body: { title: "Payroll dates", team: "Finance" },
+  });
+  assert.equal(otherTeam.status, 403);
+
+  const requester = await api.call(REQUESTER, "POST", "/api/kb/articles", { body: { title: "Mine" } });
+  assert.equal(requester.status, 403);
+
+  const invalid = await api.call(AGENT, "POST", "/api/kb/articles", { body: { title: "x", status: "LIVE" } });
+  assert.equal(invalid.status, 400);
+});
+
+test("requesters only see published articles", async () => {
+  const staff = await api.call(AGENT, "GET", "/api/kb/articles?q=vpn");
+  assert.deepEqual(staff.body.articles.map((a) => a.title).sort(), ["Fix VPN disconnects", "VPN draft notes"]);
+
+  const requester = await api.call(REQUESTER, "GET", "/api/kb/articles?q=vpn&status=DRAFT");
+  assert.deepEqual(requester.body.articles.map((a) => a.title), ["Fix VPN disconnects"]);
+
+  const draft = staff.body.articles.find((a) => a.status === "DRAFT");
+  assert.equal((await api.call(REQUESTER, "GET", `/api/kb/articles/${draft.id}`)).status, 404);
+  assert.equal((await api.call(REQUESTER, "GET", `/api/kb/articles/${vpnArticle.id}`)).status, 200);
+});
+
+test("new tickets list matching published articles as suggestions", async () => {
+  const created = await api.call(REQUESTER, "POST", "/api/tickets", {
+    body: { title: "VPN disconnects constantly", description: "The VPN drops every few minutes" },
+  });
+
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.knowledgeSuggestions.map((s) => s.id), [vpnArticle.id]);
+});
+
+test("tryKbFirst answers with articles before filing, then files with the deflection id", async () => {
+  const request = { title: "VPN disconnects at home", description: "VPN disconnects after a minute", tryKbFirst: true };
+
+  const first = await api.call(REQUESTER, "POST", "/api/tickets", { body: request });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.created, false);
+  assert.deepEqual(first.body.deflection.articles.map((a) => a.id), [vpnArticle.id]);
+  const deflectionId = first.body.deflection.id;
+
+  // only the requester can answer it
+  const stranger = await api.call("other@example.com", "POST", `/api/kb/deflections/${deflectionId}`, {
+    body: { helped: true },
+  });
+  assert.equal(stranger.status, 404);
+
+  const filed = await api.call(REQUESTER, "POST", "/api/tickets", { body: { ...request, deflectionId } });
+  assert.equal(filed.status, 201);
+
+  const again = await api.call(REQUESTER, "POST", `/api/kb/deflections/${deflectionId}`, { body: { helped: true } });
+  assert.equal(again.status, 409);
+
+  // nothing matches: the ticket is filed right away
+  const unmatched = await api.call(REQUESTER, "POST", "/api/tickets", {
+    body: { title: "Desk chair broken", description: "The chair wobbles", tryKbFirst: true },
+  });
+  assert.equal(unmatched.status, 201);
+});
+
+test("a resolved ticket drafts an article from the agents' comments", async () => {
+  const created = await api.call(REQUESTER, "POST", "/api/tickets", {
+    body: { title: "Laptop fan noise", description: "The laptop fan is very loud", affectedSystem: "Laptop" },
+  });
+  const id = created.body.id;
+  const path = `/api/kb/articles/from-ticket/${id}`;
+
+  await api.patchTicket(REQUESTER, id, { comment: "It is worse in the afternoon" });
+  await api.patchTicket(AGENT, id, { status: "IN_PROGRESS", comment: "Cleaned the fan and updated the BIOS" });
+  assert.equal((await api.call(AGENT, "POST", path)).status, 409);
+
+  await api.patchTicket(AGENT, id, { status: "RESOLVED" });
+  const draft = await api.call(AGENT, "POST", path);
+
+  assert.equal(draft.status, 201);
+  const { article } = draft.body;
+  assert.equal(article.status, "DRAFT");
+  assert.equal(article.title, "Laptop fan noise");
+  assert.deepEqual(article.tags, ["laptop"]);
+  assert.match(article.body, /## Resolution\n- Cleaned the fan and updated the BIOS$/);
+  assert.doesNotMatch(article.body, /afternoon/);
+  assert.equal((await api.call(REQUESTER, "POST", path)).status, 403);
+});
@@ -0,0 +1,155 @@
+// Duplicate detection, ticket links, merging a duplicate into its primary
+// (history, watchers and links follow) and cascade resolve.
+process.env.INBOUND_EMAIL_SECRET = "inbound-secret";
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStore } = require("../src/store");
+
+const ADMIN = "admin@example.com";
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+
+const file = async (email, title, description, extra = {}) =>
+  (await api.call(email, "POST", "/api/tickets", { body: { title, description, ...extra } })).body;
+
+const link = (id, ticketId, relation) =>
+  api.call(ADMIN, "POST", `/api/tickets/${id}/links`, { body: { ticketId, relation } });
+
+test("similar open tickets for the same system are flagged on create", async () => {
+  const first = await file("ana@example.com", "Printer on floor 3 jams", "Paper jam every print", {
+    affectedSystem: "Printer",
+  });
+  const second = await file("bo@example.com", "Floor 3 printer jams", "Paper jams on every job", {
+    affectedSystem: "printer",
+  });
+  const other = await file("cy@example.com", "Floor 3 printer jams", "Paper jams", { affectedSystem: "laptop" });
+
+  assert.deepEqual(second.possibleDuplicates.map((d) => d.id), [first.id]);
+  assert.deepEqual(other.possibleDuplicates, []);
+
+  const { body } = await api.call(ADMIN, "GET", `/api/tickets/${first.id}/duplicates`);
+  assert.deepEqual(body.duplicates.map((d) => d.id), [second.id]);
+});
+
+test("links are validated and read from either side", async () => {
+  const [a, b, c] = [
+    await file("ana@example.com", "Office move", "Move the team to floor 4"),
+    await file("ana@example.com", "Desks for office move", "Order desks"),
+    await file("ana@example.com", "Network for office move", "Patch the ports"),
+  ];
+
+  assert.equal((await link(a.id, a.id, "RELATED")).status, 400);
+  assert.equal((await link(a.id, b.id, "SIBLING_OF")).status, 400);
+  assert.equal((await link(a.id, b.id, "PARENT_OF")).status, 201);
+  assert.equal((await link(b.id, a.id, "RELATED")).status, 409);
+  assert.equal((await link(c.id, b.id, "PARENT_OF")).status, 409); // b already has a parent
+  assert.equal((await link(b.id, c.id, "PARENT_OF")).status, 201);
+  assert.equal((await link(c.id, a.id, "PARENT_OF")).status, 409); // a -> b -> c -> a
+
+  const fromB = (await api.call("ana@example.com", "GET", `/api/tickets/${b.id}/links`)).body.links;
+  const relation = (r) => fromB.find((l) => l.relation === r);
+  assert.equal(fromB.length, 2);
+  assert.equal(relation("CHILD_OF").ticket.id, a.id);
+  assert.equal(relation("PARENT_OF").ticket.id, c.id);
+
+  const requester = await api.call("ana@example.com", "POST", `/api/tickets/${a.id}/links`, {
+    body: { ticketId: c.id, relation: "RELATED" },
+  });
+  assert.equal(requester.status, 403);
+
+  const removed = await api.call(ADMIN, "DELETE", `/api/tickets/${c.id}/links/${relation("PARENT_OF").id}`);
+  assert.equal(removed.status, 200);
+  assert.equal((await api.call(ADMIN, "GET", `/api/tickets/${c.id}/links`)).body.links.length, 0);
+});
+
+test("merge moves history to the primary, closes the duplicate and routes email replies there", async () => {
+  const primary = await file("ana@example.com", "Wifi down in room 2", "No wifi in meeting room 2");
+  const dup = await file("bo@example.com", "Room 2 wifi broken", "Cannot connect to wifi in room 2");
+  await api.patchTicket("bo@example.com", dup.id, { comment: "Still down after lunch" });
+
+  const merged = await api.call(ADMIN, "POST", `/api/tickets/${dup.id}/merge`, { body: { into: primary.id } });
+  assert.equal(merged.status, 200);
+  assert.equal(merged.body.ticket.id, primary.id);
+
+  const source = await api.store.tickets.findById(dup.id);
+  assert.equal(source.status, "CLOSED");
+  assert.equal(source.merged_into_id, primary.id);
+  assert.equal(merged.body.merged.version, source.version);
+
+  const comments = (await api.call(ADMIN, "GET", `/api/tickets/${primary.id}/comments`)).body.comments;
+  assert.deepEqual(comments.map((c) => c.body), ["Still down after lunch"]);
+  const watchers = (await api.call(ADMIN, "GET", `/api/tickets/${primary.id}/watchers`)).body.watchers;
+  assert.deepEqual(watchers.map((w) => w.email), ["bo@example.com"]);
+  const links = (await api.call(ADMIN, "GET", `/api/tickets/${dup.id}/links`)).body.links;
+  assert.deepEqual(links.map((l) => [l.relation, l.ticket.id]), [["DUPLICATE_OF", primary.id]]);
+
+  const again = await api.call(ADMIN, "POST", `/api/tickets/${dup.id}/merge`, { body: { into: primary.id } });
+  assert.equal(again.status, 409);
+
+  // a reply to the duplicate's email thread lands on the primary
+  const raw = [
+    "From: bo@example.com",
+    `Subject: Re: [Ticket ${dup.id.slice(0, 8)}] Room 2 wifi broken`,
+    "Content-Type: text/plain",
+    "",
+    "Works again, thanks",
+  ].join("\r\n");
+  const res = await fetch(`${api.baseUrl}/api/inbound/email`, {
+    method: "POST",
+    headers: { "Content-Type": "message/rfc822", "X-Inbound-Secret": "inbound-secret" },
+    body: raw,
+  });
+  assert.equal((await res.json()).ticketId, primary.id);
+});
+
+test("merge moves the duplicate's other links unless that would close a parent loop", async () => {
+  const store = createStore({ backend: "memory" });
+  const ticket = (title) => store.tickets.create({ title, status: "OPEN", version: 1 }, "*");
+  const [source, target, related, child, parent] = [
+    await ticket("source"),
+    await ticket("target"),
+    await ticket("related"),
+    await ticket("child"),
+    await ticket("parent of target"),
+  ];
+  await store.ticketLinks.create({ ticket_id: source.id, linked_ticket_id: related.id, link_type: "RELATED" });
+  await store.ticketLinks.create({ ticket_id: source.id, linked_ticket_id: child.id, link_type: "PARENT" });
+  // child -> parent -> target: the target sits below the source's child
+  await store.ticketLinks.create({ ticket_id: child.id, linked_ticket_id: parent.id, link_type: "PARENT" });
+  await store.ticketLinks.create({ ticket_id: parent.id, linked_ticket_id: target.id, link_type: "PARENT" });
+
+  const result = await store.tickets.merge({ sourceId: source.id, targetId: target.id, actorId: null });
+  assert.deepEqual(result, { sourceVersion: 2, targetVersion: 2 });
+
+  const pairs = async (id) =>
+    (await store.ticketLinks.listForTicket(id)).map((l) => `${l.ticket_id}>${l.linked_ticket_id}:${l.link_type}`);
+  const targetLinks = await pairs(target.id);
+  assert.ok(targetLinks.includes(`${target.id}>${related.id}:RELATED`));
+  // target -> child would close child -> parent -> target -> child
+  assert.ok(!targetLinks.includes(`${target.id}>${child.id}:PARENT`));
+  assert.ok((await pairs(source.id)).includes(`${source.id}>${child.id}:PARENT`));
+
+  assert.equal(await store.tickets.merge({ sourceId: source.id, targetId: target.id, actorId: null }), null);
+});
+
+test("resolving a parent with cascade resolves its open children", async () => {
+  const parent = await file("ana@example.com", "Email outage", "Nobody receives email");
+  const child = await file("bo@example.com", "No email since 9am", "My inbox is empty");
+  const closed = await file("cy@example.com", "Email bounce", "Bounces");
+  await link(parent.id, child.id, "PARENT_OF");
+  await link(parent.id, closed.id, "PARENT_OF");
+  await api.patchTicket(ADMIN, closed.id, { status: "IN_PROGRESS" });
+  await api.patchTicket(ADMIN, closed.id, { status: "RESOLVED" });
+
+  await api.patchTicket(ADMIN, parent.id, { status: "IN_PROGRESS" });
+  const res = await api.patchTicket(ADMIN, parent.id, { status: "RESOLVED", cascade: true });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.cascaded, [child.id]);
+  assert.equal((await api.store.tickets.findById(child.id)).status, "RESOLVED");
+});
@@ -0,0 +1,195 @@
+// Email notifications: recipients and preferences, digest batching and
+// retries, audit wording, and the watcher / preference routes.
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createNotifier } = require("../src/notifications");
+const { formatAuditMessage } = require("../src/tickets/auditMessages");
+const { createStore } = require("../src/store");
+
+const ADMIN = "admin@example.com";
+
+function fakeMailer({ failures = 0 } = {}) {
+  const sent = [];
+  return {
+    sent,
+    async send(message) {
+      if (failures-- > 0) throw new Error("SMTP unavailable");
+      sent.push(message);
+      return { messageId: `m-${sent.length}` };
+    },
+  };
+}
+
+async function setup({ digestMinutes = 5, failures } = {}) {
+  const store = createStore({ backend: "memory" });
+  const mailer = fakeMailer({ failures });
+  const notifier = createNotifier({ store, mailer, digestMinutes, appUrl: "https://help.example.com/" });
+  const user = (email) => store.users.create({ email, name: email.split("@")[0], role: "REQUESTER" });
+  const requester = await user("req@example.com");
+  const agent = await user("agent@example.com");
+  const watcher = await user("w@example.com");
+  const ticket = await store.tickets.create(
+    { title: "VPN down", status: "OPEN", requester_user_id: requester.id, assignee_user_id: agent.id },
+    "*"
+  );
+  await store.watchers.add(ticket.id, watcher.id);
+  return { store, mailer, notifier, ticket, requester, agent, watcher };
+}
+
+const statusChange = (actorId) => ({
+  action: "STATUS_CHANGED",
+  field_name: "status",
+  old_value: "OPEN",
+  new_value: "IN_PROGRESS",
+  actor_id: actorId,
+});
+
+test("requester, assignee and watchers are notified, never the actor", async () => {
+  const { store, notifier, ticket, requester, agent, watcher } = await setup();
+
+  assert.equal(await notifier.enqueue({ ticket, audits: [statusChange(agent.id)] }), 2);
+  const pending = await store.notifications.listPending();
+  assert.deepEqual(pending.map((n) => n.user_id).sort(), [requester.id, watcher.id].sort());
+  assert.equal(pending[0].message, "Status changed: OPEN → IN_PROGRESS");
+
+  // events outside the configured list are ignored
+  assert.equal(await notifier.enqueue({ ticket, audits: [{ action: "SLA_AT_RISK", actor_id: null }] }), 0);
+});
+
+test("muted events and disabled email are respected", async () => {
+  const { store, notifier, ticket, requester, agent, watcher } = await setup();
+  await store.notificationPreferences.set(requester.id, { email_enabled: false });
+  await store.notificationPreferences.set(watcher.id, { muted_events: ["COMMENT_ADDED"] });
+
+  const queued = await notifier.enqueue({
+    ticket,
+    audits: [statusChange(null), { action: "COMMENT_ADDED", actor_id: null }],
+    comment: { body: "On it" },
+  });
+
+  assert.equal(queued, 3);
+  const rows = await store.notifications.listPending();
+  assert.deepEqual(
+    rows.map((n) => [n.user_id === agent.id ? "agent" : "watcher", n.event]).sort(),
+    [
+      ["agent", "COMMENT_ADDED"],
+      ["agent", "STATUS_CHANGED"],
+      ["watcher", "STATUS_CHANGED"],
+    ]
+  );
+  assert.equal(rows.find((n) => n.event === "COMMENT_ADDED").detail, "On it");
+});
+
+test("pending rows are mailed as one digest per user once the oldest is due", async () => {
+  const { store, mailer, notifier, ticket, agent } = await setup({ digestMinutes: 5 });
+  const priorityChange = { action: "PRIORITY_CHANGED", old_value: "LOW", new_value: "HIGH" };
+  await notifier.enqueue({ ticket, audits: [statusChange(agent.id), priorityChange] });
+
+  assert.deepEqual(await notifier.flush(new Date()), { sent: 0, failed: 0 });
+  assert.equal(mailer.sent.length, 0);
+
+  const later = new Date(Date.now() + 6 * 60 * 1000);
+  assert.deepEqual(await notifier.flush(later), { sent: 3, failed: 0 });
+
+  const toRequester = mailer.sent.find((m) => m.to === "req@example.com");
+  assert.equal(toRequester.subject, `[Ticket ${ticket.id.slice(0, 8)}] VPN down: 2 updates`);
+  assert.match(toRequester.text, /  - Status changed: OPEN → IN_PROGRESS\n  - Priority changed: LOW → HIGH/);
+  assert.match(toRequester.text, new RegExp(`https://help.example.com/tickets/${ticket.id}`));
+  // the agent made the status change, so only hears about the priority
+  assert.match(mailer.sent.find((m) => m.to === "agent@example.com").subject, /: Priority changed: LOW → HIGH$/);
+
+  assert.equal((await store.notifications.listPending()).length, 0);
+  assert.deepEqual(await notifier.flush(later), { sent: 0, failed: 0 });
+});
+
+test("failed sends stay pending and are dropped after five attempts", async () => {
+  const { store, notifier, requester } = await setup({ digestMinutes: 0, failures: 5 });
+  const ticket = await store.tickets.create({ title: "Badge", status: "OPEN", requester_user_id: requester.id }, "*");
+  await notifier.enqueue({ ticket, audits: [statusChange(null)] });
+
+  for (let i = 1; i <= 4; i++) {
+    assert.deepEqual(await notifier.flush(), { sent: 0, failed: 1 });
+    const [row] = await store.notifications.listPending();
+    assert.equal(row.attempts, i);
+    assert.equal(row.last_error, "SMTP unavailable");
+  }
+  await notifier.flush();
+  assert.equal((await store.notifications.listPending()).length, 0);
+});
+
+test("audit rows read as sentences", () => {
+  assert.equal(formatAuditMessage({ action: "SLA_PAUSED", new_value: "95" }), "SLA paused (1h 35m business time left)");
+  const breach = {
+    action: "SLA_BREACHED",
+    field_name: "first_response_status",
+    old_value: "AT_RISK",
+    new_value: "BREACHED",
+  };
+  assert.equal(formatAuditMessage(breach), "First-response SLA breached (AT_RISK → BREACHED)");
+  assert.equal(
+    formatAuditMessage({ action: "SLA_ESCALATED", field_name: "assigned_team", old_value: "IT", new_value: "Ops" }),
+    "Escalated: team IT → Ops"
+  );
+  assert.equal(
+    formatAuditMessage({ action: "SLA_ESCALATED", field_name: "notify", new_value: "lead@example.com" }),
+    "Escalated: notified lead@example.com"
+  );
+  assert.equal(formatAuditMessage({ action: "CUSTOM" }), "CUSTOM");
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+
+test("notification preferences are validated and saved per user", async () => {
+  const initial = await api.call("pref@example.com", "GET", "/api/me/notifications");
+  assert.deepEqual(initial.body.preferences, { emailEnabled: true, mutedEvents: [] });
+
+  const bad = await api.call("pref@example.com", "PUT", "/api/me/notifications", { body: { mutedEvents: ["NOPE"] } });
+  assert.equal(bad.status, 400);
+  const notBool = await api.call("pref@example.com", "PUT", "/api/me/notifications", { body: { emailEnabled: "no" } });
+  assert.equal(notBool.status, 400);
+
+  const saved = await api.call("pref@example.com", "PUT", "/api/me/notifications", {
+    body: { mutedEvents: ["comment_added", "COMMENT_ADDED"] },
+  });
+  assert.deepEqual(saved.body.preferences, { emailEnabled: true, mutedEvents: ["COMMENT_ADDED"] });
+});
+
+test("watchers: requesters watch for themselves, staff add others who can see the ticket", async () => {
+  const created = await api.call("owner@example.com", "POST", "/api/tickets", {
+    body: { title: "Monitor flickers", description: "Second screen flickers" },
+  });
+  const id = created.body.id;
+  await api.call("outsider@example.com", "GET", "/api/me/notifications");
+
+  const self = await api.call("owner@example.com", "POST", `/api/tickets/${id}/watchers`, { body: {} });
+  assert.equal(self.status, 201);
+
+  const forbidden = await api.call("owner@example.com", "POST", `/api/tickets/${id}/watchers`, {
+    body: { email: "admin@example.com" },
+  });
+  assert.equal(forbidden.status, 403);
+
+  const blind = await api.call(ADMIN, "POST", `/api/tickets/${id}/watchers`, {
+    body: { email: "outsider@example.com" },
+  });
+  assert.equal(blind.status, 400);
+  assert.equal((await api.call("outsider@example.com", "GET", `/api/tickets/${id}/watchers`)).status, 403);
+
+  const { body } = await api.call(ADMIN, "GET", `/api/tickets/${id}/watchers`);
+  assert.deepEqual(body.watchers.map((w) => w.email), ["owner@example.com"]);
+
+  // an admin's change reaches the requester right away (no digest delay here)
+  await api.patchTicket(ADMIN, id, { status: "IN_PROGRESS" });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const captured = await api.call(ADMIN, "GET", "/api/admin/notifications/captured");
+  assert.equal(captured.body.transport, "capture");
+  assert.ok(captured.body.messages.some((m) => m.to === "owner@example.com" && /IN_PROGRESS/.test(m.subject)));
+
+  assert.equal((await api.call("owner@example.com", "DELETE", `/api/tickets/${id}/watchers/me`)).status, 200);
+  assert.equal((await api.call("owner@example.com", "DELETE", `/api/tickets/${id}/watchers/me`)).status, 404);
+});
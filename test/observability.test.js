@@ -0,0 +1,192 @@
+// Observability: structured log lines with request context, the Prometheus
+// registry, request ids, /metrics and the /ready probe.
+process.env.METRICS_TOKEN = "metrics-secret";
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createLogger, withLogContext } = require("../src/observability/logger");
+const { createMetricsRegistry } = require("../src/observability/metrics");
+const { observabilityRoutes } = require("../src/routes/observability");
+
+// Lines the logger writes while fn runs: { stdout, stderr }
+function captureLines(fn) {
+  const lines = { stdout: [], stderr: [] };
+  const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+  for (const stream of ["stdout", "stderr"]) {
+    process[stream].write = (chunk) => lines[stream].push(String(chunk)) > 0;
+  }
+  try {
+    fn();
+  } finally {
+    Object.assign(process.stdout, { write: writes.stdout });
+    Object.assign(process.stderr, { write: writes.stderr });
+  }
+  return lines;
+}
+
+test("log lines are JSON with the level, context and expanded errors", () => {
+  const logger = createLogger({ level: "info", base: { service: "helpdesk" } });
+  const err = Object.assign(new Error("connection reset"), { code: "ECONNRESET" });
+
+  const { stdout, stderr } = captureLines(() => {
+    logger.debug("hidden");
+    withLogContext({ requestId: "req-1" }, () => logger.child({ job: "sla_check" }).info("SLA check", { checked: 3 }));
+    logger.error("Webhook publish failed", { ticketId: "t1", err });
+  });
+
+  assert.equal(stdout.length, 1);
+  const info = JSON.parse(stdout[0]);
+  assert.match(info.time, /^\d{4}-\d{2}-\d{2}T/);
+  assert.deepEqual(
+    { ...info, time: undefined },
+    {
+      time: undefined,
+      level: "info",
+      msg: "SLA check",
+      service: "helpdesk",
+      job: "sla_check",
+      requestId: "req-1",
+      checked: 3,
+    }
+  );
+  const error = JSON.parse(stderr[0]);
+  assert.deepEqual(
+    [error.error, error.errorCode, error.ticketId, error.err],
+    ["connection reset", "ECONNRESET", "t1", undefined]
+  );
+});
+
+test("the pretty format is one readable line", () => {
+  const logger = createLogger({ format: "pretty" });
+  const { stdout } = captureLines(() => logger.info("Bulk change", { by: "a@b.c", total: 2 }));
+  assert.match(stdout[0], /^\S+ INFO  Bulk change by=a@b\.c total=2\n$/);
+});
+
+test("the registry renders counters, gauges and histograms in the text format", async () => {
+  const registry = createMetricsRegistry();
+  const jobs = registry.counter("job_runs_total", "Job runs", { labels: ["job"] });
+  const open = registry.gauge("tickets_open", "Open tickets", { labels: ["team"] });
+  const latency = registry.histogram("latency_seconds", "Latency", { buckets: [1, 0.1] });
+  registry.collect(async () => open.reset([[{ team: 'Say "hi"\n' }, 4]]));
+
+  jobs.inc({ job: "sla_check" });
+  jobs.inc({ job: "sla_check" }, 2);
+  open.set({ team: "gone" }, 9);
+  latency.observe({}, 0.05);
+  latency.observe({}, 3);
+
+  assert.equal(
+    await registry.render(),
+    [
+      "# HELP job_runs_total Job runs",
+      "# TYPE job_runs_total counter",
+      'job_runs_total{job="sla_check"} 3',
+      "# HELP tickets_open Open tickets",
+      "# TYPE tickets_open gauge",
+      'tickets_open{team="Say \\"hi\\"\\n"} 4',
+      "# HELP latency_seconds Latency",
+      "# TYPE latency_seconds histogram",
+      'latency_seconds_bucket{le="0.1"} 1',
+      'latency_seconds_bucket{le="1"} 1',
+      'latency_seconds_bucket{le="+Inf"} 2',
+      "latency_seconds_sum 3.05",
+      "latency_seconds_count 2",
+      "",
+    ].join("\n")
+  );
+});
+
+// The probe routes on their own, with stand-ins for the store and the triage engine
+async function probeServer({ ping, aiPing }) {
+  let aiChecks = 0;
+  const app = express().use(
+    observabilityRoutes({
+      store: { health: { ping } },
+      triageEngine: {
+        providers: ["gemini", "rules"],
+        check: async () => {
+          aiChecks += 1;
+          return [await aiPing()];
+        },
+      },
+      registry: createMetricsRegistry(),
+      aiCheckSeconds: 60,
+      timeoutMs: 100,
+    })
+  );
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const ready = async () => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/ready`);
+    return { status: res.status, body: await res.json() };
+  };
+  return { ready, aiChecks: () => aiChecks, close: () => server.close() };
+}
+
+test("/ready fails on the database only; a failing AI provider marks it degraded", async () => {
+  const up = { provider: "gemini", ok: true, latencyMs: 5, error: null };
+  const down = { provider: "gemini", ok: false, latencyMs: 5, error: "503 from Gemini" };
+  const healthy = await probeServer({ ping: async () => {}, aiPing: async () => up });
+  try {
+    const { status, body } = await healthy.ready();
+    assert.equal(status, 200);
+    assert.deepEqual([body.ready, body.degraded, body.checks.database.ok], [true, false, true]);
+    // the AI check is cached for aiCheckSeconds
+    await healthy.ready();
+    assert.equal(healthy.aiChecks(), 1);
+  } finally {
+    healthy.close();
+  }
+
+  const hung = await probeServer({ ping: () => new Promise(() => {}), aiPing: async () => down });
+  try {
+    const { status, body } = await hung.ready();
+    assert.equal(status, 503);
+    assert.deepEqual([body.ready, body.degraded], [false, true]);
+    assert.equal(body.checks.database.error, "no answer within 100ms");
+    assert.deepEqual(body.checks.ai, [down]);
+  } finally {
+    hung.close();
+  }
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+
+test("every response carries a request id; well-formed caller ids are kept", async () => {
+  const generated = await api.call(null, "GET", "/health");
+  assert.match(generated.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+
+  const kept = await api.call(null, "GET", "/health", { headers: { "X-Request-Id": "lb-1234.5" } });
+  assert.equal(kept.headers.get("x-request-id"), "lb-1234.5");
+  const injected = await api.call(null, "GET", "/health", { headers: { "X-Request-Id": "x\tlevel=error" } });
+  assert.notEqual(injected.headers.get("x-request-id"), "x\tlevel=error");
+});
+
+test("/metrics needs the token and labels requests by route template", async () => {
+  const { body } = await api.call("ana@example.com", "POST", "/api/tickets", {
+    body: { title: "VPN down", description: "Cannot connect to the VPN" },
+  });
+  await api.call("ana@example.com", "GET", `/api/tickets/${body.id}`);
+
+  assert.equal((await api.call(null, "GET", "/metrics")).status, 401);
+  assert.equal((await api.call(null, "GET", "/metrics", { headers: { Authorization: "Bearer nope" } })).status, 401);
+  const res = await api.call(null, "GET", "/metrics", { headers: { Authorization: "Bearer metrics-secret" } });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+  const count = 'http_request_duration_seconds_count{method="GET",route="/api/tickets/:id",status="200"} 1';
+  assert.ok(res.body.split("\n").includes(count));
+  assert.ok(!res.body.includes(body.id));
+  assert.match(res.body, /^tickets_open\{team="IT Support"\} 1$/m);
+  assert.match(res.body, /^triage_attempts_total\{provider="rules",outcome="ok"\} 1$/m);
+});
+
+test("/ready answers 200 with the memory store and rules-only triage", async () => {
+  const res = await api.call(null, "GET", "/ready");
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.ready, res.body.degraded, res.body.checks.ai], [true, false, []]);
+});
@@ -0,0 +1,229 @@
+// Ticket intake limits: limit parsing, fixed-window counters (memory and
+// Redis), the 429 middleware and the request-size caps.
+Object.assign(process.env, {
+  RATE_LIMIT_TICKETS_PER_IP: "5/1h",
+  RATE_LIMIT_TICKETS_PER_EMAIL: "2/1h",
+  JSON_BODY_LIMIT: "2kb",
+  TICKET_TITLE_MAX_CHARS: "40",
+  INBOUND_EMAIL_SECRET: "inbound-secret",
+  TRUST_PROXY: "1",
+});
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { createRateLimiter, parseLimit } = require("../src/ratelimit");
+const { createMemoryCounters, createRedisCounters, createRateLimitCounters } = require("../src/ratelimit/store");
+
+const HOUR = 60 * 60 * 1000;
+
+test("limits are <count>/<window>; empty, 0 and off disable them", () => {
+  assert.deepEqual(parseLimit("20/1h"), { limit: 20, windowMs: HOUR });
+  assert.deepEqual(parseLimit(" 5 / 30S "), { limit: 5, windowMs: 30 * 1000 });
+  assert.deepEqual(parseLimit("100/d"), { limit: 100, windowMs: 24 * HOUR });
+  for (const off of [undefined, "", "0", "off"]) assert.equal(parseLimit(off), null);
+  assert.throws(() => parseLimit("20 per hour", "RATE_LIMIT_X"), /^Error: Invalid RATE_LIMIT_X "20 per hour"/);
+  assert.throws(() => parseLimit("0/1h"), /Invalid rate limit/);
+});
+
+test("memory counters count per key within a window, then start over", async () => {
+  const counters = createMemoryCounters();
+  const first = await counters.hit("a", 50);
+  assert.equal(first.count, 1);
+  assert.equal((await counters.hit("a", 50)).count, 2);
+  assert.equal((await counters.hit("b", 50)).count, 1);
+
+  const again = await counters.hit("a", 50);
+  assert.equal(again.resetAt, first.resetAt);
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.equal((await counters.hit("a", 50)).count, 1);
+});
+
+test("hit() reports what is left; ids are case-insensitive", async () => {
+  const limiter = createRateLimiter({
+    counters: createMemoryCounters(),
+    rules: { perEmail: { limit: 2, windowMs: HOUR }, off: null },
+  });
+
+  assert.deepEqual(
+    [await limiter.hit("perEmail", "Ana@Example.com"), await limiter.hit("perEmail", "ana@example.com")].map(
+      (r) => [r.allowed, r.remaining]
+    ),
+    [
+      [true, 1],
+      [true, 0],
+    ]
+  );
+  assert.equal((await limiter.hit("perEmail", "ana@example.com")).allowed, false);
+  assert.equal((await limiter.hit("perEmail", "bo@example.com")).allowed, true);
+  assert.deepEqual(await limiter.hit("off", "ana@example.com"), {
+    allowed: true,
+    limit: null,
+    remaining: null,
+    resetAt: null,
+  });
+});
+
+test("a counter store outage lets requests through", async () => {
+  const limiter = createRateLimiter({
+    counters: { hit: async () => Promise.reject(new Error("connection refused")) },
+    rules: { perIp: { limit: 1, windowMs: HOUR } },
+  });
+  assert.deepEqual(await limiter.hit("perIp", "10.0.0.1"), {
+    allowed: true,
+    limit: null,
+    remaining: null,
+    resetAt: null,
+  });
+});
+
+test("the counter store is memory or a redis:// URL", () => {
+  assert.equal(createRateLimitCounters({ backend: "memory" }).name, "memory");
+  assert.equal(createRateLimitCounters({ backend: "Redis", url: "redis://127.0.0.1:6379" }).name, "redis");
+  assert.throws(() => createRateLimitCounters({ backend: "memcached" }), /Unknown RATE_LIMIT_STORE "memcached"/);
+  assert.throws(() => createRedisCounters({}), /RATE_LIMIT_REDIS_URL is required/);
+  assert.throws(() => createRedisCounters({ url: "http://cache:6379" }), /must be a redis:\/\/ or rediss:\/\/ URL/);
+});
+
+// Just enough of a RESP server for the hit script: EVAL counts per key,
+// everything else is +OK. `silent` stops answering; drop() cuts every client.
+function fakeRedis() {
+  const counts = new Map();
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let buffered = "";
+    socket.on("data", (chunk) => {
+      buffered += chunk.toString("utf8");
+      // Commands arrive as *<n>\r\n($<len>\r\n<arg>\r\n)*n
+      for (;;) {
+        const lines = buffered.split("\r\n");
+        const n = Number(lines[0]?.slice(1));
+        if (!n || lines.length < 1 + 2 * n + 1) return;
+        const args = [];
+        for (let i = 0; i < n; i++) args.push(lines[2 + 2 * i]);
+        buffered = lines.slice(1 + 2 * n).join("\r\n");
+        if (fake.silent) continue;
+        if (args[0].toUpperCase() === "EVAL") {
+          const key = args[3];
+          counts.set(key, (counts.get(key) || 0) + 1);
+          socket.write(`*2\r\n:${counts.get(key)}\r\n:${args[4]}\r\n`);
+        } else {
+          socket.write("+OK\r\n");
+        }
+      }
+    });
+  });
+  const fake = {
+    counts,
+    silent: false,
+    listen: () => new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port))),
+    drop: () => sockets.forEach((s) => s.destroy()),
+    close: () => {
+      fake.drop();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+  return fake;
+}
+
+test("redis counters share one window per key and fail fast while disconnected", async () => {
+  const fake = fakeRedis();
+  const port = await fake.listen();
+  const counters = createRedisCounters({ url: `redis://127.0.0.1:${port}`, prefix: "t:", timeoutMs: 300 });
+  try {
+    const first = await counters.hit("ticketsPerIp:10.0.0.1", HOUR);
+    assert.equal(first.count, 1);
+    assert.ok(first.resetAt > Date.now() + HOUR - 5000);
+    assert.equal((await counters.hit("ticketsPerIp:10.0.0.1", HOUR)).count, 2);
+    assert.equal(fake.counts.get("t:ticketsPerIp:10.0.0.1"), 2);
+
+    // no queueing while the connection is down; back once it reconnects
+    fake.drop();
+    await new Promise((resolve) => setImmediate(resolve));
+    const started = Date.now();
+    await assert.rejects(counters.hit("ticketsPerIp:10.0.0.1", HOUR));
+    assert.ok(Date.now() - started < 300);
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    assert.equal((await counters.hit("ticketsPerIp:10.0.0.1", HOUR)).count, 3);
+
+    fake.silent = true;
+    await assert.rejects(counters.hit("ticketsPerIp:10.0.0.1", HOUR), /Redis EVAL took longer than 300ms/);
+  } finally {
+    await counters.close();
+    await fake.close();
+  }
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+
+const file = (email, body = { title: "Laptop broken", description: "It will not boot" }) =>
+  api.call(email, "POST", "/api/tickets", { body });
+
+test("ticket intake is limited per requester email and per client IP", async () => {
+  const first = await file("ana@example.com");
+  assert.equal(first.status, 201);
+  assert.equal(first.headers.get("ratelimit-limit"), "2");
+  assert.equal(first.headers.get("ratelimit-remaining"), "1");
+  assert.equal((await file("ana@example.com")).status, 201);
+
+  const limited = await file("ana@example.com");
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error, "Too many requests, please try again later");
+  assert.ok(limited.body.retryAfter > 3500 && limited.body.retryAfter <= 3600);
+  assert.equal(limited.headers.get("retry-after"), String(limited.body.retryAfter));
+
+  // five requests from this IP so far (refused ones count too)
+  assert.equal((await file("bo@example.com")).status, 201);
+  assert.equal((await file("bo@example.com")).status, 201);
+  const byIp = await file("cy@example.com");
+  assert.equal(byIp.status, 429);
+  assert.equal(byIp.headers.get("ratelimit-limit"), "5");
+});
+
+test("mailed tickets count against the sender's limit", async () => {
+  const deliver = (n) =>
+    fetch(`${api.baseUrl}/api/inbound/email`, {
+      method: "POST",
+      headers: { "Content-Type": "message/rfc822", "X-Inbound-Secret": "inbound-secret" },
+      body: [
+        "From: Dee <dee@example.com>",
+        "To: help@example.com",
+        `Subject: Printer jam ${n}`,
+        `Message-ID: <jam-${n}@mail>`,
+        "",
+        "Paper stuck again.",
+      ].join("\r\n"),
+    }).then((res) => res.json());
+
+  assert.equal((await deliver(1)).outcome, "TICKET_CREATED");
+  assert.equal((await deliver(2)).outcome, "TICKET_CREATED");
+  assert.deepEqual(await deliver(3), {
+    outcome: "REJECTED",
+    reason: "sender rate limit exceeded",
+    ticketId: null,
+  });
+});
+
+test("oversized bodies and titles are refused; X-Forwarded-For counts behind a proxy", async () => {
+  // TRUST_PROXY=1: the client IP is the proxy's X-Forwarded-For entry
+  const from = (ip) => ({ "X-Forwarded-For": ip });
+  const tooLarge = await api.call("ed@example.com", "POST", "/api/tickets", {
+    body: { title: "Laptop broken", description: "x".repeat(3000) },
+    headers: from("10.0.0.7"),
+  });
+  assert.equal(tooLarge.status, 413);
+  assert.deepEqual(tooLarge.body, { error: "request body too large (max 2kb)" });
+
+  const longTitle = await api.call("ed@example.com", "POST", "/api/tickets", {
+    body: { title: "t".repeat(41), description: "d" },
+    headers: from("10.0.0.7"),
+  });
+  assert.deepEqual([longTitle.status, longTitle.body], [400, { error: "title must be at most 40 characters" }]);
+  assert.equal(longTitle.headers.get("ratelimit-remaining"), "1");
+});
@@ -0,0 +1,112 @@
+// ADMIN API for business calendars, team calendars and SLA policies.
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const ADMIN = "admin@example.com";
+const nineToFive = [{ start: "09:00", end: "17:00" }];
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+
+test("calendar admin is ADMIN only", async () => {
+  assert.equal((await api.call("requester@example.com", "GET", "/api/admin/calendars")).status, 403);
+});
+
+test("invalid calendars are rejected with the reason", async () => {
+  const { status, body } = await api.call(ADMIN, "POST", "/api/admin/calendars", {
+    body: { name: "Bad", timezone: "Europe/London", workingHours: { mon: [{ start: "18:00", end: "09:00" }] } },
+  });
+  assert.equal(status, 400);
+  assert.match(body.error, /start < end/);
+});
+
+test("a team calendar and policy drive the preview due date", async () => {
+  const created = await api.call(ADMIN, "POST", "/api/admin/calendars", {
+    body: {
+      name: "London office",
+      timezone: "Europe/London",
+      workingHours: { mon: nineToFive, tue: nineToFive, wed: nineToFive, thu: nineToFive, fri: nineToFive },
+      holidays: ["2026-03-09"],
+    },
+  });
+  assert.equal(created.status, 201);
+  const calendarId = created.body.calendar.id;
+
+  const assigned = await api.call(ADMIN, "PUT", "/api/admin/teams/IT%20Support/calendar", { body: { calendarId } });
+  assert.equal(assigned.status, 200);
+
+  const policy = await api.call(ADMIN, "PUT", "/api/admin/sla-policies", {
+    body: { team: "IT Support", priority: "high", targetValue: 2, targetUnit: "hours" },
+  });
+  assert.equal(policy.status, 200);
+  assert.equal(policy.body.policy.target_unit, "HOURS");
+
+  const preview = await api.call(
+    ADMIN,
+    "GET",
+    "/api/admin/sla-policies/preview?team=IT%20Support&priority=HIGH&from=2026-03-06T16:00:00Z"
+  );
+  assert.equal(preview.status, 200);
+  assert.equal(preview.body.calendar.id, calendarId);
+  // Friday 16:00 + 2h, Monday is a holiday -> Tuesday 10:00
+  assert.equal(preview.body.dueAt, "2026-03-10T10:00:00.000Z");
+
+  const listed = await api.call(ADMIN, "GET", "/api/admin/calendars");
+  assert.deepEqual(listed.body.calendars.find((c) => c.id === calendarId).teams, ["IT Support"]);
+});
+
+test("policy bodies are validated", async () => {
+  const bad = (body) => api.call(ADMIN, "PUT", "/api/admin/sla-policies", { body });
+
+  assert.equal((await bad({ priority: "URGENT", targetValue: 1, targetUnit: "DAYS" })).status, 400);
+  assert.equal((await bad({ priority: "LOW", targetValue: 1, targetUnit: "WEEKS" })).status, 400);
+  assert.equal((await bad({ priority: "LOW", targetValue: 0, targetUnit: "DAYS" })).status, 400);
+});
+
+test("escalation rules are validated and stored", async () => {
+  const post = (body) => api.call(ADMIN, "POST", "/api/admin/escalation-rules", { body });
+
+  assert.match((await post({ trigger: "LATE", action: "NOTIFY", notifyEmail: "a@example.com" })).body.error, /trigger/);
+  assert.match((await post({ trigger: "BREACHED", action: "REASSIGN" })).body.error, /targetTeam is required/);
+  assert.match((await post({ trigger: "BREACHED", action: "NOTIFY" })).body.error, /notifyEmail is required/);
+
+  const created = await post({ trigger: "at_risk", action: "bump_priority", slaType: "first_response" });
+  assert.equal(created.status, 201);
+  assert.deepEqual(
+    [created.body.rule.trigger, created.body.rule.action, created.body.rule.sla_type, created.body.rule.enabled],
+    ["AT_RISK", "BUMP_PRIORITY", "FIRST_RESPONSE", true]
+  );
+
+  const disabled = await api.call(ADMIN, "PATCH", `/api/admin/escalation-rules/${created.body.rule.id}`, {
+    body: { enabled: false },
+  });
+  assert.equal(disabled.body.rule.enabled, false);
+  assert.equal(disabled.body.rule.trigger, "AT_RISK");
+
+  assert.equal((await api.call(ADMIN, "DELETE", `/api/admin/escalation-rules/${created.body.rule.id}`)).status, 200);
+  assert.equal((await api.call(ADMIN, "DELETE", `/api/admin/escalation-rules/${created.body.rule.id}`)).status, 404);
+});
+
+test("new tickets get a first-response clock that staff replies stop", async () => {
+  const created = await api.call("requester@example.com", "POST", "/api/tickets", {
+    body: { title: "Payslip missing", description: "My March payslip is missing" },
+  });
+  const id = created.body.id;
+
+  let ticket = await api.store.tickets.findById(id);
+  assert.equal(ticket.first_response_status, "ON_TRACK");
+  assert.ok(ticket.first_response_due_at < ticket.sla_due_at);
+
+  // the requester's own comment is not a response
+  await api.patchTicket("requester@example.com", id, { comment: "Any news?" });
+  assert.equal((await api.store.tickets.findById(id)).first_responded_at ?? null, null);
+
+  await api.patchTicket(ADMIN, id, { comment: "Looking into it" });
+  ticket = await api.store.tickets.findById(id);
+  assert.equal(ticket.first_response_status, "MET");
+  assert.ok(ticket.first_responded_at);
+});
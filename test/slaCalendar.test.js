@@ -0,0 +1,116 @@
+// Business-calendar due-date math and SLA policy / calendar resolution.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_CALENDAR,
+  addBusinessMinutes,
+  businessDayMinutes,
+  validateCalendar,
+} = require("../src/sla/calendar");
+const { createSlaService } = require("../src/sla/policy");
+const { createStore } = require("../src/store");
+
+const nineToFive = [{ start: "09:00", end: "17:00" }];
+const LONDON = {
+  name: "London office",
+  timezone: "Europe/London",
+  working_hours: { mon: nineToFive, tue: nineToFive, wed: nineToFive, thu: nineToFive, fri: nineToFive },
+  holidays: [],
+};
+
+test("time outside the working windows does not count", () => {
+  // Friday 16:00 + 2h -> 1h on Friday, 1h on Monday morning
+  assert.equal(addBusinessMinutes("2026-03-06T16:00:00.000Z", 120, LONDON), "2026-03-09T10:00:00.000Z");
+  // before opening: the clock starts at 09:00
+  assert.equal(addBusinessMinutes("2026-03-09T06:00:00.000Z", 30, LONDON), "2026-03-09T09:30:00.000Z");
+  // landing exactly on closing time stays on that day
+  assert.equal(addBusinessMinutes("2026-03-09T09:00:00.000Z", 480, LONDON), "2026-03-09T17:00:00.000Z");
+});
+
+test("holidays are skipped", () => {
+  const calendar = { ...LONDON, holidays: ["2026-03-09", { date: "2026-03-10", name: "Bridge day" }] };
+  assert.equal(addBusinessMinutes("2026-03-06T16:00:00.000Z", 120, calendar), "2026-03-11T10:00:00.000Z");
+});
+
+test("windows are read in the calendar's time zone across DST", () => {
+  // UK clocks go forward on 2026-03-29: Monday 09:30 BST is 08:30 UTC
+  assert.equal(addBusinessMinutes("2026-03-27T16:30:00.000Z", 60, LONDON), "2026-03-30T08:30:00.000Z");
+
+  const newYork = { ...LONDON, timezone: "America/New_York" };
+  // Monday 09:00 EST is 14:00 UTC
+  assert.equal(addBusinessMinutes("2026-01-05T12:00:00.000Z", 60, newYork), "2026-01-05T15:00:00.000Z");
+});
+
+test("split days (lunch break) count only the windows", () => {
+  const calendar = {
+    name: "Split",
+    timezone: "UTC",
+    working_hours: { mon: [{ start: "13:00", end: "17:00" }, { start: "09:00", end: "12:00" }] },
+  };
+  assert.equal(addBusinessMinutes("2026-03-09T11:00:00.000Z", 120, calendar), "2026-03-09T14:00:00.000Z");
+});
+
+test("the default calendar counts whole weekdays", () => {
+  // Friday noon + 1 business day -> Monday noon
+  assert.equal(addBusinessMinutes("2026-03-06T12:00:00.000Z", 24 * 60), "2026-03-09T12:00:00.000Z");
+  assert.equal(businessDayMinutes(DEFAULT_CALENDAR), 24 * 60);
+});
+
+test("a calendar without working time fails instead of looping", () => {
+  assert.throws(
+    () => addBusinessMinutes("2026-03-06T12:00:00.000Z", 60, { name: "Closed", timezone: "UTC", working_hours: {} }),
+    /calendar "Closed" has no working time/
+  );
+});
+
+test("a business day is hours_per_day, else the longest working day", () => {
+  assert.equal(businessDayMinutes(LONDON), 480);
+  assert.equal(businessDayMinutes({ ...LONDON, hours_per_day: 7.5 }), 450);
+});
+
+test("calendar bodies are validated", () => {
+  assert.equal(validateCalendar(LONDON), null);
+  assert.match(validateCalendar({ ...LONDON, timezone: "Mars/Olympus" }), /IANA time zone/);
+  assert.match(validateCalendar({ ...LONDON, working_hours: { funday: nineToFive } }), /unknown day "funday"/);
+  assert.match(
+    validateCalendar({ ...LONDON, working_hours: { mon: [{ start: "17:00", end: "09:00" }] } }),
+    /start < end/
+  );
+  assert.match(validateCalendar({ ...LONDON, working_hours: { mon: [] } }), /at least one window/);
+  assert.match(validateCalendar({ ...LONDON, holidays: ["25/12/2026"] }), /YYYY-MM-DD/);
+  assert.match(validateCalendar({ ...LONDON, hours_per_day: 25 }), /hoursPerDay/);
+});
+
+test("policy and calendar resolution: team row, all-teams row, defaults", async () => {
+  const store = createStore({ backend: "memory" });
+  const sla = createSlaService({ store });
+
+  // nothing configured: 1 business day on the default calendar
+  const fallback = await sla.computeDueAt({
+    team: "IT Support",
+    priority: "HIGH",
+    fromIso: "2026-03-06T12:00:00.000Z",
+  });
+  assert.equal(fallback.dueAt, "2026-03-09T12:00:00.000Z");
+  assert.equal(fallback.calendar.id, null);
+
+  const london = await store.calendars.create({ ...LONDON, is_default: false });
+  await store.teamCalendars.set("IT Support", london.id);
+  await store.slaPolicies.upsert({ team: null, priority: "HIGH", target_value: 4, target_unit: "HOURS" });
+  await store.slaPolicies.upsert({ team: "IT Support", priority: "HIGH", target_value: 2, target_unit: "HOURS" });
+
+  const it = await sla.computeDueAt({ team: "IT Support", priority: "HIGH", fromIso: "2026-03-06T16:00:00.000Z" });
+  assert.equal(it.policy.team, "IT Support");
+  assert.equal(it.calendar.id, london.id);
+  assert.equal(it.dueAt, "2026-03-09T10:00:00.000Z");
+
+  // other teams: the all-teams row on the default (24h weekday) calendar
+  const hr = await sla.computeDueAt({ team: "HR / People Ops", priority: "HIGH", fromIso: "2026-03-06T16:00:00.000Z" });
+  assert.equal(hr.policy.team, null);
+  assert.equal(hr.dueAt, "2026-03-06T20:00:00.000Z");
+
+  // DAYS targets use the calendar's business day (8h in London)
+  await store.slaPolicies.upsert({ team: "IT Support", priority: "LOW", target_value: 1, target_unit: "DAYS" });
+  const low = await sla.computeDueAt({ team: "IT Support", priority: "LOW", fromIso: "2026-03-09T09:00:00.000Z" });
+  assert.equal(low.dueAt, "2026-03-09T17:00:00.000Z");
+});
@@ -0,0 +1,156 @@
+// SLA monitor: AT_RISK / BREACHED transitions for both clocks, their audit
+// entries, and escalation rules.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createSlaMonitor } = require("../src/sla/monitor");
+const { createSlaService } = require("../src/sla/policy");
+const { createStore } = require("../src/store");
+
+// A Tuesday: the default calendar counts the whole day
+const NOW = "2026-03-10T12:00:00.000Z";
+const minutesFromNow = (m) => new Date(Date.parse(NOW) + m * 60000).toISOString();
+
+function setup({ notify } = {}) {
+  const store = createStore({ backend: "memory" });
+  const sla = createSlaService({ store });
+  const monitor = createSlaMonitor({ store, sla, atRiskPercent: 75, notify });
+  return { store, monitor };
+}
+
+function openTicket(store, fields = {}) {
+  return store.tickets.create(
+    {
+      title: "VPN down",
+      status: "IN_PROGRESS",
+      assigned_team: "IT Support",
+      priority: "LOW",
+      sla_status: "ON_TRACK",
+      sla_due_at: minutesFromNow(400),
+      sla_target_minutes: 480,
+      ...fields,
+    },
+    "*"
+  );
+}
+
+async function slaAudits(store, ticketId) {
+  const rows = await store.auditLogs.listForTicket(ticketId);
+  return rows.filter((a) => a.action.startsWith("SLA_"));
+}
+
+test("ON_TRACK -> AT_RISK once 75% of the window has elapsed", async () => {
+  const { store, monitor } = setup();
+  const early = await openTicket(store, { sla_due_at: minutesFromNow(400) });
+  const late = await openTicket(store, { sla_due_at: minutesFromNow(60) });
+
+  const summary = await monitor.run(NOW);
+
+  assert.deepEqual(summary, { checked: 2, atRisk: 1, breached: 0, escalations: 0 });
+  assert.equal((await store.tickets.findById(early.id)).sla_status, "ON_TRACK");
+  assert.equal((await store.tickets.findById(late.id)).sla_status, "AT_RISK");
+
+  const [entry] = await slaAudits(store, late.id);
+  assert.equal(entry.action, "SLA_AT_RISK");
+  assert.equal(entry.field_name, "sla_status");
+  assert.equal(entry.old_value, "ON_TRACK");
+  assert.equal(entry.new_value, "AT_RISK");
+  assert.equal(entry.actor_id, null);
+});
+
+test("past the due date -> BREACHED, once", async () => {
+  const { store, monitor } = setup();
+  const ticket = await openTicket(store, { sla_status: "AT_RISK", sla_due_at: minutesFromNow(-1) });
+
+  assert.equal((await monitor.run(NOW)).breached, 1);
+  assert.equal((await monitor.run(NOW)).breached, 0);
+
+  const audits = await slaAudits(store, ticket.id);
+  assert.equal(audits.length, 1);
+  assert.deepEqual(
+    [audits[0].action, audits[0].field_name, audits[0].old_value, audits[0].new_value],
+    ["SLA_BREACHED", "sla_status", "AT_RISK", "BREACHED"]
+  );
+});
+
+test("paused, resolved and already-breached clocks are left alone", async () => {
+  const { store, monitor } = setup();
+  const paused = await openTicket(store, {
+    status: "WAITING",
+    sla_status: "PAUSED",
+    sla_paused_at: minutesFromNow(-600),
+    sla_due_at: minutesFromNow(-1),
+  });
+  const resolved = await openTicket(store, { status: "RESOLVED", sla_due_at: minutesFromNow(-1) });
+
+  const summary = await monitor.run(NOW);
+
+  assert.equal(summary.breached, 0);
+  assert.equal((await store.tickets.findById(paused.id)).sla_status, "PAUSED");
+  assert.equal((await store.tickets.findById(resolved.id)).sla_status, "ON_TRACK");
+});
+
+test("the first-response clock breaches on its own until someone responds", async () => {
+  const { store, monitor } = setup();
+  const waiting = await openTicket(store, {
+    first_response_status: "ON_TRACK",
+    first_response_due_at: minutesFromNow(-5),
+  });
+  const answered = await openTicket(store, {
+    first_response_status: "MET",
+    first_response_due_at: minutesFromNow(-5),
+    first_responded_at: minutesFromNow(-30),
+  });
+
+  const summary = await monitor.run(NOW);
+
+  assert.equal(summary.breached, 1);
+  const ticket = await store.tickets.findById(waiting.id);
+  assert.equal(ticket.first_response_status, "BREACHED");
+  assert.equal(ticket.sla_status, "ON_TRACK");
+  assert.equal((await store.tickets.findById(answered.id)).first_response_status, "MET");
+
+  const [entry] = await slaAudits(store, waiting.id);
+  assert.deepEqual([entry.field_name, entry.new_value], ["first_response_status", "BREACHED"]);
+});
+
+test("matching escalation rules bump, reassign and notify", async () => {
+  const notified = [];
+  const { store, monitor } = setup({ notify: async (n) => notified.push(n) });
+  const ticket = await openTicket(store, { sla_due_at: minutesFromNow(-1) });
+
+  const rule = (fields) => store.escalationRules.create({ enabled: true, sla_type: "RESOLUTION", ...fields });
+  await rule({ trigger: "BREACHED", action: "BUMP_PRIORITY", team: "IT Support" });
+  await rule({ trigger: "BREACHED", action: "NOTIFY", notify_email: "lead@example.com" });
+  await rule({ trigger: "BREACHED", action: "REASSIGN", target_team: "Escalations" });
+  // not matching: other trigger, other priority, other clock, disabled
+  await rule({ trigger: "AT_RISK", action: "NOTIFY", notify_email: "early@example.com" });
+  await rule({ trigger: "BREACHED", action: "NOTIFY", priority: "HIGH", notify_email: "high@example.com" });
+  await rule({ trigger: "BREACHED", action: "NOTIFY", sla_type: "FIRST_RESPONSE", notify_email: "fr@example.com" });
+  await rule({ trigger: "BREACHED", action: "NOTIFY", enabled: false, notify_email: "off@example.com" });
+
+  const summary = await monitor.run(NOW);
+
+  assert.equal(summary.escalations, 3);
+  const after = await store.tickets.findById(ticket.id);
+  assert.equal(after.priority, "MEDIUM");
+  assert.equal(after.assigned_team, "Escalations");
+  // bumping must not move the due date of a late ticket
+  assert.equal(after.sla_due_at, ticket.sla_due_at);
+
+  assert.deepEqual(
+    notified.map((n) => [n.rule.notify_email, n.trigger, n.slaType]),
+    [["lead@example.com", "BREACHED", "RESOLUTION"]]
+  );
+
+  const escalations = (await slaAudits(store, ticket.id)).filter((a) => a.action === "SLA_ESCALATED");
+  assert.deepEqual(escalations.map((a) => a.field_name).sort(), ["assigned_team", "notify", "priority"]);
+});
+
+test("HIGH tickets cannot be bumped further", async () => {
+  const { store, monitor } = setup();
+  const ticket = await openTicket(store, { priority: "HIGH", sla_due_at: minutesFromNow(-1) });
+  await store.escalationRules.create({ enabled: true, trigger: "BREACHED", action: "BUMP_PRIORITY" });
+
+  assert.equal((await monitor.run(NOW)).escalations, 0);
+  assert.equal((await store.tickets.findById(ticket.id)).priority, "HIGH");
+});
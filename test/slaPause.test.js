@@ -0,0 +1,138 @@
+// SLA clock pause/resume: the service math, and the WAITING status flow
+// through PATCH /api/tickets/:id.
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { businessMinutesBetween } = require("../src/sla/calendar");
+const { createSlaService } = require("../src/sla/policy");
+const { createStore } = require("../src/store");
+const { checkAndBreachSLAs } = require("../server");
+
+const ADMIN = "admin@example.com";
+const nineToFive = [{ start: "09:00", end: "17:00" }];
+const LONDON = {
+  name: "London office",
+  timezone: "Europe/London",
+  working_hours: { mon: nineToFive, tue: nineToFive, wed: nineToFive, thu: nineToFive, fri: nineToFive },
+  holidays: [],
+  is_default: true,
+};
+
+async function londonSla() {
+  const store = createStore({ backend: "memory" });
+  await store.calendars.create(LONDON);
+  return createSlaService({ store });
+}
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+
+test("business minutes between two instants skip nights and weekends", () => {
+  assert.equal(businessMinutesBetween("2026-03-06T16:00:00Z", "2026-03-09T10:00:00Z", LONDON), 120);
+  assert.equal(businessMinutesBetween("2026-03-09T10:00:00Z", "2026-03-09T09:00:00Z", LONDON), 0);
+  assert.equal(businessMinutesBetween("2026-03-07T10:00:00Z", "2026-03-08T18:00:00Z", LONDON), 0);
+});
+
+test("pause remembers the business time left", async () => {
+  const sla = await londonSla();
+  const ticket = { assigned_team: "IT Support", sla_due_at: "2026-03-09T10:00:00.000Z", sla_status: "ON_TRACK" };
+
+  const { updates, audit } = await sla.pause(ticket, "2026-03-06T16:00:00.000Z");
+
+  assert.deepEqual(updates, {
+    sla_paused_at: "2026-03-06T16:00:00.000Z",
+    sla_remaining_minutes: 120,
+    sla_status: "PAUSED",
+  });
+  assert.equal(audit.action, "SLA_PAUSED");
+  assert.equal(audit.new_value, "120");
+});
+
+test("resume counts the remembered time from now and adds up the paused span", async () => {
+  const sla = await londonSla();
+  const ticket = {
+    assigned_team: "IT Support",
+    sla_due_at: "2026-03-09T15:00:00.000Z",
+    sla_status: "PAUSED",
+    sla_paused_at: "2026-03-09T13:00:00.000Z",
+    sla_remaining_minutes: 120,
+    sla_paused_seconds: 60,
+  };
+
+  const { updates, audit } = await sla.resume(ticket, "2026-03-11T16:00:00.000Z");
+
+  // 1h left on Wednesday, the other hour on Thursday morning
+  assert.equal(updates.sla_due_at, "2026-03-12T10:00:00.000Z");
+  assert.equal(updates.sla_status, "ON_TRACK");
+  assert.equal(updates.sla_paused_at, null);
+  assert.equal(updates.sla_remaining_minutes, null);
+  assert.equal(updates.sla_paused_seconds, 60 + (2 * 24 + 3) * 3600);
+  assert.equal(audit.action, "SLA_RESUMED");
+  assert.equal(audit.new_value, "2026-03-12T10:00:00.000Z");
+});
+
+test("a breached clock stays breached through pause and resume", async () => {
+  const sla = await londonSla();
+  const ticket = { assigned_team: "IT Support", sla_due_at: "2026-03-02T10:00:00.000Z", sla_status: "BREACHED" };
+
+  const paused = await sla.pause(ticket, "2026-03-06T16:00:00.000Z");
+  assert.equal(paused.updates.sla_status, "BREACHED");
+  assert.equal(paused.updates.sla_remaining_minutes, 0);
+
+  const resumed = await sla.resume({ ...ticket, ...paused.updates }, "2026-03-09T10:00:00.000Z");
+  assert.equal("sla_due_at" in resumed.updates, false);
+  assert.equal("sla_status" in resumed.updates, false);
+});
+
+test("WAITING pauses the clock, the SLA check skips it, and leaving WAITING resumes", async () => {
+  const created = await api.call("requester@example.com", "POST", "/api/tickets", {
+    body: { title: "Printer offline", description: "The 3rd floor printer is offline" },
+  });
+  const id = created.body.id;
+  const patch = (body) => api.patchTicket(ADMIN, id, body);
+
+  assert.equal((await patch({ status: "IN_PROGRESS" })).status, 200);
+  assert.equal((await patch({ status: "WAITING" })).status, 200);
+
+  let ticket = await api.store.tickets.findById(id);
+  assert.equal(ticket.sla_status, "PAUSED");
+  assert.ok(ticket.sla_paused_at);
+  assert.ok(ticket.sla_remaining_minutes > 0);
+
+  // overdue while paused: not a breach
+  await api.store.tickets.update(id, { sla_due_at: "2020-01-01T00:00:00.000Z" });
+  await checkAndBreachSLAs();
+  assert.equal((await api.store.tickets.findById(id)).sla_status, "PAUSED");
+
+  assert.equal((await patch({ status: "IN_PROGRESS" })).status, 200);
+  ticket = await api.store.tickets.findById(id);
+  assert.equal(ticket.sla_status, "ON_TRACK");
+  assert.equal(ticket.sla_paused_at, null);
+  assert.ok(new Date(ticket.sla_due_at) > new Date());
+
+  const { body } = await api.call(ADMIN, "GET", `/api/tickets/${id}/activity`);
+  const actions = body.timeline.map((e) => e.action);
+  assert.ok(actions.includes("SLA_PAUSED"));
+  assert.ok(actions.includes("SLA_RESUMED"));
+  assert.match(body.timeline.find((e) => e.action === "SLA_PAUSED").message, /^SLA paused \(.+ business time left\)$/);
+});
+
+test("a priority change while paused resets the time left to the new target", async () => {
+  const created = await api.call("requester@example.com", "POST", "/api/tickets", {
+    body: { title: "Desk chair broken", description: "The chair at desk 12 is broken", requestedTimeline: "NO_RUSH" },
+  });
+  const id = created.body.id;
+  const patch = (body) => api.patchTicket(ADMIN, id, body);
+
+  await patch({ status: "IN_PROGRESS" });
+  await patch({ status: "WAITING" });
+  assert.equal((await patch({ priority: "HIGH" })).status, 200);
+
+  const ticket = await api.store.tickets.findById(id);
+  assert.equal(ticket.sla_status, "PAUSED");
+  // HIGH: 1 business day of the default (24h weekday) calendar
+  assert.equal(ticket.sla_remaining_minutes, 24 * 60);
+});
@@ -0,0 +1,130 @@
+// Storage layer: the in-memory driver (filters, ordering, projection,
+// snapshots) and the repositories on top of it.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMemoryDriver } = require("../src/store/memory");
+const { createStore } = require("../src/store");
+
+async function seeded() {
+  const driver = createMemoryDriver();
+  await driver.insert("tickets", [
+    { title: "Printer jam", priority: "LOW", team: "IT", created_at: "2026-01-01T00:00:00.000Z" },
+    { title: "VPN down", priority: "HIGH", team: "IT", created_at: "2026-01-03T00:00:00.000Z" },
+    { title: "Payslip", priority: "MEDIUM", team: "HR", created_at: "2026-01-02T00:00:00.000Z" },
+    { title: "No team", priority: "LOW", team: null, created_at: "2026-01-04T00:00:00.000Z" },
+  ]);
+  return driver;
+}
+
+test("insert fills id and created_at and drops undefined fields", async () => {
+  const driver = createMemoryDriver();
+  const [row] = await driver.insert("users", { email: "a@example.com", name: undefined });
+
+  assert.match(row.id, /^[0-9a-f-]{36}$/);
+  assert.ok(!Number.isNaN(Date.parse(row.created_at)));
+  assert.equal("name" in row, false);
+});
+
+test("select applies filters, ordering and limit", async () => {
+  const driver = await seeded();
+
+  const it = await driver.select("tickets", {
+    columns: "title",
+    filters: [{ column: "team", op: "eq", value: "IT" }],
+    order: [{ column: "created_at", ascending: false }],
+  });
+  assert.deepEqual(it, [{ title: "VPN down" }, { title: "Printer jam" }]);
+
+  const some = await driver.select("tickets", {
+    columns: "title",
+    filters: [{ column: "priority", op: "in", value: ["HIGH", "MEDIUM"] }],
+    order: [{ column: "created_at", ascending: true }],
+    limit: 1,
+  });
+  assert.deepEqual(some, [{ title: "Payslip" }]);
+});
+
+test("is / ilike / or filters", async () => {
+  const driver = await seeded();
+  const titles = async (filters) =>
+    (await driver.select("tickets", { columns: "title", filters, order: [{ column: "title" }] })).map((r) => r.title);
+
+  assert.deepEqual(await titles([{ column: "team", op: "is", value: null }]), ["No team"]);
+  assert.deepEqual(await titles([{ column: "title", op: "ilike", value: "%vpn%" }]), ["VPN down"]);
+  assert.deepEqual(
+    await titles([
+      {
+        or: [
+          { column: "team", op: "eq", value: "HR" },
+          { column: "priority", op: "eq", value: "HIGH" },
+        ],
+      },
+    ]),
+    ["Payslip", "VPN down"]
+  );
+});
+
+test("rows come back as copies", async () => {
+  const driver = await seeded();
+  const [row] = await driver.select("tickets", { filters: [{ column: "title", op: "eq", value: "VPN down" }] });
+  row.title = "changed";
+
+  const [again] = await driver.select("tickets", { filters: [{ column: "id", op: "eq", value: row.id }] });
+  assert.equal(again.title, "VPN down");
+});
+
+test("update and remove touch only matching rows", async () => {
+  const driver = await seeded();
+
+  const updated = await driver.update(
+    "tickets",
+    { priority: "HIGH" },
+    { columns: "title,priority", filters: [{ column: "team", op: "eq", value: "HR" }] }
+  );
+  assert.deepEqual(updated, [{ title: "Payslip", priority: "HIGH" }]);
+
+  const removed = await driver.remove("tickets", { filters: [{ column: "priority", op: "eq", value: "LOW" }] });
+  assert.equal(removed, 2);
+  assert.equal((await driver.select("tickets")).length, 2);
+});
+
+test("persistPath snapshots survive a new driver", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "store-test-")), "db.json");
+  try {
+    const driver = createMemoryDriver({ persistPath: file });
+    await driver.insert("users", { email: "kept@example.com" });
+
+    const reopened = createMemoryDriver({ persistPath: file });
+    const rows = await reopened.select("users", { columns: "email" });
+    assert.deepEqual(rows, [{ email: "kept@example.com" }]);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test("createStore rejects unknown backends", () => {
+  assert.throws(() => createStore({ backend: "mysql" }), /Unknown STORAGE_BACKEND "mysql"/);
+});
+
+test("repositories on the memory backend", async () => {
+  const store = createStore({ backend: "memory" });
+
+  const user = await store.users.create({ email: "ana@example.com", name: "Ana", role: "REQUESTER" });
+  assert.equal((await store.users.findByEmail("ana@example.com")).id, user.id);
+  assert.equal(await store.users.findByEmail("nobody@example.com"), null);
+
+  const ticket = await store.tickets.create({ title: "Laptop", status: "OPEN", requester_user_id: user.id });
+  await store.tickets.update(ticket.id, { status: "IN_PROGRESS" });
+  assert.equal((await store.tickets.findById(ticket.id)).status, "IN_PROGRESS");
+  assert.equal(await store.tickets.findById("missing"), null);
+
+  await store.auditLogs.create([
+    { ticket_id: ticket.id, action: "TICKET_CREATED" },
+    { ticket_id: ticket.id, action: "STATUS_CHANGED", old_value: "OPEN", new_value: "IN_PROGRESS" },
+  ]);
+  const actions = (await store.auditLogs.listForTicket(ticket.id)).map((a) => a.action).sort();
+  assert.deepEqual(actions, ["STATUS_CHANGED", "TICKET_CREATED"]);
+});
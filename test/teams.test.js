@@ -0,0 +1,133 @@
+// Managed teams: name / alias matching, the canonical mapping of triage
+// output, and the admin API (conflicts, renames, members).
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTeamDirectory, matchTeam } = require("../src/teams");
+const { validateTriage } = require("../src/triage/schema");
+const { createStore } = require("../src/store");
+
+const ADMIN = "admin@example.com";
+
+test("teams match by name first, then alias, ignoring case and punctuation", () => {
+  const teams = [
+    { name: "IT Support", aliases: ["Helpdesk"], active: false },
+    { name: "IT-Support", aliases: [], active: true },
+    { name: "Service Desk", aliases: ["help desk"], active: true },
+  ];
+
+  assert.equal(matchTeam(teams, " it support ").name, "IT-Support"); // active wins
+  assert.equal(matchTeam(teams, "HELPDESK").name, "Service Desk"); // name before alias
+  assert.equal(matchTeam(teams, "Help-Desk").name, "Service Desk");
+  assert.equal(matchTeam(teams, "nope"), null);
+  assert.equal(matchTeam(teams, "  "), null);
+});
+
+test("the directory seeds the default teams and maps unknown teams to the fallback", async () => {
+  const teams = createTeamDirectory({ store: createStore({ backend: "memory" }) });
+
+  assert.equal((await teams.resolve("infosec")).name, "Security / Compliance");
+  assert.equal((await teams.canonical("IT Helpdesk")).name, "IT Support");
+  assert.equal((await teams.canonical("Marketing")).name, "Other / General");
+  assert.equal((await teams.canonical(undefined)).name, "Other / General");
+
+  const context = await teams.triageContext();
+  assert.equal(context.resolveTeam("hr"), "HR / People Ops");
+  const triage = {
+    assignedTeam: "Ops",
+    priority: "LOW",
+    summary: { problem: "Pallet missing", impact: "None", requestedAction: "Check the dock" },
+    knowledgeSuggestions: [],
+  };
+  assert.equal(validateTriage(triage, context).value.assignedTeam, "Operations");
+  const unknown = validateTriage({ ...triage, assignedTeam: "Marketing" }, context);
+  assert.equal(unknown.valid, false);
+  assert.match(unknown.fields.assignedTeam.error, /^assignedTeam must be one of: .*IT Support/);
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+
+const adminTeams = async () => (await api.call(ADMIN, "GET", "/api/admin/teams")).body.teams;
+const byName = async (name) => (await adminTeams()).find((t) => t.name === name);
+
+test("names and aliases are unique across teams", async () => {
+  const created = await api.call(ADMIN, "POST", "/api/admin/teams", {
+    body: { name: "Marketing", description: "Campaigns and brand", aliases: ["Brand", " brand ", "marketing", ""] },
+  });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.team.aliases, ["Brand"]);
+
+  const taken = await api.call(ADMIN, "POST", "/api/admin/teams", { body: { name: "Comms", aliases: ["IT"] } });
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.error, "name or alias already used by team IT Support");
+  assert.equal((await api.call(ADMIN, "POST", "/api/admin/teams", { body: { name: " - " } })).status, 400);
+
+  const forbidden = await api.call("agent@example.com", "POST", "/api/admin/teams", { body: { name: "Sales" } });
+  assert.equal(forbidden.status, 403);
+  const picker = await api.call("someone@example.com", "GET", "/api/teams");
+  assert.ok(picker.body.teams.some((t) => t.name === "Marketing"));
+});
+
+test("a rename rewrites stored team names and keeps the old name as an alias", async () => {
+  const agent = await api.call(ADMIN, "PATCH", "/api/admin/users/role", {
+    body: { email: "fac.agent@example.com", role: "AGENT", team: "workplace" },
+  });
+  assert.equal(agent.body.user.team, "Facilities");
+
+  const { body } = await api.call("someone@example.com", "POST", "/api/tickets", {
+    body: { title: "Whiteboard markers", description: "We are out of markers" },
+  });
+  assert.equal(body.assignedTeam, "Other / General");
+  const moved = await api.patchTicket(ADMIN, body.id, { assignedTeam: "office" });
+  assert.equal(moved.body.ticket.assigned_team, "Facilities");
+
+  const facilities = await byName("Facilities");
+  const renamed = await api.call(ADMIN, "PATCH", `/api/admin/teams/${facilities.id}`, {
+    body: { name: "Workplace Services" },
+  });
+  assert.equal(renamed.status, 200);
+  assert.deepEqual(renamed.body.team.aliases, ["Office", "Workplace", "Facilities"]);
+
+  assert.equal((await api.store.tickets.findById(body.id)).assigned_team, "Workplace Services");
+  assert.equal((await api.store.users.findByEmail("fac.agent@example.com")).team, "Workplace Services");
+  const members = await api.call(ADMIN, "GET", `/api/admin/teams/${facilities.id}/members`);
+  assert.deepEqual(members.body.members.map((m) => m.email), ["fac.agent@example.com"]);
+});
+
+test("deactivated teams are hidden from pickers and cannot be assigned; the fallback stays", async () => {
+  const marketing = await byName("Marketing");
+  assert.equal((await api.call(ADMIN, "DELETE", `/api/admin/teams/${marketing.id}`)).status, 200);
+
+  const picker = await api.call("someone@example.com", "GET", "/api/teams");
+  assert.ok(!picker.body.teams.some((t) => t.name === "Marketing"));
+  assert.equal((await byName("Marketing")).active, false);
+
+  const { body } = await api.call("someone@example.com", "POST", "/api/tickets", {
+    body: { title: "Brand assets", description: "Need the new logo" },
+  });
+  assert.equal((await api.patchTicket(ADMIN, body.id, { assignedTeam: "Marketing" })).status, 400);
+
+  const fallback = await byName("Other / General");
+  assert.equal((await api.call(ADMIN, "DELETE", `/api/admin/teams/${fallback.id}`)).status, 409);
+});
+
+test("only agents can be team members", async () => {
+  const legal = await byName("Legal");
+  const agent = await api.call(ADMIN, "PATCH", "/api/admin/users/role", {
+    body: { email: "legal.agent@example.com", role: "AGENT" },
+  });
+  const requester = (await api.call("plain@example.com", "GET", "/api/me")).body.user;
+
+  const added = await api.call(ADMIN, "PUT", `/api/admin/teams/${legal.id}/members/${agent.body.user.id}`);
+  assert.equal(added.body.user.team, "Legal");
+  assert.equal((await api.call(ADMIN, "PUT", `/api/admin/teams/${legal.id}/members/${requester.id}`)).status, 400);
+  assert.equal((await byName("Legal")).memberCount, 1);
+
+  const removed = await api.call(ADMIN, "DELETE", `/api/admin/teams/${legal.id}/members/${agent.body.user.id}`);
+  assert.equal(removed.body.user.team, null);
+  assert.equal((await api.call(ADMIN, "DELETE", `/api/admin/teams/${legal.id}/members/${requester.id}`)).status, 404);
+});
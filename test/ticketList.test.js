@@ -0,0 +1,122 @@
+// Ticket listing: query parsing, keyset pagination (nulls last) and
+// GET /api/tickets filters, search and scope.
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseTicketListQuery, encodeCursor } = require("../src/tickets/listQuery");
+const { createStore } = require("../src/store");
+
+const ADMIN = "admin@example.com";
+
+test("list query params become storage filters", () => {
+  const parsed = parseTicketListQuery({
+    status: "OPEN,IN_PROGRESS",
+    priority: "HIGH",
+    createdFrom: "2026-03-01",
+    q: " vpn down ",
+    sort: "title",
+    order: "ASC",
+    limit: "500",
+    requester: " ana@example.com ",
+  });
+
+  assert.deepEqual(parsed.filters.slice(0, 3), [
+    { column: "status", op: "in", value: ["OPEN", "IN_PROGRESS"] },
+    { column: "priority", op: "eq", value: "HIGH" },
+    { column: "created_at", op: "gte", value: "2026-03-01T00:00:00.000Z" },
+  ]);
+  assert.equal(parsed.filters[3].op, "fts");
+  assert.equal(parsed.filters[3].value, "vpn down");
+  assert.equal(parsed.sort, "title");
+  assert.equal(parsed.ascending, true);
+  assert.equal(parsed.limit, 200);
+  assert.equal(parsed.requesterEmail, "ana@example.com");
+});
+
+test("bad list query params are reported", () => {
+  assert.match(parseTicketListQuery({ sort: "priority" }).error, /sort must be one of/);
+  assert.match(parseTicketListQuery({ order: "up" }).error, /order must be asc\|desc/);
+  assert.match(parseTicketListQuery({ limit: "0" }).error, /limit must be a positive integer/);
+  assert.match(parseTicketListQuery({ updatedTo: "yesterday" }).error, /updatedTo must be an ISO date/);
+  assert.match(parseTicketListQuery({ cursor: "not-a-cursor" }).error, /invalid cursor/);
+});
+
+async function pages(store, { sort, ascending, limit }) {
+  const seen = [];
+  let cursor = null;
+  for (;;) {
+    const page = await store.tickets.page({ sort, ascending, cursor, limit }, "*");
+    seen.push(...page.rows.map((r) => r.title));
+    if (!page.hasMore) return { seen, total: page.total };
+    cursor = parseTicketListQuery({ cursor: encodeCursor(page.rows[page.rows.length - 1], sort) }).cursor;
+  }
+}
+
+test("keyset pages cover every row once, rows without a sort value last", async () => {
+  const store = createStore({ backend: "memory" });
+  const due = ["2026-03-12", null, "2026-03-10", null, "2026-03-11", "2026-03-10"];
+  for (const [i, d] of due.entries()) {
+    await store.tickets.create({ title: `t${i}`, status: "OPEN", sla_due_at: d && `${d}T12:00:00.000Z` });
+  }
+
+  for (const ascending of [true, false]) {
+    const { seen, total } = await pages(store, { sort: "sla_due_at", ascending, limit: 2 });
+    assert.equal(total, 6);
+    assert.equal(seen.length, 6);
+    assert.deepEqual([...seen].sort(), ["t0", "t1", "t2", "t3", "t4", "t5"]);
+    // t2 and t5 share a due date (tie broken by id), nulls come last either way
+    const rank = (t) => Math.floor(seen.indexOf(t) / 2);
+    assert.deepEqual(["t0", "t4", "t2", "t5"].map(rank), ascending ? [1, 1, 0, 0] : [0, 0, 1, 1]);
+    assert.equal(seen[ascending ? 3 : 0], "t0");
+    assert.deepEqual(seen.slice(4).sort(), ["t1", "t3"]);
+  }
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+  const requester = await api.store.users.create({ email: "ana@example.com", name: "Ana", role: "REQUESTER" });
+  const ticket = (fields) =>
+    api.store.tickets.create({ status: "OPEN", priority: "MEDIUM", assigned_team: "IT Support", ...fields });
+  await ticket({ title: "VPN keeps dropping", description: "Disconnects every hour", priority: "HIGH" });
+  await ticket({ title: "Payslip missing", description: "March payslip", assigned_team: "HR / People Ops" });
+  await ticket({ title: "Printer offline", description: "VPN unrelated", requester_user_id: requester.id });
+  await ticket({ title: "Old laptop", description: "Replace it", status: "CLOSED", priority: "LOW" });
+});
+after(() => api.close());
+
+const titles = (body) => body.tickets.map((t) => t.title).sort();
+
+test("scope is required", async () => {
+  const res = await api.call(ADMIN, "GET", "/api/tickets");
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /scope is required/);
+});
+
+test("filters, requester and full-text search", async () => {
+  const list = async (qs) => (await api.call(ADMIN, "GET", `/api/tickets?scope=all&${qs}`)).body;
+
+  assert.deepEqual(titles(await list("status=OPEN&priority=HIGH,LOW")), ["VPN keeps dropping"]);
+  assert.deepEqual(titles(await list("team=HR%20%2F%20People%20Ops")), ["Payslip missing"]);
+  assert.deepEqual(titles(await list("requester=ana@example.com")), ["Printer offline"]);
+  assert.deepEqual(await list("requester=nobody@example.com"), { tickets: [], total: 0, nextCursor: null });
+  // every word must match, across title and description
+  assert.deepEqual(titles(await list("q=vpn")), ["Printer offline", "VPN keeps dropping"]);
+  assert.deepEqual(titles(await list("q=vpn%20hour")), ["VPN keeps dropping"]);
+
+  const res = await api.call(ADMIN, "GET", "/api/tickets?scope=all&sort=owner");
+  assert.equal(res.status, 400);
+});
+
+test("sorted pages chain through nextCursor", async () => {
+  const first = (await api.call(ADMIN, "GET", "/api/tickets?scope=all&sort=title&order=asc&limit=3")).body;
+  assert.equal(first.total, 4);
+  assert.deepEqual(first.tickets.map((t) => t.title), ["Old laptop", "Payslip missing", "Printer offline"]);
+  assert.ok(first.nextCursor);
+
+  const url = `/api/tickets?scope=all&sort=title&order=asc&limit=3&cursor=${first.nextCursor}`;
+  const second = (await api.call(ADMIN, "GET", url)).body;
+  assert.deepEqual(second.tickets.map((t) => t.title), ["VPN keeps dropping"]);
+  assert.equal(second.total, 4);
+  assert.equal(second.nextCursor, null);
+});
@@ -0,0 +1,93 @@
+// Ticket API: creation with triage, and optimistic concurrency on PATCH
+// (ETag / If-Match, 409 on a stale version, 428 without one).
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const ADMIN = "admin@example.com";
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+
+const createTicket = (email = "requester@example.com") =>
+  api.call(email, "POST", "/api/tickets", {
+    body: { title: "VPN keeps disconnecting", description: "The VPN drops every few minutes", isBlocking: true },
+  });
+
+test("POST /api/tickets creates a triaged ticket", async () => {
+  const { status, body } = await createTicket();
+
+  assert.equal(status, 201);
+  assert.ok(body.id);
+  assert.equal(body.status, "NEW");
+  assert.equal(body.version, 1);
+  assert.equal(body.triageProvider, "rules");
+  assert.equal(body.assignedTeam, "IT Support");
+  assert.equal(body.priority, "HIGH");
+  assert.ok(body.slaDueAt);
+});
+
+test("POST /api/tickets requires title and description", async () => {
+  const { status } = await api.call("requester@example.com", "POST", "/api/tickets", { body: { title: "No details" } });
+  assert.equal(status, 400);
+});
+
+test("GET /api/tickets/:id sends the version as ETag", async () => {
+  const { body: created } = await createTicket();
+  const res = await api.call(ADMIN, "GET", `/api/tickets/${created.id}`);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("etag"), '"1"');
+});
+
+test("PATCH /api/tickets/:id applies a change with the current If-Match", async () => {
+  const { body: created } = await createTicket();
+
+  const change = { status: "IN_PROGRESS", priority: "LOW" };
+  const { status, headers, body } = await api.patchTicket(ADMIN, created.id, change);
+
+  assert.equal(status, 200);
+  assert.equal(body.ticket.status, "IN_PROGRESS");
+  assert.equal(body.ticket.priority, "LOW");
+  assert.equal(body.ticket.version, 2);
+  assert.equal(headers.get("etag"), '"2"');
+});
+
+test("PATCH /api/tickets/:id answers 409 with the current ticket on a stale version", async () => {
+  const { body: created } = await createTicket();
+  await api.patchTicket(ADMIN, created.id, { priority: "LOW" });
+
+  const { status, headers, body } = await api.call(ADMIN, "PATCH", `/api/tickets/${created.id}`, {
+    body: { priority: "HIGH" },
+    headers: { "If-Match": '"1"' },
+  });
+
+  assert.equal(status, 409);
+  assert.equal(body.ticket.version, 2);
+  assert.equal(body.ticket.priority, "LOW");
+  assert.equal(headers.get("etag"), '"2"');
+});
+
+test("PATCH /api/tickets/:id answers 428 without If-Match and 400 for a malformed one", async () => {
+  const { body: created } = await createTicket();
+  const patch = (headers) =>
+    api.call(ADMIN, "PATCH", `/api/tickets/${created.id}`, { body: { priority: "LOW" }, headers });
+
+  assert.equal((await patch({})).status, 428);
+  assert.equal((await patch({ "If-Match": "latest" })).status, 400);
+  assert.equal((await api.store.tickets.findById(created.id)).version, 1);
+});
+
+test("concurrent PATCHes with the same version: one wins, the other gets 409", async () => {
+  const { body: created } = await createTicket();
+  const patch = (priority) =>
+    api.call(ADMIN, "PATCH", `/api/tickets/${created.id}`, { body: { priority }, headers: { "If-Match": '"1"' } });
+
+  const statuses = (await Promise.all([patch("LOW"), patch("MEDIUM")])).map((r) => r.status).sort();
+
+  assert.deepEqual(statuses, [200, 409]);
+  assert.equal((await api.store.tickets.findById(created.id)).version, 2);
+});
@@ -0,0 +1,73 @@
+// Triage engine (provider fallback) and the offline rules provider.
+require("./helpers/logs");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTriageEngine } = require("../src/triage");
+const { createRulesProvider, scoreTeams, pickPriority } = require("../src/triage/rules");
+
+const failing = { name: "gemini", triage: async () => Promise.reject(new Error("quota exceeded")) };
+
+test("falls back to the next provider and records every attempt", async () => {
+  const engine = createTriageEngine({ providers: "gemini,rules", overrides: { gemini: failing } });
+  const result = await engine.triage({ title: "VPN is down", description: "Cannot connect to the VPN" });
+
+  assert.equal(result.provider, "rules");
+  assert.equal(result.triage.assignedTeam, "IT Support");
+  assert.equal(result.validation.valid, true);
+  assert.deepEqual(
+    result.attempts.map((a) => [a.provider, a.ok, a.error ?? null]),
+    [
+      ["gemini", false, "quota exceeded"],
+      ["rules", true, null],
+    ]
+  );
+});
+
+test("provider and triage are null when every provider fails", async () => {
+  const engine = createTriageEngine({ providers: "gemini", overrides: { gemini: failing } });
+  const result = await engine.triage({ title: "anything" });
+
+  assert.equal(result.provider, null);
+  assert.equal(result.triage, null);
+  assert.equal(result.validation, null);
+  assert.equal(result.attempts.length, 1);
+});
+
+test("unknown providers are rejected up front", () => {
+  assert.throws(() => createTriageEngine({ providers: "rules,oracle" }), /Unknown triage provider "oracle"/);
+});
+
+test("rules: team from keywords, affected system weighs more", () => {
+  assert.equal(scoreTeams({ title: "Expense reimbursement", description: "" }), "Finance");
+  assert.equal(scoreTeams({ title: "Question", description: "nothing specific" }), "Other / General");
+  // one Finance keyword in the text, one IT keyword as the affected system
+  assert.equal(scoreTeams({ title: "invoice", description: "", affectedSystem: "laptop" }), "IT Support");
+});
+
+test("rules: priority from blocking, timeline and wording", () => {
+  assert.equal(pickPriority({ title: "small thing", isBlocking: true }), "HIGH");
+  assert.equal(pickPriority({ title: "small thing", requestedTimeline: "ASAP" }), "HIGH");
+  assert.equal(pickPriority({ title: "Production outage" }), "HIGH");
+  assert.equal(pickPriority({ title: "small thing", requestedTimeline: "NO_RUSH" }), "LOW");
+  assert.equal(pickPriority({ title: "How do I export a report" }), "LOW");
+  assert.equal(pickPriority({ title: "Monitor flickers" }), "MEDIUM");
+});
+
+test("rules provider builds a complete, validated triage", async () => {
+  const { triage, raw, validation, tries } = await createRulesProvider().triage({
+    title: "Laptop will not boot. Tried twice.",
+    description: "Black screen after the logo. Need it for a demo.",
+    affectedSystem: "laptop",
+    isBlocking: true,
+  });
+
+  assert.equal(triage.assignedTeam, "IT Support");
+  assert.equal(triage.priority, "HIGH");
+  assert.equal(triage.summary.problem, "Laptop will not boot.");
+  assert.equal(triage.summary.impact, "Requester is blocked; affected system: laptop");
+  assert.equal(triage.summary.requestedAction, "Black screen after the logo.");
+  assert.deepEqual(triage.knowledgeSuggestions, []);
+  assert.equal(validation.valid, true);
+  assert.equal(raw, null);
+  assert.equal(tries, 1);
+});
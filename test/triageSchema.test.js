@@ -0,0 +1,97 @@
+// AI triage output: schema validation and the Gemini repair/retry loop.
+require("./helpers/logs");
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const genai = require("@google/genai");
+const { validateTriage } = require("../src/triage/schema");
+
+// Scripted stand-in for the Gemini client: each call returns the next text
+const replies = [];
+const prompts = [];
+const RealClient = genai.GoogleGenAI;
+genai.GoogleGenAI = class {
+  constructor() {
+    this.models = {
+      generateContent: async ({ contents }) => {
+        prompts.push(contents);
+        return { text: replies.shift() };
+      },
+    };
+  }
+};
+const { createGeminiProvider, TriageValidationError } = require("../src/triage/gemini");
+after(() => {
+  genai.GoogleGenAI = RealClient;
+});
+
+const VALID = {
+  assignedTeam: "it support",
+  priority: "high ",
+  summary: { problem: " VPN down ", impact: "Team blocked", requestedAction: "Restore VPN" },
+  knowledgeSuggestions: [{ title: "VPN FAQ", reason: "Common fix" }],
+};
+
+test("a valid answer is normalised", () => {
+  const result = validateTriage(VALID);
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.value.assignedTeam, "IT Support");
+  assert.equal(result.value.priority, "HIGH");
+  assert.equal(result.value.summary.problem, "VPN down");
+});
+
+test("every bad field is reported on its own", () => {
+  const result = validateTriage({
+    assignedTeam: "Space Program",
+    priority: "URGENT",
+    summary: { problem: "", impact: 42 },
+    knowledgeSuggestions: [{}, {}, {}],
+  });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.value, null);
+  assert.equal(result.fields.assignedTeam.ok, false);
+  assert.equal(result.fields.priority.ok, false);
+  assert.equal(result.fields["summary.problem"].error, "summary.problem is empty");
+  assert.equal(result.fields["summary.impact"].error, "summary.impact must be a string");
+  assert.equal(result.fields["summary.requestedAction"].error, "summary.requestedAction is missing");
+  assert.match(result.fields.knowledgeSuggestions.error, /at most 2 items/);
+});
+
+test("non-objects fail at the root", () => {
+  assert.deepEqual(validateTriage([1, 2]).errors, ["root: response is not a JSON object"]);
+  assert.equal(validateTriage(null).valid, false);
+});
+
+test("gemini: an invalid answer gets a repair round-trip", async () => {
+  replies.length = prompts.length = 0;
+  replies.push("not json at all", "```json\n" + JSON.stringify(VALID) + "\n```");
+  const provider = createGeminiProvider({ apiKey: "test", maxAttempts: 3, timeoutMs: 1000 });
+
+  const result = await provider.triage({ title: "VPN down" });
+
+  assert.equal(result.tries, 2);
+  assert.equal(result.triage.assignedTeam, "IT Support");
+  assert.match(prompts[1], /did not match the required JSON schema/);
+  assert.match(prompts[1], /not json at all/);
+});
+
+test("gemini: gives up after maxAttempts with the last raw answer", async () => {
+  replies.length = prompts.length = 0;
+  replies.push('{"priority":"HIGH"}', '{"priority":"LOW"}');
+  const provider = createGeminiProvider({ apiKey: "test", maxAttempts: 2, timeoutMs: 1000 });
+
+  await assert.rejects(provider.triage({ title: "x" }), (err) => {
+    assert.ok(err instanceof TriageValidationError);
+    assert.equal(err.tries, 2);
+    assert.equal(err.raw, '{"priority":"LOW"}');
+    assert.equal(err.validation.fields.priority.ok, true);
+    return true;
+  });
+  assert.equal(prompts.length, 2);
+});
+
+test("gemini: no API key fails without calling out", async () => {
+  await assert.rejects(createGeminiProvider({}).triage({ title: "x" }), /GEMINI_API_KEY not configured/);
+});
@@ -0,0 +1,164 @@
+// Outbound webhooks: HMAC signing, subscription matching, retries with
+// backoff, the send lease and replay.
+require("./helpers/logs");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createWebhookDispatcher, signPayload } = require("../src/webhooks/dispatcher");
+const { createStore } = require("../src/store");
+
+const ticket = { id: "t-1", title: "VPN down", status: "OPEN", assigned_team: "IT Support", version: 2 };
+const audit = { action: "STATUS_CHANGED", field_name: "status", old_value: "NEW", new_value: "OPEN", actor_id: "u-1" };
+
+// fetch stand-in answering with the scripted statuses in turn (then 200)
+function fakeFetch(statuses = []) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, ...init });
+    const status = statuses.shift() ?? 200;
+    if (status instanceof Error) throw status;
+    return { ok: status < 300, status };
+  };
+  return { calls, fetchImpl };
+}
+
+async function setup({ statuses, subscription = {}, ...options } = {}) {
+  const store = createStore({ backend: "memory" });
+  const fake = fakeFetch(statuses);
+  const webhooks = createWebhookDispatcher({ store, retryBaseMs: 60 * 1000, fetchImpl: fake.fetchImpl, ...options });
+  const sub = await store.webhooks.create({
+    url: "https://hooks.example.com/helpdesk",
+    secret: "whsec_test",
+    events: [],
+    teams: [],
+    enabled: true,
+    ...subscription,
+  });
+  return { store, webhooks, sub, ...fake };
+}
+
+// Make every PENDING delivery due now, as if the backoff had elapsed
+async function elapse(store) {
+  for (const d of await store.webhookDeliveries.listDue("9999-12-31T00:00:00.000Z")) {
+    await store.webhookDeliveries.update(d.id, { next_attempt_at: new Date(0).toISOString() });
+  }
+}
+
+test("signatures are an HMAC-SHA256 of timestamp.body", () => {
+  const expected = crypto.createHmac("sha256", "whsec_test").update('1700000000.{"a":1}').digest("hex");
+  assert.equal(signPayload("whsec_test", 1700000000, '{"a":1}'), `sha256=${expected}`);
+});
+
+test("deliveries are signed with the subscription secret and carry the change", async () => {
+  const { store, webhooks, calls } = await setup();
+
+  assert.equal(await webhooks.publish({ ticket, audits: [audit] }), 1);
+  assert.deepEqual(await webhooks.drain(), { attempted: 1, succeeded: 1, failed: 0 });
+
+  const [call] = calls;
+  const headers = call.headers;
+  assert.equal(call.method, "POST");
+  assert.equal(headers["X-Webhook-Event"], "STATUS_CHANGED");
+  assert.equal(headers["X-Webhook-Signature"], signPayload("whsec_test", headers["X-Webhook-Timestamp"], call.body));
+
+  const body = JSON.parse(call.body);
+  assert.equal(body.id, headers["X-Webhook-Delivery"]);
+  assert.equal(body.ticket.id, "t-1");
+  assert.equal(body.ticket.version, 2);
+  assert.deepEqual(body.change, { field: "status", oldValue: "NEW", newValue: "OPEN", actorId: "u-1" });
+
+  const delivery = await store.webhookDeliveries.findById(body.id);
+  assert.equal(delivery.status, "SUCCEEDED");
+  assert.equal(delivery.last_status_code, 200);
+});
+
+test("only subscriptions matching the event and team get a delivery", async () => {
+  const { store, webhooks } = await setup({ subscription: { events: ["TICKET_CREATED"] } });
+  await store.webhooks.create({ url: "https://a.example.com", secret: "s", teams: ["Finance"], enabled: true });
+  await store.webhooks.create({ url: "https://b.example.com", secret: "s", enabled: false });
+
+  assert.equal(await webhooks.publish({ ticket, audits: [audit] }), 0);
+  assert.equal(await webhooks.publish({ ticket, audits: [{ ...audit, action: "TICKET_CREATED" }] }), 1);
+  await webhooks.drain();
+});
+
+test("failures back off exponentially and give up after maxAttempts", async () => {
+  const { store, webhooks, sub, calls } = await setup({
+    statuses: [500, new Error("connect ECONNREFUSED"), 503],
+    maxAttempts: 3,
+  });
+  await webhooks.publish({ ticket, audits: [audit] });
+
+  const before = Date.now();
+  assert.deepEqual(await webhooks.drain(), { attempted: 1, succeeded: 0, failed: 1 });
+  let [delivery] = await store.webhookDeliveries.listForSubscription(sub.id);
+  assert.equal(delivery.status, "PENDING");
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.last_status_code, 500);
+  const wait = Date.parse(delivery.next_attempt_at) - before;
+  assert.ok(wait >= 60 * 1000 && wait < 70 * 1000);
+
+  // not due yet
+  assert.equal((await webhooks.drain()).attempted, 0);
+
+  await elapse(store);
+  await webhooks.drain();
+  [delivery] = await store.webhookDeliveries.listForSubscription(sub.id);
+  assert.equal(delivery.last_error, "connect ECONNREFUSED");
+  assert.ok(Date.parse(delivery.next_attempt_at) - Date.now() > 110 * 1000);
+
+  await elapse(store);
+  await webhooks.drain();
+  [delivery] = await store.webhookDeliveries.listForSubscription(sub.id);
+  assert.equal(delivery.status, "FAILED");
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.last_error, "HTTP 503");
+  assert.equal(calls.length, 3);
+});
+
+test("a claimed delivery is leased: a second claim fails, an expired lease is due again", async () => {
+  const { store, webhooks, sub } = await setup();
+  await webhooks.publish({ ticket, audits: [audit] });
+  const [pending] = await store.webhookDeliveries.listDue(new Date().toISOString());
+
+  const leaseUntil = new Date(Date.now() + 60 * 1000).toISOString();
+  assert.ok(await store.webhookDeliveries.claim(pending, leaseUntil));
+  assert.equal(await store.webhookDeliveries.claim(pending, leaseUntil), null);
+  assert.deepEqual(await store.webhookDeliveries.listDue(new Date().toISOString()), []);
+
+  // the claimer died mid-send: once the lease runs out the row is picked up again
+  await elapse(store);
+  assert.deepEqual(await webhooks.drain(), { attempted: 1, succeeded: 1, failed: 0 });
+  const [delivery] = await store.webhookDeliveries.listForSubscription(sub.id);
+  assert.equal(delivery.attempts, 2);
+});
+
+test("deliveries to a disabled subscription fail without sending", async () => {
+  const { store, webhooks, sub, calls } = await setup();
+  await webhooks.publish({ ticket, audits: [audit] });
+  await store.webhooks.update(sub.id, { enabled: false });
+
+  await webhooks.drain();
+
+  const [delivery] = await store.webhookDeliveries.listForSubscription(sub.id);
+  assert.equal(delivery.status, "FAILED");
+  assert.equal(delivery.last_error, "subscription disabled");
+  assert.equal(calls.length, 0);
+});
+
+test("replay re-sends a logged delivery as a new row", async () => {
+  const { store, webhooks, sub, calls } = await setup({ statuses: [500], maxAttempts: 1 });
+  await webhooks.publish({ ticket, audits: [audit] });
+  await webhooks.drain();
+  const [failed] = await store.webhookDeliveries.listForSubscription(sub.id);
+  assert.equal(failed.status, "FAILED");
+
+  const copy = await webhooks.replay(failed.id);
+  assert.equal(copy.replay_of, failed.id);
+  assert.equal(copy.status, "PENDING");
+  await webhooks.drain();
+
+  assert.equal((await store.webhookDeliveries.findById(copy.id)).status, "SUCCEEDED");
+  assert.deepEqual(JSON.parse(calls[1].body).change, JSON.parse(calls[0].body).change);
+  assert.equal(await webhooks.replay("missing"), null);
+});
@@ -0,0 +1,219 @@
+// Ticket workflows: definition checks, role-guarded transitions with
+// required fields, reopen windows and the versioned admin API.
+const { startApp } = require("./helpers/api");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  validateWorkflow,
+  checkTransition,
+  availableTransitions,
+  DEFAULT_WORKFLOW,
+} = require("../src/tickets/workflow");
+
+const ADMIN = "admin@example.com";
+const AGENT = "it.agent@example.com";
+const HOUR = 60 * 60 * 1000;
+
+const agent = { id: "a1", role: "AGENT" };
+const requester = { id: "r1", role: "REQUESTER" };
+
+test("definitions are normalised and checked", () => {
+  const { workflow } = validateWorkflow({
+    states: ["new", { status: "in_progress", label: " Working " }, "resolved"],
+    resolutionCodes: ["fixed", "FIXED"],
+    transitions: [
+      { from: "new", to: "in_progress", roles: ["agent"] },
+      { from: "IN_PROGRESS", to: "RESOLVED", roles: ["AGENT"], requires: ["resolutionCode"] },
+    ],
+  });
+  assert.deepEqual(workflow.states[1], { status: "IN_PROGRESS", label: "Working" });
+  assert.deepEqual(workflow.resolutionCodes, ["FIXED"]);
+  assert.deepEqual(workflow.transitions[0], {
+    from: "NEW",
+    to: "IN_PROGRESS",
+    label: null,
+    roles: ["AGENT"],
+    requires: [],
+  });
+
+  const error = (definition) => validateWorkflow(definition).error;
+  const start = { from: "NEW", to: "IN_PROGRESS", roles: ["AGENT"] };
+  assert.equal(error({ states: ["IN_PROGRESS"], transitions: [] }), "states must include NEW");
+  assert.equal(
+    error({ states: ["NEW", "DONE"], transitions: [] }),
+    "states[1].status must be NEW|IN_PROGRESS|WAITING|RESOLVED|CLOSED"
+  );
+  assert.equal(
+    error({ states: ["NEW", "IN_PROGRESS"], transitions: [] }),
+    "unreachable state(s) from NEW: IN_PROGRESS"
+  );
+  assert.equal(
+    error({ states: ["NEW", "IN_PROGRESS"], transitions: [start, { ...start, label: "again" }] }),
+    "transition NEW -> IN_PROGRESS is listed twice"
+  );
+  assert.equal(
+    error({ states: ["NEW", "IN_PROGRESS"], transitions: [{ ...start, roles: ["OWNER"] }] }),
+    "transitions[0].roles must be a non-empty array of REQUESTER|AGENT|ADMIN"
+  );
+  assert.equal(
+    error({ states: ["NEW", "IN_PROGRESS"], transitions: [{ ...start, requires: ["resolutionNote"] }] }),
+    "transitions[0]: resolution fields can only be required when moving to RESOLVED or CLOSED"
+  );
+  assert.equal(
+    error({ states: ["NEW", "IN_PROGRESS"], transitions: [{ ...start, reopenWindowHours: 24 }] }),
+    "transitions[0].reopenWindowHours only applies to RESOLVED/CLOSED -> open transitions"
+  );
+  assert.deepEqual(validateWorkflow(DEFAULT_WORKFLOW).workflow, DEFAULT_WORKFLOW);
+});
+
+test("transitions check the path, the role and the required fields", () => {
+  const { workflow } = validateWorkflow({
+    ...DEFAULT_WORKFLOW,
+    transitions: DEFAULT_WORKFLOW.transitions.map((t) =>
+      t.to === "RESOLVED" ? { ...t, requires: ["resolutionCode", "assignee"] } : t
+    ),
+  });
+  const ticket = { status: "IN_PROGRESS", requester_user_id: "r1", assignee_user_id: null };
+
+  assert.deepEqual(checkTransition(workflow, ticket, agent, "CLOSED"), {
+    status: 400,
+    error: "Invalid status transition: IN_PROGRESS -> CLOSED",
+  });
+  assert.equal(checkTransition(workflow, ticket, requester, "RESOLVED").status, 403);
+  assert.equal(
+    checkTransition(workflow, ticket, agent, "RESOLVED").error,
+    "IN_PROGRESS -> RESOLVED requires: resolutionCode, assignee"
+  );
+  const bogus = checkTransition(workflow, ticket, agent, "RESOLVED", { resolutionCode: "BOGUS" });
+  assert.equal(bogus.error, "resolutionCode must be FIXED|WORKAROUND|DUPLICATE|NOT_REPRODUCIBLE|WONT_FIX");
+  assert.equal(
+    checkTransition(workflow, ticket, agent, "WAITING", { resolutionNote: "n" }).error,
+    "resolutionCode / resolutionNote only apply when resolving or closing"
+  );
+
+  const ok = checkTransition(workflow, ticket, agent, "RESOLVED", { resolutionCode: " fixed ", assigneeId: "a1" });
+  assert.equal(ok.resolutionCode, "FIXED");
+  assert.equal(ok.transition.to, "RESOLVED");
+
+  // an agent who raised the ticket also holds REQUESTER transitions on it
+  const requesterOnly = {
+    ...workflow,
+    transitions: [{ from: "WAITING", to: "IN_PROGRESS", roles: ["REQUESTER"], requires: [] }],
+  };
+  const own = { status: "WAITING", requester_user_id: "a1" };
+  assert.ok(checkTransition(requesterOnly, own, agent, "IN_PROGRESS").transition);
+  assert.equal(checkTransition(requesterOnly, { ...own, requester_user_id: "r1" }, agent, "IN_PROGRESS").status, 403);
+});
+
+test("reopening is only offered inside the window after resolution", () => {
+  const now = Date.parse("2026-03-10T12:00:00.000Z");
+  const resolved = (hoursAgo) => ({
+    status: "RESOLVED",
+    requester_user_id: "r1",
+    resolved_at: new Date(now - hoursAgo * HOUR).toISOString(),
+  });
+
+  const inside = availableTransitions(DEFAULT_WORKFLOW, resolved(10), requester, now);
+  assert.deepEqual(inside.map((t) => t.to), ["CLOSED", "IN_PROGRESS"]);
+  const reopen = inside.find((t) => t.to === "IN_PROGRESS");
+  assert.equal(reopen.availableUntil, new Date(now - 10 * HOUR + 168 * HOUR).toISOString());
+  assert.deepEqual(reopen.requires, ["comment"]);
+
+  assert.deepEqual(availableTransitions(DEFAULT_WORKFLOW, resolved(169), requester, now).map((t) => t.to), ["CLOSED"]);
+  const late = checkTransition(DEFAULT_WORKFLOW, resolved(169), requester, "IN_PROGRESS", { comment: "again" }, now);
+  assert.deepEqual(late, { status: 409, error: "RESOLVED -> IN_PROGRESS is only possible within 168h of resolution" });
+  assert.equal(checkTransition(DEFAULT_WORKFLOW, resolved(1), requester, "IN_PROGRESS", {}, now).status, 400);
+});
+
+let api;
+before(async () => {
+  api = await startApp();
+  await api.call(ADMIN, "PATCH", "/api/admin/users/role", {
+    body: { email: AGENT, role: "AGENT", team: "IT Support" },
+  });
+});
+after(() => api.close());
+
+const itWorkflow = {
+  ...DEFAULT_WORKFLOW,
+  transitions: DEFAULT_WORKFLOW.transitions.map((t) =>
+    t.to === "RESOLVED" ? { ...t, requires: ["resolutionCode", "resolutionNote"] } : t
+  ),
+};
+
+const file = async (title) =>
+  (await api.call("ana@example.com", "POST", "/api/tickets", { body: { title, description: "The VPN drops" } })).body;
+
+test("admins save numbered versions per team; other teams inherit the default", async () => {
+  const put = (body, headers = {}) => api.call(ADMIN, "PUT", "/api/admin/workflows/helpdesk", { body, headers });
+
+  assert.equal((await api.call(AGENT, "PUT", "/api/admin/workflows/helpdesk", { body: itWorkflow })).status, 403);
+  assert.equal((await put({ states: ["NEW"], transitions: "none" })).status, 400);
+  assert.equal((await put(itWorkflow, { "If-Match": '"3"' })).status, 409);
+  const saved = await put(itWorkflow, { "If-Match": '"0"' });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.headers.get("etag"), '"1"');
+  assert.equal(saved.body.workflow.team, "IT Support");
+  assert.equal((await put(itWorkflow)).body.workflow.version, 2);
+
+  const versions = await api.call(ADMIN, "GET", "/api/admin/workflows/IT%20Support/versions");
+  assert.deepEqual(versions.body.versions.map((v) => v.version), [2, 1]);
+  const it = await api.call(AGENT, "GET", "/api/workflows/it");
+  assert.deepEqual([it.body.workflow.version, it.body.workflow.inherited], [2, false]);
+  const finance = await api.call(AGENT, "GET", "/api/workflows/Finance");
+  assert.deepEqual([finance.body.workflow.version, finance.body.workflow.inherited], [0, true]);
+  assert.equal((await api.call(AGENT, "GET", "/api/workflows/nowhere")).status, 404);
+});
+
+test("ticket changes follow the team's workflow; reopening clears the resolution", async () => {
+  const { id } = await file("VPN drops at night");
+  await api.patchTicket(AGENT, id, { status: "IN_PROGRESS" });
+
+  const missing = await api.patchTicket(AGENT, id, { status: "RESOLVED", resolutionCode: "FIXED" });
+  assert.deepEqual(missing.body, { error: "IN_PROGRESS -> RESOLVED requires: resolutionNote" });
+  const resolved = await api.patchTicket(AGENT, id, {
+    status: "RESOLVED",
+    resolutionCode: "workaround",
+    resolutionNote: "Split tunnelling disabled",
+  });
+  assert.equal(resolved.status, 200);
+  assert.equal(resolved.body.ticket.resolution_code, "WORKAROUND");
+  assert.ok(resolved.body.ticket.resolved_at);
+
+  const { body } = await api.call("ana@example.com", "GET", `/api/tickets/${id}/transitions`);
+  assert.deepEqual(body.workflow, { team: "IT Support", version: 2 });
+  assert.deepEqual(body.transitions.map((t) => t.to), ["CLOSED", "IN_PROGRESS"]);
+
+  assert.equal((await api.patchTicket("ana@example.com", id, { status: "IN_PROGRESS" })).status, 400);
+  const reopened = await api.patchTicket("ana@example.com", id, { status: "IN_PROGRESS", comment: "Back again" });
+  assert.equal(reopened.status, 200);
+  assert.equal(reopened.body.ticket.resolved_at, null);
+  assert.equal(reopened.body.ticket.resolution_code, null);
+});
+
+test("reopening after the window is refused", async () => {
+  const { id } = await file("VPN slow");
+  await api.patchTicket(ADMIN, id, { status: "IN_PROGRESS" });
+  await api.patchTicket(ADMIN, id, { status: "RESOLVED", resolutionCode: "FIXED", resolutionNote: "MTU lowered" });
+  await api.store.tickets.update(id, { resolved_at: new Date(Date.now() - 200 * HOUR).toISOString() });
+
+  const late = await api.patchTicket("ana@example.com", id, { status: "IN_PROGRESS", comment: "Slow again" });
+  assert.equal(late.status, 409);
+  const { body } = await api.call("ana@example.com", "GET", `/api/tickets/${id}/transitions`);
+  assert.deepEqual(body.transitions.map((t) => t.to), ["CLOSED"]);
+});
+
+test("a version cannot drop a state open tickets are in", async () => {
+  const { id } = await file("VPN certificate");
+  await api.patchTicket(AGENT, id, { status: "IN_PROGRESS" });
+  await api.patchTicket(AGENT, id, { status: "WAITING" });
+
+  const withoutWaiting = {
+    ...itWorkflow,
+    states: itWorkflow.states.filter((s) => s.status !== "WAITING"),
+    transitions: itWorkflow.transitions.filter((t) => t.from !== "WAITING" && t.to !== "WAITING"),
+  };
+  const res = await api.call(ADMIN, "PUT", "/api/admin/workflows/IT%20Support", { body: withoutWaiting });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, "1 ticket(s) are in states this workflow drops (WAITING)");
+});